@@ -113,9 +113,52 @@ async function query(sql, params = []) {
   }
 }
 
+// Postgres error codes worth retrying the whole transaction for
+const RETRYABLE_ERRORS = ['40001', '40P01']; // serialization_failure, deadlock_detected
+
+// Runs fn(tx) inside BEGIN/COMMIT on a single pooled client. tx.query has the
+// same signature as query() above; tx.client is the raw pg client. Any error
+// thrown by fn rolls the transaction back and is rethrown. Serialization
+// failures and deadlocks retry fn from the start, so fn must not have side
+// effects outside the database.
+async function transaction(fn, { isolationLevel = 'READ COMMITTED', retries = 3 } = {}) {
+  const dbPool = createPool();
+
+  for (let attempt = 1; ; attempt++) {
+    const client = await dbPool.connect();
+    const tx = {
+      client,
+      query: async (sql, params = []) => (await client.query(sql, params)).rows
+    };
+
+    try {
+      await client.query(`BEGIN ISOLATION LEVEL ${isolationLevel}`);
+      const result = await fn(tx);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackError) {
+        console.error('Database rollback error:', rollbackError);
+      }
+
+      if (RETRYABLE_ERRORS.includes(error.code) && attempt <= retries) {
+        console.warn(`Retrying transaction after ${error.code} (attempt ${attempt} of ${retries})`);
+        continue;
+      }
+
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
 module.exports = {
   connectDB,
   query,
+  transaction,
   get pool() {
     return createPool();
   }
@@ -75,6 +75,66 @@ const cache = {
       console.error('Redis SET error:', error);
       return false;
     }
+  },
+
+  async del(key) {
+    try {
+      const client = createRedisClient();
+      if (!client.isOpen) await client.connect();
+      await client.del(key);
+      return true;
+    } catch (error) {
+      console.error('Redis DEL error:', error);
+      return false;
+    }
+  },
+
+  // Deletes every key matching a glob pattern, e.g. 'products:*'. Uses SCAN
+  // rather than KEYS so that large keyspaces do not block Redis.
+  async delPattern(pattern) {
+    try {
+      const client = createRedisClient();
+      if (!client.isOpen) await client.connect();
+      const keys = [];
+      for await (const key of client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+        keys.push(key);
+      }
+      if (keys.length > 0) {
+        await client.del(keys);
+      }
+      return true;
+    } catch (error) {
+      console.error('Redis DEL pattern error:', error);
+      return false;
+    }
+  },
+
+  // Increments a counter, starting its expiry window on the first hit.
+  // Returns the new value, or null when Redis is unavailable.
+  async incr(key, expiration = 3600) {
+    try {
+      const client = createRedisClient();
+      if (!client.isOpen) await client.connect();
+      const value = await client.incr(key);
+      if (value === 1) {
+        await client.expire(key, expiration);
+      }
+      return value;
+    } catch (error) {
+      console.error('Redis INCR error:', error);
+      return null;
+    }
+  },
+
+  async exists(key) {
+    try {
+      const client = createRedisClient();
+      if (!client.isOpen) await client.connect();
+      return await client.exists(key);
+    } catch (error) {
+      console.error('Redis EXISTS error:', error);
+      return false;
+    }
   }
 };
 
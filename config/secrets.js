@@ -102,9 +102,60 @@ async function loadFromCSIMountedFiles() {
 
       // Application secrets from mounted files
       JWT_SECRET: jwtSecret.trim(),
-      JWT_EXPIRES_IN: '7d',
+      JWT_EXPIRES_IN: '15m',
+      REFRESH_TOKEN_TTL: 2592000,
+      MFA_CHALLENGE_TTL: 300,
+      MFA_RECENT_WINDOW: 600,
+      TOTP_ISSUER: process.env.TOTP_ISSUER || 'Ecommerce App',
+      LOGIN_MAX_ATTEMPTS: 10,
+      LOGIN_DELAY_AFTER: 3,
+      LOGIN_MAX_DELAY: 60,
+      LOGIN_LOCKOUT_DURATION: 900,
+      LOGIN_FAILURE_WINDOW: 900,
+      LOGIN_IP_MAX_FAILURES: 50,
       SESSION_SECRET: sessionSecret.trim(),
       SESSION_MAX_AGE: 86400000,
+      PASSWORD_RESET_TTL: 3600,
+      EMAIL_VERIFICATION_TTL: 86400,
+      EMAIL_VERIFICATION_RESEND_INTERVAL: 60,
+      REQUIRE_VERIFIED_EMAIL_LOGIN: process.env.REQUIRE_VERIFIED_EMAIL_LOGIN || 'false',
+      REQUIRE_VERIFIED_EMAIL_ORDERS: process.env.REQUIRE_VERIFIED_EMAIL_ORDERS || 'true',
+      IDEMPOTENCY_KEY_TTL: 86400,
+      CART_TTL: 2592000,
+
+      // Mail configuration
+      APP_URL: process.env.APP_URL || 'http://localhost:3000',
+      MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'console',
+      MAIL_FROM: process.env.MAIL_FROM || 'no-reply@localhost',
+      MAIL_OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR,
+      MAIL_DEFAULT_LOCALE: process.env.MAIL_DEFAULT_LOCALE || 'en',
+      SMTP_HOST: process.env.SMTP_HOST,
+      SMTP_PORT: process.env.SMTP_PORT || '587',
+      SMTP_SECURE: process.env.SMTP_SECURE || 'false',
+      SMTP_USER: process.env.SMTP_USER,
+      SMTP_PASSWORD: process.env.SMTP_PASSWORD,
+
+      // Payment configuration
+      PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER || 'mock',
+      PAYMENT_WEBHOOK_SECRET: process.env.PAYMENT_WEBHOOK_SECRET,
+
+      // Invoice configuration
+      COMPANY_NAME: process.env.COMPANY_NAME || 'Example Store',
+      COMPANY_ADDRESS: process.env.COMPANY_ADDRESS,
+      COMPANY_EMAIL: process.env.COMPANY_EMAIL,
+      COMPANY_TAX_ID: process.env.COMPANY_TAX_ID,
+      INVOICE_NUMBER_PREFIX: process.env.INVOICE_NUMBER_PREFIX || 'INV-',
+
+      // Tax configuration
+      TAX_PROVIDER: process.env.TAX_PROVIDER || 'table',
+      PRICES_INCLUDE_TAX: process.env.PRICES_INCLUDE_TAX || 'false',
+
+      // Job queue configuration
+      WORKER_QUEUES: process.env.WORKER_QUEUES,
+      WORKER_CONCURRENCY: process.env.WORKER_CONCURRENCY,
+      JOB_POLL_INTERVAL_MS: 1000,
+      SCHEDULER_ENABLED: process.env.SCHEDULER_ENABLED || 'true',
+      PENDING_ORDER_TIMEOUT: 86400,
 
       // Other configuration
       NODE_ENV: process.env.NODE_ENV || 'production',
@@ -191,9 +242,60 @@ async function loadConfig() {
 
         // Application secrets
         JWT_SECRET: appSecrets.jwt_secret,
-        JWT_EXPIRES_IN: appSecrets.jwt_expires_in || '7d',
+        JWT_EXPIRES_IN: appSecrets.jwt_expires_in || '15m',
+        REFRESH_TOKEN_TTL: parseInt(appSecrets.refresh_token_ttl) || 2592000,
+        MFA_CHALLENGE_TTL: parseInt(appSecrets.mfa_challenge_ttl) || 300,
+        MFA_RECENT_WINDOW: parseInt(appSecrets.mfa_recent_window) || 600,
+        TOTP_ISSUER: appSecrets.totp_issuer || 'Ecommerce App',
+        LOGIN_MAX_ATTEMPTS: parseInt(appSecrets.login_max_attempts) || 10,
+        LOGIN_DELAY_AFTER: parseInt(appSecrets.login_delay_after) || 3,
+        LOGIN_MAX_DELAY: parseInt(appSecrets.login_max_delay) || 60,
+        LOGIN_LOCKOUT_DURATION: parseInt(appSecrets.login_lockout_duration) || 900,
+        LOGIN_FAILURE_WINDOW: parseInt(appSecrets.login_failure_window) || 900,
+        LOGIN_IP_MAX_FAILURES: parseInt(appSecrets.login_ip_max_failures) || 50,
         SESSION_SECRET: appSecrets.session_secret,
         SESSION_MAX_AGE: appSecrets.session_max_age || 86400000,
+        PASSWORD_RESET_TTL: parseInt(appSecrets.password_reset_ttl) || 3600,
+        EMAIL_VERIFICATION_TTL: parseInt(appSecrets.email_verification_ttl) || 86400,
+        EMAIL_VERIFICATION_RESEND_INTERVAL: parseInt(appSecrets.email_verification_resend_interval) || 60,
+        REQUIRE_VERIFIED_EMAIL_LOGIN: String(appSecrets.require_verified_email_login || 'false'),
+        REQUIRE_VERIFIED_EMAIL_ORDERS: String(appSecrets.require_verified_email_orders || 'true'),
+        IDEMPOTENCY_KEY_TTL: parseInt(appSecrets.idempotency_key_ttl) || 86400,
+        CART_TTL: parseInt(appSecrets.cart_ttl) || 2592000,
+
+        // Mail configuration
+        APP_URL: appSecrets.app_url || process.env.APP_URL || 'http://localhost:3000',
+        MAIL_TRANSPORT: appSecrets.mail_transport || 'console',
+        MAIL_FROM: appSecrets.mail_from || 'no-reply@localhost',
+        MAIL_OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR,
+        MAIL_DEFAULT_LOCALE: appSecrets.mail_default_locale || 'en',
+        SMTP_HOST: appSecrets.smtp_host,
+        SMTP_PORT: appSecrets.smtp_port || '587',
+        SMTP_SECURE: String(appSecrets.smtp_secure || 'false'),
+        SMTP_USER: appSecrets.smtp_user,
+        SMTP_PASSWORD: appSecrets.smtp_password,
+
+        // Payment configuration
+        PAYMENT_PROVIDER: appSecrets.payment_provider || 'mock',
+        PAYMENT_WEBHOOK_SECRET: appSecrets.payment_webhook_secret,
+
+        // Invoice configuration
+        COMPANY_NAME: appSecrets.company_name || process.env.COMPANY_NAME || 'Example Store',
+        COMPANY_ADDRESS: appSecrets.company_address || process.env.COMPANY_ADDRESS,
+        COMPANY_EMAIL: appSecrets.company_email || process.env.COMPANY_EMAIL,
+        COMPANY_TAX_ID: appSecrets.company_tax_id || process.env.COMPANY_TAX_ID,
+        INVOICE_NUMBER_PREFIX: appSecrets.invoice_number_prefix || 'INV-',
+
+        // Tax configuration
+        TAX_PROVIDER: appSecrets.tax_provider || 'table',
+        PRICES_INCLUDE_TAX: String(appSecrets.prices_include_tax || 'false'),
+
+        // Job queue configuration
+        WORKER_QUEUES: process.env.WORKER_QUEUES,
+        WORKER_CONCURRENCY: process.env.WORKER_CONCURRENCY,
+        JOB_POLL_INTERVAL_MS: parseInt(appSecrets.job_poll_interval_ms) || 1000,
+        SCHEDULER_ENABLED: process.env.SCHEDULER_ENABLED || 'true',
+        PENDING_ORDER_TIMEOUT: parseInt(appSecrets.pending_order_timeout) || 86400,
 
         // Other configuration
         NODE_ENV: process.env.NODE_ENV || 'production',
@@ -230,9 +332,68 @@ function loadFromEnvironment() {
 
     // Application secrets - direct from environment
     JWT_SECRET: process.env.JWT_SECRET || 'your-jwt-secret-key',
-    JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '7d',
+    JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m',
+    REFRESH_TOKEN_TTL: parseInt(process.env.REFRESH_TOKEN_TTL) || 2592000, // 30 days, in seconds
+
+    // Two-factor authentication
+    MFA_CHALLENGE_TTL: parseInt(process.env.MFA_CHALLENGE_TTL) || 300, // seconds to enter the TOTP code
+    MFA_RECENT_WINDOW: parseInt(process.env.MFA_RECENT_WINDOW) || 600, // seconds a verified code counts as recent
+    TOTP_ISSUER: process.env.TOTP_ISSUER || 'Ecommerce App',
+
+    // Brute-force protection for /api/auth/login
+    LOGIN_MAX_ATTEMPTS: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10, // failures before the account locks
+    LOGIN_DELAY_AFTER: parseInt(process.env.LOGIN_DELAY_AFTER) || 3, // failures before progressive delays start
+    LOGIN_MAX_DELAY: parseInt(process.env.LOGIN_MAX_DELAY) || 60, // seconds
+    LOGIN_LOCKOUT_DURATION: parseInt(process.env.LOGIN_LOCKOUT_DURATION) || 900, // seconds
+    LOGIN_FAILURE_WINDOW: parseInt(process.env.LOGIN_FAILURE_WINDOW) || 900, // seconds failures are remembered
+    LOGIN_IP_MAX_FAILURES: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 50, // failures per IP per window
     SESSION_SECRET: process.env.SESSION_SECRET || 'your-session-secret',
     SESSION_MAX_AGE: process.env.SESSION_MAX_AGE || 86400000,
+    PASSWORD_RESET_TTL: parseInt(process.env.PASSWORD_RESET_TTL) || 3600, // 1 hour, in seconds
+    EMAIL_VERIFICATION_TTL: parseInt(process.env.EMAIL_VERIFICATION_TTL) || 86400, // 24 hours, in seconds
+    EMAIL_VERIFICATION_RESEND_INTERVAL: parseInt(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL) || 60, // seconds
+
+    // Whether unverified users may log in / place orders ('true' or 'false')
+    REQUIRE_VERIFIED_EMAIL_LOGIN: process.env.REQUIRE_VERIFIED_EMAIL_LOGIN || 'false',
+    REQUIRE_VERIFIED_EMAIL_ORDERS: process.env.REQUIRE_VERIFIED_EMAIL_ORDERS || 'true',
+
+    // How long Idempotency-Key responses are kept for replay
+    IDEMPOTENCY_KEY_TTL: parseInt(process.env.IDEMPOTENCY_KEY_TTL) || 86400, // 24 hours, in seconds
+    CART_TTL: parseInt(process.env.CART_TTL) || 2592000, // 30 days since the cart was last changed
+
+    // Mail configuration - console/file transports for dev and tests, smtp to deliver
+    APP_URL: process.env.APP_URL || 'http://localhost:3000',
+    MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'console',
+    MAIL_FROM: process.env.MAIL_FROM || 'no-reply@localhost',
+    MAIL_OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR,
+    MAIL_DEFAULT_LOCALE: process.env.MAIL_DEFAULT_LOCALE || 'en', // templates used when the user's locale has none
+    SMTP_HOST: process.env.SMTP_HOST,
+    SMTP_PORT: process.env.SMTP_PORT || '587',
+    SMTP_SECURE: process.env.SMTP_SECURE || 'false', // TLS from the start (port 465) instead of STARTTLS
+    SMTP_USER: process.env.SMTP_USER,
+    SMTP_PASSWORD: process.env.SMTP_PASSWORD,
+
+    // Payment configuration - the mock provider needs no network access
+    PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER || 'mock',
+    PAYMENT_WEBHOOK_SECRET: process.env.PAYMENT_WEBHOOK_SECRET, // signs provider webhooks
+
+    // Invoice configuration - seller details printed on every invoice
+    COMPANY_NAME: process.env.COMPANY_NAME || 'Example Store',
+    COMPANY_ADDRESS: process.env.COMPANY_ADDRESS, // lines separated by '|'
+    COMPANY_EMAIL: process.env.COMPANY_EMAIL,
+    COMPANY_TAX_ID: process.env.COMPANY_TAX_ID,
+    INVOICE_NUMBER_PREFIX: process.env.INVOICE_NUMBER_PREFIX || 'INV-',
+
+    // Tax configuration - the table provider reads rates from tax_rates
+    TAX_PROVIDER: process.env.TAX_PROVIDER || 'table',
+    PRICES_INCLUDE_TAX: process.env.PRICES_INCLUDE_TAX || 'false', // catalog prices already include tax
+
+    // Job queue configuration - what each worker process (worker.js) runs
+    WORKER_QUEUES: process.env.WORKER_QUEUES, // comma separated, e.g. 'mail'
+    WORKER_CONCURRENCY: process.env.WORKER_CONCURRENCY, // jobs per queue at once; default per queue
+    JOB_POLL_INTERVAL_MS: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000, // idle workers check for jobs this often
+    SCHEDULER_ENABLED: process.env.SCHEDULER_ENABLED || 'true', // workers queue scheduled maintenance tasks
+    PENDING_ORDER_TIMEOUT: parseInt(process.env.PENDING_ORDER_TIMEOUT) || 86400, // unpaid pending orders are cancelled after this many seconds
 
     // Other configuration
     NODE_ENV: process.env.NODE_ENV || 'development',
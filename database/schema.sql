@@ -12,6 +12,36 @@ EXCEPTION
     WHEN duplicate_object THEN null;
 END $$;
 
+DO $$ BEGIN
+    CREATE TYPE coupon_type AS ENUM ('percentage', 'fixed');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE review_status AS ENUM ('published', 'flagged', 'hidden');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE payment_status AS ENUM ('pending', 'authorized', 'captured', 'failed', 'voided', 'refunded');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE return_status AS ENUM ('requested', 'approved', 'rejected', 'received', 'refunded');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE refund_status AS ENUM ('pending', 'completed');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
 -- Users table - stores user account information
 CREATE TABLE IF NOT EXISTS users (
     id SERIAL PRIMARY KEY,
@@ -21,6 +51,11 @@ CREATE TABLE IF NOT EXISTS users (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     last_login TIMESTAMP NULL,
+    password_changed_at TIMESTAMP NULL,
+    email_verified_at TIMESTAMP NULL,
+    two_factor_enabled BOOLEAN DEFAULT FALSE,
+    -- Language for emails, e.g. en or es-MX (see services/mail-templates.js)
+    locale VARCHAR(20) NOT NULL DEFAULT 'en',
     is_active BOOLEAN DEFAULT TRUE
 );
 
@@ -52,14 +87,22 @@ CREATE TABLE IF NOT EXISTS products (
     description TEXT,
     price DECIMAL(10, 2) NOT NULL,
     category VARCHAR(50),
+    -- Which tax_rates apply to the product (e.g. standard, reduced, zero)
+    tax_class VARCHAR(50) NOT NULL DEFAULT 'standard',
     image_url VARCHAR(255),
     stock_quantity INTEGER DEFAULT 0,
     is_active BOOLEAN DEFAULT TRUE,
+    -- Full-text search document; name matches (A) outrank description matches (B)
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+    ) STORED,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Create indexes for products table
+CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN(search_vector);
 CREATE INDEX IF NOT EXISTS idx_products_category ON products(category);
 CREATE INDEX IF NOT EXISTS idx_products_price ON products(price);
 CREATE INDEX IF NOT EXISTS idx_products_stock ON products(stock_quantity);
@@ -69,8 +112,21 @@ CREATE INDEX IF NOT EXISTS idx_products_created_at ON products(created_at);
 CREATE TABLE IF NOT EXISTS orders (
     id SERIAL PRIMARY KEY,
     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- subtotal_amount - discount_amount (+ tax_amount unless prices_include_tax) = total_amount;
+    -- subtotal is NULL on orders placed before coupons
+    subtotal_amount DECIMAL(10, 2) NULL,
+    discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    -- Sum of order_items.tax_amount; already part of the prices when prices_include_tax
+    tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    prices_include_tax BOOLEAN NOT NULL DEFAULT FALSE,
     total_amount DECIMAL(10, 2) NOT NULL,
+    coupon_code VARCHAR(50) NULL,
+    -- Sum of order_refunds.amount; what the customer actually paid is total_amount - refunded_amount
+    refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
     status order_status DEFAULT 'pending',
+    -- Copies of the addresses at the time of ordering (see services/addresses.js)
+    shipping_address JSONB NULL,
+    billing_address JSONB NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -88,6 +144,12 @@ CREATE TABLE IF NOT EXISTS order_items (
     quantity INTEGER NOT NULL,
     unit_price DECIMAL(10, 2) NOT NULL,
     total_price DECIMAL(10, 2) NOT NULL,
+    -- The line's share of the order discount, and the tax on what is left
+    discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    tax_rate DECIMAL(6, 3) NOT NULL DEFAULT 0,
+    tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    -- Product name, category and image as they were when the order was placed
+    product_snapshot JSONB NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -108,6 +170,357 @@ CREATE TABLE IF NOT EXISTS sessions (
 CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
 CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
 
+-- Refresh tokens table - opaque refresh tokens, rotated on every use
+-- Only a SHA-256 hash of each token is stored. Tokens issued from the same
+-- login share a family_id so that reuse of a rotated token revokes them all.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    family_id UUID NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for refresh_tokens table
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires_at ON refresh_tokens(expires_at);
+
+-- Password reset tokens table - single-use, expiring reset tokens (hashed)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for password_reset_tokens table
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+
+-- Email verification tokens table - single-use, expiring verification tokens (hashed)
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for email_verification_tokens table
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id);
+
+-- User TOTP table - two-factor secrets; enabled_at stays NULL until the first code is verified
+CREATE TABLE IF NOT EXISTS user_totp (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret VARCHAR(64) NOT NULL,
+    enabled_at TIMESTAMP NULL,
+    last_used_step BIGINT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- User recovery codes table - hashed one-time two-factor recovery codes
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for user_recovery_codes table
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+
+-- Roles table - named groups of permissions (admin, staff, customer)
+CREATE TABLE IF NOT EXISTS roles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Permissions table - "resource:action" strings checked by authorize()
+CREATE TABLE IF NOT EXISTS permissions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Role permissions table - which permissions each role grants
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    permission_id INTEGER NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+    PRIMARY KEY (role_id, permission_id)
+);
+
+-- User roles table - roles held by each user
+CREATE TABLE IF NOT EXISTS user_roles (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, role_id)
+);
+
+-- Create indexes for user_roles table
+CREATE INDEX IF NOT EXISTS idx_user_roles_role_id ON user_roles(role_id);
+
+-- Audit log table - security-relevant events (failed logins, lockouts, ...)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    event VARCHAR(50) NOT NULL,
+    ip_address VARCHAR(45),
+    details JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for audit_log table
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_id ON audit_log(user_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_event ON audit_log(event);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+
+-- Order status history table - one row per status change, including creation
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status order_status NULL,
+    to_status order_status NOT NULL,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    note VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for order_status_history table
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id);
+
+-- Product reviews table - one rating (1-5) and optional review per customer per product
+-- Hidden reviews are excluded from listings and ratings; flagged ones await moderation.
+CREATE TABLE IF NOT EXISTS product_reviews (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    title VARCHAR(150),
+    body TEXT,
+    status review_status NOT NULL DEFAULT 'published',
+    moderation_note VARCHAR(255),
+    moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (product_id, user_id)
+);
+
+-- Create indexes for product_reviews table
+CREATE INDEX IF NOT EXISTS idx_product_reviews_product_id ON product_reviews(product_id, status);
+CREATE INDEX IF NOT EXISTS idx_product_reviews_status ON product_reviews(status);
+
+-- User addresses table - address book; at most one default shipping and one default billing address per user
+CREATE TABLE IF NOT EXISTS user_addresses (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    label VARCHAR(50),
+    full_name VARCHAR(100) NOT NULL,
+    line1 VARCHAR(255) NOT NULL,
+    line2 VARCHAR(255),
+    city VARCHAR(100) NOT NULL,
+    region VARCHAR(100),
+    postal_code VARCHAR(20) NOT NULL,
+    country CHAR(2) NOT NULL,
+    phone VARCHAR(20),
+    is_default_shipping BOOLEAN NOT NULL DEFAULT FALSE,
+    is_default_billing BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for user_addresses table
+CREATE INDEX IF NOT EXISTS idx_user_addresses_user_id ON user_addresses(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_addresses_default_shipping ON user_addresses(user_id) WHERE is_default_shipping;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_addresses_default_billing ON user_addresses(user_id) WHERE is_default_billing;
+
+-- Coupons table - promotions; NULL limits, dates and restrictions mean "no limit"
+-- product_ids/categories restrict which order lines the discount applies to.
+CREATE TABLE IF NOT EXISTS coupons (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    discount_type coupon_type NOT NULL,
+    discount_value DECIMAL(10, 2) NOT NULL CHECK (discount_value > 0),
+    min_order_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    max_uses INTEGER NULL,
+    max_uses_per_user INTEGER NULL,
+    times_used INTEGER NOT NULL DEFAULT 0,
+    starts_at TIMESTAMP NULL,
+    expires_at TIMESTAMP NULL,
+    product_ids INTEGER[] NULL,
+    categories TEXT[] NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (discount_type <> 'percentage' OR discount_value <= 100)
+);
+
+-- Coupon redemptions table - one row per order that used a coupon
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    id SERIAL PRIMARY KEY,
+    coupon_id INTEGER NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    order_id INTEGER UNIQUE NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    discount_amount DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for coupon_redemptions table
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon_user ON coupon_redemptions(coupon_id, user_id);
+
+-- Payments table - one row per attempt to charge an order through a provider
+-- 'pending' covers the moment between creating the row and the provider's answer.
+CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    provider_reference VARCHAR(255) NULL,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    status payment_status NOT NULL DEFAULT 'pending',
+    failure_reason VARCHAR(255) NULL,
+    refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    authorized_at TIMESTAMP NULL,
+    captured_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, provider_reference)
+);
+
+-- Create indexes for payments table
+CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id);
+-- At most one live payment per order; failed and voided attempts may be retried
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_active_order ON payments(order_id) WHERE status IN ('pending', 'authorized', 'captured');
+
+-- Payment events table - provider webhooks already handled, so redeliveries are ignored
+CREATE TABLE IF NOT EXISTS payment_events (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(50) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    payment_id INTEGER NULL REFERENCES payments(id) ON DELETE SET NULL,
+    payload JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, event_id)
+);
+
+-- Return requests table - one per order line the customer wants to send back
+-- Items go back into stock when the return is marked received.
+CREATE TABLE IF NOT EXISTS return_requests (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    reason VARCHAR(30) NOT NULL,
+    comment TEXT NULL,
+    status return_status NOT NULL DEFAULT 'requested',
+    resolution_note VARCHAR(255) NULL,
+    refund_amount DECIMAL(10, 2) NULL,
+    handled_by INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+    received_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for return_requests table
+CREATE INDEX IF NOT EXISTS idx_return_requests_user_id ON return_requests(user_id);
+CREATE INDEX IF NOT EXISTS idx_return_requests_order_item_id ON return_requests(order_item_id);
+CREATE INDEX IF NOT EXISTS idx_return_requests_status ON return_requests(status, created_at);
+
+-- Order refunds table - money given back on an order, through its payment or manually
+-- A 'pending' refund reserves its amount while the payment provider is asked for it.
+CREATE TABLE IF NOT EXISTS order_refunds (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    payment_id INTEGER NULL REFERENCES payments(id) ON DELETE SET NULL,
+    return_id INTEGER NULL REFERENCES return_requests(id) ON DELETE SET NULL,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    reason VARCHAR(255) NULL,
+    provider_reference VARCHAR(255) NULL,
+    status refund_status NOT NULL DEFAULT 'completed',
+    created_by INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for order_refunds table
+CREATE INDEX IF NOT EXISTS idx_order_refunds_order_id ON order_refunds(order_id);
+
+-- Invoice counter table - a single row holding the last invoice number issued
+-- Numbers are taken from it inside the transaction that creates the invoice,
+-- so they are gap-free (a sequence would skip numbers on rollback).
+CREATE TABLE IF NOT EXISTS invoice_counter (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    last_number INTEGER NOT NULL DEFAULT 0
+);
+
+-- Invoices table - at most one per order; seller and customer are copies at issue time
+CREATE TABLE IF NOT EXISTS invoices (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER UNIQUE NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    sequence_number INTEGER UNIQUE NOT NULL,
+    invoice_number VARCHAR(50) UNIQUE NOT NULL,
+    seller JSONB NOT NULL,
+    customer JSONB NOT NULL,
+    issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tax rates table - percentage rates by country, optional region and product tax class
+-- A rate for the order's region wins over the country-wide (NULL region) one.
+CREATE TABLE IF NOT EXISTS tax_rates (
+    id SERIAL PRIMARY KEY,
+    country CHAR(2) NOT NULL,
+    region VARCHAR(100) NULL,
+    tax_class VARCHAR(50) NOT NULL DEFAULT 'standard',
+    rate DECIMAL(6, 3) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+    name VARCHAR(50) NOT NULL DEFAULT 'Tax',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One rate per country/region/class
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tax_rates_location_class ON tax_rates(country, COALESCE(region, ''), tax_class);
+
+-- Wishlist items table - products each user has saved for later
+CREATE TABLE IF NOT EXISTS wishlist_items (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, product_id)
+);
+
+-- Create indexes for wishlist_items table
+CREATE INDEX IF NOT EXISTS idx_wishlist_items_product_id ON wishlist_items(product_id);
+
+-- Idempotency keys table - stored responses for retried mutating requests
+-- response_status stays NULL while the first request is still being handled.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    response_status INTEGER NULL,
+    response_body JSONB NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, idempotency_key)
+);
+
+-- Create indexes for idempotency_keys table
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
 -- Create triggers for updating updated_at timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -130,13 +543,63 @@ CREATE TRIGGER update_products_updated_at BEFORE UPDATE ON products
 CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_user_addresses_updated_at BEFORE UPDATE ON user_addresses
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_coupons_updated_at BEFORE UPDATE ON coupons
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_product_reviews_updated_at BEFORE UPDATE ON product_reviews
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_return_requests_updated_at BEFORE UPDATE ON return_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_tax_rates_updated_at BEFORE UPDATE ON tax_rates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Insert sample data
-INSERT INTO users (username, email, password_hash) VALUES
-    ('john_doe', 'john@example.com', '$2b$10$rOzJUaOjkGVXcKGJ9YWrMe8kNKfOLiYj4qNEYaOcpzCcHhDhkQZe6'), -- password: password123
-    ('jane_smith', 'jane@example.com', '$2b$10$rOzJUaOjkGVXcKGJ9YWrMe8kNKfOLiYj4qNEYaOcpzCcHhDhkQZe6'), -- password: password123
-    ('mike_wilson', 'mike@example.com', '$2b$10$rOzJUaOjkGVXcKGJ9YWrMe8kNKfOLiYj4qNEYaOcpzCcHhDhkQZe6') -- password: password123
+INSERT INTO users (username, email, password_hash, email_verified_at) VALUES
+    ('john_doe', 'john@example.com', '$2b$10$rOzJUaOjkGVXcKGJ9YWrMe8kNKfOLiYj4qNEYaOcpzCcHhDhkQZe6', CURRENT_TIMESTAMP), -- password: password123
+    ('jane_smith', 'jane@example.com', '$2b$10$rOzJUaOjkGVXcKGJ9YWrMe8kNKfOLiYj4qNEYaOcpzCcHhDhkQZe6', CURRENT_TIMESTAMP), -- password: password123
+    ('mike_wilson', 'mike@example.com', '$2b$10$rOzJUaOjkGVXcKGJ9YWrMe8kNKfOLiYj4qNEYaOcpzCcHhDhkQZe6', CURRENT_TIMESTAMP) -- password: password123
 ON CONFLICT (username) DO NOTHING;
 
+INSERT INTO roles (name, description) VALUES
+    ('admin', 'Full back-office access'),
+    ('staff', 'Catalog and order management'),
+    ('customer', 'Default role for registered users')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO permissions (name, description) VALUES
+    ('products:write', 'Create, update and archive products'),
+    ('inventory:write', 'Adjust product stock levels'),
+    ('orders:read', 'View any customer order'),
+    ('orders:manage', 'Change the status of any order'),
+    ('users:manage', 'Manage user accounts and roles'),
+    ('reviews:moderate', 'Flag and hide product reviews'),
+    ('coupons:manage', 'Create and change coupons'),
+    ('payments:manage', 'Capture, void and refund payments'),
+    ('returns:manage', 'Approve, receive and refund returns'),
+    ('tax:manage', 'Set tax rates'),
+    ('jobs:manage', 'Inspect and retry background jobs')
+ON CONFLICT (name) DO NOTHING;
+
+-- admin gets every permission; staff gets catalog, order, review and return permissions
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'admin'
+   OR (r.name = 'staff' AND p.name IN ('products:write', 'inventory:write', 'orders:read', 'orders:manage', 'reviews:moderate', 'returns:manage'))
+ON CONFLICT DO NOTHING;
+
+-- john_doe is the sample administrator; everyone else is a customer
+INSERT INTO user_roles (user_id, role_id)
+SELECT u.id, r.id FROM users u JOIN roles r ON r.name = CASE WHEN u.username = 'john_doe' THEN 'admin' ELSE 'customer' END
+ON CONFLICT DO NOTHING;
+
 INSERT INTO user_profiles (user_id, first_name, last_name, phone) VALUES
     (1, 'John', 'Doe', '+1234567890'),
     (2, 'Jane', 'Smith', '+1234567891'),
@@ -190,7 +653,8 @@ LEFT JOIN orders o ON u.id = o.user_id
 GROUP BY u.id, u.username, u.email;
 
 -- Create a view for product sales summary
-CREATE VIEW product_sales_summary AS
+-- Cancelled orders are not counted as sales
+CREATE OR REPLACE VIEW product_sales_summary AS
 SELECT 
     p.id as product_id,
     p.name,
@@ -200,7 +664,10 @@ SELECT
     COALESCE(SUM(oi.total_price), 0) as total_revenue,
     COUNT(DISTINCT oi.order_id) as total_orders
 FROM products p
-LEFT JOIN order_items oi ON p.id = oi.product_id
+LEFT JOIN (
+    order_items oi
+    JOIN orders o ON o.id = oi.order_id AND o.status <> 'cancelled'
+) ON p.id = oi.product_id
 GROUP BY p.id, p.name, p.category, p.price;
 
 -- Sample queries for testing:
@@ -243,6 +710,6 @@ GROUP BY p.id, p.name, p.category, p.price;
 
 -- Backup and maintenance:
 -- 1. Regular backups should be scheduled
--- 2. Old sessions should be cleaned up periodically
+-- 2. Expired sessions and tokens, and unpaid pending orders, are cleaned up by scheduled tasks (services/scheduled-tasks.js)
 -- 3. Monitor slow queries and optimize indexes as needed
 -- 4. Consider partitioning for large datasets in production
@@ -26,16 +26,34 @@ const authMiddleware = async (req, res, next) => {
     // Verify token
     const config = getConfig();
     const decoded = jwt.verify(token, config.JWT_SECRET);
+
+    // Only access tokens may authenticate requests (tokens issued before
+    // refresh rotation carry no type claim and are still accepted)
+    if (decoded.type && decoded.type !== 'access') {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is not valid'
+      });
+    }
     
     // Check cache for user data first
     let user = await cache.get(`user:${decoded.userId}`);
     
     if (!user) {
-      // If not in cache, fetch from database
-      const result = await query(
-        'SELECT id, username, email, created_at, updated_at FROM users WHERE id = $1',
-        [decoded.userId]
-      );
+      // If not in cache, fetch from database along with roles and permissions
+      const result = await query(`
+        SELECT u.id, u.username, u.email, u.email_verified_at, u.two_factor_enabled,
+               u.created_at, u.updated_at, u.password_changed_at,
+               COALESCE(ARRAY_AGG(DISTINCT r.name) FILTER (WHERE r.name IS NOT NULL), '{}') AS roles,
+               COALESCE(ARRAY_AGG(DISTINCT p.name) FILTER (WHERE p.name IS NOT NULL), '{}') AS permissions
+        FROM users u
+        LEFT JOIN user_roles ur ON ur.user_id = u.id
+        LEFT JOIN roles r ON r.id = ur.role_id
+        LEFT JOIN role_permissions rp ON rp.role_id = r.id
+        LEFT JOIN permissions p ON p.id = rp.permission_id
+        WHERE u.id = $1
+        GROUP BY u.id
+      `, [decoded.userId]);
       
       if (result.length === 0) {
         return res.status(401).json({
@@ -49,8 +67,18 @@ const authMiddleware = async (req, res, next) => {
       await cache.set(`user:${decoded.userId}`, user, 3600);
     }
     
-    req.user = user;
+    // Tokens issued before the last password change are no longer valid
+    const { password_changed_at, ...publicUser } = user;
+    if (password_changed_at && decoded.iat < Math.floor(new Date(password_changed_at).getTime() / 1000)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been invalidated'
+      });
+    }
+    
+    req.user = publicUser;
     req.token = token;
+    req.tokenPayload = decoded;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -61,4 +89,40 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+// Must run after authMiddleware. For users with two-factor authentication
+// enabled, requires the access token to carry a second-factor verification
+// (mfaAt claim) no older than maxAgeSeconds.
+const requireRecentSecondFactor = (maxAgeSeconds) => (req, res, next) => {
+  if (!req.user.two_factor_enabled) {
+    return next();
+  }
+
+  const window = maxAgeSeconds || parseInt(getConfig().MFA_RECENT_WINDOW) || 600;
+  const mfaAt = req.tokenPayload && req.tokenPayload.mfaAt;
+
+  if (!mfaAt || Math.floor(Date.now() / 1000) - mfaAt > window) {
+    return res.status(403).json({
+      success: false,
+      message: 'Recent two-factor verification required'
+    });
+  }
+
+  next();
+};
+
+// Authenticates the request when it carries a token, otherwise lets it
+// through anonymously with req.user unset. A token that is present but
+// invalid is still rejected.
+const optionalAuth = (req, res, next) => {
+  const hasToken = req.header('Authorization') || (req.session && req.session.token);
+
+  if (!hasToken) {
+    return next();
+  }
+
+  return authMiddleware(req, res, next);
+};
+
 module.exports = authMiddleware;
+module.exports.requireRecentSecondFactor = requireRecentSecondFactor;
+module.exports.optionalAuth = optionalAuth;
@@ -0,0 +1,17 @@
+const { hasPermissions } = require('../services/rbac');
+
+// Must run after authMiddleware, which loads the user's roles and
+// permissions. Requires every listed permission, e.g.
+//   router.post('/', authMiddleware, authorize('products:write'), handler)
+const authorize = (...permissions) => (req, res, next) => {
+  if (!req.user || !hasPermissions(req.user, permissions)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions'
+    });
+  }
+
+  next();
+};
+
+module.exports = authorize;
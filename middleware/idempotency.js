@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { getConfig } = require('../config/secrets');
+
+// A claimed key with no stored response after this long is assumed to belong
+// to a request that died mid-flight, and may be claimed again
+const ABANDONED_AFTER_SECONDS = 300;
+
+// JSON.stringify with object keys sorted, so that the same body sent with a
+// different key order produces the same fingerprint
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function fingerprintRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+}
+
+// Stores the response for replay. Server errors release the key instead, so
+// the client's retry runs the request again.
+async function saveResponse(recordId, status, body) {
+  try {
+    if (status >= 500) {
+      await query('DELETE FROM idempotency_keys WHERE id = $1', [recordId]);
+    } else {
+      await query(
+        'UPDATE idempotency_keys SET response_status = $1, response_body = $2 WHERE id = $3',
+        [status, JSON.stringify(body), recordId]
+      );
+    }
+  } catch (error) {
+    console.error('Idempotency key save error:', error);
+  }
+}
+
+// Must run after authMiddleware; keys are scoped to the authenticated user.
+// Routes opt in by adding idempotency() to their middleware chain. Requests
+// without an Idempotency-Key header pass straight through unless required.
+const idempotency = ({ required = false } = {}) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    if (required) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key header is required'
+      });
+    }
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be at most 255 characters'
+    });
+  }
+
+  try {
+    const config = getConfig();
+    const ttl = parseInt(config.IDEMPOTENCY_KEY_TTL) || 86400;
+    const requestHash = fingerprintRequest(req);
+
+    // Claim the key. An existing row is only taken over once it has expired
+    // or been abandoned, so concurrent retries cannot both run the request.
+    const claimed = await query(`
+      INSERT INTO idempotency_keys (user_id, idempotency_key, request_hash, expires_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(secs => $4))
+      ON CONFLICT (user_id, idempotency_key) DO UPDATE
+      SET request_hash = EXCLUDED.request_hash,
+          response_status = NULL,
+          response_body = NULL,
+          expires_at = EXCLUDED.expires_at,
+          created_at = CURRENT_TIMESTAMP
+      WHERE idempotency_keys.expires_at <= CURRENT_TIMESTAMP
+         OR (idempotency_keys.response_status IS NULL
+             AND idempotency_keys.created_at <= CURRENT_TIMESTAMP - make_interval(secs => $5))
+      RETURNING id
+    `, [req.user.id, key, requestHash, ttl, ABANDONED_AFTER_SECONDS]);
+
+    if (claimed.length === 0) {
+      const existing = await query(
+        'SELECT request_hash, response_status, response_body FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2',
+        [req.user.id, key]
+      );
+      const record = existing[0];
+
+      if (record && record.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key has already been used with a different request'
+        });
+      }
+
+      if (!record || record.response_status === null) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(record.response_body);
+    }
+
+    // Hold the response until it has been stored, so a retry sent as soon as
+    // the client hears back is guaranteed to be replayed
+    const recordId = claimed[0].id;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      saveResponse(recordId, res.statusCode, body).then(() => sendJson(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = idempotency;
@@ -0,0 +1,18 @@
+const { getConfig } = require('../config/secrets');
+
+// Must run after authMiddleware. Blocks users who have not verified their
+// email address when the given policy (a config flag) is switched on.
+const requireVerifiedEmail = (policy = 'REQUIRE_VERIFIED_EMAIL_ORDERS') => (req, res, next) => {
+  const config = getConfig();
+
+  if (config[policy] === 'true' && !req.user.email_verified_at) {
+    return res.status(403).json({
+      success: false,
+      message: 'Email address has not been verified'
+    });
+  }
+
+  next();
+};
+
+module.exports = requireVerifiedEmail;
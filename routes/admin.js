@@ -0,0 +1,494 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const rbac = require('../services/rbac');
+const { recordAuditEvent } = require('../services/audit');
+const { parseLimit } = require('../services/pagination');
+const reviews = require('../services/reviews');
+const returns = require('../services/returns');
+const tax = require('../services/tax');
+const { isValidCountry } = require('../services/addresses');
+const jobs = require('../services/jobs');
+const jobDefinitions = require('../services/job-definitions');
+
+const router = express.Router();
+
+// List roles with the permissions they grant
+router.get('/roles', authMiddleware, authorize('users:manage'), async (req, res) => {
+  try {
+    const roles = await rbac.listRoles();
+
+    res.json({
+      success: true,
+      data: {
+        roles
+      }
+    });
+  } catch (error) {
+    console.error('List roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a user's roles and effective permissions
+router.get('/users/:id/roles', authMiddleware, authorize('users:manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await query('SELECT id FROM users WHERE id = $1', [userId]);
+    if (user.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { roles, permissions } = await rbac.getRolesAndPermissions(userId);
+
+    res.json({
+      success: true,
+      data: {
+        user_id: userId,
+        roles,
+        permissions
+      }
+    });
+  } catch (error) {
+    console.error('Get user roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Grant a role to a user
+router.post('/users/:id/roles', authMiddleware, authorize('users:manage'), [
+  body('role').trim().notEmpty().withMessage('Role is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await query('SELECT id FROM users WHERE id = $1', [userId]);
+    if (user.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const assigned = await rbac.assignRole(userId, req.body.role);
+    if (!assigned) {
+      return res.status(400).json({
+        success: false,
+        message: `Role ${req.body.role} does not exist`
+      });
+    }
+
+    await recordAuditEvent('role_assigned', {
+      userId,
+      ip: req.ip,
+      details: { role: req.body.role, by: req.user.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role assigned successfully'
+    });
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Revoke a role from a user
+router.delete('/users/:id/roles/:role', authMiddleware, authorize('users:manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    // Keep at least one administrator able to manage roles
+    if (userId === req.user.id && req.params.role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin role'
+      });
+    }
+
+    const removed = await rbac.removeRole(userId, req.params.role);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'User does not have this role'
+      });
+    }
+
+    await recordAuditEvent('role_removed', {
+      userId,
+      ip: req.ip,
+      details: { role: req.params.role, by: req.user.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Review moderation queue; flagged reviews by default
+router.get('/reviews', authMiddleware, authorize('reviews:moderate'), async (req, res) => {
+  try {
+    const status = req.query.status || 'flagged';
+
+    if (!reviews.REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${reviews.REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseLimit(req.query.limit);
+    const offset = (page - 1) * limit;
+
+    const { reviews: items, total } = await reviews.listReviewsByStatus(status, { limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        reviews: items,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List reviews for moderation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Queue of return requests for staff, oldest first (default: awaiting a decision)
+router.get('/returns', authMiddleware, authorize('returns:manage'), async (req, res) => {
+  try {
+    const status = req.query.status || 'requested';
+
+    if (!returns.RETURN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${returns.RETURN_STATUSES.join(', ')}`
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseLimit(req.query.limit);
+    const offset = (page - 1) * limit;
+
+    const { returns: items, total } = await returns.listReturns({ status, limit, offset, oldestFirst: true });
+
+    res.json({
+      success: true,
+      data: {
+        returns: items,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List returns for review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Tax rates used by the table tax provider, optionally for one country
+router.get('/tax-rates', authMiddleware, authorize('tax:manage'), async (req, res) => {
+  try {
+    const country = req.query.country ? String(req.query.country).toUpperCase() : null;
+
+    if (country && !isValidCountry(country)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Country must be an ISO 3166-1 alpha-2 code'
+      });
+    }
+
+    const rates = await tax.listTaxRates({ country });
+
+    res.json({
+      success: true,
+      data: {
+        tax_rates: rates
+      }
+    });
+  } catch (error) {
+    console.error('List tax rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Set the rate for a country, region (omit for the whole country) and tax
+// class, replacing any existing one
+router.put('/tax-rates', authMiddleware, authorize('tax:manage'), [
+  body('country')
+    .trim()
+    .custom(isValidCountry)
+    .withMessage('Country must be an ISO 3166-1 alpha-2 code'),
+  body('region')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Region must be at most 100 characters long'),
+  body('tax_class')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9_-]{1,50}$/)
+    .withMessage('Tax class must be 1-50 lower-case letters, digits, dashes or underscores'),
+  body('rate')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Rate must be a percentage between 0 and 100'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be 1-50 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const rate = await tax.setTaxRate({
+      country: req.body.country,
+      region: req.body.region,
+      taxClass: req.body.tax_class,
+      rate: parseFloat(req.body.rate),
+      name: req.body.name
+    });
+
+    await recordAuditEvent('tax_rate_set', {
+      userId: req.user.id,
+      ip: req.ip,
+      details: { tax_rate_id: rate.id, country: rate.country, region: rate.region, tax_class: rate.tax_class, rate: rate.rate }
+    });
+
+    res.json({
+      success: true,
+      message: 'Tax rate saved successfully',
+      data: {
+        tax_rate: rate
+      }
+    });
+  } catch (error) {
+    console.error('Set tax rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Remove a tax rate; orders already placed keep the tax they were charged
+router.delete('/tax-rates/:id', authMiddleware, authorize('tax:manage'), async (req, res) => {
+  try {
+    const rateId = parseInt(req.params.id);
+
+    if (isNaN(rateId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tax rate ID'
+      });
+    }
+
+    const removed = await tax.deleteTaxRate(rateId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    await recordAuditEvent('tax_rate_deleted', {
+      userId: req.user.id,
+      ip: req.ip,
+      details: { tax_rate_id: rateId, country: removed.country, region: removed.region, tax_class: removed.tax_class }
+    });
+
+    res.json({
+      success: true,
+      message: 'Tax rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete tax rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// What admins see of a job; queues can hide secrets in their job data
+function jobView(job) {
+  const definition = jobDefinitions[job.queue];
+  return definition && definition.summarize ? { ...job, data: definition.summarize(job.data || {}) } : job;
+}
+
+// Job counts for each background job queue
+router.get('/jobs', authMiddleware, authorize('jobs:manage'), async (req, res) => {
+  try {
+    const queues = await jobs.getQueueStats();
+
+    res.json({
+      success: true,
+      data: {
+        queues
+      }
+    });
+  } catch (error) {
+    console.error('List job queues error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Jobs on a queue that used up their attempts, most recent failure first
+router.get('/jobs/:queue/failed', authMiddleware, authorize('jobs:manage'), async (req, res) => {
+  try {
+    const queues = await jobs.listQueues();
+
+    if (!queues.includes(req.params.queue)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job queue not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseLimit(req.query.limit);
+    const offset = (page - 1) * limit;
+
+    const { jobs: items, total } = await jobs.listFailedJobs(req.params.queue, { limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        jobs: items.map(jobView),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List failed jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Send a failed job back to its queue with a fresh set of attempts
+router.post('/jobs/:id/retry', authMiddleware, authorize('jobs:manage'), async (req, res) => {
+  try {
+    const job = await jobs.retryFailedJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Failed job not found'
+      });
+    }
+
+    await recordAuditEvent('job_retried', {
+      userId: req.user.id,
+      ip: req.ip,
+      details: { job_id: job.id, queue: job.queue }
+    });
+
+    res.json({
+      success: true,
+      message: 'Job queued for retry',
+      data: {
+        job: jobView(job)
+      }
+    });
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,29 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
 const { cache } = require('../config/redis');
 const { getConfig } = require('../config/secrets');
+const { queueMail } = require('../services/mailer');
+const { availableLocales } = require('../services/mail-templates');
 const authMiddleware = require('../middleware/auth');
+const { requireRecentSecondFactor } = authMiddleware;
+const twoFactor = require('../services/two-factor');
+const loginGuard = require('../services/login-guard');
+const { recordAuditEvent } = require('../services/audit');
+const rbac = require('../services/rbac');
+const { mergeSessionCart } = require('../services/cart');
+const {
+  hashToken,
+  signAccessToken,
+  issueTokenPair,
+  signChallengeToken,
+  verifyChallengeToken,
+  rotateRefreshToken,
+  revokeRefreshFamily,
+  revokeUserRefreshTokens
+} = require('../services/tokens');
 
 const router = express.Router();
 
@@ -25,7 +43,12 @@ const signupValidation = [
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long')
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  body('locale')
+    .optional()
+    .trim()
+    .matches(/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})?$/)
+    .withMessage('Locale must be a language tag such as en or es-MX')
 ];
 
 const loginValidation = [
@@ -39,6 +62,139 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const emailValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit code or a recovery code is required'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+];
+
+const twoFactorChallengeValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...twoFactorCodeValidation
+];
+
+const unlockValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Unlock token is required')
+];
+
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// Compared against when the email is unknown, so that both failure paths
+// spend the same bcrypt time and response timing does not reveal accounts
+const DUMMY_PASSWORD_HASH = '$2a$12$xkWGpCwQogQ8Cauw873vf.VtD7tZmiXgOQNLv9IlnEtZnugpLE/sC';
+
+// Drop cached copies of a user after their account data changed
+async function clearUserCache(userId, email) {
+  await cache.del(`user:${userId}`);
+  if (email) {
+    await cache.del(`user:email:${email}`);
+  }
+}
+
+// Count a failed login and, when it locks the account, email the owner an
+// unlock link. The caller still answers with the generic error.
+async function handleFailedLogin(email, ip, user) {
+  const { locked } = await loginGuard.recordLoginFailure(email, ip);
+  const userId = user ? user.id : null;
+
+  await recordAuditEvent('login_failed', { userId, ip, details: { email } });
+
+  if (locked) {
+    await recordAuditEvent('account_locked', { userId, ip, details: { email } });
+
+    if (user) {
+      try {
+        const config = getConfig();
+        const unlockToken = await loginGuard.createUnlockToken(email);
+        await queueMail({
+          to: user.email,
+          template: 'account-locked',
+          locale: user.locale,
+          data: {
+            username: user.username,
+            lockMinutes: Math.round((parseInt(config.LOGIN_LOCKOUT_DURATION) || 900) / 60),
+            unlockUrl: `${config.APP_URL}/unlock-account?token=${unlockToken}`
+          }
+        });
+      } catch (error) {
+        console.error('Unlock email error:', error);
+      }
+    }
+  }
+}
+
+// Create a verification token for the user and email them the link, in the
+// welcome email for new accounts
+async function sendVerificationEmail(user, { template = 'verify-email' } = {}) {
+  const config = getConfig();
+  const verificationToken = crypto.randomBytes(32).toString('base64url');
+  const ttl = parseInt(config.EMAIL_VERIFICATION_TTL) || 86400;
+
+  await query(`
+    INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(secs => $3))
+  `, [user.id, hashToken(verificationToken), ttl]);
+
+  const verifyUrl = `${config.APP_URL}/verify-email?token=${verificationToken}`;
+
+  await queueMail({
+    to: user.email,
+    template,
+    locale: user.locale,
+    data: {
+      username: user.username,
+      verifyHours: Math.round(ttl / 3600),
+      verifyUrl
+    }
+  });
+}
+
 // Signup route
 router.post('/signup', signupValidation, async (req, res) => {
   try {
@@ -53,6 +209,12 @@ router.post('/signup', signupValidation, async (req, res) => {
 
     const { username, email, password } = req.body;
 
+    // Language for emails: the one asked for, else the best of the
+    // browser's that has templates (see services/mail-templates.js)
+    const config = getConfig();
+    const browserLocale = req.get('Accept-Language') ? req.acceptsLanguages(...availableLocales()) : null;
+    const locale = req.body.locale || browserLocale || config.MAIL_DEFAULT_LOCALE || 'en';
+
     // Check if user already exists
     const existingUser = await query(
       'SELECT id FROM users WHERE email = $1 OR username = $2',
@@ -72,34 +234,54 @@ router.post('/signup', signupValidation, async (req, res) => {
 
     // Insert user into database
     const result = await query(
-      'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id',
-      [username, email, hashedPassword]
+      'INSERT INTO users (username, email, password_hash, locale) VALUES ($1, $2, $3, $4) RETURNING id',
+      [username, email, hashedPassword, locale]
     );
 
     const userId = result[0].id;
 
-    // Generate JWT token
-    const config = getConfig();
-    const token = jwt.sign(
-      { userId: userId },
-      config.JWT_SECRET,
-      { expiresIn: config.JWT_EXPIRES_IN || '7d' }
-    );
+    // New accounts start with the default role
+    await rbac.assignRole(userId, rbac.DEFAULT_ROLE);
+    const { roles, permissions } = await rbac.getRolesAndPermissions(userId);
+
+    // Cache user data
+    const userData = { id: userId, username, email, locale, email_verified_at: null, roles, permissions, created_at: new Date() };
+    await cache.set(`user:${userId}`, userData, 3600);
+
+    try {
+      await sendVerificationEmail(userData, { template: 'welcome' });
+    } catch (error) {
+      console.error('Welcome email error:', error);
+    }
+
+    // Unverified users cannot log in under this policy, so no tokens yet
+    if (config.REQUIRE_VERIFIED_EMAIL_LOGIN === 'true') {
+      return res.status(201).json({
+        success: true,
+        message: 'User created successfully. Please verify your email address before logging in',
+        data: {
+          user: userData
+        }
+      });
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueTokenPair(userId);
 
     // Store token in session
     req.session.token = token;
     req.session.userId = userId;
 
-    // Cache user data
-    const userData = { id: userId, username, email, created_at: new Date() };
-    await cache.set(`user:${userId}`, userData, 3600);
+    // Keep anything added to the cart before signing up
+    await mergeSessionCart(req.sessionID, userId);
 
     res.status(201).json({
       success: true,
       message: 'User created successfully',
       data: {
         user: userData,
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -125,6 +307,16 @@ router.post('/login', loginValidation, async (req, res) => {
 
     const { email, password } = req.body;
 
+    // Refuse while the account or IP is in a delay or lockout window
+    const guard = await loginGuard.checkLoginAllowed(email, req.ip);
+    if (!guard.allowed) {
+      res.set('Retry-After', String(guard.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many login attempts, please try again later'
+      });
+    }
+
     // Check cache first
     const cacheStart = Date.now();
     let user = await cache.get(`user:email:${email}`);
@@ -136,12 +328,14 @@ router.post('/login', loginValidation, async (req, res) => {
       // If not in cache, fetch from database
       const dbStart = Date.now();
       const result = await query(
-        'SELECT id, username, email, password_hash, created_at, updated_at FROM users WHERE email = $1',
+        'SELECT id, username, email, locale, email_verified_at, two_factor_enabled, password_hash, created_at, updated_at FROM users WHERE email = $1',
         [email]
       );
       const dbEnd = Date.now();
 
       if (result.length === 0) {
+        await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+        await handleFailedLogin(email, req.ip, null);
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
@@ -162,24 +356,47 @@ router.post('/login', loginValidation, async (req, res) => {
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password_hash);
     if (!isPasswordValid) {
+      await handleFailedLogin(email, req.ip, user);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate JWT token
+    await loginGuard.clearLoginFailures(email);
+
+    // Only reached with a correct password, so this does not leak whether the email exists
     const config = getConfig();
-    const token = jwt.sign(
-      { userId: user.id },
-      config.JWT_SECRET,
-      { expiresIn: config.JWT_EXPIRES_IN || '7d' }
-    );
+    if (config.REQUIRE_VERIFIED_EMAIL_LOGIN === 'true' && !user.email_verified_at) {
+      return res.status(403).json({
+        success: false,
+        message: 'Email address has not been verified'
+      });
+    }
+
+    // With 2FA enabled the password alone only earns a challenge token,
+    // exchanged for real tokens at /2fa/verify
+    if (user.two_factor_enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: signChallengeToken(user.id)
+        }
+      });
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueTokenPair(user.id);
 
     // Store token in session
     req.session.token = token;
     req.session.userId = user.id;
 
+    // Keep anything added to the cart before logging in
+    await mergeSessionCart(req.sessionID, user.id);
+
     // Update last login
     await query(
       'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
@@ -194,7 +411,8 @@ router.post('/login', loginValidation, async (req, res) => {
       message: 'Login successful',
       data: {
         user: userWithoutPassword,
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -206,13 +424,617 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
+// Refresh route - exchanges a refresh token for a new token pair
+router.post('/refresh', refreshValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const rotated = await rotateRefreshToken(req.body.refreshToken);
+
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    // Keep the session in step with the newest access token
+    req.session.token = rotated.token;
+    req.session.userId = rotated.userId;
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: rotated.token,
+        refreshToken: rotated.refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Two-factor login, step 2 - exchange a challenge token and code for tokens
+router.post('/2fa/verify', twoFactorChallengeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    const challenge = verifyChallengeToken(challengeToken);
+
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    const guard = await loginGuard.checkSecondFactorAllowed(challenge.userId);
+    if (!guard.allowed) {
+      res.set('Retry-After', String(guard.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many attempts, please try again later'
+      });
+    }
+
+    // A challenge token only allows a handful of guesses
+    const attempts = await cache.incr(`mfa:attempts:${challenge.jti}`, 600);
+    if (attempts !== null && attempts > MAX_CHALLENGE_ATTEMPTS) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many attempts, please log in again'
+      });
+    }
+
+    const isValid = await twoFactor.verifySecondFactor(challenge.userId, { code, recoveryCode });
+    if (!isValid) {
+      const { locked } = await loginGuard.recordSecondFactorFailure(challenge.userId);
+      if (locked) {
+        await recordAuditEvent('two_factor_locked', { userId: challenge.userId, ip: req.ip });
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await loginGuard.clearSecondFactorFailures(challenge.userId);
+
+    const result = await query(
+      'SELECT id, username, email, email_verified_at, two_factor_enabled, created_at, updated_at FROM users WHERE id = $1',
+      [challenge.userId]
+    );
+
+    if (result.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = result[0];
+    const { token, refreshToken } = await issueTokenPair(user.id, {
+      mfaAt: Math.floor(Date.now() / 1000)
+    });
+
+    // Store token in session
+    req.session.token = token;
+    req.session.userId = user.id;
+
+    // Keep anything added to the cart before logging in
+    await mergeSessionCart(req.sessionID, user.id);
+
+    // Update last login
+    await query(
+      'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+      [user.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user,
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Start two-factor enrolment - returns the secret as an otpauth:// URI
+router.post('/2fa/setup', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUri } = await twoFactor.beginEnrolment(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Finish enrolment with the first code; recovery codes are only shown once
+router.post('/2fa/enable', authMiddleware, [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const recoveryCodes = await twoFactor.completeEnrolment(req.user.id, req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await clearUserCache(req.user.id, req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Step-up - re-verify the second factor to unlock sensitive routes
+router.post('/2fa/step-up', authMiddleware, twoFactorCodeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Shares the per-user limit with the login step
+    const guard = await loginGuard.checkSecondFactorAllowed(req.user.id);
+    if (!guard.allowed) {
+      res.set('Retry-After', String(guard.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many attempts, please try again later'
+      });
+    }
+
+    const { code, recoveryCode } = req.body;
+    const isValid = await twoFactor.verifySecondFactor(req.user.id, { code, recoveryCode });
+
+    if (!isValid) {
+      const { locked } = await loginGuard.recordSecondFactorFailure(req.user.id);
+      if (locked) {
+        await recordAuditEvent('two_factor_locked', { userId: req.user.id, ip: req.ip });
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await loginGuard.clearSecondFactorFailures(req.user.id);
+
+    const token = signAccessToken(req.user.id, req.tokenPayload.familyId, {
+      mfaAt: Math.floor(Date.now() / 1000)
+    });
+    req.session.token = token;
+
+    res.json({
+      success: true,
+      message: 'Two-factor verification successful',
+      data: {
+        token
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor step-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Regenerate recovery codes, invalidating the old ones
+router.post('/2fa/recovery-codes', authMiddleware, requireRecentSecondFactor(), async (req, res) => {
+  try {
+    if (!req.user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const recoveryCodes = await twoFactor.replaceRecoveryCodes(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Disable two-factor authentication
+router.post('/2fa/disable', authMiddleware, requireRecentSecondFactor(), async (req, res) => {
+  try {
+    await twoFactor.disable(req.user.id);
+    await clearUserCache(req.user.id, req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Verify email route - consumes a verification token
+router.post('/verify-email', verifyEmailValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const consumed = await query(`
+      UPDATE email_verification_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      RETURNING user_id
+    `, [hashToken(req.body.token)]);
+
+    if (consumed.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    const userId = consumed[0].user_id;
+
+    const result = await query(`
+      UPDATE users
+      SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+      WHERE id = $1
+      RETURNING email
+    `, [userId]);
+
+    // Cached copies still say unverified
+    await clearUserCache(userId, result.length > 0 ? result[0].email : null);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Resend verification route - throttled per email address, and answers the
+// same way whether or not the address is registered
+router.post('/resend-verification', emailValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    const config = getConfig();
+    const throttleKey = `verify:resend:${email}`;
+
+    if (await cache.exists(throttleKey)) {
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait before requesting another verification email'
+      });
+    }
+    await cache.set(throttleKey, true, parseInt(config.EMAIL_VERIFICATION_RESEND_INTERVAL) || 60);
+
+    const result = await query(
+      'SELECT id, username, email, locale FROM users WHERE email = $1 AND email_verified_at IS NULL AND is_active = TRUE',
+      [email]
+    );
+
+    if (result.length > 0) {
+      try {
+        await sendVerificationEmail(result[0]);
+      } catch (error) {
+        console.error('Verification email error:', error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an unverified account exists for this email, a verification link has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Unlock account route - consumes the token emailed when the account locked
+router.post('/unlock-account', unlockValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const email = await loginGuard.unlockWithToken(req.body.token);
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock token'
+      });
+    }
+
+    const result = await query('SELECT id FROM users WHERE email = $1', [email]);
+    await recordAuditEvent('account_unlocked', {
+      userId: result.length > 0 ? result[0].id : null,
+      ip: req.ip,
+      details: { email }
+    });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Forgot password route - always answers the same way so that it cannot be
+// used to discover which emails are registered
+router.post('/forgot-password', emailValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const result = await query(
+      'SELECT id, username, email, locale FROM users WHERE email = $1 AND is_active = TRUE',
+      [email]
+    );
+
+    if (result.length > 0) {
+      const user = result[0];
+      const config = getConfig();
+      const resetToken = crypto.randomBytes(32).toString('base64url');
+      const ttl = parseInt(config.PASSWORD_RESET_TTL) || 3600;
+
+      await query(`
+        INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(secs => $3))
+      `, [user.id, hashToken(resetToken), ttl]);
+
+      const resetUrl = `${config.APP_URL}/reset-password?token=${resetToken}`;
+
+      await queueMail({
+        to: user.email,
+        template: 'password-reset',
+        locale: user.locale,
+        data: {
+          username: user.username,
+          resetMinutes: Math.round(ttl / 60),
+          resetUrl
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Reset password route - consumes a reset token and signs the user out everywhere
+router.post('/reset-password', resetPasswordValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    // Mark the token used in the same statement that validates it
+    const consumed = await query(`
+      UPDATE password_reset_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      RETURNING user_id
+    `, [hashToken(token)]);
+
+    if (consumed.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    const userId = consumed[0].user_id;
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    const result = await query(`
+      UPDATE users
+      SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING email
+    `, [hashedPassword, userId]);
+
+    // Any other outstanding reset links for this user are now stale
+    await query(
+      'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+
+    // Invalidate existing sessions: refresh tokens, and cached user data
+    // (access tokens are rejected by their issue time in authMiddleware)
+    await revokeUserRefreshTokens(userId);
+    await clearUserCache(userId, result.length > 0 ? result[0].email : null);
+    if (result.length > 0) {
+      await loginGuard.clearLoginFailures(result[0].email);
+    }
+    await recordAuditEvent('password_reset', { userId, ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Logout route
 router.post('/logout', authMiddleware, async (req, res) => {
   try {
     const token = req.token;
+    const { exp, familyId } = req.tokenPayload;
     
-    // Add token to blacklist
-    await cache.set(`blacklist:${token}`, true, 604800); // 7 days
+    // Add token to blacklist until it would have expired anyway
+    const remainingTtl = exp ? exp - Math.floor(Date.now() / 1000) : 604800;
+    await cache.set(`blacklist:${token}`, true, Math.max(remainingTtl, 1));
+
+    // Revoke the refresh tokens issued alongside this access token
+    if (familyId) {
+      await revokeRefreshFamily(familyId);
+    }
     
     // Clear session
     req.session.destroy((err) => {
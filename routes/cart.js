@@ -0,0 +1,274 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const authMiddleware = require('../middleware/auth');
+const { optionalAuth } = authMiddleware;
+const requireVerifiedEmail = require('../middleware/verified-email');
+const idempotency = require('../middleware/idempotency');
+const cart = require('../services/cart');
+const { placeOrder, orderSummary } = require('../services/orders');
+const { sendOrderConfirmation } = require('../services/order-emails');
+const { resolveOrderAddresses } = require('../services/addresses');
+
+const router = express.Router();
+
+const addItemValidation = [
+  body('product_id')
+    .isInt({ min: 1 })
+    .withMessage('Product ID must be a positive integer'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: cart.MAX_LINE_QUANTITY })
+    .withMessage(`Quantity must be between 1 and ${cart.MAX_LINE_QUANTITY}`)
+];
+
+const updateItemValidation = [
+  body('quantity')
+    .isInt({ min: 1, max: cart.MAX_LINE_QUANTITY })
+    .withMessage(`Quantity must be between 1 and ${cart.MAX_LINE_QUANTITY}`)
+];
+
+// Signed-in users use their account cart; anonymous visitors use one tied
+// to their session. Writing to an anonymous cart marks the session so that
+// express-session saves it and sends the cookie.
+function cartKeyFor(req, { forWrite = false } = {}) {
+  if (req.user) {
+    return cart.userCartKey(req.user.id);
+  }
+
+  if (forWrite) {
+    req.session.hasCart = true;
+  }
+  return cart.sessionCartKey(req.sessionID);
+}
+
+function parseProductId(req, res) {
+  const productId = parseInt(req.params.productId);
+
+  if (isNaN(productId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid product ID'
+    });
+    return null;
+  }
+  return productId;
+}
+
+async function respondWithCart(res, key, message) {
+  const items = await cart.getItems(key);
+  const view = await cart.buildCartView(items);
+
+  // message is left out of the JSON when undefined
+  res.json({
+    success: true,
+    message,
+    data: {
+      cart: view
+    }
+  });
+}
+
+// View the cart with live prices, totals and stock warnings
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    await respondWithCart(res, cartKeyFor(req));
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add a product, or more of a product already in the cart
+router.post('/items', optionalAuth, addItemValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const productId = parseInt(req.body.product_id);
+    const quantity = parseInt(req.body.quantity) || 1;
+
+    const product = await query(
+      'SELECT id FROM products WHERE id = $1 AND is_active = TRUE',
+      [productId]
+    );
+
+    if (product.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const key = cartKeyFor(req, { forWrite: true });
+    const newQuantity = await cart.addItem(key, productId, quantity);
+
+    if (newQuantity === null) {
+      return res.status(400).json({
+        success: false,
+        message: `Quantity must be between 1 and ${cart.MAX_LINE_QUANTITY}`
+      });
+    }
+
+    await respondWithCart(res, key, 'Item added to cart');
+  } catch (error) {
+    console.error('Add cart item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Change the quantity of a product already in the cart
+router.put('/items/:productId', optionalAuth, updateItemValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const productId = parseProductId(req, res);
+    if (productId === null) return;
+
+    const key = cartKeyFor(req, { forWrite: true });
+    const updated = await cart.setItemQuantity(key, productId, parseInt(req.body.quantity));
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product is not in the cart'
+      });
+    }
+
+    await respondWithCart(res, key, 'Cart updated');
+  } catch (error) {
+    console.error('Update cart item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Remove a product from the cart
+router.delete('/items/:productId', optionalAuth, async (req, res) => {
+  try {
+    const productId = parseProductId(req, res);
+    if (productId === null) return;
+
+    const key = cartKeyFor(req);
+    const removed = await cart.removeItem(key, productId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product is not in the cart'
+      });
+    }
+
+    await respondWithCart(res, key, 'Item removed from cart');
+  } catch (error) {
+    console.error('Remove cart item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Empty the cart
+router.delete('/', optionalAuth, async (req, res) => {
+  try {
+    const key = cartKeyFor(req);
+    await cart.clearCart(key);
+
+    await respondWithCart(res, key, 'Cart cleared');
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Turn the cart into an order. The cart is kept if the order fails, e.g.
+// because something went out of stock since it was viewed.
+router.post('/checkout', authMiddleware, requireVerifiedEmail('REQUIRE_VERIFIED_EMAIL_ORDERS'), idempotency(), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const key = cart.userCartKey(userId);
+    const items = await cart.getItems(key);
+
+    if (Object.keys(items).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const quantities = new Map(
+      Object.entries(items).map(([productId, quantity]) => [parseInt(productId), quantity])
+    );
+
+    const orderAddresses = await resolveOrderAddresses(userId, {
+      shippingAddressId: req.body.shipping_address_id,
+      billingAddressId: req.body.billing_address_id
+    });
+
+    if (orderAddresses.error) {
+      return res.status(400).json({
+        success: false,
+        message: orderAddresses.error
+      });
+    }
+
+    const outcome = await placeOrder(userId, quantities, {
+      ...orderAddresses,
+      couponCode: req.body.coupon_code
+    });
+
+    if (outcome.error) {
+      return res.status(400).json({
+        success: false,
+        message: outcome.error
+      });
+    }
+
+    await cart.clearCart(key);
+
+    try {
+      await sendOrderConfirmation(outcome.orderId);
+    } catch (error) {
+      console.error('Order confirmation email error:', error);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      data: orderSummary(outcome)
+    });
+  } catch (error) {
+    console.error('Checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,394 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../config/database');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { recordAuditEvent } = require('../services/audit');
+const cart = require('../services/cart');
+const coupons = require('../services/coupons');
+const { toCents, fromCents } = require('../services/money');
+
+const { query } = database;
+const router = express.Router();
+
+const createCouponValidation = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,50}$/)
+    .withMessage('Code must be 3-50 letters, digits, dashes or underscores'),
+  body('discount_type')
+    .isIn(coupons.COUPON_TYPES)
+    .withMessage(`Discount type must be one of: ${coupons.COUPON_TYPES.join(', ')}`),
+  body('discount_value')
+    .isFloat({ gt: 0, max: 99999999.99 })
+    .custom((value, { req }) => req.body.discount_type !== 'percentage' || parseFloat(value) <= 100)
+    .withMessage('Discount value must be positive, and at most 100 for percentages'),
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters long'),
+  body('min_order_amount')
+    .optional()
+    .isFloat({ min: 0, max: 99999999.99 })
+    .withMessage('Minimum order amount must be a non-negative number'),
+  body(['max_uses', 'max_uses_per_user'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Usage limits must be positive integers'),
+  body(['starts_at', 'expires_at'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601 timestamps'),
+  body('expires_at')
+    .optional({ nullable: true })
+    .custom((value, { req }) => !req.body.starts_at || new Date(value) > new Date(req.body.starts_at))
+    .withMessage('expires_at must be after starts_at'),
+  body('product_ids')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('product_ids must be an array'),
+  body('product_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('product_ids must contain product IDs'),
+  body('categories')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('categories must be an array'),
+  body('categories.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('categories must contain category names')
+];
+
+// Code and discount type are fixed once created; everything else may change
+const updateCouponValidation = [
+  body('code')
+    .not().exists()
+    .withMessage('Coupon codes cannot be changed'),
+  body('discount_type')
+    .not().exists()
+    .withMessage('Discount type cannot be changed'),
+  body('discount_value')
+    .optional()
+    .isFloat({ gt: 0, max: 99999999.99 })
+    .withMessage('Discount value must be positive'),
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters long'),
+  body('min_order_amount')
+    .optional()
+    .isFloat({ min: 0, max: 99999999.99 })
+    .withMessage('Minimum order amount must be a non-negative number'),
+  body(['max_uses', 'max_uses_per_user'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Usage limits must be positive integers'),
+  body(['starts_at', 'expires_at'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601 timestamps'),
+  body('expires_at')
+    .optional({ nullable: true })
+    .custom((value, { req }) => !req.body.starts_at || new Date(value) > new Date(req.body.starts_at))
+    .withMessage('expires_at must be after starts_at'),
+  body('product_ids')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('product_ids must be an array'),
+  body('product_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('product_ids must contain product IDs'),
+  body('categories')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('categories must be an array'),
+  body('categories.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('categories must contain category names'),
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be true or false')
+];
+
+// Columns an admin may set through create/update
+const EDITABLE_COUPON_FIELDS = [
+  'description', 'discount_value', 'min_order_amount', 'max_uses', 'max_uses_per_user',
+  'starts_at', 'expires_at', 'product_ids', 'categories', 'is_active'
+];
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+}
+
+// Order lines for a check without placing an order: the request's items,
+// or the user's cart when none are given. Returns { lines } or { error }.
+async function linesForValidation(req) {
+  let quantities;
+
+  if (req.body.items !== undefined) {
+    if (!Array.isArray(req.body.items) || req.body.items.length === 0) {
+      return { error: 'Each item needs a product_id and a positive integer quantity' };
+    }
+
+    quantities = new Map();
+    for (const item of req.body.items) {
+      const productId = parseInt(item.product_id);
+      const quantity = Number(item.quantity);
+
+      if (isNaN(productId) || !Number.isInteger(quantity) || quantity < 1) {
+        return { error: 'Each item needs a product_id and a positive integer quantity' };
+      }
+      quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+    }
+  } else {
+    const items = await cart.getItems(cart.userCartKey(req.user.id));
+    quantities = new Map(Object.entries(items).map(([productId, quantity]) => [parseInt(productId), quantity]));
+
+    if (quantities.size === 0) {
+      return { error: 'Cart is empty' };
+    }
+  }
+
+  const products = await query(
+    'SELECT id, name, price, category FROM products WHERE id = ANY($1::int[]) AND is_active = TRUE',
+    [[...quantities.keys()]]
+  );
+  const productsById = new Map(products.map(product => [product.id, product]));
+
+  const lines = [];
+  for (const [productId, quantity] of quantities) {
+    const product = productsById.get(productId);
+
+    if (!product) {
+      return { error: `Product with ID ${productId} not found` };
+    }
+    // In cents, as placeOrder prices the lines
+    lines.push({
+      product_id: productId,
+      category: product.category,
+      total_price: fromCents(toCents(product.price) * quantity)
+    });
+  }
+
+  return { lines };
+}
+
+// Check a coupon against a prospective order (or the cart) and preview the
+// discount. Nothing is redeemed until the order is placed.
+router.post('/validate', authMiddleware, [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Coupon code is required')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { lines, error } = await linesForValidation(req);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const priced = await coupons.applyCoupon(database, req.body.code, req.user.id, lines);
+
+    if (priced.error) {
+      return res.status(400).json({
+        success: false,
+        message: priced.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        coupon: {
+          code: priced.coupon.code,
+          description: priced.coupon.description,
+          discount_type: priced.coupon.discount_type,
+          discount_value: priced.coupon.discount_value
+        },
+        subtotal: priced.subtotal,
+        discount_amount: priced.discount,
+        total_amount: priced.total
+      }
+    });
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List coupons (admin)
+router.get('/', authMiddleware, authorize('coupons:manage'), async (req, res) => {
+  try {
+    const items = await query(`SELECT ${coupons.COUPON_COLUMNS} FROM coupons ORDER BY created_at DESC, id DESC`);
+
+    res.json({
+      success: true,
+      data: {
+        coupons: items
+      }
+    });
+  } catch (error) {
+    console.error('List coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create a coupon (admin)
+router.post('/', authMiddleware, authorize('coupons:manage'), createCouponValidation, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const code = coupons.normalizeCode(req.body.code);
+
+    if (await coupons.findCoupon(database, code)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    const fields = EDITABLE_COUPON_FIELDS.filter(field => req.body[field] !== undefined);
+    const columns = ['code', 'discount_type', ...fields];
+    const values = [code, req.body.discount_type, ...fields.map(field => req.body[field])];
+
+    const result = await query(`
+      INSERT INTO coupons (${columns.join(', ')})
+      VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+      RETURNING ${coupons.COUPON_COLUMNS}
+    `, values);
+
+    await recordAuditEvent('coupon_created', {
+      userId: req.user.id,
+      ip: req.ip,
+      details: { coupon_id: result[0].id, code }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: {
+        coupon: result[0]
+      }
+    });
+  } catch (error) {
+    console.error('Create coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update or deactivate a coupon (admin)
+router.put('/:id', authMiddleware, authorize('coupons:manage'), updateCouponValidation, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const couponId = parseInt(req.params.id);
+
+    if (isNaN(couponId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coupon ID'
+      });
+    }
+
+    const fields = EDITABLE_COUPON_FIELDS.filter(field => req.body[field] !== undefined);
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    const existing = await query('SELECT discount_type, starts_at, expires_at FROM coupons WHERE id = $1', [couponId]);
+
+    if (existing.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // The create-time checks again, against the values this update keeps
+    const coupon = existing[0];
+    const startsAt = req.body.starts_at !== undefined ? req.body.starts_at : coupon.starts_at;
+    const expiresAt = req.body.expires_at !== undefined ? req.body.expires_at : coupon.expires_at;
+
+    if (coupon.discount_type === 'percentage' && parseFloat(req.body.discount_value) > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Percentage discounts cannot exceed 100'
+      });
+    }
+
+    if (startsAt && expiresAt && new Date(expiresAt) <= new Date(startsAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'expires_at must be after starts_at'
+      });
+    }
+
+    const values = fields.map(field => req.body[field]);
+    const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+
+    const result = await query(`
+      UPDATE coupons SET ${assignments.join(', ')}
+      WHERE id = $${values.length + 1}
+      RETURNING ${coupons.COUPON_COLUMNS}
+    `, [...values, couponId]);
+
+    await recordAuditEvent('coupon_updated', {
+      userId: req.user.id,
+      ip: req.ip,
+      details: { coupon_id: couponId, fields }
+    });
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: {
+        coupon: result[0]
+      }
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
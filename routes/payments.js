@@ -0,0 +1,194 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const idempotency = require('../middleware/idempotency');
+const { recordAuditEvent } = require('../services/audit');
+const { getProvider } = require('../services/payment-providers');
+const payments = require('../services/payments');
+
+const router = express.Router();
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+}
+
+function parseId(value) {
+  const id = parseInt(value);
+  return isNaN(id) ? null : id;
+}
+
+// Provider webhooks. Unauthenticated: the provider's signature over the raw
+// body is the only proof of origin, so unsigned or tampered requests are
+// rejected before anything is read from them.
+router.post('/webhook', async (req, res) => {
+  try {
+    const event = getProvider().verifyWebhook(req.rawBody, req.headers);
+
+    if (!event) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const result = await payments.handleWebhookEvent(event);
+
+    res.json({
+      success: true,
+      data: {
+        received: true,
+        duplicate: result.duplicate
+      }
+    });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Pay for one of your own pending orders. payment_method is a provider
+// token; with capture=false the payment is only authorized.
+router.post('/orders/:orderId', authMiddleware, idempotency(), [
+  body('payment_method')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Payment method is required'),
+  body('capture')
+    .optional()
+    .isBoolean()
+    .withMessage('capture must be true or false')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const orderId = parseId(req.params.orderId);
+
+    if (orderId === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    const result = await payments.payOrder(orderId, req.user.id, {
+      paymentMethod: req.body.payment_method,
+      capture: req.body.capture === undefined ? true : String(req.body.capture) === 'true'
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        ...(result.payment && { data: { payment: result.payment } })
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.pending ? 'Payment is awaiting confirmation' : `Payment ${result.payment.status}`,
+      data: {
+        payment: result.payment
+      }
+    });
+  } catch (error) {
+    console.error('Pay order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+const amountValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0, max: 99999999.99 })
+    .withMessage('Amount must be a positive number')
+];
+
+// Handler for an admin action on a payment; run(paymentId, req) is one of
+// the payments service steps and is audited as payment_<action>
+function paymentAction(action, run) {
+  return async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+
+      const paymentId = parseId(req.params.id);
+
+      if (paymentId === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payment ID'
+        });
+      }
+
+      const result = await run(paymentId, req);
+
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      await recordAuditEvent(`payment_${action}`, {
+        userId: req.user.id,
+        ip: req.ip,
+        details: {
+          payment_id: paymentId,
+          order_id: result.payment ? result.payment.order_id : result.refund.order_id,
+          ...(result.refund && { amount: result.refund.amount })
+        }
+      });
+
+      res.json({
+        success: true,
+        message: result.pending ? 'Capture is awaiting confirmation' : `Payment ${result.payment.status}`,
+        data: {
+          payment: result.payment,
+          ...(result.refund && { refund: result.refund })
+        }
+      });
+    } catch (error) {
+      console.error(`Payment ${action} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  };
+}
+
+// Capture an authorized payment (admin)
+router.post('/:id/capture', authMiddleware, authorize('payments:manage'), paymentAction('capture',
+  (paymentId, req) => payments.capturePayment(paymentId, { changedBy: req.user.id })
+));
+
+// Release an authorized payment without charging it (admin)
+router.post('/:id/void', authMiddleware, authorize('payments:manage'), paymentAction('void',
+  (paymentId) => payments.voidPayment(paymentId)
+));
+
+// Refund all or part of a captured payment (admin)
+router.post('/:id/refund', authMiddleware, authorize('payments:manage'), amountValidation, paymentAction('refund',
+  (paymentId, req) => payments.refundPayment(paymentId, {
+    amount: req.body.amount === undefined ? null : req.body.amount
+  })
+));
+
+module.exports = router;
@@ -1,60 +1,178 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
 const { cache } = require('../config/redis');
 const authMiddleware = require('../middleware/auth');
+const { optionalAuth } = authMiddleware;
+const authorize = require('../middleware/authorize');
+const requireVerifiedEmail = require('../middleware/verified-email');
+const idempotency = require('../middleware/idempotency');
+const { recordAuditEvent } = require('../services/audit');
+const catalog = require('../services/product-catalog');
+const pagination = require('../services/pagination');
+const { attachRatings } = require('../services/reviews');
+const { markWishlisted } = require('../services/wishlist');
+const { resolveOrderAddresses } = require('../services/addresses');
+const { releaseOrderPayments, refundOrder } = require('../services/payments');
+const { issueInvoice, buildInvoice, renderInvoiceHtml, renderInvoicePdf } = require('../services/invoices');
+const { DEFAULT_TAX_CLASS } = require('../services/tax');
+const { sendOrderConfirmation, sendShippingUpdate } = require('../services/order-emails');
+const {
+  ORDER_STATUSES,
+  placeOrder,
+  orderSummary,
+  getOrderDetails,
+  transitionOrder
+} = require('../services/orders');
 
 const router = express.Router();
 
-// Get all products (public)
-router.get('/', async (req, res) => {
+// Input validation rules for admin product management
+const createProductValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must be at most 100 characters long'),
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Description must be at most 5000 characters long'),
+  body('price')
+    .isFloat({ min: 0, max: 99999999.99 })
+    .withMessage('Price must be a non-negative number'),
+  body('category')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Category must be at most 50 characters long'),
+  body('image_url')
+    .optional({ nullable: true })
+    .trim()
+    .isURL()
+    .isLength({ max: 255 })
+    .withMessage('Image URL must be a valid URL'),
+  body('stock_quantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Stock quantity must be a non-negative integer'),
+  body('tax_class')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9_-]{1,50}$/)
+    .withMessage('Tax class must be 1-50 lower-case letters, digits, dashes or underscores')
+];
+
+const updateProductValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters long'),
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Description must be at most 5000 characters long'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0, max: 99999999.99 })
+    .withMessage('Price must be a non-negative number'),
+  body('category')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Category must be at most 50 characters long'),
+  body('image_url')
+    .optional({ nullable: true })
+    .trim()
+    .isURL()
+    .isLength({ max: 255 })
+    .withMessage('Image URL must be a valid URL'),
+  body('stock_quantity')
+    .not().exists()
+    .withMessage('Use the stock endpoint to change stock levels'),
+  body('tax_class')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9_-]{1,50}$/)
+    .withMessage('Tax class must be 1-50 lower-case letters, digits, dashes or underscores')
+];
+
+const stockAdjustmentValidation = [
+  body('adjustment')
+    .isInt({ min: -1000000, max: 1000000 })
+    .custom(value => parseInt(value) !== 0)
+    .withMessage('Adjustment must be a non-zero integer'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Reason must be at most 255 characters long')
+];
+
+// Columns returned for a product; excludes internal ones such as search_vector
+const PRODUCT_COLUMNS = 'id, name, description, price, category, tax_class, image_url, stock_quantity, is_active, created_at, updated_at';
+
+// Columns an admin may set through create/update
+const EDITABLE_PRODUCT_FIELDS = ['name', 'description', 'price', 'category', 'tax_class', 'image_url'];
+
+// Drop the cached product and every cached listing page that may contain it
+async function invalidateProductCache(productId) {
+  await cache.del(`product:${productId}`);
+  await cache.delPattern('products:*');
+}
+
+// Get all products (public; signed-in users also see which are wishlisted)
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const limit = pagination.parseLimit(req.query.limit);
     const offset = (page - 1) * limit;
-    const category = req.query.category;
+
+    const { filters, error } = catalog.parseListingFilters(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (pagination.wantsCursorPagination(req)) {
+      return listProductsByCursor(req, res, filters, limit);
+    }
     
-    const cacheKey = `products:${page}:${limit}:${category || 'all'}`;
+    const cacheKey = catalog.listingCacheKey(filters, page, limit);
     
     // Check cache first
     let cachedData = await cache.get(cacheKey);
     
     if (!cachedData) {
-      let whereClause = '';
-      let params = [];
-      
-      if (category) {
-        whereClause = 'WHERE category = $1';
-        params.push(category);
-      }
-      
-      const [products, totalCount] = await Promise.all([
-        query(`
-          SELECT id, name, description, price, category, image_url, stock_quantity, created_at
-          FROM products 
-          ${whereClause}
-          ORDER BY created_at DESC 
-          LIMIT $${params.length + 1} OFFSET $${params.length + 2}
-        `, [...params, limit, offset]),
-        query(`
-          SELECT COUNT(*) as total 
-          FROM products 
-          ${whereClause}
-        `, params)
+      const [{ products, total }, facets] = await Promise.all([
+        catalog.listProducts(filters, { limit, offset }),
+        catalog.getFacets(filters)
       ]);
+      await attachRatings(products);
       
       cachedData = {
         products,
+        facets,
         pagination: {
           page,
           limit,
-          total: totalCount[0].total,
-          pages: Math.ceil(totalCount[0].total / limit)
+          total,
+          pages: Math.ceil(total / limit)
         }
       };
       
       // Cache for 5 minutes
       await cache.set(cacheKey, cachedData, 300);
     }
+
+    if (req.user) {
+      await markWishlisted(req.user.id, cachedData.products);
+    }
     
     res.json({
       success: true,
@@ -69,8 +187,70 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get product by ID
-router.get('/:id', async (req, res) => {
+// Cursor mode for the product listing: keyset pagination on (created_at, id)
+// with no total count, so it only supports the default newest-first order
+async function listProductsByCursor(req, res, filters, limit) {
+  if (filters.sort !== 'newest') {
+    return res.status(400).json({
+      success: false,
+      message: 'Cursor pagination is only available when sorting by newest'
+    });
+  }
+
+  const scope = pagination.cursorScope('products', filters);
+  let cursor = null;
+
+  if (req.query.cursor) {
+    cursor = pagination.decodeCursor(req.query.cursor, scope);
+    if (!cursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+  }
+
+  const position = cursor ? `${cursor.direction}:${cursor.ts}:${cursor.id}` : 'start';
+  const cacheKey = `${catalog.listingCacheKey(filters, 'cursor', limit)}:${position}`;
+
+  let cachedData = await cache.get(cacheKey);
+
+  if (!cachedData) {
+    const [fetched, facets] = await Promise.all([
+      catalog.listProductsByCursor(filters, { limit, cursor }),
+      catalog.getFacets(filters)
+    ]);
+    const { rows, nextCursor, prevCursor } = pagination.buildCursorPage(fetched, cursor, limit, scope);
+    await attachRatings(rows);
+
+    cachedData = {
+      products: rows,
+      facets,
+      pagination: {
+        limit,
+        next_cursor: nextCursor,
+        prev_cursor: prevCursor,
+        next: pagination.pageLink(req, nextCursor),
+        prev: pagination.pageLink(req, prevCursor)
+      }
+    };
+
+    // Cache for 5 minutes
+    await cache.set(cacheKey, cachedData, 300);
+  }
+
+  if (req.user) {
+    await markWishlisted(req.user.id, cachedData.products);
+  }
+
+  res.json({
+    success: true,
+    data: cachedData
+  });
+}
+
+// Get product by ID (public; signed-in users also see whether it is wishlisted)
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const productId = parseInt(req.params.id);
     
@@ -86,7 +266,7 @@ router.get('/:id', async (req, res) => {
     
     if (!product) {
       const result = await query(
-        'SELECT * FROM products WHERE id = $1',
+        `SELECT ${PRODUCT_COLUMNS} FROM products WHERE id = $1 AND is_active = TRUE`,
         [productId]
       );
       
@@ -98,9 +278,14 @@ router.get('/:id', async (req, res) => {
       }
       
       product = result[0];
+      await attachRatings([product]);
       // Cache for 10 minutes
       await cache.set(`product:${productId}`, product, 600);
     }
+
+    if (req.user) {
+      await markWishlisted(req.user.id, [product]);
+    }
     
     res.json({
       success: true,
@@ -117,8 +302,220 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create order (requires authentication)
-router.post('/order', authMiddleware, async (req, res) => {
+// Create product (admin)
+router.post('/', authMiddleware, authorize('products:write'), createProductValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, price, category, tax_class, image_url, stock_quantity } = req.body;
+
+    const result = await query(`
+      INSERT INTO products (name, description, price, category, tax_class, image_url, stock_quantity)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING ${PRODUCT_COLUMNS}
+    `, [name, description || null, price, category || null, tax_class || DEFAULT_TAX_CLASS, image_url || null, stock_quantity || 0]);
+
+    const product = result[0];
+    await invalidateProductCache(product.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      data: {
+        product
+      }
+    });
+  } catch (error) {
+    console.error('Create product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update product (admin) - only the fields present in the body change
+router.put('/:id', authMiddleware, authorize('products:write'), updateProductValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const productId = parseInt(req.params.id);
+
+    if (isNaN(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const fields = EDITABLE_PRODUCT_FIELDS.filter(field => req.body[field] !== undefined);
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+    const params = fields.map(field => req.body[field]);
+
+    const result = await query(`
+      UPDATE products
+      SET ${assignments.join(', ')}
+      WHERE id = $${params.length + 1}
+      RETURNING ${PRODUCT_COLUMNS}
+    `, [...params, productId]);
+
+    if (result.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    await invalidateProductCache(productId);
+
+    res.json({
+      success: true,
+      message: 'Product updated successfully',
+      data: {
+        product: result[0]
+      }
+    });
+  } catch (error) {
+    console.error('Update product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Archive or restore a product (admin) - archived products disappear from
+// the catalog and can no longer be ordered, but existing orders keep them
+const setProductActive = (isActive) => async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+
+    if (isNaN(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const result = await query(
+      `UPDATE products SET is_active = $1 WHERE id = $2 RETURNING ${PRODUCT_COLUMNS}`,
+      [isActive, productId]
+    );
+
+    if (result.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    await invalidateProductCache(productId);
+
+    res.json({
+      success: true,
+      message: isActive ? 'Product restored successfully' : 'Product archived successfully',
+      data: {
+        product: result[0]
+      }
+    });
+  } catch (error) {
+    console.error('Archive product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+router.post('/:id/archive', authMiddleware, authorize('products:write'), setProductActive(false));
+router.post('/:id/restore', authMiddleware, authorize('products:write'), setProductActive(true));
+
+// Adjust stock (admin) - positive adjustments restock, negative ones remove
+// stock; the update refuses to take stock below zero
+router.post('/:id/stock', authMiddleware, authorize('inventory:write'), stockAdjustmentValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const productId = parseInt(req.params.id);
+
+    if (isNaN(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const adjustment = parseInt(req.body.adjustment);
+
+    const result = await query(`
+      UPDATE products
+      SET stock_quantity = stock_quantity + $1
+      WHERE id = $2 AND stock_quantity + $1 >= 0
+      RETURNING id, name, stock_quantity
+    `, [adjustment, productId]);
+
+    if (result.length === 0) {
+      const existing = await query('SELECT id FROM products WHERE id = $1', [productId]);
+      return res.status(existing.length === 0 ? 404 : 400).json({
+        success: false,
+        message: existing.length === 0 ? 'Product not found' : 'Stock cannot go below zero'
+      });
+    }
+
+    await invalidateProductCache(productId);
+    await recordAuditEvent('stock_adjusted', {
+      userId: req.user.id,
+      ip: req.ip,
+      details: { product_id: productId, adjustment, reason: req.body.reason || null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Stock updated successfully',
+      data: {
+        product: result[0]
+      }
+    });
+  } catch (error) {
+    console.error('Adjust stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create order (requires authentication; retries may send an Idempotency-Key)
+router.post('/order', authMiddleware, requireVerifiedEmail('REQUIRE_VERIFIED_EMAIL_ORDERS'), idempotency(), async (req, res) => {
   try {
     const userId = req.user.id;
     const { items } = req.body; // Array of {product_id, quantity}
@@ -130,76 +527,56 @@ router.post('/order', authMiddleware, async (req, res) => {
       });
     }
     
-    // Validate products and calculate total
-    let totalAmount = 0;
-    const orderItems = [];
-    
+    // Merge repeated products so each row is locked and checked once
+    const quantities = new Map();
     for (const item of items) {
-      const product = await query(
-        'SELECT id, name, price, stock_quantity FROM products WHERE id = $1',
-        [item.product_id]
-      );
-      
-      if (product.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: `Product with ID ${item.product_id} not found`
-        });
-      }
-      
-      const productData = product[0];
-      
-      if (productData.stock_quantity < item.quantity) {
+      const productId = parseInt(item.product_id);
+      const quantity = Number(item.quantity);
+
+      if (isNaN(productId) || !Number.isInteger(quantity) || quantity < 1) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for product ${productData.name}`
+          message: 'Each item needs a product_id and a positive integer quantity'
         });
       }
-      
-      const itemTotal = productData.price * item.quantity;
-      totalAmount += itemTotal;
-      
-      orderItems.push({
-        product_id: productData.id,
-        quantity: item.quantity,
-        unit_price: productData.price,
-        total_price: itemTotal
+
+      quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+    }
+
+    const orderAddresses = await resolveOrderAddresses(userId, {
+      shippingAddressId: req.body.shipping_address_id,
+      billingAddressId: req.body.billing_address_id
+    });
+
+    if (orderAddresses.error) {
+      return res.status(400).json({
+        success: false,
+        message: orderAddresses.error
       });
     }
-    
-    // Create order
-    const orderResult = await query(
-      'INSERT INTO orders (user_id, total_amount, status) VALUES ($1, $2, $3) RETURNING id',
-      [userId, totalAmount, 'pending']
-    );
-    
-    const orderId = orderResult[0].id;
-    
-    // Insert order items
-    for (const item of orderItems) {
-      await query(
-        'INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price) VALUES ($1, $2, $3, $4, $5)',
-        [orderId, item.product_id, item.quantity, item.unit_price, item.total_price]
-      );
-      
-      // Update stock
-      await query(
-        'UPDATE products SET stock_quantity = stock_quantity - $1 WHERE id = $2',
-        [item.quantity, item.product_id]
-      );
+
+    const outcome = await placeOrder(userId, quantities, {
+      ...orderAddresses,
+      couponCode: req.body.coupon_code
+    });
+
+    if (outcome.error) {
+      return res.status(400).json({
+        success: false,
+        message: outcome.error
+      });
     }
-    
-    // Clear relevant caches
-    await cache.del(`dashboard:${userId}`);
-    await cache.del('products:*');
-    
+
+    try {
+      await sendOrderConfirmation(outcome.orderId);
+    } catch (error) {
+      console.error('Order confirmation email error:', error);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
-      data: {
-        order_id: orderId,
-        total_amount: totalAmount
-      }
+      data: orderSummary(outcome)
     });
   } catch (error) {
     console.error('Create order error:', error);
@@ -215,8 +592,12 @@ router.get('/orders/my', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const limit = pagination.parseLimit(req.query.limit);
     const offset = (page - 1) * limit;
+
+    if (pagination.wantsCursorPagination(req)) {
+      return listOrdersByCursor(req, res, userId, limit);
+    }
     
     const cacheKey = `orders:user:${userId}:${page}:${limit}`;
     
@@ -232,7 +613,7 @@ router.get('/orders/my', authMiddleware, async (req, res) => {
           LEFT JOIN order_items oi ON o.id = oi.order_id
           WHERE o.user_id = $1
           GROUP BY o.id
-          ORDER BY o.created_at DESC
+          ORDER BY o.created_at DESC, o.id DESC
           LIMIT $2 OFFSET $3
         `, [userId, limit, offset]),
         query(`
@@ -269,4 +650,354 @@ router.get('/orders/my', authMiddleware, async (req, res) => {
   }
 });
 
+// Cursor mode for a user's orders, newest first
+async function listOrdersByCursor(req, res, userId, limit) {
+  const scope = pagination.cursorScope('orders', { userId });
+  let cursor = null;
+
+  if (req.query.cursor) {
+    cursor = pagination.decodeCursor(req.query.cursor, scope);
+    if (!cursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+  }
+
+  const position = cursor ? `${cursor.direction}:${cursor.ts}:${cursor.id}` : 'start';
+  const cacheKey = `orders:user:${userId}:cursor:${limit}:${position}`;
+
+  let cachedData = await cache.get(cacheKey);
+
+  if (!cachedData) {
+    const window = pagination.keysetWindow(cursor, {
+      timeColumn: 'o.created_at',
+      idColumn: 'o.id',
+      paramIndex: 2
+    });
+
+    const fetched = await query(`
+      SELECT o.id, o.total_amount, o.status, o.created_at,
+             o.created_at::text AS cursor_ts,
+             COUNT(oi.id) as item_count
+      FROM orders o
+      LEFT JOIN order_items oi ON o.id = oi.order_id
+      WHERE o.user_id = $1 ${window.condition ? `AND ${window.condition}` : ''}
+      GROUP BY o.id
+      ORDER BY ${window.orderBy}
+      LIMIT $${window.params.length + 2}
+    `, [userId, ...window.params, limit + 1]);
+
+    const { rows, nextCursor, prevCursor } = pagination.buildCursorPage(fetched, cursor, limit, scope);
+
+    cachedData = {
+      orders: rows,
+      pagination: {
+        limit,
+        next_cursor: nextCursor,
+        prev_cursor: prevCursor,
+        next: pagination.pageLink(req, nextCursor),
+        prev: pagination.pageLink(req, prevCursor)
+      }
+    };
+
+    // Cache for 5 minutes
+    await cache.set(cacheKey, cachedData, 300);
+  }
+
+  res.json({
+    success: true,
+    data: cachedData
+  });
+}
+
+// Get a single order with its items and status history. Customers see their
+// own orders; staff with orders:read see any order.
+router.get('/orders/:id', authMiddleware, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    const order = await getOrderDetails(orderId);
+    const canReadAll = (req.user.permissions || []).includes('orders:read');
+
+    if (!order || (order.user_id !== req.user.id && !canReadAll)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        order
+      }
+    });
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Invoice for an order, issued the first time it is requested. PDF by
+// default, or ?format=html
+router.get('/orders/:id/invoice', authMiddleware, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    const format = req.query.format || 'pdf';
+
+    if (!['pdf', 'html'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be pdf or html'
+      });
+    }
+
+    const order = await getOrderDetails(orderId);
+    const canReadAll = (req.user.permissions || []).includes('orders:read');
+
+    if (!order || (order.user_id !== req.user.id && !canReadAll)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const result = await issueInvoice(orderId);
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    if (result.issued) {
+      await recordAuditEvent('invoice_issued', {
+        userId: req.user.id,
+        ip: req.ip,
+        details: { order_id: orderId, invoice_number: result.invoice.invoice_number }
+      });
+    }
+
+    const invoice = buildInvoice(result.invoice, order);
+
+    if (format === 'html') {
+      return res.type('html').send(renderInvoiceHtml(invoice));
+    }
+
+    res.set('Content-Disposition', `inline; filename="${invoice.number}.pdf"`);
+    res.type('application/pdf').send(renderInvoicePdf(invoice));
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Cancel one of your own orders while it is still pending; stock is restored
+// and any payment authorization is voided
+router.post('/orders/:id/cancel', authMiddleware, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    // Customers may only cancel before processing starts, even though the
+    // state machine lets staff cancel processing orders
+    const result = await transitionOrder(orderId, 'cancelled', {
+      changedBy: req.user.id,
+      ownerId: req.user.id,
+      fromStatuses: ['pending'],
+      note: 'Cancelled by customer'
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // Release any authorization still held on the customer's card
+    await releaseOrderPayments(orderId, { createdBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully',
+      data: {
+        order: result.order
+      }
+    });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Move an order through its lifecycle (admin)
+router.patch('/orders/:id/status', authMiddleware, authorize('orders:manage'), [
+  body('status')
+    .isIn(ORDER_STATUSES)
+    .withMessage(`Status must be one of: ${ORDER_STATUSES.join(', ')}`),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Note must be at most 255 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    const result = await transitionOrder(orderId, req.body.status, {
+      changedBy: req.user.id,
+      note: req.body.note || null
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // A processing order has been paid for; cancelling it refunds the payment
+    if (result.order.status === 'cancelled') {
+      await releaseOrderPayments(orderId, { createdBy: req.user.id });
+    }
+
+    try {
+      await sendShippingUpdate(result.order);
+    } catch (error) {
+      console.error('Shipping update email error:', error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Order status updated successfully',
+      data: {
+        order: result.order
+      }
+    });
+  } catch (error) {
+    console.error('Update order status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Refund all or part of an order (admin). Goes through the order's captured
+// payment; orders paid outside the payment providers get a manual refund.
+router.post('/orders/:id/refund', authMiddleware, authorize('payments:manage'), [
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0, max: 99999999.99 })
+    .withMessage('Amount must be a positive number'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Reason must be at most 255 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    const result = await refundOrder(orderId, {
+      amount: req.body.amount === undefined ? null : parseFloat(req.body.amount),
+      reason: req.body.reason || null,
+      createdBy: req.user.id
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await recordAuditEvent('order_refunded', {
+      userId: req.user.id,
+      ip: req.ip,
+      details: { order_id: orderId, refund_id: result.refund.id, amount: result.refund.amount }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Order refunded successfully',
+      data: {
+        refund: result.refund
+      }
+    });
+  } catch (error) {
+    console.error('Refund order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
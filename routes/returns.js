@@ -0,0 +1,255 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { recordAuditEvent } = require('../services/audit');
+const { parseLimit } = require('../services/pagination');
+const returns = require('../services/returns');
+
+const router = express.Router();
+
+const noteValidation = body('note')
+  .optional()
+  .trim()
+  .isLength({ max: 255 })
+  .withMessage('Note must be at most 255 characters long');
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+}
+
+function parseReturnId(req, res) {
+  const returnId = parseInt(req.params.id);
+
+  if (isNaN(returnId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid return ID'
+    });
+    return null;
+  }
+  return returnId;
+}
+
+// List your own returns, newest first
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseLimit(req.query.limit);
+    const offset = (page - 1) * limit;
+
+    const { returns: items, total } = await returns.listReturns({ userId: req.user.id, limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        returns: items,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List returns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Ask to return some of a line from one of your delivered orders
+router.post('/', authMiddleware, [
+  body('order_item_id')
+    .isInt({ min: 1 })
+    .withMessage('order_item_id must be an order item ID'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer'),
+  body('reason')
+    .isIn(returns.RETURN_REASONS)
+    .withMessage(`Reason must be one of: ${returns.RETURN_REASONS.join(', ')}`),
+  body('comment')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment must be at most 2000 characters long')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const result = await returns.createReturn(req.user.id, {
+      orderItemId: parseInt(req.body.order_item_id),
+      quantity: req.body.quantity === undefined ? 1 : parseInt(req.body.quantity),
+      reason: req.body.reason,
+      comment: req.body.comment || null
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      data: {
+        return: result.returnRequest
+      }
+    });
+  } catch (error) {
+    console.error('Create return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get one of your returns; staff with returns:manage see any return
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const returnId = parseReturnId(req, res);
+    if (returnId === null) return;
+
+    const returnRequest = await returns.getReturn(returnId);
+    const canReadAll = (req.user.permissions || []).includes('returns:manage');
+
+    if (!returnRequest || (!canReadAll && returnRequest.user_id !== req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        return: returnRequest
+      }
+    });
+  } catch (error) {
+    console.error('Get return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Approve, reject or mark a return received (staff). Receiving puts the
+// items back into stock.
+router.patch('/:id', authMiddleware, authorize('returns:manage'), [
+  body('status')
+    .isIn(['approved', 'rejected', 'received'])
+    .withMessage('Status must be one of: approved, rejected, received'),
+  noteValidation
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const returnId = parseReturnId(req, res);
+    if (returnId === null) return;
+
+    const result = await returns.updateReturnStatus(returnId, req.body.status, {
+      handledBy: req.user.id,
+      note: req.body.note || null
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await recordAuditEvent('return_updated', {
+      userId: req.user.id,
+      ip: req.ip,
+      details: { return_id: returnId, to_status: req.body.status }
+    });
+
+    res.json({
+      success: true,
+      message: 'Return updated successfully',
+      data: {
+        return: result.returnRequest
+      }
+    });
+  } catch (error) {
+    console.error('Update return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Refund an approved or received return (staff). amount defaults to what
+// the customer paid for the returned items.
+router.post('/:id/refund', authMiddleware, authorize('returns:manage'), [
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0, max: 99999999.99 })
+    .withMessage('Amount must be a positive number'),
+  noteValidation
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const returnId = parseReturnId(req, res);
+    if (returnId === null) return;
+
+    const result = await returns.refundReturn(returnId, {
+      amount: req.body.amount === undefined ? null : parseFloat(req.body.amount),
+      handledBy: req.user.id,
+      note: req.body.note || null
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await recordAuditEvent('return_refunded', {
+      userId: req.user.id,
+      ip: req.ip,
+      details: { return_id: returnId, order_id: result.refund.order_id, amount: result.refund.amount }
+    });
+
+    res.json({
+      success: true,
+      message: 'Return refunded successfully',
+      data: {
+        return: result.returnRequest,
+        refund: result.refund
+      }
+    });
+  } catch (error) {
+    console.error('Refund return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
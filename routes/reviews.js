@@ -0,0 +1,334 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { recordAuditEvent } = require('../services/audit');
+const { parseLimit } = require('../services/pagination');
+const reviews = require('../services/reviews');
+
+// Mounted at /api/products/:productId/reviews
+const router = express.Router({ mergeParams: true });
+
+const reviewValidation = [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5'),
+  body('title')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage('Title must be at most 150 characters long'),
+  body('body')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Review must be at most 5000 characters long')
+];
+
+// Every field is optional when editing, but at least one must be given
+const updateReviewValidation = [
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5'),
+  body('title')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage('Title must be at most 150 characters long'),
+  body('body')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Review must be at most 5000 characters long'),
+  body()
+    .custom(value => ['rating', 'title', 'body'].some(field => value[field] !== undefined))
+    .withMessage('Nothing to update')
+];
+
+const moderationValidation = [
+  body('status')
+    .isIn(reviews.REVIEW_STATUSES)
+    .withMessage(`Status must be one of: ${reviews.REVIEW_STATUSES.join(', ')}`),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Note must be at most 255 characters long')
+];
+
+function validationFailed(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+}
+
+// Parses :productId (and :reviewId when present). Responds with 400 and
+// returns null when either is not a number.
+function parseIds(req, res) {
+  const productId = parseInt(req.params.productId);
+  const reviewId = req.params.reviewId === undefined ? null : parseInt(req.params.reviewId);
+
+  if (isNaN(productId) || Number.isNaN(reviewId)) {
+    res.status(400).json({
+      success: false,
+      message: isNaN(productId) ? 'Invalid product ID' : 'Invalid review ID'
+    });
+    return null;
+  }
+  return { productId, reviewId };
+}
+
+// Loads a review of the given product. Responds with 404 and returns null
+// when there is none, or when ownerId is given and it belongs to someone else.
+async function findReview(res, productId, reviewId, { ownerId = null } = {}) {
+  const review = await reviews.getReview(reviewId);
+
+  if (!review || review.product_id !== productId || (ownerId !== null && review.user_id !== ownerId)) {
+    res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+    return null;
+  }
+  return review;
+}
+
+// List a product's reviews with its rating summary (public)
+router.get('/', async (req, res) => {
+  try {
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const sort = req.query.sort || 'newest';
+    if (!reviews.REVIEW_SORT_ORDERS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${Object.keys(reviews.REVIEW_SORT_ORDERS).join(', ')}`
+      });
+    }
+
+    const product = await query(
+      'SELECT id FROM products WHERE id = $1 AND is_active = TRUE',
+      [ids.productId]
+    );
+
+    if (product.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseLimit(req.query.limit);
+    const offset = (page - 1) * limit;
+
+    const [{ reviews: items, total }, rating] = await Promise.all([
+      reviews.listProductReviews(ids.productId, { sort, limit, offset }),
+      reviews.getRatingBreakdown(ids.productId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reviews: items,
+        rating,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Review a product you have bought; one review per customer per product
+router.post('/', authMiddleware, reviewValidation, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const product = await query(
+      'SELECT id FROM products WHERE id = $1 AND is_active = TRUE',
+      [ids.productId]
+    );
+
+    if (product.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (!await reviews.hasPurchased(req.user.id, ids.productId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only customers who bought this product can review it'
+      });
+    }
+
+    const reviewId = await reviews.createReview(req.user.id, ids.productId, {
+      rating: parseInt(req.body.rating),
+      title: req.body.title || null,
+      body: req.body.body || null
+    });
+
+    if (reviewId === null) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+
+    await reviews.invalidateRatingCaches(ids.productId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review added',
+      data: {
+        review: await reviews.getReview(reviewId)
+      }
+    });
+  } catch (error) {
+    console.error('Create review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Edit your own review. Moderation status is kept, so editing does not
+// bring back a hidden review.
+router.put('/:reviewId', authMiddleware, updateReviewValidation, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const review = await findReview(res, ids.productId, ids.reviewId, { ownerId: req.user.id });
+    if (!review) return;
+
+    const updates = [];
+    const values = [];
+    for (const field of ['rating', 'title', 'body']) {
+      if (req.body[field] !== undefined) {
+        values.push(field === 'rating' ? parseInt(req.body.rating) : (req.body[field] || null));
+        updates.push(`${field} = $${values.length}`);
+      }
+    }
+
+    values.push(ids.reviewId);
+    await query(
+      `UPDATE product_reviews SET ${updates.join(', ')} WHERE id = $${values.length}`,
+      values
+    );
+
+    await reviews.invalidateRatingCaches(ids.productId);
+
+    res.json({
+      success: true,
+      message: 'Review updated',
+      data: {
+        review: await reviews.getReview(ids.reviewId)
+      }
+    });
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete your own review
+router.delete('/:reviewId', authMiddleware, async (req, res) => {
+  try {
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const review = await findReview(res, ids.productId, ids.reviewId, { ownerId: req.user.id });
+    if (!review) return;
+
+    await query('DELETE FROM product_reviews WHERE id = $1', [ids.reviewId]);
+    await reviews.invalidateRatingCaches(ids.productId);
+
+    res.json({
+      success: true,
+      message: 'Review deleted'
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Publish, flag or hide a review (moderators)
+router.patch('/:reviewId/moderation', authMiddleware, authorize('reviews:moderate'), moderationValidation, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const review = await findReview(res, ids.productId, ids.reviewId);
+    if (!review) return;
+
+    const note = req.body.note || null;
+
+    await query(`
+      UPDATE product_reviews
+      SET status = $1, moderation_note = $2, moderated_by = $3, moderated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+    `, [req.body.status, note, req.user.id, ids.reviewId]);
+
+    await reviews.invalidateRatingCaches(ids.productId);
+
+    await recordAuditEvent('review_moderated', {
+      userId: req.user.id,
+      ip: req.ip,
+      details: { review_id: ids.reviewId, from_status: review.status, to_status: req.body.status, note }
+    });
+
+    res.json({
+      success: true,
+      message: 'Review updated',
+      data: {
+        review: await reviews.getReview(ids.reviewId)
+      }
+    });
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
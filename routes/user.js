@@ -3,6 +3,13 @@ const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
 const { cache } = require('../config/redis');
 const authMiddleware = require('../middleware/auth');
+const { requireRecentSecondFactor } = authMiddleware;
+const requireVerifiedEmail = require('../middleware/verified-email');
+const idempotency = require('../middleware/idempotency');
+const wishlist = require('../services/wishlist');
+const addresses = require('../services/addresses');
+const { PAID_ORDER_STATUSES, placeOrder, orderSummary } = require('../services/orders');
+const { sendOrderConfirmation } = require('../services/order-emails');
 
 const router = express.Router();
 
@@ -52,7 +59,7 @@ router.get('/profile', authMiddleware, async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', authMiddleware, [
+router.put('/profile', authMiddleware, requireRecentSecondFactor(), [
   body('first_name').optional().trim().isLength({ max: 50 }),
   body('last_name').optional().trim().isLength({ max: 50 }),
   body('phone').optional().trim().matches(/^[\+]?[1-9][\d]{0,15}$/),
@@ -117,17 +124,17 @@ router.get('/dashboard', authMiddleware, async (req, res) => {
     let dashboardData = await cache.get(`dashboard:${userId}`);
     
     if (!dashboardData) {
-      // Fetch dashboard data from database
-      const [userStats, recentOrders] = await Promise.all([
+      // Fetch dashboard data from database; refunded money is not counted as spent
+      const [userStats, recentOrders, wishlistCount] = await Promise.all([
         query(`
           SELECT 
             COUNT(DISTINCT o.id) as total_orders,
-            COALESCE(SUM(o.total_amount), 0) as total_spent
+            COALESCE(SUM(o.total_amount - o.refunded_amount) FILTER (WHERE o.status = ANY($2)), 0) as total_spent
           FROM orders o
           WHERE o.user_id = $1
-        `, [userId]),
+        `, [userId, PAID_ORDER_STATUSES]),
         query(`
-          SELECT o.id, o.total_amount, o.status, o.created_at,
+          SELECT o.id, o.total_amount, o.refunded_amount, o.status, o.created_at,
                  COUNT(oi.id) as item_count
           FROM orders o
           LEFT JOIN order_items oi ON o.id = oi.order_id
@@ -135,11 +142,19 @@ router.get('/dashboard', authMiddleware, async (req, res) => {
           GROUP BY o.id
           ORDER BY o.created_at DESC
           LIMIT 5
+        `, [userId]),
+        query(`
+          SELECT COUNT(*)::int as total
+          FROM wishlist_items
+          WHERE user_id = $1
         `, [userId])
       ]);
       
       dashboardData = {
-        stats: userStats[0] || { total_orders: 0, total_spent: 0 },
+        stats: {
+          ...(userStats[0] || { total_orders: 0, total_spent: 0 }),
+          wishlist_count: wishlistCount[0].total
+        },
         recent_orders: recentOrders
       };
       
@@ -160,4 +175,406 @@ router.get('/dashboard', authMiddleware, async (req, res) => {
   }
 });
 
+// Parses :productId. Responds with 400 and returns null when it is not a number.
+function parseProductId(req, res) {
+  const productId = parseInt(req.params.productId);
+
+  if (isNaN(productId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid product ID'
+    });
+    return null;
+  }
+  return productId;
+}
+
+// List wishlisted products with their current price and stock
+router.get('/wishlist', authMiddleware, async (req, res) => {
+  try {
+    const items = await wishlist.listItems(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        items
+      }
+    });
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add a product to the wishlist; adding it again is a no-op
+router.post('/wishlist', authMiddleware, [
+  body('product_id')
+    .isInt({ min: 1 })
+    .withMessage('Product ID must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const productId = parseInt(req.body.product_id);
+
+    const product = await query(
+      'SELECT id FROM products WHERE id = $1 AND is_active = TRUE',
+      [productId]
+    );
+
+    if (product.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const added = await wishlist.addItem(req.user.id, productId);
+
+    res.status(added ? 201 : 200).json({
+      success: true,
+      message: added ? 'Added to wishlist' : 'Product is already on your wishlist'
+    });
+  } catch (error) {
+    console.error('Add wishlist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Remove a product from the wishlist
+router.delete('/wishlist/:productId', authMiddleware, async (req, res) => {
+  try {
+    const productId = parseProductId(req, res);
+    if (productId === null) return;
+
+    const removed = await wishlist.removeItem(req.user.id, productId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product is not on your wishlist'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from wishlist'
+    });
+  } catch (error) {
+    console.error('Remove wishlist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Order a wishlisted product in one step; it leaves the wishlist once the
+// order has been placed
+router.post('/wishlist/:productId/order', authMiddleware, requireVerifiedEmail('REQUIRE_VERIFIED_EMAIL_ORDERS'), idempotency(), [
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const productId = parseProductId(req, res);
+    if (productId === null) return;
+
+    const userId = req.user.id;
+    const onWishlist = await query(
+      'SELECT id FROM wishlist_items WHERE user_id = $1 AND product_id = $2',
+      [userId, productId]
+    );
+
+    if (onWishlist.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product is not on your wishlist'
+      });
+    }
+
+    const orderAddresses = await addresses.resolveOrderAddresses(userId, {
+      shippingAddressId: req.body.shipping_address_id,
+      billingAddressId: req.body.billing_address_id
+    });
+
+    if (orderAddresses.error) {
+      return res.status(400).json({
+        success: false,
+        message: orderAddresses.error
+      });
+    }
+
+    const quantity = parseInt(req.body.quantity) || 1;
+    const outcome = await placeOrder(userId, new Map([[productId, quantity]]), {
+      ...orderAddresses,
+      couponCode: req.body.coupon_code
+    });
+
+    if (outcome.error) {
+      return res.status(400).json({
+        success: false,
+        message: outcome.error
+      });
+    }
+
+    await wishlist.removeItem(userId, productId);
+
+    try {
+      await sendOrderConfirmation(outcome.orderId);
+    } catch (error) {
+      console.error('Order confirmation email error:', error);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      data: orderSummary(outcome)
+    });
+  } catch (error) {
+    console.error('Order wishlist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Address fields; on update every field is optional. Postal codes are
+// checked against the country in the handler, since an update may change
+// only one of the two.
+function addressValidation({ partial = false } = {}) {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  const optionalField = (name) => body(name).optional({ nullable: true });
+
+  return [
+    optionalField('label').trim().isLength({ max: 50 })
+      .withMessage('Label must be at most 50 characters long'),
+    field('full_name').trim().isLength({ min: 1, max: 100 })
+      .withMessage('Full name is required (at most 100 characters)'),
+    field('line1').trim().isLength({ min: 1, max: 255 })
+      .withMessage('Address line 1 is required (at most 255 characters)'),
+    optionalField('line2').trim().isLength({ max: 255 })
+      .withMessage('Address line 2 must be at most 255 characters long'),
+    field('city').trim().isLength({ min: 1, max: 100 })
+      .withMessage('City is required (at most 100 characters)'),
+    optionalField('region').trim().isLength({ max: 100 })
+      .withMessage('Region must be at most 100 characters long'),
+    field('postal_code').trim().isLength({ min: 1, max: 20 })
+      .withMessage('Postal code is required'),
+    field('country').trim()
+      .custom(addresses.isValidCountry)
+      .withMessage('Country must be an ISO 3166-1 alpha-2 code, e.g. US or DE'),
+    optionalField('phone').trim().matches(/^[\+]?[1-9][\d]{0,15}$/)
+      .withMessage('Phone must be a valid phone number'),
+    body('is_default_shipping').optional().isBoolean()
+      .withMessage('is_default_shipping must be true or false'),
+    body('is_default_billing').optional().isBoolean()
+      .withMessage('is_default_billing must be true or false')
+  ];
+}
+
+// Picks the address fields out of the request body, normalising country
+// and postal code
+function addressFields(body) {
+  const fields = {};
+  for (const field of addresses.ADDRESS_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === '' ? null : body[field];
+    }
+  }
+  if (fields.country) {
+    fields.country = fields.country.toUpperCase();
+  }
+  if (fields.postal_code) {
+    fields.postal_code = addresses.normalizePostalCode(fields.postal_code);
+  }
+  return fields;
+}
+
+function defaultFlags(body) {
+  const flag = (value) => (value === undefined ? undefined : value === true || value === 'true');
+  return {
+    defaultShipping: flag(body.is_default_shipping),
+    defaultBilling: flag(body.is_default_billing)
+  };
+}
+
+function parseAddressId(req, res) {
+  const addressId = parseInt(req.params.id);
+
+  if (isNaN(addressId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid address ID'
+    });
+    return null;
+  }
+  return addressId;
+}
+
+// List saved addresses, defaults first
+router.get('/addresses', authMiddleware, async (req, res) => {
+  try {
+    const items = await addresses.listAddresses(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        addresses: items
+      }
+    });
+  } catch (error) {
+    console.error('Get addresses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Save a new address
+router.post('/addresses', authMiddleware, addressValidation(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const fields = addressFields(req.body);
+
+    if (!addresses.isValidPostalCode(fields.country, fields.postal_code)) {
+      return res.status(400).json({
+        success: false,
+        message: `Postal code is not valid for ${fields.country}`
+      });
+    }
+
+    const address = await addresses.createAddress(req.user.id, fields, defaultFlags(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Address saved',
+      data: {
+        address
+      }
+    });
+  } catch (error) {
+    console.error('Create address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update an address. Orders already placed keep the address they were
+// placed with.
+router.put('/addresses/:id', authMiddleware, addressValidation({ partial: true }), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const addressId = parseAddressId(req, res);
+    if (addressId === null) return;
+
+    const existing = await addresses.getAddress(req.user.id, addressId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    const fields = addressFields(req.body);
+    const country = fields.country || existing.country;
+    const postalCode = fields.postal_code || existing.postal_code;
+
+    if ((fields.country || fields.postal_code) && !addresses.isValidPostalCode(country, postalCode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Postal code is not valid for ${country}`
+      });
+    }
+
+    const address = await addresses.updateAddress(req.user.id, addressId, fields, defaultFlags(req.body));
+
+    res.json({
+      success: true,
+      message: 'Address updated',
+      data: {
+        address
+      }
+    });
+  } catch (error) {
+    console.error('Update address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete an address
+router.delete('/addresses/:id', authMiddleware, async (req, res) => {
+  try {
+    const addressId = parseAddressId(req, res);
+    if (addressId === null) return;
+
+    const deleted = await addresses.deleteAddress(req.user.id, addressId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Address deleted'
+    });
+  } catch (error) {
+    console.error('Delete address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
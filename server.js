@@ -13,6 +13,12 @@ const { connectDB, closePool } = require('./config/database');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const productRoutes = require('./routes/products');
+const adminRoutes = require('./routes/admin');
+const cartRoutes = require('./routes/cart');
+const reviewRoutes = require('./routes/reviews');
+const couponRoutes = require('./routes/coupons');
+const paymentRoutes = require('./routes/payments');
+const returnRoutes = require('./routes/returns');
 
 const app = express();
 
@@ -84,8 +90,14 @@ async function startServer() {
       app.use(morgan('dev'));
     }
 
-    // Body parsing middleware
-    app.use(express.json({ limit: '10mb' }));
+    // Body parsing middleware. The raw body is kept for verifying payment
+    // webhook signatures, which are computed over the exact bytes sent.
+    app.use(express.json({
+      limit: '10mb',
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
     app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
     // Static files
@@ -135,7 +147,13 @@ async function startServer() {
     // Routes
     app.use('/api/auth', authRoutes);
     app.use('/api/user', userRoutes);
+    app.use('/api/products/:productId/reviews', reviewRoutes);
     app.use('/api/products', productRoutes);
+    app.use('/api/admin', adminRoutes);
+    app.use('/api/cart', cartRoutes);
+    app.use('/api/coupons', couponRoutes);
+    app.use('/api/payments', paymentRoutes);
+    app.use('/api/returns', returnRoutes);
 
     // Serve static HTML files
     app.get('/', (req, res) => {
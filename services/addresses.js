@@ -0,0 +1,257 @@
+const { query, transaction } = require('../config/database');
+
+// Address book. Each user may have one default shipping and one default
+// billing address. Orders copy the address they ship to (see snapshot()),
+// so editing or deleting an address never changes past orders.
+
+// ISO 3166-1 alpha-2 country codes
+const COUNTRY_CODES = new Set(`
+  AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS
+  BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE
+  EG EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM
+  HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC
+  LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ NA
+  NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW
+  SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO
+  TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW
+`.trim().split(/\s+/));
+
+// Postal code formats for the countries we ship to most; other countries
+// get a loose check. Codes are upper-cased with single spaces before matching.
+const POSTAL_CODE_PATTERNS = {
+  US: /^\d{5}(-\d{4})?$/,
+  CA: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/,
+  IE: /^[A-Z]\d[\dW] ?[A-Z\d]{4}$/,
+  DE: /^\d{5}$/,
+  FR: /^\d{5}$/,
+  ES: /^\d{5}$/,
+  IT: /^\d{5}$/,
+  NL: /^\d{4} ?[A-Z]{2}$/,
+  BE: /^\d{4}$/,
+  AT: /^\d{4}$/,
+  CH: /^\d{4}$/,
+  PL: /^\d{2}-\d{3}$/,
+  SE: /^\d{3} ?\d{2}$/,
+  AU: /^\d{4}$/,
+  NZ: /^\d{4}$/,
+  IN: /^\d{6}$/,
+  JP: /^\d{3}-?\d{4}$/,
+  BR: /^\d{5}-?\d{3}$/
+};
+const GENERIC_POSTAL_CODE = /^[A-Z\d][A-Z\d -]{1,9}$/;
+
+const ADDRESS_FIELDS = ['label', 'full_name', 'line1', 'line2', 'city', 'region', 'postal_code', 'country', 'phone'];
+
+const ADDRESS_COLUMNS = `id, ${ADDRESS_FIELDS.join(', ')}, is_default_shipping, is_default_billing, created_at, updated_at`;
+
+function normalizePostalCode(postalCode) {
+  return String(postalCode).trim().toUpperCase().replace(/\s+/g, ' ');
+}
+
+function isValidCountry(country) {
+  return typeof country === 'string' && COUNTRY_CODES.has(country.toUpperCase());
+}
+
+function isValidPostalCode(country, postalCode) {
+  const pattern = POSTAL_CODE_PATTERNS[String(country).toUpperCase()] || GENERIC_POSTAL_CODE;
+  return pattern.test(normalizePostalCode(postalCode));
+}
+
+// The address fields as stored on an order
+function snapshot(address) {
+  return Object.fromEntries(ADDRESS_FIELDS.map(field => [field, address[field] ?? null]));
+}
+
+// Printable lines of an address snapshot, without the name
+function addressLines(address) {
+  if (!address) {
+    return [];
+  }
+
+  const locality = [address.city, address.region].filter(Boolean).join(', ');
+  return [
+    address.line1,
+    address.line2,
+    [locality, address.postal_code].filter(Boolean).join(' '),
+    address.country
+  ].filter(Boolean);
+}
+
+async function listAddresses(userId) {
+  return query(`
+    SELECT ${ADDRESS_COLUMNS}
+    FROM user_addresses
+    WHERE user_id = $1
+    ORDER BY is_default_shipping DESC, is_default_billing DESC, created_at DESC, id DESC
+  `, [userId]);
+}
+
+async function getAddress(userId, addressId) {
+  const result = await query(
+    `SELECT ${ADDRESS_COLUMNS} FROM user_addresses WHERE id = $1 AND user_id = $2`,
+    [addressId, userId]
+  );
+  return result[0] || null;
+}
+
+// Clears the user's other defaults before setting a new one; the partial
+// unique indexes on user_addresses reject a second default otherwise
+async function clearDefaults(tx, userId, addressId, { shipping, billing }) {
+  if (shipping) {
+    await tx.query(
+      'UPDATE user_addresses SET is_default_shipping = FALSE WHERE user_id = $1 AND id <> $2 AND is_default_shipping',
+      [userId, addressId]
+    );
+  }
+  if (billing) {
+    await tx.query(
+      'UPDATE user_addresses SET is_default_billing = FALSE WHERE user_id = $1 AND id <> $2 AND is_default_billing',
+      [userId, addressId]
+    );
+  }
+}
+
+// The user's first address becomes their default for both shipping and
+// billing unless they say otherwise. Returns the new address.
+async function createAddress(userId, fields, { defaultShipping, defaultBilling } = {}) {
+  return transaction(async (tx) => {
+    const existing = await tx.query(
+      'SELECT COUNT(*)::int AS total FROM user_addresses WHERE user_id = $1',
+      [userId]
+    );
+    const isFirst = existing[0].total === 0;
+    const shipping = defaultShipping ?? isFirst;
+    const billing = defaultBilling ?? isFirst;
+
+    const values = ADDRESS_FIELDS.map(field => fields[field] ?? null);
+    const inserted = await tx.query(`
+      INSERT INTO user_addresses (user_id, ${ADDRESS_FIELDS.join(', ')})
+      VALUES ($1, ${ADDRESS_FIELDS.map((field, index) => `$${index + 2}`).join(', ')})
+      RETURNING id
+    `, [userId, ...values]);
+
+    const addressId = inserted[0].id;
+    await clearDefaults(tx, userId, addressId, { shipping, billing });
+
+    const rows = await tx.query(`
+      UPDATE user_addresses SET is_default_shipping = $1, is_default_billing = $2
+      WHERE id = $3
+      RETURNING ${ADDRESS_COLUMNS}
+    `, [shipping, billing, addressId]);
+
+    return rows[0];
+  });
+}
+
+// Updates the given fields and defaults. Returns the address, or null when
+// the user has no such address.
+async function updateAddress(userId, addressId, fields, { defaultShipping, defaultBilling } = {}) {
+  return transaction(async (tx) => {
+    const current = await tx.query(
+      'SELECT id FROM user_addresses WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [addressId, userId]
+    );
+
+    if (current.length === 0) {
+      return null;
+    }
+
+    await clearDefaults(tx, userId, addressId, { shipping: defaultShipping, billing: defaultBilling });
+
+    const updates = [];
+    const values = [];
+    for (const field of ADDRESS_FIELDS) {
+      if (fields[field] !== undefined) {
+        values.push(fields[field]);
+        updates.push(`${field} = $${values.length}`);
+      }
+    }
+    if (defaultShipping !== undefined) {
+      values.push(defaultShipping);
+      updates.push(`is_default_shipping = $${values.length}`);
+    }
+    if (defaultBilling !== undefined) {
+      values.push(defaultBilling);
+      updates.push(`is_default_billing = $${values.length}`);
+    }
+
+    if (updates.length === 0) {
+      const rows = await tx.query(`SELECT ${ADDRESS_COLUMNS} FROM user_addresses WHERE id = $1`, [addressId]);
+      return rows[0];
+    }
+
+    values.push(addressId);
+    const rows = await tx.query(`
+      UPDATE user_addresses SET ${updates.join(', ')}
+      WHERE id = $${values.length}
+      RETURNING ${ADDRESS_COLUMNS}
+    `, values);
+
+    return rows[0];
+  });
+}
+
+// Returns false when the user has no such address
+async function deleteAddress(userId, addressId) {
+  const result = await query(
+    'DELETE FROM user_addresses WHERE id = $1 AND user_id = $2 RETURNING id',
+    [addressId, userId]
+  );
+  return result.length > 0;
+}
+
+// Picks the addresses for a new order from shipping_address_id and
+// billing_address_id, falling back to the user's defaults. Billing falls
+// back to the shipping address. Returns { shippingAddress, billingAddress }
+// as snapshots, or { error }.
+async function resolveOrderAddresses(userId, { shippingAddressId, billingAddressId } = {}) {
+  const pick = async (addressId, defaultColumn) => {
+    if (addressId !== undefined && addressId !== null) {
+      const id = parseInt(addressId);
+      return isNaN(id) ? null : getAddress(userId, id);
+    }
+    const rows = await query(
+      `SELECT ${ADDRESS_COLUMNS} FROM user_addresses WHERE user_id = $1 AND ${defaultColumn}`,
+      [userId]
+    );
+    return rows[0] || null;
+  };
+
+  const shipping = await pick(shippingAddressId, 'is_default_shipping');
+
+  if (!shipping) {
+    return {
+      error: shippingAddressId === undefined || shippingAddressId === null
+        ? 'A shipping address is required'
+        : 'Shipping address not found'
+    };
+  }
+
+  const billing = await pick(billingAddressId, 'is_default_billing');
+
+  if (!billing && billingAddressId !== undefined && billingAddressId !== null) {
+    return { error: 'Billing address not found' };
+  }
+
+  return {
+    shippingAddress: snapshot(shipping),
+    billingAddress: snapshot(billing || shipping)
+  };
+}
+
+module.exports = {
+  ADDRESS_FIELDS,
+  POSTAL_CODE_PATTERNS,
+  normalizePostalCode,
+  isValidCountry,
+  isValidPostalCode,
+  snapshot,
+  addressLines,
+  listAddresses,
+  getAddress,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+  resolveOrderAddresses
+};
@@ -0,0 +1,18 @@
+const { query } = require('../config/database');
+
+// Append-only security audit trail. Failures are logged rather than thrown
+// so that auditing can never break the request being audited.
+async function recordAuditEvent(event, { userId = null, ip = null, details = {} } = {}) {
+  try {
+    await query(
+      'INSERT INTO audit_log (user_id, event, ip_address, details) VALUES ($1, $2, $3, $4)',
+      [userId, event, ip, JSON.stringify(details)]
+    );
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+}
+
+module.exports = {
+  recordAuditEvent
+};
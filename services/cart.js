@@ -0,0 +1,203 @@
+const { query } = require('../config/database');
+const redis = require('../config/redis');
+const { getConfig } = require('../config/secrets');
+const { toCents, fromCents } = require('./money');
+
+// Carts live in Redis as hashes of productId -> quantity. Signed-in users
+// have one cart; anonymous visitors get one per session, which is merged
+// into the user's cart when they log in. Every change is a single Redis
+// command or script, so concurrent requests on one cart cannot overwrite
+// each other's changes.
+const MAX_LINE_QUANTITY = 99;
+
+// ARGV: productId, quantity, MAX_LINE_QUANTITY, TTL. Returns the new line
+// quantity, or nil when it would exceed the limit.
+const ADD_SCRIPT = `
+local quantity = redis.call('HINCRBY', KEYS[1], ARGV[1], ARGV[2])
+if quantity > tonumber(ARGV[3]) then
+  redis.call('HINCRBY', KEYS[1], ARGV[1], -tonumber(ARGV[2]))
+  return false
+end
+redis.call('EXPIRE', KEYS[1], ARGV[4])
+return quantity
+`;
+
+// ARGV: productId, quantity, TTL. Returns 0 when the product is not in the
+// cart.
+const SET_SCRIPT = `
+if redis.call('HEXISTS', KEYS[1], ARGV[1]) == 0 then
+  return 0
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+redis.call('EXPIRE', KEYS[1], ARGV[3])
+return 1
+`;
+
+// KEYS: session cart, user cart. ARGV: MAX_LINE_QUANTITY, TTL.
+const MERGE_SCRIPT = `
+local items = redis.call('HGETALL', KEYS[1])
+if #items == 0 then
+  return 0
+end
+for i = 1, #items, 2 do
+  local quantity = redis.call('HINCRBY', KEYS[2], items[i], items[i + 1])
+  if quantity > tonumber(ARGV[1]) then
+    redis.call('HSET', KEYS[2], items[i], ARGV[1])
+  end
+end
+redis.call('EXPIRE', KEYS[2], ARGV[2])
+redis.call('DEL', KEYS[1])
+return #items / 2
+`;
+
+async function getClient() {
+  const client = redis.redisClient;
+  if (!client.isOpen) await client.connect();
+  return client;
+}
+
+function cartTtl() {
+  return String(parseInt(getConfig().CART_TTL) || 2592000);
+}
+
+function userCartKey(userId) {
+  return `cart:user:${userId}`;
+}
+
+function sessionCartKey(sessionId) {
+  return `cart:session:${sessionId}`;
+}
+
+async function getItems(key) {
+  const client = await getClient();
+  const hash = await client.hGetAll(key);
+
+  const items = {};
+  for (const [productId, quantity] of Object.entries(hash)) {
+    items[productId] = parseInt(quantity);
+  }
+  return items;
+}
+
+// Adds quantity to whatever is already in the cart. Returns the new line
+// quantity, or null when it would exceed MAX_LINE_QUANTITY.
+async function addItem(key, productId, quantity) {
+  const client = await getClient();
+  return client.eval(ADD_SCRIPT, {
+    keys: [key],
+    arguments: [String(productId), String(quantity), String(MAX_LINE_QUANTITY), cartTtl()]
+  });
+}
+
+// Returns false when the product is not in the cart
+async function setItemQuantity(key, productId, quantity) {
+  const client = await getClient();
+  const updated = await client.eval(SET_SCRIPT, {
+    keys: [key],
+    arguments: [String(productId), String(quantity), cartTtl()]
+  });
+
+  return updated === 1;
+}
+
+// Returns false when the product is not in the cart. Removing the last item
+// removes the cart.
+async function removeItem(key, productId) {
+  const client = await getClient();
+  const removed = await client.hDel(key, String(productId));
+
+  return removed === 1;
+}
+
+async function clearCart(key) {
+  const client = await getClient();
+  await client.del(key);
+}
+
+// Prices the cart against live product data. Lines whose product has been
+// archived or is short of stock carry a warning and block checkout.
+async function buildCartView(items) {
+  const productIds = Object.keys(items).map(id => parseInt(id));
+
+  const products = productIds.length === 0 ? [] : await query(`
+    SELECT id, name, price, image_url, stock_quantity, is_active
+    FROM products
+    WHERE id = ANY($1::int[])
+  `, [productIds]);
+
+  const productsById = new Map(products.map(product => [product.id, product]));
+
+  let subtotalCents = 0;
+  let itemCount = 0;
+  const lines = productIds.map(productId => {
+    const quantity = items[productId];
+    const product = productsById.get(productId);
+
+    if (!product || !product.is_active) {
+      return {
+        product_id: productId,
+        name: product ? product.name : null,
+        quantity,
+        available: false,
+        warning: 'This product is no longer available'
+      };
+    }
+
+    const lineCents = toCents(product.price) * quantity;
+    subtotalCents += lineCents;
+    itemCount += quantity;
+
+    let warning = null;
+    if (product.stock_quantity === 0) {
+      warning = 'Out of stock';
+    } else if (product.stock_quantity < quantity) {
+      warning = `Only ${product.stock_quantity} left in stock`;
+    }
+
+    return {
+      product_id: productId,
+      name: product.name,
+      image_url: product.image_url,
+      price: parseFloat(product.price),
+      quantity,
+      line_total: fromCents(lineCents),
+      stock_quantity: product.stock_quantity,
+      available: true,
+      warning
+    };
+  });
+
+  return {
+    items: lines,
+    item_count: itemCount,
+    subtotal: fromCents(subtotalCents),
+    can_checkout: lines.length > 0 && lines.every(line => line.warning === null)
+  };
+}
+
+// Moves an anonymous session cart into the user's cart, adding quantities
+// for products that are in both
+async function mergeSessionCart(sessionId, userId) {
+  if (!sessionId) {
+    return;
+  }
+
+  const client = await getClient();
+  await client.eval(MERGE_SCRIPT, {
+    keys: [sessionCartKey(sessionId), userCartKey(userId)],
+    arguments: [String(MAX_LINE_QUANTITY), cartTtl()]
+  });
+}
+
+module.exports = {
+  MAX_LINE_QUANTITY,
+  userCartKey,
+  sessionCartKey,
+  getItems,
+  addItem,
+  setItemQuantity,
+  removeItem,
+  clearCart,
+  buildCartView,
+  mergeSessionCart
+};
@@ -0,0 +1,164 @@
+const { toCents, fromCents } = require('./money');
+
+// Coupons: percentage or fixed-amount discounts with optional minimum order
+// value, usage limits, validity window and product/category restrictions.
+// Money is handled in cents (see services/money.js).
+
+const COUPON_TYPES = ['percentage', 'fixed'];
+
+const COUPON_COLUMNS = `id, code, description, discount_type, discount_value, min_order_amount,
+       max_uses, max_uses_per_user, times_used, starts_at, expires_at,
+       product_ids, categories, is_active, created_at, updated_at`;
+
+// Codes are case-insensitive and stored upper-case
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// Loads a coupon by code. Pass a transaction and forUpdate when redeeming,
+// so concurrent orders cannot both take the last use.
+async function findCoupon(db, code, { forUpdate = false } = {}) {
+  const rows = await db.query(
+    `SELECT ${COUPON_COLUMNS} FROM coupons WHERE code = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [normalizeCode(code)]
+  );
+  return rows[0] || null;
+}
+
+async function countUserRedemptions(db, couponId, userId) {
+  const rows = await db.query(
+    'SELECT COUNT(*)::int AS total FROM coupon_redemptions WHERE coupon_id = $1 AND user_id = $2',
+    [couponId, userId]
+  );
+  return rows[0].total;
+}
+
+function appliesTo(coupon, line) {
+  const productIds = coupon.product_ids || [];
+  const categories = coupon.categories || [];
+
+  if (productIds.length === 0 && categories.length === 0) {
+    return true;
+  }
+  return productIds.includes(line.product_id) || categories.includes(line.category);
+}
+
+// Works out the discount for a coupon against order lines of
+// { product_id, category, total_price }. Returns { subtotal, discount,
+// total } in currency units, or { error } when the coupon cannot be used.
+function calculateDiscount(coupon, lines, { userRedemptions = 0, now = new Date() } = {}) {
+  if (!coupon || !coupon.is_active) {
+    return { error: 'Coupon not found' };
+  }
+
+  if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+    return { error: 'Coupon is not valid yet' };
+  }
+
+  if (coupon.expires_at && new Date(coupon.expires_at) <= now) {
+    return { error: 'Coupon has expired' };
+  }
+
+  if (coupon.max_uses !== null && coupon.times_used >= coupon.max_uses) {
+    return { error: 'Coupon has reached its usage limit' };
+  }
+
+  if (coupon.max_uses_per_user !== null && userRedemptions >= coupon.max_uses_per_user) {
+    return { error: 'You have already used this coupon' };
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + toCents(line.total_price), 0);
+
+  if (subtotal < toCents(coupon.min_order_amount || 0)) {
+    return { error: `Coupon requires a minimum order of ${Number(coupon.min_order_amount).toFixed(2)}` };
+  }
+
+  const eligible = lines
+    .filter(line => appliesTo(coupon, line))
+    .reduce((sum, line) => sum + toCents(line.total_price), 0);
+
+  if (eligible === 0) {
+    return { error: 'Coupon does not apply to any items in this order' };
+  }
+
+  const discount = coupon.discount_type === 'percentage'
+    ? Math.round(eligible * Number(coupon.discount_value) / 100)
+    : Math.min(toCents(coupon.discount_value), eligible);
+
+  return {
+    subtotal: fromCents(subtotal),
+    discount: fromCents(discount),
+    total: fromCents(subtotal - discount)
+  };
+}
+
+// Splits a discount worked out by calculateDiscount over the lines it
+// applies to, in proportion to their prices; rounding leftovers go to the
+// last of them. Returns each line's share in currency units, in line order.
+function allocateDiscount(coupon, lines, discount) {
+  const amounts = lines.map(line => (appliesTo(coupon, line) ? toCents(line.total_price) : 0));
+  const eligible = amounts.reduce((sum, amount) => sum + amount, 0);
+  const total = toCents(discount);
+
+  if (eligible === 0 || total === 0) {
+    return lines.map(() => 0);
+  }
+
+  const shares = amounts.map(amount => Math.floor(total * amount / eligible));
+  const last = amounts.map(amount => amount > 0).lastIndexOf(true);
+  shares[last] += total - shares.reduce((sum, share) => sum + share, 0);
+
+  return shares.map(fromCents);
+}
+
+// Looks up the coupon and prices the lines for userId. Returns
+// { coupon, subtotal, discount, total } or { error }.
+async function applyCoupon(db, code, userId, lines, { forUpdate = false } = {}) {
+  const coupon = await findCoupon(db, code, { forUpdate });
+
+  if (!coupon) {
+    return { error: 'Coupon not found' };
+  }
+
+  const userRedemptions = coupon.max_uses_per_user === null
+    ? 0
+    : await countUserRedemptions(db, coupon.id, userId);
+
+  const priced = calculateDiscount(coupon, lines, { userRedemptions });
+
+  return priced.error ? priced : { coupon, ...priced };
+}
+
+// Records that an order used the coupon; tx is the order's transaction
+async function recordRedemption(tx, coupon, userId, orderId, discount) {
+  await tx.query(
+    'INSERT INTO coupon_redemptions (coupon_id, user_id, order_id, discount_amount) VALUES ($1, $2, $3, $4)',
+    [coupon.id, userId, orderId, discount]
+  );
+  await tx.query('UPDATE coupons SET times_used = times_used + 1 WHERE id = $1', [coupon.id]);
+}
+
+// Gives the use back when an order is cancelled; tx is the cancellation's
+// transaction
+async function releaseRedemption(tx, orderId) {
+  const released = await tx.query(
+    'DELETE FROM coupon_redemptions WHERE order_id = $1 RETURNING coupon_id',
+    [orderId]
+  );
+
+  for (const row of released) {
+    await tx.query('UPDATE coupons SET times_used = times_used - 1 WHERE id = $1', [row.coupon_id]);
+  }
+}
+
+module.exports = {
+  COUPON_TYPES,
+  COUPON_COLUMNS,
+  normalizeCode,
+  findCoupon,
+  calculateDiscount,
+  allocateDiscount,
+  applyCoupon,
+  recordRedemption,
+  releaseRedemption
+};
@@ -0,0 +1,77 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week),
+// evaluated in UTC so that every pod agrees on when a task is due. Fields
+// take *, numbers, ranges (1-5), lists (1,15) and steps (*/10, 0-30/5);
+// day-of-week runs 0-6 from Sunday (7 is Sunday too). As in classic cron,
+// when both day fields are restricted a day matching either one matches.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${text}`);
+    }
+
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : parseInt(start);
+    const to = range === '*' ? max : end !== undefined ? parseInt(end) : step ? max : from;
+    const increment = step ? parseInt(step) : 1;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`Invalid cron ${name}: ${text}`);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Parses an expression into a schedule with matches(date), true when the
+// date's minute is one the expression fires on
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields: ${expression}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  const anyDay = parts[2] === '*';
+  const anyWeekday = parts[4] === '*';
+
+  return {
+    expression,
+
+    matches(date) {
+      const dayMatches = days.has(date.getUTCDate());
+      const weekdayMatches = weekdays.has(date.getUTCDay());
+      const dayOk = anyDay || anyWeekday ? dayMatches && weekdayMatches : dayMatches || weekdayMatches;
+
+      return minutes.has(date.getUTCMinutes())
+        && hours.has(date.getUTCHours())
+        && months.has(date.getUTCMonth() + 1)
+        && dayOk;
+    }
+  };
+}
+
+module.exports = {
+  parseCron
+};
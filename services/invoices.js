@@ -0,0 +1,342 @@
+const { query, transaction } = require('../config/database');
+const { getConfig } = require('../config/secrets');
+const { createPdf } = require('./pdf');
+const { addressLines } = require('./addresses');
+const { toCents, formatCents } = require('./money');
+const { PAID_ORDER_STATUSES } = require('./orders');
+
+// Invoices. An order is invoiced once it has been paid for, the first time
+// its invoice is asked for; later requests render the same invoice again.
+// Seller and customer details are copied onto the invoice when it is issued
+// so later changes to either do not rewrite it.
+
+const INVOICE_COLUMNS = 'id, order_id, sequence_number, invoice_number, seller, customer, issued_at';
+
+const CURRENCY = 'USD';
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatInvoiceNumber(prefix, sequenceNumber) {
+  return `${prefix}${String(sequenceNumber).padStart(6, '0')}`;
+}
+
+function sellerDetails() {
+  const config = getConfig();
+
+  return {
+    name: config.COMPANY_NAME || 'Example Store',
+    address: (config.COMPANY_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean),
+    email: config.COMPANY_EMAIL || null,
+    tax_id: config.COMPANY_TAX_ID || null
+  };
+}
+
+// Name from the customer's profile, else from the billing address, else
+// their username
+function customerName({ first_name: firstName, last_name: lastName, billing_address: billingAddress, username }) {
+  const profileName = [firstName, lastName].filter(Boolean).join(' ').trim();
+  return profileName || (billingAddress && billingAddress.full_name) || username;
+}
+
+async function getInvoiceForOrder(orderId) {
+  const rows = await query(`SELECT ${INVOICE_COLUMNS} FROM invoices WHERE order_id = $1`, [orderId]);
+  return rows[0] || null;
+}
+
+// Returns the order's invoice, issuing it if this is the first request.
+// The order row is locked so concurrent requests cannot both issue one, and
+// the number is taken in the same transaction as the invoice so a rollback
+// never leaves a gap. Returns { invoice, issued } or { error, status }.
+async function issueInvoice(orderId) {
+  return transaction(async (tx) => {
+    const orders = await tx.query(`
+      SELECT o.id, o.status, o.billing_address, u.username, u.email, up.first_name, up.last_name
+      FROM orders o
+      JOIN users u ON u.id = o.user_id
+      LEFT JOIN LATERAL (
+        SELECT first_name, last_name FROM user_profiles WHERE user_id = o.user_id ORDER BY id LIMIT 1
+      ) up ON TRUE
+      WHERE o.id = $1
+      FOR UPDATE OF o
+    `, [orderId]);
+
+    if (orders.length === 0) {
+      return { error: 'Order not found', status: 404 };
+    }
+
+    const existing = await tx.query(`SELECT ${INVOICE_COLUMNS} FROM invoices WHERE order_id = $1`, [orderId]);
+
+    if (existing.length > 0) {
+      return { invoice: existing[0], issued: false };
+    }
+
+    const order = orders[0];
+
+    if (!PAID_ORDER_STATUSES.includes(order.status)) {
+      return { error: `Invoices are issued once an order has been paid; this order is ${order.status}`, status: 409 };
+    }
+
+    const counter = await tx.query(`
+      INSERT INTO invoice_counter (id, last_number) VALUES (TRUE, 1)
+      ON CONFLICT (id) DO UPDATE SET last_number = invoice_counter.last_number + 1
+      RETURNING last_number
+    `);
+    const sequenceNumber = counter[0].last_number;
+
+    const customer = {
+      name: customerName(order),
+      email: order.email,
+      billing_address: order.billing_address
+    };
+
+    const rows = await tx.query(`
+      INSERT INTO invoices (order_id, sequence_number, invoice_number, seller, customer)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${INVOICE_COLUMNS}
+    `, [
+      orderId,
+      sequenceNumber,
+      formatInvoiceNumber(getConfig().INVOICE_NUMBER_PREFIX || 'INV-', sequenceNumber),
+      JSON.stringify(sellerDetails()),
+      JSON.stringify(customer)
+    ]);
+
+    return { invoice: rows[0], issued: true };
+  });
+}
+
+// Everything printed on an invoice, from the invoice and the order details
+// (see getOrderDetails). Amounts are in cents.
+function buildInvoice(invoice, order) {
+  const lines = order.items.map(item => ({
+    description: item.product && item.product.name ? item.product.name : `Product ${item.product_id}`,
+    quantity: item.quantity,
+    unitPrice: toCents(item.unit_price),
+    amount: toCents(item.total_price),
+    taxRate: Number(item.tax_rate || 0),
+    tax: toCents(item.tax_amount || 0)
+  }));
+
+  // Tax per rate, as stored when the order was placed
+  const taxesByRate = new Map();
+  for (const line of lines.filter(line => line.tax > 0)) {
+    taxesByRate.set(line.taxRate, (taxesByRate.get(line.taxRate) || 0) + line.tax);
+  }
+
+  const subtotal = order.subtotal_amount !== null && order.subtotal_amount !== undefined
+    ? toCents(order.subtotal_amount)
+    : lines.reduce((sum, line) => sum + line.amount, 0);
+  const discount = toCents(order.discount_amount || 0);
+  const total = toCents(order.total_amount);
+
+  return {
+    number: invoice.invoice_number,
+    issuedAt: new Date(invoice.issued_at),
+    seller: invoice.seller,
+    customer: invoice.customer,
+    shippingAddress: order.shipping_address,
+    orderId: order.id,
+    orderDate: new Date(order.created_at),
+    couponCode: order.coupon_code,
+    currency: CURRENCY,
+    lines,
+    subtotal,
+    discount,
+    taxes: [...taxesByRate].sort(([a], [b]) => a - b).map(([rate, amount]) => ({ rate, amount })),
+    tax: toCents(order.tax_amount || 0),
+    pricesIncludeTax: Boolean(order.prices_include_tax),
+    total
+  };
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Label/amount rows under the line items. Tax already in the prices is
+// shown as included rather than added.
+function totalRows(model) {
+  const taxLabel = rate => `${model.pricesIncludeTax ? 'Includes tax' : 'Tax'}${rate === null ? '' : ` ${rate}%`}`;
+  const taxRows = model.taxes.length > 0
+    ? model.taxes.map(({ rate, amount }) => [taxLabel(rate), formatCents(amount)])
+    : [[taxLabel(null), formatCents(model.tax)]];
+
+  return [
+    ['Subtotal', formatCents(model.subtotal)],
+    ...(model.discount > 0 ? [[`Discount${model.couponCode ? ` (${model.couponCode})` : ''}`, `-${formatCents(model.discount)}`]] : []),
+    ...taxRows,
+    [`Total (${model.currency})`, formatCents(model.total)]
+  ];
+}
+
+function renderInvoiceHtml(model) {
+  const row = (cells, tag = 'td') => `<tr>${cells.map(([text, align]) =>
+    `<${tag}${align ? ` style="text-align:${align}"` : ''}>${escapeHtml(text)}</${tag}>`).join('')}</tr>`;
+
+  const sellerLines = [
+    ...model.seller.address,
+    model.seller.email,
+    model.seller.tax_id && `Tax ID: ${model.seller.tax_id}`
+  ].filter(Boolean);
+
+  const totals = totalRows(model);
+
+  const block = (title, lines) => `<div class="party"><h3>${escapeHtml(title)}</h3>${lines.map(line =>
+    `<div>${escapeHtml(line)}</div>`).join('')}</div>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Invoice ${escapeHtml(model.number)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 14px; color: #222; max-width: 800px; margin: 40px auto; }
+  header { display: flex; justify-content: space-between; }
+  h1 { margin: 0; font-size: 28px; }
+  .parties { display: flex; gap: 80px; margin: 32px 0; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 6px 4px; border-bottom: 1px solid #ddd; text-align: left; }
+  .totals { width: 40%; margin-left: auto; margin-top: 16px; }
+  .totals tr:last-child td { font-weight: bold; }
+</style>
+</head>
+<body>
+<header>
+  ${block(model.seller.name, sellerLines)}
+  <div>
+    <h1>INVOICE</h1>
+    <div>Invoice number: ${escapeHtml(model.number)}</div>
+    <div>Invoice date: ${isoDate(model.issuedAt)}</div>
+    <div>Order: #${model.orderId} (${isoDate(model.orderDate)})</div>
+  </div>
+</header>
+<div class="parties">
+  ${block('Bill to', [model.customer.name, ...addressLines(model.customer.billing_address), model.customer.email].filter(Boolean))}
+  ${model.shippingAddress ? block('Ship to', [model.shippingAddress.full_name, ...addressLines(model.shippingAddress)].filter(Boolean)) : ''}
+</div>
+<table>
+  ${row([['Description'], ['Qty', 'right'], ['Unit price', 'right'], ['Amount', 'right']], 'th')}
+  ${model.lines.map(line => row([
+    [line.description],
+    [String(line.quantity), 'right'],
+    [formatCents(line.unitPrice), 'right'],
+    [formatCents(line.amount), 'right']
+  ])).join('\n  ')}
+</table>
+<table class="totals">
+  ${totals.map(([label, value]) => row([[label], [value, 'right']])).join('\n  ')}
+</table>
+</body>
+</html>
+`;
+}
+
+const PAGE_MARGIN = 50;
+const LINE_HEIGHT = 16;
+const DESCRIPTION_LENGTH = 50;
+
+function renderInvoicePdf(model) {
+  const pdf = createPdf();
+  const right = pdf.width - PAGE_MARGIN;
+  const bottom = pdf.height - PAGE_MARGIN - 40;
+
+  // Seller, top left
+  pdf.text(PAGE_MARGIN, 60, model.seller.name, { font: 'bold', size: 16 });
+  const sellerLines = [
+    ...model.seller.address,
+    model.seller.email,
+    model.seller.tax_id && `Tax ID: ${model.seller.tax_id}`
+  ].filter(Boolean);
+  sellerLines.forEach((line, index) => pdf.text(PAGE_MARGIN, 78 + index * 12, line, { size: 9 }));
+
+  // Invoice details, top right
+  pdf.text(380, 60, 'INVOICE', { font: 'bold', size: 20 });
+  [
+    ['Invoice number', model.number],
+    ['Invoice date', isoDate(model.issuedAt)],
+    ['Order', `#${model.orderId}`],
+    ['Order date', isoDate(model.orderDate)]
+  ].forEach(([label, value], index) => {
+    pdf.text(380, 84 + index * 14, label, { size: 9 });
+    pdf.text(right, 84 + index * 14, value, { font: 'mono', size: 9, align: 'right' });
+  });
+
+  // Bill to / ship to
+  let y = Math.max(78 + sellerLines.length * 12, 150) + 20;
+  const billTo = [model.customer.name, ...addressLines(model.customer.billing_address), model.customer.email].filter(Boolean);
+  const shipTo = model.shippingAddress
+    ? [model.shippingAddress.full_name, ...addressLines(model.shippingAddress)].filter(Boolean)
+    : [];
+
+  pdf.text(PAGE_MARGIN, y, 'Bill to', { font: 'bold' });
+  billTo.forEach((line, index) => pdf.text(PAGE_MARGIN, y + 14 + index * 12, line, { size: 9 }));
+  if (shipTo.length > 0) {
+    pdf.text(300, y, 'Ship to', { font: 'bold' });
+    shipTo.forEach((line, index) => pdf.text(300, y + 14 + index * 12, line, { size: 9 }));
+  }
+  y += 14 + Math.max(billTo.length, shipTo.length) * 12 + 24;
+
+  // Line items, continuing on new pages as needed
+  const tableHeader = () => {
+    pdf.text(PAGE_MARGIN, y, 'Description', { font: 'bold' });
+    pdf.text(360, y, 'Qty', { font: 'mono', align: 'right' });
+    pdf.text(450, y, 'Unit price', { font: 'mono', align: 'right' });
+    pdf.text(right, y, 'Amount', { font: 'mono', align: 'right' });
+    pdf.line(PAGE_MARGIN, y + 5, right, y + 5);
+    y += LINE_HEIGHT + 2;
+  };
+
+  tableHeader();
+  for (const line of model.lines) {
+    if (y > bottom) {
+      pdf.addPage();
+      y = 60;
+      tableHeader();
+    }
+
+    const description = line.description.length > DESCRIPTION_LENGTH
+      ? `${line.description.slice(0, DESCRIPTION_LENGTH - 3)}...`
+      : line.description;
+
+    pdf.text(PAGE_MARGIN, y, description);
+    pdf.text(360, y, String(line.quantity), { font: 'mono', align: 'right' });
+    pdf.text(450, y, formatCents(line.unitPrice), { font: 'mono', align: 'right' });
+    pdf.text(right, y, formatCents(line.amount), { font: 'mono', align: 'right' });
+    y += LINE_HEIGHT;
+  }
+
+  // Totals
+  const totals = totalRows(model);
+
+  if (y + totals.length * LINE_HEIGHT > bottom) {
+    pdf.addPage();
+    y = 60;
+  }
+
+  pdf.line(330, y - 6, right, y - 6);
+  y += 8;
+  totals.forEach(([label, value], index) => {
+    const isTotal = index === totals.length - 1;
+    pdf.text(330, y, label, { font: isTotal ? 'bold' : 'regular' });
+    pdf.text(right, y, value, { font: 'mono', align: 'right' });
+    y += LINE_HEIGHT;
+  });
+
+  return pdf.toBuffer();
+}
+
+module.exports = {
+  formatInvoiceNumber,
+  getInvoiceForOrder,
+  issueInvoice,
+  buildInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
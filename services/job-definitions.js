@@ -0,0 +1,25 @@
+const { MAIL_QUEUE, sendTemplate } = require('./mailer');
+const { SCHEDULED_QUEUE, runTask } = require('./scheduler');
+const scheduledTasks = require('./scheduled-tasks');
+
+// Queues run by the worker process (worker.js). Each gives the handler for
+// its jobs, how many of them one worker runs at once, and how long a job
+// may run (leaseMs) before it is presumed lost and handed to another worker.
+// summarize(data), when given, is what admins see of a job's data, for
+// queues whose jobs carry secrets.
+const definitions = {
+  [MAIL_QUEUE]: {
+    concurrency: 5,
+    leaseMs: 2 * 60 * 1000,
+    handler: mail => sendTemplate(mail),
+    // Mail data holds sign-in links (verification, unlock, password reset)
+    summarize: ({ to, template, locale }) => ({ to, template, locale })
+  },
+  [SCHEDULED_QUEUE]: {
+    concurrency: 3,
+    leaseMs: Math.max(...Object.values(scheduledTasks).map(task => task.timeoutMs)),
+    handler: ({ task }) => runTask(scheduledTasks, task)
+  }
+};
+
+module.exports = definitions;
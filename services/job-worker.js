@@ -0,0 +1,105 @@
+const jobs = require('./jobs');
+
+// Runs jobs from Redis queues (see services/jobs.js). Each queue gets
+// `concurrency` slots; a slot claims a job, runs its handler and marks it
+// completed, or failed so that it is retried or dead-lettered. Idle slots
+// poll every pollInterval ms.
+
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+
+// definitions: { [queue]: { handler(data, job), concurrency, leaseMs } }
+function createWorker(definitions, { pollInterval = DEFAULT_POLL_INTERVAL_MS } = {}) {
+  let running = false;
+  let slots = [];
+  const sleepers = new Set();
+
+  const sleep = ms => new Promise((resolve) => {
+    const sleeper = { timer: setTimeout(() => sleeper.wake(), ms) };
+    sleeper.wake = () => {
+      clearTimeout(sleeper.timer);
+      sleepers.delete(sleeper);
+      resolve();
+    };
+    sleepers.add(sleeper);
+  });
+
+  async function runJob(queue, definition, job) {
+    try {
+      await definition.handler(job.data, job);
+      await jobs.completeJob(job);
+    } catch (error) {
+      const state = await jobs.failJob(job, error);
+      // Another worker has finished or taken over the job
+      if (state === 'completed' || state === 'stale') {
+        return;
+      }
+      const outcome = state === 'failed' ? 'moved to failed jobs' : 'will be retried';
+      console.error(`Job ${job.id} on ${queue} failed (attempt ${job.attempts} of ${job.maxAttempts}, ${outcome}):`, error.message);
+    }
+  }
+
+  async function runSlot(queue, definition) {
+    while (running) {
+      let job = null;
+
+      try {
+        job = await jobs.claimJob(queue, { leaseMs: definition.leaseMs });
+        if (job) {
+          await runJob(queue, definition, job);
+        }
+      } catch (error) {
+        console.error(`Job queue ${queue} error:`, error.message);
+      }
+
+      if (!job && running) {
+        await sleep(pollInterval);
+      }
+    }
+  }
+
+  return {
+    start() {
+      if (running) {
+        return;
+      }
+
+      running = true;
+      slots = Object.entries(definitions).flatMap(([queue, definition]) =>
+        Array.from({ length: Math.max(definition.concurrency || 1, 1) }, () => runSlot(queue, definition))
+      );
+    },
+
+    // Stops claiming jobs and resolves once the running ones have finished
+    async stop() {
+      running = false;
+      for (const sleeper of [...sleepers]) {
+        sleeper.wake();
+      }
+      await Promise.all(slots);
+      slots = [];
+    }
+  };
+}
+
+// The queues a worker should run: all of them, or those named in the comma
+// separated WORKER_QUEUES, with WORKER_CONCURRENCY (when set) replacing
+// each queue's own concurrency. Throws on unknown queue names.
+function selectQueues(definitions, { WORKER_QUEUES, WORKER_CONCURRENCY } = {}) {
+  const names = WORKER_QUEUES
+    ? String(WORKER_QUEUES).split(',').map(name => name.trim()).filter(Boolean)
+    : Object.keys(definitions);
+  const concurrency = parseInt(WORKER_CONCURRENCY);
+
+  return Object.fromEntries(names.map((name) => {
+    if (!definitions[name]) {
+      throw new Error(`Unknown job queue: ${name}`);
+    }
+    return [name, concurrency > 0 ? { ...definitions[name], concurrency } : definitions[name]];
+  }));
+}
+
+module.exports = {
+  DEFAULT_POLL_INTERVAL_MS,
+  createWorker,
+  selectQueues
+};
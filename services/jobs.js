@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const redis = require('../config/redis');
+
+// Redis-backed job queue. Each named queue keeps:
+//   jobs:<queue>:waiting  list of job ids ready to run (oldest at the right)
+//   jobs:<queue>:delayed  sorted set of job ids by the time they become due
+//   jobs:<queue>:active   sorted set of running job ids by lease expiry
+//   jobs:<queue>:failed   sorted set of dead-lettered job ids by failure time
+// and each job is a hash at jobs:job:<id>. A worker claims a job by moving
+// it from waiting to active with a lease; a job whose lease runs out (its
+// worker died) goes back to waiting. Failed jobs are retried with
+// exponential backoff via the delayed set until they run out of attempts,
+// then stay in the failed set until retried by hand.
+
+const DEFAULT_ATTEMPTS = 3;
+const DEFAULT_BACKOFF_MS = 1000;
+const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+
+const QUEUES_KEY = 'jobs:queues';
+const COMPLETED_KEY = 'jobs:completed';
+
+function queueKey(queue, list) {
+  return `jobs:${queue}:${list}`;
+}
+
+function jobKey(id) {
+  return `jobs:job:${id}`;
+}
+
+// Moves due delayed jobs and jobs with expired leases onto the waiting
+// list, then claims the oldest waiting job (if any) under a new lease. A job
+// whose lease ran out on its last attempt (e.g. it crashes its worker) is
+// dead-lettered instead, and ids whose job hash is gone (completed by a
+// worker that outlived its lease) are dropped.
+const CLAIM_SCRIPT = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', ARGV[1], 'LIMIT', 0, 100)
+for _, id in ipairs(due) do
+  redis.call('ZREM', KEYS[2], id)
+  if redis.call('EXISTS', ARGV[3] .. id) == 1 then
+    redis.call('LPUSH', KEYS[1], id)
+  end
+end
+local stalled = redis.call('ZRANGEBYSCORE', KEYS[3], '-inf', ARGV[1], 'LIMIT', 0, 100)
+for _, id in ipairs(stalled) do
+  redis.call('ZREM', KEYS[3], id)
+  local job = ARGV[3] .. id
+  if redis.call('EXISTS', job) == 1 then
+    local attempts = tonumber(redis.call('HGET', job, 'attempts') or '0')
+    local maxAttempts = tonumber(redis.call('HGET', job, 'maxAttempts') or '1')
+    if attempts >= maxAttempts then
+      redis.call('HSET', job, 'state', 'failed', 'lastError', ARGV[4], 'failedAt', ARGV[1])
+      redis.call('ZADD', KEYS[4], ARGV[1], id)
+    else
+      redis.call('RPUSH', KEYS[1], id)
+    end
+  end
+end
+while true do
+  local id = redis.call('RPOP', KEYS[1])
+  if not id then
+    return false
+  end
+  if redis.call('EXISTS', ARGV[3] .. id) == 1 then
+    redis.call('ZADD', KEYS[3], ARGV[2], id)
+    redis.call('HINCRBY', ARGV[3] .. id, 'attempts', 1)
+    redis.call('HSET', ARGV[3] .. id, 'state', 'active')
+    return id
+  end
+end
+`;
+
+const LEASE_EXPIRED_ERROR = 'Lease expired before the job finished (worker stopped or timed out)';
+
+// Puts a dead-lettered job back on the waiting list with fresh attempts
+const RETRY_SCRIPT = `
+if redis.call('ZREM', KEYS[1], ARGV[1]) == 0 then
+  return 0
+end
+redis.call('HSET', KEYS[3], 'state', 'waiting', 'attempts', 0)
+redis.call('HDEL', KEYS[3], 'failedAt')
+redis.call('LPUSH', KEYS[2], ARGV[1])
+return 1
+`;
+
+// Records a failed attempt (see failJob). Does nothing when the job is no
+// longer active under the attempt that failed: its lease ran out and it has
+// since gone back to waiting, been dead-lettered or been claimed again.
+const FAIL_SCRIPT = `
+if redis.call('EXISTS', KEYS[4]) == 0 then
+  redis.call('ZREM', KEYS[1], ARGV[1])
+  return 'completed'
+end
+if not redis.call('ZSCORE', KEYS[1], ARGV[1]) or redis.call('HGET', KEYS[4], 'attempts') ~= ARGV[2] then
+  return 'stale'
+end
+redis.call('ZREM', KEYS[1], ARGV[1])
+if ARGV[3] == 'failed' then
+  redis.call('HSET', KEYS[4], 'state', 'failed', 'lastError', ARGV[5], 'failedAt', ARGV[6])
+  redis.call('ZADD', KEYS[3], ARGV[6], ARGV[1])
+else
+  redis.call('HSET', KEYS[4], 'state', 'delayed', 'lastError', ARGV[5])
+  redis.call('ZADD', KEYS[2], ARGV[4], ARGV[1])
+end
+return ARGV[3]
+`;
+
+async function getClient() {
+  const client = redis.redisClient;
+  if (!client.isOpen) await client.connect();
+  return client;
+}
+
+function parseJob(hash) {
+  if (!hash || !hash.id) {
+    return null;
+  }
+
+  return {
+    id: hash.id,
+    queue: hash.queue,
+    data: JSON.parse(hash.data),
+    state: hash.state,
+    attempts: parseInt(hash.attempts) || 0,
+    maxAttempts: parseInt(hash.maxAttempts),
+    backoff: parseInt(hash.backoff),
+    lastError: hash.lastError || null,
+    createdAt: new Date(parseInt(hash.createdAt)).toISOString(),
+    failedAt: hash.failedAt ? new Date(parseInt(hash.failedAt)).toISOString() : null
+  };
+}
+
+// Delay before the next attempt after `attempts` tries: backoff, then
+// twice that, and so on
+function retryDelay(backoff, attempts) {
+  return backoff * 2 ** (Math.max(attempts, 1) - 1);
+}
+
+// Adds a job to a queue. options: { delay (ms), attempts, backoff (ms) }.
+// Returns the job id.
+async function enqueue(queue, data, { delay = 0, attempts = DEFAULT_ATTEMPTS, backoff = DEFAULT_BACKOFF_MS } = {}) {
+  const client = await getClient();
+  const id = crypto.randomUUID();
+  const now = Date.now();
+
+  const multi = client.multi()
+    .sAdd(QUEUES_KEY, queue)
+    .hSet(jobKey(id), {
+      id,
+      queue,
+      data: JSON.stringify(data === undefined ? null : data),
+      state: delay > 0 ? 'delayed' : 'waiting',
+      attempts: 0,
+      maxAttempts: attempts,
+      backoff,
+      createdAt: now
+    });
+
+  if (delay > 0) {
+    multi.zAdd(queueKey(queue, 'delayed'), { score: now + delay, value: id });
+  } else {
+    multi.lPush(queueKey(queue, 'waiting'), id);
+  }
+
+  await multi.exec();
+  return id;
+}
+
+async function getJob(id) {
+  const client = await getClient();
+  return parseJob(await client.hGetAll(jobKey(id)));
+}
+
+// Claims the next job on a queue for leaseMs, or returns null when there
+// is nothing to do
+async function claimJob(queue, { leaseMs = DEFAULT_LEASE_MS } = {}) {
+  const client = await getClient();
+  const now = Date.now();
+
+  const id = await client.eval(CLAIM_SCRIPT, {
+    keys: [queueKey(queue, 'waiting'), queueKey(queue, 'delayed'), queueKey(queue, 'active'), queueKey(queue, 'failed')],
+    arguments: [String(now), String(now + leaseMs), jobKey(''), LEASE_EXPIRED_ERROR]
+  });
+
+  return id ? getJob(id) : null;
+}
+
+async function completeJob(job) {
+  const client = await getClient();
+
+  await client.multi()
+    .zRem(queueKey(job.queue, 'active'), job.id)
+    .del(jobKey(job.id))
+    .hIncrBy(COMPLETED_KEY, job.queue, 1)
+    .exec();
+}
+
+// Records a failed attempt: the job is retried after its backoff, or moved
+// to the failed set once it has used all its attempts. Returns the job's
+// new state ('delayed' or 'failed'), 'completed' when another worker has
+// since completed it, or 'stale' when its lease ran out and the job has
+// been handed on.
+async function failJob(job, error) {
+  const client = await getClient();
+  const now = Date.now();
+  const message = String((error && error.message) || error).slice(0, 1000);
+  const state = job.attempts >= job.maxAttempts ? 'failed' : 'delayed';
+
+  return client.eval(FAIL_SCRIPT, {
+    keys: [queueKey(job.queue, 'active'), queueKey(job.queue, 'delayed'), queueKey(job.queue, 'failed'), jobKey(job.id)],
+    arguments: [job.id, String(job.attempts), state, String(now + retryDelay(job.backoff, job.attempts)), message, String(now)]
+  });
+}
+
+async function listQueues() {
+  const client = await getClient();
+  return (await client.sMembers(QUEUES_KEY)).sort();
+}
+
+// Job counts per queue
+async function getQueueStats() {
+  const client = await getClient();
+  const queues = await listQueues();
+  const completed = await client.hGetAll(COMPLETED_KEY);
+
+  return Promise.all(queues.map(async (queue) => {
+    const [waiting, delayed, active, failed] = await client.multi()
+      .lLen(queueKey(queue, 'waiting'))
+      .zCard(queueKey(queue, 'delayed'))
+      .zCard(queueKey(queue, 'active'))
+      .zCard(queueKey(queue, 'failed'))
+      .exec();
+
+    return { queue, waiting, delayed, active, failed, completed: parseInt(completed[queue]) || 0 };
+  }));
+}
+
+// Dead-lettered jobs on a queue, most recent failure first
+async function listFailedJobs(queue, { limit = 10, offset = 0 } = {}) {
+  const client = await getClient();
+  const key = queueKey(queue, 'failed');
+
+  const [total, ids] = await Promise.all([
+    client.zCard(key),
+    client.zRange(key, offset, offset + limit - 1, { REV: true })
+  ]);
+
+  const jobs = await Promise.all(ids.map(getJob));
+  return { jobs: jobs.filter(Boolean), total };
+}
+
+// Sends a failed job back to its queue with a fresh set of attempts.
+// Returns the job, or null when there is no such failed job.
+async function retryFailedJob(id) {
+  const job = await getJob(id);
+
+  if (!job) {
+    return null;
+  }
+
+  const client = await getClient();
+  const retried = await client.eval(RETRY_SCRIPT, {
+    keys: [queueKey(job.queue, 'failed'), queueKey(job.queue, 'waiting'), jobKey(id)],
+    arguments: [id]
+  });
+
+  return retried ? getJob(id) : null;
+}
+
+module.exports = {
+  DEFAULT_ATTEMPTS,
+  DEFAULT_BACKOFF_MS,
+  DEFAULT_LEASE_MS,
+  retryDelay,
+  enqueue,
+  getJob,
+  claimJob,
+  completeJob,
+  failJob,
+  listQueues,
+  getQueueStats,
+  listFailedJobs,
+  retryFailedJob
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const redis = require('../config/redis');
+
+// Distributed locks in Redis, shared by every pod. A lock is a key set only
+// if absent, holding a random token and expiring after its TTL so that a
+// crashed holder cannot keep it forever. Only the holder's token can
+// release it.
+
+// Deletes the lock only if it still holds our token
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+async function getClient() {
+  const client = redis.redisClient;
+  if (!client.isOpen) await client.connect();
+  return client;
+}
+
+function lockKey(name) {
+  return `lock:${name}`;
+}
+
+// Takes the lock for ttlMs. Returns its token, or null when someone else
+// holds it.
+async function acquireLock(name, ttlMs) {
+  const client = await getClient();
+  const token = crypto.randomBytes(16).toString('hex');
+  const result = await client.set(lockKey(name), token, { NX: true, PX: ttlMs });
+
+  return result === 'OK' ? token : null;
+}
+
+// Returns true when the lock was still ours to release
+async function releaseLock(name, token) {
+  const client = await getClient();
+  const released = await client.eval(RELEASE_SCRIPT, { keys: [lockKey(name)], arguments: [token] });
+
+  return released === 1;
+}
+
+// Runs fn while holding the lock. Resolves to { acquired: false } without
+// running fn when the lock is taken, else { acquired: true, result }.
+async function withLock(name, ttlMs, fn) {
+  const token = await acquireLock(name, ttlMs);
+
+  if (!token) {
+    return { acquired: false };
+  }
+
+  try {
+    return { acquired: true, result: await fn() };
+  } finally {
+    await releaseLock(name, token);
+  }
+}
+
+module.exports = {
+  acquireLock,
+  releaseLock,
+  withLock
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { cache } = require('../config/redis');
+const { getConfig } = require('../config/secrets');
+const { hashToken } = require('./tokens');
+
+// Failed-login tracking in Redis. Counters are keyed by the submitted email
+// whether or not an account exists, so locked and unknown emails look alike.
+function getLimits() {
+  const config = getConfig();
+  return {
+    maxAttempts: parseInt(config.LOGIN_MAX_ATTEMPTS) || 10,
+    delayAfter: parseInt(config.LOGIN_DELAY_AFTER) || 3,
+    maxDelay: parseInt(config.LOGIN_MAX_DELAY) || 60,
+    lockoutDuration: parseInt(config.LOGIN_LOCKOUT_DURATION) || 900,
+    failureWindow: parseInt(config.LOGIN_FAILURE_WINDOW) || 900,
+    ipMaxFailures: parseInt(config.LOGIN_IP_MAX_FAILURES) || 50
+  };
+}
+
+function normalize(email) {
+  return String(email).trim().toLowerCase();
+}
+
+function secondsUntil(untilMs) {
+  return Math.max(Math.ceil((untilMs - Date.now()) / 1000), 1);
+}
+
+// Returns { allowed: true } or { allowed: false, retryAfter } in seconds
+async function checkLoginAllowed(email, ip) {
+  const account = normalize(email);
+  const { failureWindow, ipMaxFailures } = getLimits();
+
+  const lockedUntil = await cache.get(`login:lock:${account}`);
+  if (lockedUntil) {
+    return { allowed: false, retryAfter: secondsUntil(lockedUntil) };
+  }
+
+  const delayedUntil = await cache.get(`login:delay:${account}`);
+  if (delayedUntil) {
+    return { allowed: false, retryAfter: secondsUntil(delayedUntil) };
+  }
+
+  const ipFailures = await cache.get(`login:fail:ip:${ip}`);
+  if (ipFailures && ipFailures >= ipMaxFailures) {
+    return { allowed: false, retryAfter: failureWindow };
+  }
+
+  return { allowed: true };
+}
+
+// Counts a failure against the account and the IP. Each failure past
+// delayAfter doubles the wait before the next attempt; reaching maxAttempts
+// locks the account. Returns { locked } so callers can notify the owner.
+async function recordLoginFailure(email, ip) {
+  const account = normalize(email);
+  const limits = getLimits();
+
+  await cache.incr(`login:fail:ip:${ip}`, limits.failureWindow);
+
+  const failures = await cache.incr(`login:fail:${account}`, limits.failureWindow);
+  if (failures === null) {
+    return { locked: false, failures: 0 };
+  }
+
+  if (failures >= limits.maxAttempts) {
+    await cache.set(`login:lock:${account}`, Date.now() + limits.lockoutDuration * 1000, limits.lockoutDuration);
+    await cache.del(`login:fail:${account}`);
+    await cache.del(`login:delay:${account}`);
+    return { locked: true, failures };
+  }
+
+  if (failures >= limits.delayAfter) {
+    const delay = Math.min(2 ** (failures - limits.delayAfter), limits.maxDelay);
+    await cache.set(`login:delay:${account}`, Date.now() + delay * 1000, delay);
+  }
+
+  return { locked: false, failures };
+}
+
+async function clearLoginFailures(email) {
+  const account = normalize(email);
+  await cache.del(`login:fail:${account}`);
+  await cache.del(`login:delay:${account}`);
+  await cache.del(`login:lock:${account}`);
+}
+
+// Failed second-factor attempts are counted per user rather than per
+// challenge, and a correct password does not reset them, so logging in again
+// for a fresh challenge does not buy more guesses at the code.
+// Returns { allowed: true } or { allowed: false, retryAfter } in seconds
+async function checkSecondFactorAllowed(userId) {
+  const lockedUntil = await cache.get(`mfa:lock:${userId}`);
+  if (lockedUntil) {
+    return { allowed: false, retryAfter: secondsUntil(lockedUntil) };
+  }
+
+  return { allowed: true };
+}
+
+// Reaching maxAttempts locks second-factor verification for the user
+async function recordSecondFactorFailure(userId) {
+  const limits = getLimits();
+
+  const failures = await cache.incr(`mfa:fail:${userId}`, limits.failureWindow);
+  if (failures === null) {
+    return { locked: false, failures: 0 };
+  }
+
+  if (failures >= limits.maxAttempts) {
+    await cache.set(`mfa:lock:${userId}`, Date.now() + limits.lockoutDuration * 1000, limits.lockoutDuration);
+    await cache.del(`mfa:fail:${userId}`);
+    return { locked: true, failures };
+  }
+
+  return { locked: false, failures };
+}
+
+async function clearSecondFactorFailures(userId) {
+  await cache.del(`mfa:fail:${userId}`);
+}
+
+// Single-use token for the "unlock your account" email
+async function createUnlockToken(email) {
+  const { lockoutDuration } = getLimits();
+  const token = crypto.randomBytes(32).toString('base64url');
+  await cache.set(`login:unlock:${hashToken(token)}`, normalize(email), lockoutDuration);
+  return token;
+}
+
+// Returns the unlocked email, or null when the token is unknown or expired
+async function unlockWithToken(token) {
+  const key = `login:unlock:${hashToken(token)}`;
+  const email = await cache.get(key);
+
+  if (!email) {
+    return null;
+  }
+
+  await cache.del(key);
+  await clearLoginFailures(email);
+  return email;
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  checkSecondFactorAllowed,
+  recordSecondFactorFailure,
+  clearSecondFactorFailures,
+  createUnlockToken,
+  unlockWithToken
+};
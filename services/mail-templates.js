@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+
+// Email templates live in templates/mail/<locale>/<name>.txt and .html.
+// The first line of the .txt file is "Subject: ..."; the rest is the plain
+// text body. HTML bodies are wrapped in templates/mail/layout.html.
+//
+// Templates use a small Mustache-style syntax:
+//   {{name}}    value, HTML-escaped in .html templates; dots reach into
+//               objects ({{order.id}}) and {{.}} is the current list item
+//   {{{name}}}  value without escaping
+//   {{#name}}...{{/name}}  repeated for each item of a list, or shown once
+//                          when the value is truthy
+//   {{^name}}...{{/name}}  shown when the value is falsy or an empty list
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'mail');
+
+const SECTION_PATTERN = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const VARIABLE_PATTERN = /\{\{(\{)?\s*([\w.]+)\s*\}?\}\}/g;
+// Section tags on a line of their own take the line with them
+const STANDALONE_TAG_PATTERN = /^[ \t]*(\{\{[#^/][^}]*\}\})[ \t]*\n/gm;
+
+const cache = new Map();
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function lookup(context, name) {
+  if (name === '.') {
+    return context['.'];
+  }
+  return name.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+function isEmpty(value) {
+  return !value || (Array.isArray(value) && value.length === 0);
+}
+
+function render(source, context, { html = false } = {}) {
+  const withSections = source.replace(STANDALONE_TAG_PATTERN, '$1').replace(SECTION_PATTERN, (match, type, name, inner) => {
+    const value = lookup(context, name);
+
+    if (type === '^') {
+      return isEmpty(value) ? render(inner, context, { html }) : '';
+    }
+    if (isEmpty(value)) {
+      return '';
+    }
+
+    const items = Array.isArray(value) ? value : [value];
+    return items.map(item => render(inner, {
+      ...context,
+      ...(item && typeof item === 'object' ? item : {}),
+      '.': item
+    }, { html })).join('');
+  });
+
+  return withSections.replace(VARIABLE_PATTERN, (match, raw, name) => {
+    const value = lookup(context, name);
+
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return html && !raw ? escapeHtml(value) : String(value);
+  });
+}
+
+// Locales with a template directory, e.g. ['en', 'es']
+function availableLocales() {
+  if (!cache.has('locales')) {
+    const locales = fs.readdirSync(TEMPLATE_DIR, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort();
+    cache.set('locales', locales);
+  }
+  return cache.get('locales');
+}
+
+// The best available locale for a requested one: an exact match, then its
+// language (pt-BR -> pt), then the default
+function resolveLocale(locale, defaultLocale = 'en') {
+  const locales = availableLocales();
+  const requested = String(locale || '').toLowerCase();
+  const language = requested.split('-')[0];
+
+  return locales.find(candidate => candidate.toLowerCase() === requested)
+    || locales.find(candidate => candidate.toLowerCase() === language)
+    || defaultLocale;
+}
+
+function readTemplate(file) {
+  if (!cache.has(file)) {
+    const fullPath = path.join(TEMPLATE_DIR, file);
+    cache.set(file, fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null);
+  }
+  return cache.get(file);
+}
+
+// Renders a template into { subject, text, html } for the locale, falling
+// back to the default locale when the locale has no such template
+function renderTemplate(name, locale, data = {}, { defaultLocale = 'en' } = {}) {
+  const resolved = resolveLocale(locale, defaultLocale);
+  const chosen = readTemplate(`${resolved}/${name}.txt`) !== null ? resolved : defaultLocale;
+  const textSource = readTemplate(`${chosen}/${name}.txt`);
+
+  if (textSource === null) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+
+  const [firstLine, ...body] = textSource.split('\n');
+  const subjectMatch = firstLine.match(/^Subject:\s*(.*)$/);
+
+  if (!subjectMatch) {
+    throw new Error(`Mail template ${chosen}/${name}.txt must start with a Subject: line`);
+  }
+
+  const text = render(body.join('\n').replace(/^\n/, ''), data);
+  const htmlSource = readTemplate(`${chosen}/${name}.html`);
+  const subject = render(subjectMatch[1], data).trim();
+  const html = htmlSource === null
+    ? null
+    : render(readTemplate('layout.html') || '{{{body}}}', {
+      subject,
+      lang: chosen,
+      body: render(htmlSource, data, { html: true })
+    }, { html: true });
+
+  return { subject, text, html, locale: chosen };
+}
+
+module.exports = {
+  TEMPLATE_DIR,
+  render,
+  availableLocales,
+  resolveLocale,
+  renderTemplate
+};
@@ -0,0 +1,176 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { getConfig } = require('../config/secrets');
+const { renderTemplate } = require('./mail-templates');
+const smtp = require('./smtp');
+const { enqueue } = require('./jobs');
+
+// Queued sends are tried this many times, waiting RETRY_DELAY_MS,
+// then twice that, and so on, between attempts
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000;
+
+// Built-in transports. Each exposes send(message) and is selected with
+// MAIL_TRANSPORT; other transports can be plugged in with setTransport().
+const transports = {
+  // Logs the message instead of delivering it (default for development).
+  // In production only the recipient and subject are logged, since bodies
+  // carry live links such as password resets.
+  console: {
+    async send(message) {
+      if (getConfig().NODE_ENV === 'production') {
+        console.log(`📧 Mail to ${message.to}: ${message.subject} (not delivered: MAIL_TRANSPORT is console)`);
+      } else {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      }
+      return { id: null };
+    }
+  },
+
+  // Writes each message as a JSON file into MAIL_OUTBOX_DIR (dev and tests)
+  file: {
+    async send(message) {
+      const config = getConfig();
+      const outboxDir = config.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'outbox');
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+      await fs.mkdir(outboxDir, { recursive: true });
+      await fs.writeFile(
+        path.join(outboxDir, `${id}.json`),
+        JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2)
+      );
+      return { id };
+    }
+  },
+
+  // Delivers through the SMTP server in SMTP_HOST
+  smtp: {
+    async send(message) {
+      const config = getConfig();
+
+      if (!config.SMTP_HOST) {
+        throw new Error('SMTP_HOST is not configured');
+      }
+
+      return smtp.sendMessage({
+        host: config.SMTP_HOST,
+        port: parseInt(config.SMTP_PORT) || 587,
+        secure: config.SMTP_SECURE === 'true',
+        user: config.SMTP_USER,
+        password: config.SMTP_PASSWORD
+      }, message);
+    }
+  }
+};
+
+let customTransport = null;
+
+function setTransport(transport) {
+  customTransport = transport;
+}
+
+function getTransport() {
+  if (customTransport) {
+    return customTransport;
+  }
+
+  const name = getConfig().MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  const config = getConfig();
+  const message = {
+    from: config.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  return getTransport().send(message);
+}
+
+// Renders a template (see services/mail-templates.js) in the recipient's
+// locale and sends it
+async function sendTemplate({ to, template, locale, data = {} }) {
+  const config = getConfig();
+  const { subject, text, html } = renderTemplate(template, locale, {
+    appName: config.COMPANY_NAME || 'Example Store',
+    appUrl: config.APP_URL,
+    ...data
+  }, { defaultLocale: config.MAIL_DEFAULT_LOCALE || 'en' });
+
+  return sendMail({ to, subject, text, html });
+}
+
+// Background sending. Mail is queued on the Redis job queue (see
+// services/jobs.js) and delivered by the worker process (worker.js), so
+// requests never wait on the transport; failed sends are retried with
+// backoff and end up in the queue's failed jobs. When Redis is unreachable
+// the message is sent from this process instead, one at a time after the
+// caller has moved on, and logged if that fails too.
+const MAIL_QUEUE = 'mail';
+
+let localTail = Promise.resolve();
+let localQueued = 0;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms).unref());
+
+async function deliverLocally(mail) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await sendTemplate(mail);
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS) {
+        console.error(`Mail ${mail.template} to ${mail.to} failed after ${attempt} attempts:`, error);
+        return null;
+      }
+      await wait(RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+}
+
+function queueLocally(mail) {
+  localQueued++;
+  localTail = localTail
+    .then(() => new Promise(resolve => setImmediate(resolve)))
+    .then(() => deliverLocally(mail))
+    .finally(() => {
+      localQueued--;
+    });
+}
+
+// Queues a templated message: { to, template, locale, data }
+async function queueMail(mail) {
+  try {
+    await enqueue(MAIL_QUEUE, mail, { attempts: MAX_ATTEMPTS, backoff: RETRY_DELAY_MS });
+  } catch (error) {
+    console.error('Mail queue unavailable, sending from this process:', error.message);
+    queueLocally(mail);
+  }
+}
+
+// Resolves once mail being sent from this process has been delivered or
+// given up on
+async function flushMailQueue() {
+  while (localQueued > 0) {
+    await localTail;
+  }
+}
+
+module.exports = {
+  MAIL_QUEUE,
+  transports,
+  setTransport,
+  sendMail,
+  sendTemplate,
+  queueMail,
+  flushMailQueue
+};
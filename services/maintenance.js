@@ -0,0 +1,107 @@
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+const redis = require('../config/redis');
+const { getConfig } = require('../config/secrets');
+const { transitionOrder } = require('./orders');
+const { recordAuditEvent } = require('./audit');
+
+// Housekeeping run on a schedule (see services/scheduled-tasks.js). Each
+// task is safe to run again after a partial run and returns counts of what
+// it did for the logs.
+
+const DEFAULT_PENDING_ORDER_TIMEOUT = 86400;
+const CANCEL_BATCH_SIZE = 500;
+
+// Deletes rows matching a condition and returns how many went
+async function deleteWhere(table, condition) {
+  const rows = await query(`
+    WITH deleted AS (DELETE FROM ${table} WHERE ${condition} RETURNING 1)
+    SELECT COUNT(*)::int AS count FROM deleted
+  `);
+  return rows[0].count;
+}
+
+// Sessions stored in the database that have expired
+async function purgeExpiredSessions() {
+  return { sessions: await deleteWhere('sessions', 'expires_at < CURRENT_TIMESTAMP') };
+}
+
+// Cancels orders still pending and unpaid PENDING_ORDER_TIMEOUT seconds after
+// they were placed, putting their items back into stock. Orders with an
+// authorized or captured payment are left for staff.
+async function cancelUnpaidOrders({ limit = CANCEL_BATCH_SIZE } = {}) {
+  const timeout = parseInt(getConfig().PENDING_ORDER_TIMEOUT) || DEFAULT_PENDING_ORDER_TIMEOUT;
+
+  const stale = await query(`
+    SELECT o.id
+    FROM orders o
+    WHERE o.status = 'pending'
+      AND o.created_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+      AND NOT EXISTS (
+        SELECT 1 FROM payments p
+        WHERE p.order_id = o.id AND p.status IN ('authorized', 'captured')
+      )
+    ORDER BY o.created_at
+    LIMIT $2
+  `, [timeout, limit]);
+
+  let cancelled = 0;
+
+  for (const { id } of stale) {
+    // Re-checked under the order's lock, in case it was paid or changed
+    // since the query above
+    const result = await transitionOrder(id, 'cancelled', {
+      fromStatuses: ['pending'],
+      unpaidOnly: true,
+      note: 'Cancelled automatically: not paid in time'
+    });
+
+    if (!result.error) {
+      cancelled++;
+      await recordAuditEvent('order_expired', {
+        userId: result.order.user_id,
+        details: { order_id: id, timeout_seconds: timeout }
+      });
+    }
+  }
+
+  return { orders: cancelled };
+}
+
+// Refresh, password reset and email verification tokens past their expiry
+// (revoked refresh tokens are kept until then for reuse detection), and
+// blacklisted access tokens that have expired. Blacklist entries normally
+// expire with the token through their Redis TTL; this clears any left
+// without one.
+async function purgeExpiredTokens() {
+  const counts = {
+    refresh_tokens: await deleteWhere('refresh_tokens', 'expires_at < CURRENT_TIMESTAMP'),
+    password_reset_tokens: await deleteWhere('password_reset_tokens', 'expires_at < CURRENT_TIMESTAMP'),
+    email_verification_tokens: await deleteWhere('email_verification_tokens', 'expires_at < CURRENT_TIMESTAMP'),
+    blacklist: 0
+  };
+
+  const client = redis.redisClient;
+  if (!client.isOpen) await client.connect();
+  const now = Math.floor(Date.now() / 1000);
+
+  for await (const key of client.scanIterator({ MATCH: 'blacklist:*', COUNT: 100 })) {
+    if (await client.ttl(key) !== -1) {
+      continue;
+    }
+
+    const payload = jwt.decode(key.slice('blacklist:'.length));
+    if (payload && payload.exp && payload.exp < now) {
+      counts.blacklist += await client.del(key);
+    }
+  }
+
+  return counts;
+}
+
+module.exports = {
+  DEFAULT_PENDING_ORDER_TIMEOUT,
+  purgeExpiredSessions,
+  cancelUnpaidOrders,
+  purgeExpiredTokens
+};
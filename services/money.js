@@ -0,0 +1,22 @@
+// Money is worked out in integer cents so that adding up prices does not
+// drift. Amounts read from NUMERIC columns arrive as strings; toCents takes
+// those as well as numbers.
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+// Two-decimal string for display, e.g. "12.50"
+function formatCents(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+module.exports = {
+  toCents,
+  fromCents,
+  formatCents
+};
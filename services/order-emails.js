@@ -0,0 +1,98 @@
+const { query } = require('../config/database');
+const { getConfig } = require('../config/secrets');
+const { queueMail } = require('./mailer');
+const { getOrderDetails } = require('./orders');
+const { addressLines } = require('./addresses');
+
+// Emails to customers about their orders. The order is read when the event
+// happens and the message is queued (see queueMail) for the worker, so the
+// request that placed or updated the order does not wait on delivery.
+
+const SHIPPING_UPDATE_STATUSES = ['shipped', 'delivered'];
+
+function money(amount) {
+  return Number(amount).toFixed(2);
+}
+
+async function loadRecipient(userId) {
+  const rows = await query('SELECT username, email, locale FROM users WHERE id = $1', [userId]);
+  return rows[0] || null;
+}
+
+function orderUrl(orderId) {
+  return `${getConfig().APP_URL}/orders/${orderId}`;
+}
+
+// Template data for an order (see templates/mail/*/order-confirmation.*)
+function orderConfirmationData(order, username) {
+  const shipping = order.shipping_address;
+
+  return {
+    username,
+    orderId: order.id,
+    orderUrl: orderUrl(order.id),
+    items: order.items.map(item => ({
+      name: item.product && item.product.name ? item.product.name : `Product ${item.product_id}`,
+      quantity: item.quantity,
+      total: money(item.total_price)
+    })),
+    subtotal: money(order.subtotal_amount ?? order.items.reduce((sum, item) => sum + Number(item.total_price), 0)),
+    discount: Number(order.discount_amount) > 0 ? money(order.discount_amount) : null,
+    couponCode: order.coupon_code,
+    tax: Number(order.tax_amount) > 0 ? money(order.tax_amount) : null,
+    taxIncluded: Boolean(order.prices_include_tax),
+    total: money(order.total_amount),
+    currency: 'USD',
+    shippingAddress: shipping ? { lines: [shipping.full_name, ...addressLines(shipping)].filter(Boolean) } : null
+  };
+}
+
+// Queues the confirmation for a newly placed order
+async function sendOrderConfirmation(orderId) {
+  const order = await getOrderDetails(orderId);
+  const user = order && await loadRecipient(order.user_id);
+
+  if (!user) {
+    return;
+  }
+
+  await queueMail({
+    to: user.email,
+    template: 'order-confirmation',
+    locale: user.locale,
+    data: orderConfirmationData(order, user.username)
+  });
+}
+
+// Queues a shipping update when an order ships or is delivered; other
+// status changes send nothing
+async function sendShippingUpdate(order) {
+  if (!SHIPPING_UPDATE_STATUSES.includes(order.status)) {
+    return;
+  }
+
+  const user = await loadRecipient(order.user_id);
+
+  if (!user) {
+    return;
+  }
+
+  await queueMail({
+    to: user.email,
+    template: 'shipping-update',
+    locale: user.locale,
+    data: {
+      username: user.username,
+      orderId: order.id,
+      orderUrl: orderUrl(order.id),
+      shipped: order.status === 'shipped',
+      delivered: order.status === 'delivered'
+    }
+  });
+}
+
+module.exports = {
+  orderConfirmationData,
+  sendOrderConfirmation,
+  sendShippingUpdate
+};
@@ -0,0 +1,376 @@
+const { query, transaction } = require('../config/database');
+const { cache } = require('../config/redis');
+const { applyCoupon, allocateDiscount, recordRedemption, releaseRedemption } = require('./coupons');
+const { calculateTax, orderTotal } = require('./tax');
+const { toCents, fromCents } = require('./money');
+
+// Allowed order status changes. Anything not listed here (e.g. delivered ->
+// pending, or skipping straight from pending to shipped) is rejected.
+const ORDER_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Statuses an order only reaches once it has been paid for
+const PAID_ORDER_STATUSES = ['processing', 'shipped', 'delivered'];
+
+function canTransition(fromStatus, toStatus) {
+  return (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// Records a status change; tx is the transaction the change was made in
+async function recordStatusChange(tx, orderId, fromStatus, toStatus, { changedBy = null, note = null } = {}) {
+  await tx.query(`
+    INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [orderId, fromStatus, toStatus, changedBy, note]);
+}
+
+// Places an order for the given Map of productId -> quantity, shipping to
+// the given address snapshots (see services/addresses.js), optionally
+// redeeming a coupon, and taxing each line for the shipping address (see
+// services/tax.js). Returns { orderId, subtotal, discountAmount, taxAmount,
+// pricesIncludeTax, totalAmount, couponCode }, or { error } when a product
+// is missing, archived or short of stock or the coupon cannot be used, in
+// which case nothing is written.
+async function placeOrder(userId, quantities, { shippingAddress = null, billingAddress = null, couponCode = null } = {}) {
+  const productIds = [...quantities.keys()];
+
+  // Lock the product rows for the rest of the transaction so concurrent
+  // orders queue up behind each other instead of overselling. Rows are
+  // locked in id order so two orders can never deadlock on each other.
+  const outcome = await transaction(async (tx) => {
+    const products = await tx.query(`
+      SELECT id, name, price, category, tax_class, image_url, stock_quantity
+      FROM products
+      WHERE id = ANY($1::int[]) AND is_active = TRUE
+      ORDER BY id
+      FOR UPDATE
+    `, [productIds]);
+
+    const productsById = new Map(products.map(product => [product.id, product]));
+
+    // Line totals are added up in cents so the subtotal does not drift
+    let subtotalCents = 0;
+    const orderItems = [];
+
+    for (const [productId, quantity] of quantities) {
+      const productData = productsById.get(productId);
+
+      if (!productData) {
+        return { error: `Product with ID ${productId} not found` };
+      }
+
+      if (productData.stock_quantity < quantity) {
+        return { error: `Insufficient stock for product ${productData.name}` };
+      }
+
+      const itemCents = toCents(productData.price) * quantity;
+      subtotalCents += itemCents;
+
+      orderItems.push({
+        product_id: productData.id,
+        quantity,
+        unit_price: productData.price,
+        total_price: fromCents(itemCents),
+        tax_class: productData.tax_class,
+        product_snapshot: {
+          name: productData.name,
+          category: productData.category,
+          image_url: productData.image_url
+        }
+      });
+    }
+
+    // The coupon row is locked after the products, in every order, so
+    // redemptions of a limited coupon are counted one at a time
+    let subtotal = fromCents(subtotalCents);
+    let discountAmount = 0;
+    let coupon = null;
+
+    let lineDiscounts = orderItems.map(() => 0);
+
+    if (couponCode) {
+      const lines = orderItems.map(item => ({
+        product_id: item.product_id,
+        category: item.product_snapshot.category,
+        total_price: item.total_price
+      }));
+      const priced = await applyCoupon(tx, couponCode, userId, lines, { forUpdate: true });
+
+      if (priced.error) {
+        return { error: priced.error };
+      }
+
+      coupon = priced.coupon;
+      subtotal = priced.subtotal;
+      discountAmount = priced.discount;
+      lineDiscounts = allocateDiscount(coupon, lines, discountAmount);
+    }
+
+    const taxed = await calculateTax(shippingAddress, orderItems.map((item, index) => ({
+      product_id: item.product_id,
+      tax_class: item.tax_class,
+      quantity: item.quantity,
+      total_price: item.total_price,
+      discount: lineDiscounts[index]
+    })));
+
+    const totalAmount = orderTotal({
+      subtotal,
+      discount: discountAmount,
+      tax: taxed.tax,
+      pricesIncludeTax: taxed.pricesIncludeTax
+    });
+
+    const orderResult = await tx.query(`
+      INSERT INTO orders (
+        user_id, subtotal_amount, discount_amount, tax_amount, prices_include_tax, total_amount,
+        coupon_code, status, shipping_address, billing_address
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING id
+    `, [
+      userId, subtotal, discountAmount, taxed.tax, taxed.pricesIncludeTax, totalAmount, coupon && coupon.code, 'pending',
+      shippingAddress && JSON.stringify(shippingAddress), billingAddress && JSON.stringify(billingAddress)
+    ]);
+
+    const orderId = orderResult[0].id;
+    await recordStatusChange(tx, orderId, null, 'pending', { changedBy: userId });
+
+    if (coupon) {
+      await recordRedemption(tx, coupon, userId, orderId, discountAmount);
+    }
+
+    for (const [index, item] of orderItems.entries()) {
+      await tx.query(`
+        INSERT INTO order_items (
+          order_id, product_id, quantity, unit_price, total_price, discount_amount, tax_rate, tax_amount, product_snapshot
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `, [
+        orderId, item.product_id, item.quantity, item.unit_price, item.total_price,
+        lineDiscounts[index], taxed.lines[index].rate, taxed.lines[index].tax, JSON.stringify(item.product_snapshot)
+      ]);
+
+      await tx.query(
+        'UPDATE products SET stock_quantity = stock_quantity - $1 WHERE id = $2',
+        [item.quantity, item.product_id]
+      );
+    }
+
+    return {
+      orderId,
+      subtotal,
+      discountAmount,
+      taxAmount: taxed.tax,
+      pricesIncludeTax: taxed.pricesIncludeTax,
+      totalAmount,
+      couponCode: coupon && coupon.code
+    };
+  });
+
+  if (outcome.error) {
+    return outcome;
+  }
+
+  await invalidateOrderCaches(userId);
+  for (const productId of quantities.keys()) {
+    await cache.del(`product:${productId}`);
+  }
+  await cache.delPattern('products:*');
+
+  return outcome;
+}
+
+// Returns the order with its line items, status history, payments and
+// refunds, or null
+async function getOrderDetails(orderId) {
+  const orders = await query(`
+    SELECT id, user_id, subtotal_amount, discount_amount, tax_amount, prices_include_tax, total_amount, coupon_code,
+           refunded_amount, status,
+           shipping_address, billing_address, created_at, updated_at
+    FROM orders
+    WHERE id = $1
+  `, [orderId]);
+
+  if (orders.length === 0) {
+    return null;
+  }
+
+  // Orders placed before snapshots were recorded fall back to the live product
+  const [items, history, payments, refunds] = await Promise.all([
+    query(`
+      SELECT oi.id, oi.product_id, oi.quantity, oi.unit_price, oi.total_price,
+             oi.discount_amount, oi.tax_rate, oi.tax_amount,
+             COALESCE(oi.product_snapshot, jsonb_build_object(
+               'name', p.name, 'category', p.category, 'image_url', p.image_url
+             )) AS product
+      FROM order_items oi
+      LEFT JOIN products p ON p.id = oi.product_id
+      WHERE oi.order_id = $1
+      ORDER BY oi.id
+    `, [orderId]),
+    query(`
+      SELECT from_status, to_status, changed_by, note, created_at
+      FROM order_status_history
+      WHERE order_id = $1
+      ORDER BY created_at, id
+    `, [orderId]),
+    query(`
+      SELECT id, provider, amount, currency, status, failure_reason, refunded_amount, captured_at, created_at
+      FROM payments
+      WHERE order_id = $1
+      ORDER BY created_at, id
+    `, [orderId]),
+    query(`
+      SELECT id, payment_id, return_id, amount, reason, status, created_by, created_at
+      FROM order_refunds
+      WHERE order_id = $1
+      ORDER BY created_at, id
+    `, [orderId])
+  ]);
+
+  return { ...orders[0], items, status_history: history, payments, refunds };
+}
+
+// The change itself, made in the caller's transaction tx so that it can go
+// with other writes (see markCaptured in services/payments.js). Takes the
+// same options as transitionOrder and returns { order, restockedProductIds }
+// or { error, status }; the caller clears the caches once tx commits.
+async function applyOrderTransition(tx, orderId, toStatus, { changedBy = null, note = null, ownerId = null, fromStatuses = null, unpaidOnly = false } = {}) {
+  const orders = await tx.query(
+    'SELECT id, user_id, status FROM orders WHERE id = $1 FOR UPDATE',
+    [orderId]
+  );
+
+  if (orders.length === 0 || (ownerId !== null && orders[0].user_id !== ownerId)) {
+    return { error: 'Order not found', status: 404 };
+  }
+
+  const order = orders[0];
+
+  if (fromStatuses && !fromStatuses.includes(order.status)) {
+    return { error: `Order cannot be ${toStatus} while ${order.status}`, status: 409 };
+  }
+
+  if (!canTransition(order.status, toStatus)) {
+    return {
+      error: `Cannot change order status from ${order.status} to ${toStatus}`,
+      status: 409
+    };
+  }
+
+  if (unpaidOnly) {
+    const paid = await tx.query(
+      "SELECT id FROM payments WHERE order_id = $1 AND status IN ('authorized', 'captured')",
+      [orderId]
+    );
+
+    if (paid.length > 0) {
+      return { error: 'Order has been paid', status: 409 };
+    }
+  }
+
+  // Fulfilment starts only once the order has been paid for
+  if (toStatus === 'processing') {
+    const captured = await tx.query(
+      "SELECT id FROM payments WHERE order_id = $1 AND status = 'captured'",
+      [orderId]
+    );
+
+    if (captured.length === 0) {
+      return { error: 'Order has not been paid', status: 409 };
+    }
+  }
+
+  let restockedProductIds = [];
+  if (toStatus === 'cancelled') {
+    const restocked = await tx.query(`
+      UPDATE products p
+      SET stock_quantity = p.stock_quantity + oi.quantity
+      FROM order_items oi
+      WHERE oi.order_id = $1 AND p.id = oi.product_id
+      RETURNING p.id
+    `, [orderId]);
+    restockedProductIds = restocked.map(row => row.id);
+    await releaseRedemption(tx, orderId);
+  }
+
+  const updated = await tx.query(
+    'UPDATE orders SET status = $1 WHERE id = $2 RETURNING id, user_id, total_amount, status, created_at, updated_at',
+    [toStatus, orderId]
+  );
+
+  await recordStatusChange(tx, orderId, order.status, toStatus, { changedBy, note });
+
+  return { order: updated[0], restockedProductIds };
+}
+
+// Moves an order to toStatus under a row lock. Cancelling puts the items
+// back into stock and gives back any coupon use; moving to processing needs
+// a captured payment. Options:
+//   changedBy - user making the change, recorded in the history
+//   note      - free-text reason, recorded in the history
+//   ownerId   - only change the order if it belongs to this user
+//   fromStatuses - narrower set of statuses the change may start from, on
+//                  top of the state machine (e.g. customers cancel only
+//                  while pending)
+//   unpaidOnly   - only change the order if no payment has been authorized
+//                  or captured for it
+// Returns { order } on success or { error, status } with an HTTP status.
+async function transitionOrder(orderId, toStatus, options = {}) {
+  const outcome = await transaction(tx => applyOrderTransition(tx, orderId, toStatus, options));
+
+  if (outcome.error) {
+    return outcome;
+  }
+
+  await invalidateOrderCaches(outcome.order.user_id);
+  for (const productId of outcome.restockedProductIds) {
+    await cache.del(`product:${productId}`);
+  }
+  if (outcome.restockedProductIds.length > 0) {
+    await cache.delPattern('products:*');
+  }
+
+  return { order: outcome.order };
+}
+
+// Response body for a newly placed order
+function orderSummary(outcome) {
+  return {
+    order_id: outcome.orderId,
+    subtotal: outcome.subtotal,
+    discount_amount: outcome.discountAmount,
+    tax_amount: outcome.taxAmount,
+    prices_include_tax: outcome.pricesIncludeTax,
+    total_amount: outcome.totalAmount,
+    coupon_code: outcome.couponCode
+  };
+}
+
+// Cached views that include a user's orders
+async function invalidateOrderCaches(userId) {
+  await cache.del(`dashboard:${userId}`);
+  await cache.delPattern(`orders:user:${userId}:*`);
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  PAID_ORDER_STATUSES,
+  canTransition,
+  recordStatusChange,
+  placeOrder,
+  orderSummary,
+  getOrderDetails,
+  applyOrderTransition,
+  transitionOrder,
+  invalidateOrderCaches
+};
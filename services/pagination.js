@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { getConfig } = require('../config/secrets');
+
+// Shared pagination helpers. Lists support the classic page/limit mode and
+// a keyset ("cursor") mode over (created_at, id), newest first. Cursors are
+// opaque to clients and signed, so they cannot be edited or reused against
+// a different list.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+function parseLimit(value) {
+  const limit = parseInt(value) || DEFAULT_LIMIT;
+  return Math.min(Math.max(limit, 1), MAX_LIMIT);
+}
+
+function sign(data) {
+  const key = crypto.createHash('sha256').update(`pagination-cursor:${getConfig().JWT_SECRET}`).digest();
+  return crypto.createHmac('sha256', key).update(data).digest('base64url');
+}
+
+// scope identifies the list (and its filters) the cursor belongs to
+function encodeCursor({ ts, id, direction }, scope) {
+  const data = Buffer.from(JSON.stringify({ ts, id, d: direction, s: scope })).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+// Returns { ts, id, direction }, or null when the token is malformed, has
+// been tampered with, or belongs to another list
+function decodeCursor(token, scope) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [data, signature] = token.split('.');
+  if (!data || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+    if (payload.s !== scope || !['next', 'prev'].includes(payload.d) || !Number.isInteger(payload.id)) {
+      return null;
+    }
+    return { ts: payload.ts, id: payload.id, direction: payload.d };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Short, stable scope for a list whose contents depend on the given filters
+function cursorScope(name, filters = {}) {
+  const digest = crypto.createHash('sha256').update(JSON.stringify(filters)).digest('hex');
+  return `${name}:${digest.slice(0, 16)}`;
+}
+
+// SQL pieces for one keyset page. Rows must be fetched with LIMIT limit + 1
+// and select `<timeColumn>::text AS cursor_ts` so that cursors keep the full
+// microsecond precision of the timestamp. Going backwards reads the rows in
+// ascending order; buildCursorPage puts them back.
+function keysetWindow(cursor, { timeColumn, idColumn, paramIndex }) {
+  if (!cursor) {
+    return { condition: null, orderBy: `${timeColumn} DESC, ${idColumn} DESC`, params: [] };
+  }
+
+  const comparison = cursor.direction === 'next' ? '<' : '>';
+  const order = cursor.direction === 'next' ? 'DESC' : 'ASC';
+
+  return {
+    condition: `(${timeColumn}, ${idColumn}) ${comparison} ($${paramIndex}::timestamp, $${paramIndex + 1})`,
+    orderBy: `${timeColumn} ${order}, ${idColumn} ${order}`,
+    params: [cursor.ts, cursor.id]
+  };
+}
+
+// Trims the extra row fetched by keysetWindow and works out the cursors for
+// the neighbouring pages. Returns { rows, nextCursor, prevCursor }.
+function buildCursorPage(fetchedRows, cursor, limit, scope) {
+  const hasMore = fetchedRows.length > limit;
+  const rows = fetchedRows.slice(0, limit);
+  const goingBack = cursor && cursor.direction === 'prev';
+
+  if (goingBack) {
+    rows.reverse();
+  }
+
+  // Having come back from a later page, there is always a next page
+  const hasNext = goingBack ? true : hasMore;
+  const hasPrev = goingBack ? hasMore : Boolean(cursor);
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+
+  const nextCursor = hasNext && last
+    ? encodeCursor({ ts: last.cursor_ts, id: last.id, direction: 'next' }, scope)
+    : null;
+  const prevCursor = hasPrev && first
+    ? encodeCursor({ ts: first.cursor_ts, id: first.id, direction: 'prev' }, scope)
+    : null;
+
+  for (const row of rows) {
+    delete row.cursor_ts;
+  }
+
+  return { rows, nextCursor, prevCursor };
+}
+
+// Link to the same list with a different cursor, keeping the other query
+// parameters (minus offset pagination ones)
+function pageLink(req, cursor) {
+  if (!cursor) {
+    return null;
+  }
+
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(req.query)) {
+    if (!['cursor', 'page', 'pagination'].includes(key)) {
+      params.append(key, [].concat(value).join(','));
+    }
+  }
+  params.append('cursor', cursor);
+
+  const path = req.path === '/' ? '' : req.path;
+  return `${req.baseUrl}${path}?${params.toString()}`;
+}
+
+// Cursor mode is used when a cursor is given, or ?pagination=cursor asks
+// for the first page
+function wantsCursorPagination(req) {
+  return req.query.cursor !== undefined || req.query.pagination === 'cursor';
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  cursorScope,
+  keysetWindow,
+  buildCursorPage,
+  pageLink,
+  wantsCursorPagination
+};
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { getConfig } = require('../config/secrets');
+
+// Payment providers. Each exposes:
+//   authorize({ amount, currency, orderId, paymentMethod })
+//     -> { status: 'authorized' | 'failed', reference, failureReason }
+//   capture({ reference, amount })
+//     -> { status: 'captured' | 'pending' | 'failed', failureReason }
+//     ('pending' means the provider confirms the capture later by webhook)
+//   void({ reference }) -> { status: 'voided' | 'failed', failureReason }
+//   refund({ reference, amount, idempotencyKey })
+//     -> { status: 'refunded' | 'failed', refundReference, failureReason }
+//     (idempotencyKey is the same for every attempt at one refund)
+//   verifyWebhook(rawBody, headers)
+//     -> { id, type, reference, data } or null when the signature is invalid
+// The provider is selected with PAYMENT_PROVIDER; others can be plugged in
+// with setProvider().
+
+const WEBHOOK_EVENT_TYPES = ['payment.captured', 'payment.failed', 'payment.voided', 'payment.refunded'];
+
+function hmac(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Offline gateway for development and tests. The payment method picks the
+// outcome, and the outcome is carried in the reference so no state is kept:
+//   tok_decline      - authorization is declined
+//   tok_capture_fail - authorizes, but the capture is declined
+//   tok_async        - capture is confirmed later by a payment.captured webhook
+//   anything else    - authorizes and captures
+const MOCK_OUTCOMES = {
+  tok_capture_fail: 'cf',
+  tok_async: 'async'
+};
+
+const mock = {
+  name: 'mock',
+
+  async authorize({ paymentMethod }) {
+    if (paymentMethod === 'tok_decline') {
+      return { status: 'failed', reference: null, failureReason: 'Card declined' };
+    }
+
+    const outcome = MOCK_OUTCOMES[paymentMethod] || 'ok';
+    return { status: 'authorized', reference: `mock_${outcome}_${crypto.randomBytes(8).toString('hex')}` };
+  },
+
+  async capture({ reference }) {
+    if (reference.startsWith('mock_cf_')) {
+      return { status: 'failed', failureReason: 'Capture declined' };
+    }
+    if (reference.startsWith('mock_async_')) {
+      return { status: 'pending' };
+    }
+    return { status: 'captured' };
+  },
+
+  async void() {
+    return { status: 'voided' };
+  },
+
+  async refund() {
+    return { status: 'refunded', refundReference: `mock_re_${crypto.randomBytes(8).toString('hex')}` };
+  },
+
+  // Webhooks carry a JSON body { id, type, data: { reference } } signed
+  // with an HMAC-SHA256 of the raw body in X-Mock-Signature
+  verifyWebhook(rawBody, headers) {
+    const secret = getConfig().PAYMENT_WEBHOOK_SECRET;
+    const signature = headers['x-mock-signature'];
+
+    if (!secret || !rawBody || !signature || !safeEqual(hmac(secret, rawBody), signature)) {
+      return null;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (!event || !event.id || !WEBHOOK_EVENT_TYPES.includes(event.type) || !event.data || !event.data.reference) {
+      return null;
+    }
+
+    return { id: String(event.id), type: event.type, reference: event.data.reference, data: event.data };
+  },
+
+  // Signs a webhook body the way the mock gateway would; for tests and
+  // for simulating the gateway during development
+  signWebhook(rawBody) {
+    return hmac(getConfig().PAYMENT_WEBHOOK_SECRET, rawBody);
+  }
+};
+
+const providers = { mock };
+
+let customProvider = null;
+
+function setProvider(provider) {
+  customProvider = provider;
+}
+
+function getProvider() {
+  if (customProvider) {
+    return customProvider;
+  }
+
+  const name = getConfig().PAYMENT_PROVIDER || 'mock';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  providers,
+  setProvider,
+  getProvider
+};
@@ -0,0 +1,547 @@
+const { query, transaction } = require('../config/database');
+const { getConfig } = require('../config/secrets');
+const { getProvider } = require('./payment-providers');
+const { PAID_ORDER_STATUSES, applyOrderTransition, invalidateOrderCaches } = require('./orders');
+const { toCents, fromCents, formatCents } = require('./money');
+
+// Charging orders through the configured payment provider. A payment is
+// authorized, then captured; only a successful capture moves its order from
+// pending to processing (see transitionOrder). A capture may be reported
+// both by the API call and by a webhook; it is applied once either way.
+
+const PAYMENT_STATUSES = ['pending', 'authorized', 'captured', 'failed', 'voided', 'refunded'];
+
+const PAYMENT_COLUMNS = `id, order_id, provider, provider_reference, amount, currency, status, failure_reason,
+       refunded_amount, authorized_at, captured_at, created_at, updated_at`;
+
+const REFUND_COLUMNS = 'id, order_id, payment_id, return_id, amount, reason, provider_reference, status, created_by, created_at';
+
+const DEFAULT_CURRENCY = 'USD';
+
+function providerName(provider) {
+  return provider.name || getConfig().PAYMENT_PROVIDER || 'mock';
+}
+
+async function getPayment(paymentId) {
+  const rows = await query(`SELECT ${PAYMENT_COLUMNS} FROM payments WHERE id = $1`, [paymentId]);
+  return rows[0] || null;
+}
+
+async function listOrderPayments(orderId) {
+  return query(`SELECT ${PAYMENT_COLUMNS} FROM payments WHERE order_id = $1 ORDER BY created_at, id`, [orderId]);
+}
+
+async function updatePayment(paymentId, fields) {
+  const columns = Object.keys(fields);
+  const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+  const rows = await query(`
+    UPDATE payments SET ${assignments.join(', ')}
+    WHERE id = $${columns.length + 1}
+    RETURNING ${PAYMENT_COLUMNS}
+  `, [...columns.map(column => fields[column]), paymentId]);
+
+  return rows[0];
+}
+
+// Records a successful capture and starts fulfilment. The payment and the
+// order change in one transaction under the order's row lock. Safe to call
+// twice: only the call that moves the payment out of 'authorized'
+// transitions the order. Money captured for an order that can no longer go
+// to processing (e.g. cancelled while the capture was pending) is refunded.
+async function markCaptured(payment, { changedBy = null } = {}) {
+  const outcome = await transaction(async (tx) => {
+    // Order first, then payment: the same lock order as refundOrder
+    await tx.query('SELECT id FROM orders WHERE id = $1 FOR UPDATE', [payment.order_id]);
+
+    const rows = await tx.query(`
+      UPDATE payments SET status = 'captured', captured_at = CURRENT_TIMESTAMP, failure_reason = NULL
+      WHERE id = $1 AND status = 'authorized'
+      RETURNING ${PAYMENT_COLUMNS}
+    `, [payment.id]);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const result = await applyOrderTransition(tx, payment.order_id, 'processing', {
+      changedBy,
+      note: 'Payment captured'
+    });
+
+    return { ...result, payment: rows[0] };
+  });
+
+  if (outcome === null) {
+    return getPayment(payment.id);
+  }
+
+  if (!outcome.error) {
+    await invalidateOrderCaches(outcome.order.user_id);
+    return outcome.payment;
+  }
+
+  console.warn(`Payment ${payment.id} captured but order ${payment.order_id} not moved to processing: ${outcome.error}`);
+
+  const refunded = await refundOrder(payment.order_id, { reason: 'Order could not be processed' });
+
+  if (refunded.error) {
+    console.error(`Refunding payment ${payment.id} failed: ${refunded.error}`);
+    return outcome.payment;
+  }
+
+  return refunded.payment;
+}
+
+// Starts paying one of the user's pending orders with paymentMethod (a
+// provider token). With capture, the payment is captured straight away.
+// Returns { payment } or { error, status, payment } with an HTTP status.
+async function payOrder(orderId, userId, { paymentMethod, capture = true } = {}) {
+  const provider = getProvider();
+
+  const created = await transaction(async (tx) => {
+    const orders = await tx.query(
+      'SELECT id, user_id, status, total_amount FROM orders WHERE id = $1 FOR UPDATE',
+      [orderId]
+    );
+
+    if (orders.length === 0 || orders[0].user_id !== userId) {
+      return { error: 'Order not found', status: 404 };
+    }
+
+    if (orders[0].status !== 'pending') {
+      return { error: `Order cannot be paid while ${orders[0].status}`, status: 409 };
+    }
+
+    const active = await tx.query(
+      "SELECT id FROM payments WHERE order_id = $1 AND status IN ('pending', 'authorized', 'captured')",
+      [orderId]
+    );
+
+    if (active.length > 0) {
+      return { error: 'Order already has a payment in progress', status: 409 };
+    }
+
+    const rows = await tx.query(`
+      INSERT INTO payments (order_id, provider, amount, currency)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ${PAYMENT_COLUMNS}
+    `, [orderId, providerName(provider), orders[0].total_amount, DEFAULT_CURRENCY]);
+
+    return { payment: rows[0] };
+  });
+
+  if (created.error) {
+    return created;
+  }
+
+  let payment = created.payment;
+  let authorization;
+
+  try {
+    authorization = await provider.authorize({
+      amount: Number(payment.amount),
+      currency: payment.currency,
+      orderId,
+      paymentMethod
+    });
+  } catch (error) {
+    await updatePayment(payment.id, { status: 'failed', failure_reason: 'Payment provider error' });
+    throw error;
+  }
+
+  if (authorization.status !== 'authorized') {
+    payment = await updatePayment(payment.id, {
+      status: 'failed',
+      failure_reason: authorization.failureReason || 'Payment declined'
+    });
+    return { error: payment.failure_reason, status: 402, payment };
+  }
+
+  payment = await updatePayment(payment.id, {
+    status: 'authorized',
+    provider_reference: authorization.reference,
+    authorized_at: new Date()
+  });
+
+  if (!capture) {
+    return { payment };
+  }
+
+  return capturePayment(payment.id, { changedBy: userId });
+}
+
+// Captures an authorized payment. When the provider confirms the capture
+// later, the payment stays authorized until its webhook arrives.
+async function capturePayment(paymentId, { changedBy = null } = {}) {
+  const payment = await getPayment(paymentId);
+
+  if (!payment) {
+    return { error: 'Payment not found', status: 404 };
+  }
+
+  if (payment.status !== 'authorized') {
+    return { error: `Cannot capture a payment that is ${payment.status}`, status: 409, payment };
+  }
+
+  const result = await getProvider().capture({
+    reference: payment.provider_reference,
+    amount: Number(payment.amount)
+  });
+
+  if (result.status === 'pending') {
+    return { payment, pending: true };
+  }
+
+  if (result.status !== 'captured') {
+    const failed = await updatePayment(payment.id, {
+      status: 'failed',
+      failure_reason: result.failureReason || 'Capture declined'
+    });
+    return { error: failed.failure_reason, status: 402, payment: failed };
+  }
+
+  return { payment: await markCaptured(payment, { changedBy }) };
+}
+
+// Releases an authorized payment without charging it
+async function voidPayment(paymentId) {
+  const payment = await getPayment(paymentId);
+
+  if (!payment) {
+    return { error: 'Payment not found', status: 404 };
+  }
+
+  if (payment.status !== 'authorized') {
+    return { error: `Cannot void a payment that is ${payment.status}`, status: 409, payment };
+  }
+
+  const result = await getProvider().void({ reference: payment.provider_reference });
+
+  if (result.status !== 'voided') {
+    return { error: result.failureReason || 'Void declined', status: 402, payment };
+  }
+
+  return { payment: await updatePayment(payment.id, { status: 'voided' }) };
+}
+
+// Voids whatever is still authorized on an order, e.g. once it is cancelled
+async function voidOrderPayments(orderId) {
+  const authorized = await query(
+    "SELECT id FROM payments WHERE order_id = $1 AND status = 'authorized'",
+    [orderId]
+  );
+
+  for (const payment of authorized) {
+    await voidPayment(payment.id);
+  }
+}
+
+// Gives back what a cancelled order's payments still hold: authorizations
+// are voided and captured money not yet refunded goes back through
+// refundOrder. Returns refundOrder's result, or null when nothing was
+// captured.
+async function releaseOrderPayments(orderId, { createdBy = null } = {}) {
+  await voidOrderPayments(orderId);
+
+  const captured = await query(
+    "SELECT id FROM payments WHERE order_id = $1 AND status = 'captured'",
+    [orderId]
+  );
+
+  if (captured.length === 0) {
+    return null;
+  }
+
+  const result = await refundOrder(orderId, { reason: 'Order cancelled', createdBy });
+
+  if (result.error) {
+    console.warn(`Order ${orderId} cancelled but its payment was not refunded: ${result.error}`);
+  }
+
+  return result;
+}
+
+// Records a refund against its order; tx is the refund's transaction. A
+// pending refund already counts towards the order's refunded_amount.
+async function recordOrderRefund(tx, orderId, { amount, paymentId = null, returnId = null, reason = null, providerReference = null, createdBy = null, status = 'completed' }) {
+  const rows = await tx.query(`
+    INSERT INTO order_refunds (order_id, payment_id, return_id, amount, reason, provider_reference, created_by, status)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING ${REFUND_COLUMNS}
+  `, [orderId, paymentId, returnId, amount, reason, providerReference, createdBy, status]);
+
+  await tx.query('UPDATE orders SET refunded_amount = refunded_amount + $1 WHERE id = $2', [amount, orderId]);
+
+  return rows[0];
+}
+
+// Marks a pending refund done once the provider has made it; a payment with
+// nothing left on it becomes refunded
+async function completeRefund(refund, providerReference) {
+  return transaction(async (tx) => {
+    await tx.query('SELECT id FROM orders WHERE id = $1 FOR UPDATE', [refund.order_id]);
+
+    const refunds = await tx.query(`
+      UPDATE order_refunds SET status = 'completed', provider_reference = $1
+      WHERE id = $2
+      RETURNING ${REFUND_COLUMNS}
+    `, [providerReference, refund.id]);
+    const payments = await tx.query(`
+      UPDATE payments SET status = CASE WHEN refunded_amount >= amount THEN 'refunded' ELSE status END
+      WHERE id = $1
+      RETURNING ${PAYMENT_COLUMNS}
+    `, [refund.payment_id]);
+
+    return { refund: refunds[0], payment: payments[0] };
+  });
+}
+
+// Gives back the amount a pending refund reserved when the provider
+// declined it
+async function releaseRefund(refund) {
+  await transaction(async (tx) => {
+    await tx.query('SELECT id FROM orders WHERE id = $1 FOR UPDATE', [refund.order_id]);
+    await tx.query('DELETE FROM order_refunds WHERE id = $1', [refund.id]);
+    await tx.query('UPDATE orders SET refunded_amount = refunded_amount - $1 WHERE id = $2', [refund.amount, refund.order_id]);
+    await tx.query('UPDATE payments SET refunded_amount = refunded_amount - $1 WHERE id = $2', [refund.amount, refund.payment_id]);
+  });
+}
+
+// Refunds amount (default: whatever is left) of an order through its
+// captured payment. Orders never charged through a provider (e.g. paid
+// before payments were tracked) get a manual refund, recorded only, once
+// they have reached a paid status; unpaid orders cannot be refunded.
+//
+// The provider is never called inside a transaction, which may be retried
+// or fail to commit after the money has gone. Instead the amount is first
+// reserved as a pending refund under the order row lock, so two refunds
+// cannot both pass the remaining-amount check; the refund is then completed,
+// or released when the provider declines it. When the provider call or the
+// completion fails part way the refund stays pending: whether the money went
+// back has to be checked with the provider. Returns { refund, payment } or
+// { error, status }.
+async function refundOrder(orderId, { amount = null, reason = null, returnId = null, createdBy = null } = {}) {
+  const reserved = await transaction(async (tx) => {
+    const orders = await tx.query(
+      'SELECT id, user_id, status, total_amount, refunded_amount FROM orders WHERE id = $1 FOR UPDATE',
+      [orderId]
+    );
+
+    if (orders.length === 0) {
+      return { error: 'Order not found', status: 404 };
+    }
+
+    const order = orders[0];
+    const charged = await tx.query(`
+      SELECT ${PAYMENT_COLUMNS} FROM payments
+      WHERE order_id = $1 AND status IN ('authorized', 'captured', 'refunded')
+      ORDER BY id DESC
+      LIMIT 1
+      FOR UPDATE
+    `, [orderId]);
+    const payment = charged[0] || null;
+
+    if (payment && payment.status === 'authorized') {
+      return { error: 'Payment has not been captured; void it instead', status: 409 };
+    }
+
+    if (!payment && !PAID_ORDER_STATUSES.includes(order.status)) {
+      return { error: 'Order has not been paid', status: 409 };
+    }
+
+    let remaining = toCents(order.total_amount) - toCents(order.refunded_amount);
+    if (payment) {
+      remaining = Math.min(remaining, toCents(payment.amount) - toCents(payment.refunded_amount));
+    }
+
+    if (remaining <= 0) {
+      return { error: 'Order has already been fully refunded', status: 409 };
+    }
+
+    const refund = amount === null ? remaining : toCents(amount);
+
+    if (refund <= 0 || refund > remaining) {
+      return { error: `Refund must be between 0.01 and ${formatCents(remaining)}`, status: 400 };
+    }
+
+    if (payment) {
+      await tx.query(
+        'UPDATE payments SET refunded_amount = refunded_amount + $1 WHERE id = $2',
+        [fromCents(refund), payment.id]
+      );
+    }
+
+    const recorded = await recordOrderRefund(tx, orderId, {
+      amount: fromCents(refund),
+      paymentId: payment && payment.id,
+      returnId,
+      reason,
+      createdBy,
+      status: payment ? 'pending' : 'completed'
+    });
+
+    return { refund: recorded, payment, userId: order.user_id };
+  });
+
+  if (reserved.error) {
+    return reserved;
+  }
+
+  await invalidateOrderCaches(reserved.userId);
+
+  if (!reserved.payment) {
+    return { refund: reserved.refund, payment: null };
+  }
+
+  const result = await getProvider().refund({
+    reference: reserved.payment.provider_reference,
+    amount: Number(reserved.refund.amount),
+    idempotencyKey: `refund-${reserved.refund.id}`
+  });
+
+  if (result.status !== 'refunded') {
+    await releaseRefund(reserved.refund);
+    await invalidateOrderCaches(reserved.userId);
+    return { error: result.failureReason || 'Refund declined', status: 402 };
+  }
+
+  try {
+    return await completeRefund(reserved.refund, result.refundReference || null);
+  } catch (error) {
+    console.error(`Refund ${reserved.refund.id} made by the provider but left pending:`, error.message);
+    throw error;
+  }
+}
+
+// Refunds a captured payment; see refundOrder
+async function refundPayment(paymentId, options = {}) {
+  const payment = await getPayment(paymentId);
+
+  if (!payment) {
+    return { error: 'Payment not found', status: 404 };
+  }
+
+  if (payment.status !== 'captured') {
+    return { error: `Cannot refund a payment that is ${payment.status}`, status: 409 };
+  }
+
+  return refundOrder(payment.order_id, options);
+}
+
+// A refund made at the provider (e.g. from its dashboard) of amount, or of
+// whatever is left on the payment
+async function recordProviderRefund(paymentId, amount) {
+  const outcome = await transaction(async (tx) => {
+    // Order first, then payment: the same lock order as refundOrder
+    const orders = await tx.query(
+      'SELECT id, user_id FROM orders WHERE id = (SELECT order_id FROM payments WHERE id = $1) FOR UPDATE',
+      [paymentId]
+    );
+    const rows = await tx.query(
+      'SELECT id, order_id, amount, refunded_amount, status FROM payments WHERE id = $1 FOR UPDATE',
+      [paymentId]
+    );
+    const payment = rows[0];
+    const remaining = toCents(payment.amount) - toCents(payment.refunded_amount);
+    const refund = amount ? Math.min(toCents(amount), remaining) : remaining;
+
+    if (payment.status !== 'captured' || refund <= 0) {
+      return null;
+    }
+
+    const refundedCents = toCents(payment.refunded_amount) + refund;
+    await tx.query(
+      'UPDATE payments SET refunded_amount = $1, status = $2 WHERE id = $3',
+      [fromCents(refundedCents), refundedCents === toCents(payment.amount) ? 'refunded' : 'captured', payment.id]
+    );
+    await recordOrderRefund(tx, payment.order_id, {
+      amount: fromCents(refund),
+      paymentId: payment.id,
+      reason: 'Refunded at the payment provider'
+    });
+
+    return orders[0].user_id;
+  });
+
+  if (outcome !== null) {
+    await invalidateOrderCaches(outcome);
+  }
+}
+
+// Applies a verified webhook event. Each event is handled once; redelivered
+// events and events for unknown payments are acknowledged and ignored. An
+// event that fails part way is not kept as handled, so the provider's retry
+// gets another go at it. Returns { handled, duplicate }.
+async function handleWebhookEvent(event) {
+  const provider = getProvider();
+  const name = providerName(provider);
+
+  const recorded = await query(`
+    INSERT INTO payment_events (provider, event_id, event_type, payload)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (provider, event_id) DO NOTHING
+    RETURNING id
+  `, [name, event.id, event.type, JSON.stringify(event.data)]);
+
+  if (recorded.length === 0) {
+    return { handled: false, duplicate: true };
+  }
+
+  try {
+    const payments = await query(
+      `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE provider = $1 AND provider_reference = $2`,
+      [name, event.reference]
+    );
+
+    if (payments.length === 0) {
+      return { handled: false, duplicate: false };
+    }
+
+    const payment = payments[0];
+    await query('UPDATE payment_events SET payment_id = $1 WHERE id = $2', [payment.id, recorded[0].id]);
+
+    switch (event.type) {
+      case 'payment.captured':
+        await markCaptured(payment);
+        break;
+      case 'payment.failed':
+        if (['pending', 'authorized'].includes(payment.status)) {
+          await updatePayment(payment.id, {
+            status: 'failed',
+            failure_reason: event.data.reason || 'Payment failed'
+          });
+        }
+        break;
+      case 'payment.voided':
+        if (payment.status === 'authorized') {
+          await updatePayment(payment.id, { status: 'voided' });
+        }
+        break;
+      case 'payment.refunded':
+        await recordProviderRefund(payment.id, event.data.amount);
+        break;
+    }
+  } catch (error) {
+    // Forget the event so that the provider's redelivery applies it
+    await query('DELETE FROM payment_events WHERE id = $1', [recorded[0].id]);
+    throw error;
+  }
+
+  return { handled: true, duplicate: false };
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  getPayment,
+  listOrderPayments,
+  payOrder,
+  capturePayment,
+  voidPayment,
+  voidOrderPayments,
+  releaseOrderPayments,
+  recordOrderRefund,
+  refundOrder,
+  refundPayment,
+  handleWebhookEvent
+};
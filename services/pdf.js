@@ -0,0 +1,118 @@
+// Minimal PDF 1.4 writer for simple documents such as invoices: text in the
+// standard Helvetica, Helvetica-Bold and Courier fonts, straight lines and
+// multiple pages. Coordinates are in points from the top-left corner.
+// Text is encoded as WinAnsi (Latin-1); other characters print as '?'.
+
+const FONTS = {
+  regular: { key: 'F1', baseFont: 'Helvetica' },
+  bold: { key: 'F2', baseFont: 'Helvetica-Bold' },
+  mono: { key: 'F3', baseFont: 'Courier' }
+};
+
+// Courier glyphs are all 600/1000 em wide, which is what lets callers
+// right-align figures without font metrics
+const MONO_CHAR_WIDTH = 0.6;
+
+const A4 = { width: 595, height: 842 };
+
+function escapeText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+function monoWidth(text, size) {
+  return String(text).length * size * MONO_CHAR_WIDTH;
+}
+
+function createPdf({ width = A4.width, height = A4.height } = {}) {
+  const pages = [[]];
+
+  const current = () => pages[pages.length - 1];
+
+  const doc = {
+    width,
+    height,
+
+    addPage() {
+      pages.push([]);
+      return doc;
+    },
+
+    // font is 'regular', 'bold' or 'mono'; align 'right' (mono only) puts
+    // the end of the text at x
+    text(x, y, text, { font = 'regular', size = 10, align = 'left' } = {}) {
+      const { key } = FONTS[font];
+      const left = align === 'right' ? x - monoWidth(text, size) : x;
+
+      current().push(
+        `BT /${key} ${formatNumber(size)} Tf ${formatNumber(left)} ${formatNumber(height - y)} Td (${escapeText(text)}) Tj ET`
+      );
+      return doc;
+    },
+
+    line(x1, y1, x2, y2, { width: lineWidth = 0.5 } = {}) {
+      current().push(
+        `${formatNumber(lineWidth)} w ${formatNumber(x1)} ${formatNumber(height - y1)} m ${formatNumber(x2)} ${formatNumber(height - y2)} l S`
+      );
+      return doc;
+    },
+
+    toBuffer() {
+      const objects = [];
+      const addObject = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = addObject(null);
+      const pagesId = addObject(null);
+      const fontRefs = Object.values(FONTS).map(({ key, baseFont }) => {
+        const id = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`);
+        return `/${key} ${id} 0 R`;
+      });
+
+      const pageIds = pages.map((operations) => {
+        const content = Buffer.from(operations.join('\n'), 'latin1');
+        const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content.toString('latin1')}\nendstream`);
+
+        return addObject(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${width} ${height}] ` +
+          `/Resources << /Font << ${fontRefs.join(' ')} >> >> /Contents ${contentId} 0 R >>`
+        );
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let output = '%PDF-1.4\n';
+      const offsets = [];
+
+      objects.forEach((body, index) => {
+        offsets.push(Buffer.byteLength(output, 'latin1'));
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      });
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+
+  return doc;
+}
+
+module.exports = {
+  A4,
+  createPdf,
+  monoWidth
+};
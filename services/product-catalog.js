@@ -0,0 +1,262 @@
+const { query } = require('../config/database');
+const { buildTsQuery, extractTerms, sanitizeHighlight } = require('./product-search');
+const { keysetWindow } = require('./pagination');
+
+// Product listing: filters, sorting and facet counts for GET /api/products
+
+const SORT_ORDERS = {
+  newest: 'p.created_at DESC, p.id DESC',
+  price_asc: 'p.price ASC, p.id ASC',
+  price_desc: 'p.price DESC, p.id DESC',
+  name_asc: 'p.name ASC, p.id ASC',
+  name_desc: 'p.name DESC, p.id DESC',
+  best_selling: 'COALESCE(s.total_sold, 0) DESC, p.created_at DESC, p.id DESC',
+  relevance: 'rank DESC, p.created_at DESC, p.id DESC'
+};
+
+// Upper bounds are exclusive; the last bucket is open-ended
+const PRICE_BUCKETS = [
+  { min: 0, max: 25 },
+  { min: 25, max: 50 },
+  { min: 50, max: 100 },
+  { min: 100, max: 250 },
+  { min: 250, max: 500 },
+  { min: 500, max: null }
+];
+
+function parsePrice(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : NaN;
+}
+
+// Turns the query string into a filters object. Categories may be repeated
+// (?category=a&category=b) or comma-separated. Returns { filters } or
+// { error } with a message for a 400 response.
+function parseListingFilters(params) {
+  const categories = [].concat(params.category || [])
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+
+  const minPrice = parsePrice(params.min_price);
+  const maxPrice = parsePrice(params.max_price);
+
+  if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+    return { error: 'Prices must be non-negative numbers' };
+  }
+
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    return { error: 'min_price cannot be greater than max_price' };
+  }
+
+  const tsQuery = buildTsQuery(params.q);
+  const sort = params.sort || (tsQuery ? 'relevance' : 'newest');
+
+  if (!SORT_ORDERS[sort] || (sort === 'relevance' && !tsQuery)) {
+    const allowed = Object.keys(SORT_ORDERS).filter(name => name !== 'relevance');
+    return { error: `Sort must be one of: ${allowed.join(', ')}${tsQuery ? ', relevance' : ''}` };
+  }
+
+  return {
+    filters: {
+      categories: [...new Set(categories)].sort(),
+      minPrice,
+      maxPrice,
+      inStock: params.in_stock === 'true' || params.in_stock === '1',
+      tsQuery,
+      searchTerms: tsQuery ? extractTerms(params.q) : [],
+      sort
+    }
+  };
+}
+
+// Builds the WHERE clause for the given filters. Facets pass `skip` to leave
+// out their own dimension, so the category facet still shows counts for
+// other categories once one is selected. tsQueryParam is the SQL for the
+// search query, for reuse in ranking and highlighting.
+function buildWhere(filters, { skip = [] } = {}) {
+  const conditions = ['p.is_active = TRUE'];
+  const params = [];
+
+  if (filters.categories.length > 0 && !skip.includes('category')) {
+    params.push(filters.categories);
+    conditions.push(`p.category = ANY($${params.length}::text[])`);
+  }
+
+  if (!skip.includes('price')) {
+    if (filters.minPrice !== null) {
+      params.push(filters.minPrice);
+      conditions.push(`p.price >= $${params.length}`);
+    }
+    if (filters.maxPrice !== null) {
+      params.push(filters.maxPrice);
+      conditions.push(`p.price <= $${params.length}`);
+    }
+  }
+
+  if (filters.inStock) {
+    conditions.push('p.stock_quantity > 0');
+  }
+
+  let tsQueryParam = null;
+  if (filters.tsQuery) {
+    params.push(filters.tsQuery);
+    tsQueryParam = `to_tsquery('english', $${params.length})`;
+    conditions.push(`p.search_vector @@ ${tsQueryParam}`);
+  }
+
+  return { whereClause: `WHERE ${conditions.join(' AND ')}`, params, tsQueryParam };
+}
+
+// Cache key for a listing page. Unfiltered listings keep the plain
+// products:{page}:{limit}:{category} form; every extra filter is appended,
+// so all keys still match the products:* invalidation pattern.
+function listingCacheKey(filters, page, limit) {
+  const categoryKey = filters.categories.length > 0 ? filters.categories.join(',') : 'all';
+  let key = `products:${page}:${limit}:${categoryKey}`;
+
+  if (filters.tsQuery) {
+    key += `:q:${filters.searchTerms.join('+')}`;
+  }
+  if (filters.minPrice !== null || filters.maxPrice !== null) {
+    key += `:price:${filters.minPrice ?? ''}-${filters.maxPrice ?? ''}`;
+  }
+  if (filters.inStock) {
+    key += ':in_stock';
+  }
+  // Searches default to relevance, so newest is only implied without one
+  if (filters.tsQuery || filters.sort !== 'newest') {
+    key += `:sort:${filters.sort}`;
+  }
+  return key;
+}
+
+// With a search query, rank by relevance (name matches weigh more than
+// description matches) and return highlighted fragments
+function searchColumnsFor(tsQueryParam) {
+  if (!tsQueryParam) {
+    return '';
+  }
+  return `,
+           ts_rank_cd(p.search_vector, ${tsQueryParam}) AS rank,
+           ts_headline('english', p.name, ${tsQueryParam}, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') AS name_highlighted,
+           ts_headline('english', COALESCE(p.description, ''), ${tsQueryParam},
+             'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2') AS snippet`;
+}
+
+function sanitizeSearchResults(filters, products) {
+  if (filters.tsQuery) {
+    for (const product of products) {
+      product.name_highlighted = sanitizeHighlight(product.name_highlighted);
+      product.snippet = sanitizeHighlight(product.snippet);
+    }
+  }
+}
+
+async function listProducts(filters, { limit, offset }) {
+  const { whereClause, params, tsQueryParam } = buildWhere(filters);
+  const searchColumns = searchColumnsFor(tsQueryParam);
+
+  const salesJoin = filters.sort === 'best_selling'
+    ? 'LEFT JOIN product_sales_summary s ON s.product_id = p.id'
+    : '';
+
+  const [products, totalCount] = await Promise.all([
+    query(`
+      SELECT p.id, p.name, p.description, p.price, p.category, p.image_url, p.stock_quantity, p.created_at${searchColumns}
+      FROM products p
+      ${salesJoin}
+      ${whereClause}
+      ORDER BY ${SORT_ORDERS[filters.sort]}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]),
+    query(`
+      SELECT COUNT(*) as total
+      FROM products p
+      ${whereClause}
+    `, params)
+  ]);
+
+  sanitizeSearchResults(filters, products);
+
+  return { products, total: totalCount[0].total };
+}
+
+// Keyset page for newest-first listings; fetches limit + 1 rows and skips
+// the COUNT(*). See services/pagination.js.
+async function listProductsByCursor(filters, { limit, cursor }) {
+  const { whereClause, params, tsQueryParam } = buildWhere(filters);
+  const window = keysetWindow(cursor, {
+    timeColumn: 'p.created_at',
+    idColumn: 'p.id',
+    paramIndex: params.length + 1
+  });
+
+  const conditions = window.condition ? `${whereClause} AND ${window.condition}` : whereClause;
+  const allParams = [...params, ...window.params];
+
+  const products = await query(`
+    SELECT p.id, p.name, p.description, p.price, p.category, p.image_url, p.stock_quantity, p.created_at,
+           p.created_at::text AS cursor_ts${searchColumnsFor(tsQueryParam)}
+    FROM products p
+    ${conditions}
+    ORDER BY ${window.orderBy}
+    LIMIT $${allParams.length + 1}
+  `, [...allParams, limit + 1]);
+
+  sanitizeSearchResults(filters, products);
+  return products;
+}
+
+// Counts per category and per price bucket for the current filters
+async function getFacets(filters) {
+  const categoryWhere = buildWhere(filters, { skip: ['category'] });
+  const priceWhere = buildWhere(filters, { skip: ['price'] });
+
+  const bucketColumns = PRICE_BUCKETS.map((bucket, index) => {
+    const upper = bucket.max === null ? '' : ` AND p.price < ${bucket.max}`;
+    return `COUNT(*) FILTER (WHERE p.price >= ${bucket.min}${upper}) AS bucket_${index}`;
+  });
+
+  const [categories, priceCounts] = await Promise.all([
+    query(`
+      SELECT p.category, COUNT(*)::int AS count
+      FROM products p
+      ${categoryWhere.whereClause} AND p.category IS NOT NULL
+      GROUP BY p.category
+      ORDER BY p.category
+    `, categoryWhere.params),
+    query(`
+      SELECT ${bucketColumns.join(', ')}
+      FROM products p
+      ${priceWhere.whereClause}
+    `, priceWhere.params)
+  ]);
+
+  return {
+    categories: categories.map(row => ({
+      value: row.category,
+      count: row.count,
+      selected: filters.categories.includes(row.category)
+    })),
+    price_ranges: PRICE_BUCKETS.map((bucket, index) => ({
+      min: bucket.min,
+      max: bucket.max,
+      count: parseInt(priceCounts[0][`bucket_${index}`])
+    }))
+  };
+}
+
+module.exports = {
+  SORT_ORDERS,
+  PRICE_BUCKETS,
+  parseListingFilters,
+  buildWhere,
+  listingCacheKey,
+  listProducts,
+  listProductsByCursor,
+  getFacets
+};
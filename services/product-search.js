@@ -0,0 +1,54 @@
+// Helpers for full-text product search against products.search_vector
+
+const MAX_TERMS = 10;
+
+// Splits free text into search terms, dropping anything that is not a letter
+// or digit so user input can never inject tsquery operators
+function extractTerms(q) {
+  if (typeof q !== 'string') {
+    return [];
+  }
+  return (q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_TERMS);
+}
+
+// Builds a to_tsquery() expression requiring every term. The last term is
+// prefix-matched so that results update while the user is still typing.
+// Returns null when the input has no usable terms.
+function buildTsQuery(q) {
+  const terms = extractTerms(q);
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms
+    .map((term, index) => (index === terms.length - 1 ? `${term}:*` : term))
+    .join(' & ');
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// ts_headline() output wraps matches in <mark> but leaves the product text
+// itself unescaped. Escape everything, then restore just the <mark> tags, so
+// the snippet is safe to insert as HTML.
+function sanitizeHighlight(text) {
+  if (text === null || text === undefined) {
+    return text;
+  }
+  return escapeHtml(text)
+    .replace(/&lt;mark&gt;/g, '<mark>')
+    .replace(/&lt;\/mark&gt;/g, '</mark>');
+}
+
+module.exports = {
+  extractTerms,
+  buildTsQuery,
+  sanitizeHighlight
+};
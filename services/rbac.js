@@ -0,0 +1,78 @@
+const { query } = require('../config/database');
+const { cache } = require('../config/redis');
+
+const DEFAULT_ROLE = 'customer';
+
+async function getRolesAndPermissions(userId) {
+  const result = await query(`
+    SELECT
+      COALESCE(ARRAY_AGG(DISTINCT r.name) FILTER (WHERE r.name IS NOT NULL), '{}') AS roles,
+      COALESCE(ARRAY_AGG(DISTINCT p.name) FILTER (WHERE p.name IS NOT NULL), '{}') AS permissions
+    FROM user_roles ur
+    JOIN roles r ON r.id = ur.role_id
+    LEFT JOIN role_permissions rp ON rp.role_id = r.id
+    LEFT JOIN permissions p ON p.id = rp.permission_id
+    WHERE ur.user_id = $1
+  `, [userId]);
+
+  return result[0] || { roles: [], permissions: [] };
+}
+
+// Returns false when the role does not exist
+async function assignRole(userId, roleName) {
+  if (!(await roleExists(roleName))) {
+    return false;
+  }
+
+  await query(`
+    INSERT INTO user_roles (user_id, role_id)
+    SELECT $1, id FROM roles WHERE name = $2
+    ON CONFLICT DO NOTHING
+  `, [userId, roleName]);
+
+  // Cached user data carries roles, see authMiddleware
+  await cache.del(`user:${userId}`);
+  return true;
+}
+
+async function removeRole(userId, roleName) {
+  const result = await query(`
+    DELETE FROM user_roles
+    WHERE user_id = $1 AND role_id = (SELECT id FROM roles WHERE name = $2)
+    RETURNING role_id
+  `, [userId, roleName]);
+
+  await cache.del(`user:${userId}`);
+  return result.length > 0;
+}
+
+async function roleExists(roleName) {
+  const result = await query('SELECT id FROM roles WHERE name = $1', [roleName]);
+  return result.length > 0;
+}
+
+async function listRoles() {
+  return query(`
+    SELECT r.name, r.description,
+           COALESCE(ARRAY_AGG(p.name ORDER BY p.name) FILTER (WHERE p.name IS NOT NULL), '{}') AS permissions
+    FROM roles r
+    LEFT JOIN role_permissions rp ON rp.role_id = r.id
+    LEFT JOIN permissions p ON p.id = rp.permission_id
+    GROUP BY r.id
+    ORDER BY r.name
+  `);
+}
+
+function hasPermissions(user, required) {
+  const granted = (user && user.permissions) || [];
+  return required.every(permission => granted.includes(permission));
+}
+
+module.exports = {
+  DEFAULT_ROLE,
+  getRolesAndPermissions,
+  assignRole,
+  removeRole,
+  listRoles,
+  hasPermissions
+};
@@ -0,0 +1,261 @@
+const { query, transaction } = require('../config/database');
+const { cache } = require('../config/redis');
+const { refundOrder } = require('./payments');
+const { toCents, fromCents } = require('./money');
+
+// Returns (RMA). Customers ask to send back some quantity of a line from a
+// delivered order; staff approve or reject the request, mark the parcel
+// received (which puts the items back into stock) and refund it.
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+
+// Changes staff make through updateReturnStatus; 'refunded' is reached only
+// through refundReturn
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received'],
+  received: [],
+  rejected: [],
+  refunded: []
+};
+
+const RETURN_STATUSES = Object.keys(RETURN_TRANSITIONS);
+
+const RETURN_COLUMNS = `r.id, r.order_id, r.order_item_id, r.user_id, oi.product_id,
+       COALESCE(oi.product_snapshot->>'name', p.name) AS product_name, r.quantity, r.reason, r.comment,
+       r.status, r.resolution_note, r.refund_amount, r.handled_by, r.received_at, r.created_at, r.updated_at`;
+
+const RETURN_JOINS = `FROM return_requests r
+      JOIN order_items oi ON oi.id = r.order_item_id
+      LEFT JOIN products p ON p.id = oi.product_id`;
+
+async function getReturn(returnId) {
+  const rows = await query(`SELECT ${RETURN_COLUMNS} ${RETURN_JOINS} WHERE r.id = $1`, [returnId]);
+  return rows[0] || null;
+}
+
+// Newest first unless oldestFirst (for work queues); pass userId for one
+// customer's returns, status to filter
+async function listReturns({ userId = null, status = null, oldestFirst = false, limit, offset }) {
+  const conditions = [];
+  const params = [];
+
+  if (userId !== null) {
+    params.push(userId);
+    conditions.push(`r.user_id = $${params.length}`);
+  }
+  if (status !== null) {
+    params.push(status);
+    conditions.push(`r.status = $${params.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const [returns, totalCount] = await Promise.all([
+    query(`
+      SELECT ${RETURN_COLUMNS}
+      ${RETURN_JOINS}
+      ${where}
+      ORDER BY ${oldestFirst ? 'r.created_at ASC, r.id ASC' : 'r.created_at DESC, r.id DESC'}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]),
+    query(`SELECT COUNT(*)::int AS total FROM return_requests r ${where}`, params)
+  ]);
+
+  return { returns, total: totalCount[0].total };
+}
+
+// Opens a return for quantity of one of the user's order lines. The line is
+// locked so concurrent requests cannot together return more than was bought.
+// Returns { returnRequest } or { error, status }.
+async function createReturn(userId, { orderItemId, quantity, reason, comment = null }) {
+  const outcome = await transaction(async (tx) => {
+    const lines = await tx.query(`
+      SELECT oi.id, oi.order_id, oi.quantity, o.user_id, o.status
+      FROM order_items oi
+      JOIN orders o ON o.id = oi.order_id
+      WHERE oi.id = $1
+      FOR UPDATE OF oi
+    `, [orderItemId]);
+
+    if (lines.length === 0 || lines[0].user_id !== userId) {
+      return { error: 'Order item not found', status: 404 };
+    }
+
+    const line = lines[0];
+
+    if (line.status !== 'delivered') {
+      return { error: 'Only delivered orders can be returned', status: 409 };
+    }
+
+    const requested = await tx.query(
+      "SELECT COALESCE(SUM(quantity), 0)::int AS total FROM return_requests WHERE order_item_id = $1 AND status <> 'rejected'",
+      [orderItemId]
+    );
+    const returnable = line.quantity - requested[0].total;
+
+    if (quantity > returnable) {
+      return {
+        error: returnable > 0
+          ? `Only ${returnable} of this item can be returned`
+          : 'This item has already been returned',
+        status: 400
+      };
+    }
+
+    const rows = await tx.query(`
+      INSERT INTO return_requests (order_id, order_item_id, user_id, quantity, reason, comment)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id
+    `, [line.order_id, orderItemId, userId, quantity, reason, comment]);
+
+    return { returnId: rows[0].id };
+  });
+
+  if (outcome.error) {
+    return outcome;
+  }
+
+  return { returnRequest: await getReturn(outcome.returnId) };
+}
+
+// Approves, rejects or receives a return under a row lock. Receiving puts
+// the items back into stock. Returns { returnRequest } or { error, status }.
+async function updateReturnStatus(returnId, toStatus, { handledBy = null, note = null } = {}) {
+  const outcome = await transaction(async (tx) => {
+    const rows = await tx.query(`
+      SELECT r.id, r.status, r.quantity, oi.product_id
+      FROM return_requests r
+      JOIN order_items oi ON oi.id = r.order_item_id
+      WHERE r.id = $1
+      FOR UPDATE OF r
+    `, [returnId]);
+
+    if (rows.length === 0) {
+      return { error: 'Return not found', status: 404 };
+    }
+
+    const current = rows[0];
+
+    if (!(RETURN_TRANSITIONS[current.status] || []).includes(toStatus)) {
+      return { error: `Cannot change return status from ${current.status} to ${toStatus}`, status: 409 };
+    }
+
+    let restockedProductId = null;
+    if (toStatus === 'received' && current.product_id !== null) {
+      const restocked = await tx.query(
+        'UPDATE products SET stock_quantity = stock_quantity + $1 WHERE id = $2 RETURNING id',
+        [current.quantity, current.product_id]
+      );
+      restockedProductId = restocked.length > 0 ? restocked[0].id : null;
+    }
+
+    await tx.query(`
+      UPDATE return_requests
+      SET status = $1, handled_by = $2, resolution_note = COALESCE($3, resolution_note),
+          received_at = CASE WHEN $1 = 'received' THEN CURRENT_TIMESTAMP ELSE received_at END
+      WHERE id = $4
+    `, [toStatus, handledBy, note, returnId]);
+
+    return { restockedProductId };
+  });
+
+  if (outcome.error) {
+    return outcome;
+  }
+
+  if (outcome.restockedProductId !== null) {
+    await cache.del(`product:${outcome.restockedProductId}`);
+    await cache.delPattern('products:*');
+  }
+
+  return { returnRequest: await getReturn(returnId) };
+}
+
+// What the returned items cost the customer: their line price, less the
+// order's share of any coupon discount
+function defaultRefundAmount({ quantity, unitPrice, subtotalAmount, totalAmount }) {
+  const lineCents = toCents(unitPrice) * quantity;
+
+  if (!subtotalAmount || toCents(subtotalAmount) === 0) {
+    return fromCents(lineCents);
+  }
+
+  return fromCents(Math.round(lineCents * toCents(totalAmount) / toCents(subtotalAmount)));
+}
+
+// Refunds an approved or received return against its order (see
+// refundOrder), by amount or by defaultRefundAmount. Approved returns can
+// be refunded without waiting for the parcel, e.g. damaged goods not worth
+// sending back. The return is claimed first so it cannot be refunded twice,
+// and released again if the refund fails. Returns { returnRequest, refund }
+// or { error, status }.
+async function refundReturn(returnId, { amount = null, handledBy = null, note = null } = {}) {
+  const claimed = await query(`
+    UPDATE return_requests r
+    SET status = 'refunded', handled_by = $2, resolution_note = COALESCE($3, resolution_note)
+    FROM order_items oi, orders o
+    WHERE r.id = $1 AND r.status IN ('approved', 'received')
+      AND oi.id = r.order_item_id AND o.id = r.order_id
+    RETURNING r.id, r.order_id, r.quantity, r.reason, r.received_at,
+              oi.unit_price, o.subtotal_amount, o.total_amount
+  `, [returnId, handledBy, note]);
+
+  if (claimed.length === 0) {
+    const existing = await getReturn(returnId);
+    return existing
+      ? { error: `Cannot refund a return that is ${existing.status}`, status: 409 }
+      : { error: 'Return not found', status: 404 };
+  }
+
+  const claim = claimed[0];
+  const refundAmount = amount !== null ? amount : defaultRefundAmount({
+    quantity: claim.quantity,
+    unitPrice: claim.unit_price,
+    subtotalAmount: claim.subtotal_amount,
+    totalAmount: claim.total_amount
+  });
+
+  const unclaim = () => query('UPDATE return_requests SET status = $1 WHERE id = $2', [
+    claim.received_at ? 'received' : 'approved', claim.id
+  ]);
+
+  let result;
+  try {
+    result = await refundOrder(claim.order_id, {
+      amount: refundAmount,
+      reason: `Return #${claim.id}: ${claim.reason}`,
+      returnId: claim.id,
+      createdBy: handledBy
+    });
+  } catch (error) {
+    // Once a refund has been reserved for the return it may have been made
+    // at the provider, so the return stays refunded rather than open to a
+    // second refund (see refundOrder)
+    const reserved = await query('SELECT id FROM order_refunds WHERE return_id = $1', [claim.id]);
+    if (reserved.length === 0) {
+      await unclaim();
+    }
+    throw error;
+  }
+
+  if (result.error) {
+    await unclaim();
+    return result;
+  }
+
+  await query('UPDATE return_requests SET refund_amount = $1 WHERE id = $2', [result.refund.amount, claim.id]);
+
+  return { returnRequest: await getReturn(claim.id), refund: result.refund };
+}
+
+module.exports = {
+  RETURN_REASONS,
+  RETURN_STATUSES,
+  defaultRefundAmount,
+  getReturn,
+  listReturns,
+  createReturn,
+  updateReturnStatus,
+  refundReturn
+};
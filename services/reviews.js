@@ -0,0 +1,168 @@
+const { query } = require('../config/database');
+const { cache } = require('../config/redis');
+const { PAID_ORDER_STATUSES } = require('./orders');
+
+// Product reviews. Only customers with a paid-for order for a product
+// (processing, shipped or delivered) may review it, once per product.
+// Hidden reviews are left out of listings and ratings; flagged ones stay
+// visible until a moderator decides.
+
+const REVIEW_STATUSES = ['published', 'flagged', 'hidden'];
+
+const REVIEW_SORT_ORDERS = {
+  newest: 'r.created_at DESC, r.id DESC',
+  oldest: 'r.created_at ASC, r.id ASC',
+  rating_desc: 'r.rating DESC, r.created_at DESC, r.id DESC',
+  rating_asc: 'r.rating ASC, r.created_at DESC, r.id DESC'
+};
+
+const REVIEW_COLUMNS = `r.id, r.product_id, r.user_id, u.username, r.rating, r.title, r.body,
+       r.status, r.created_at, r.updated_at`;
+
+async function hasPurchased(userId, productId) {
+  const result = await query(`
+    SELECT 1
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE o.user_id = $1 AND oi.product_id = $2 AND o.status = ANY($3)
+    LIMIT 1
+  `, [userId, productId, PAID_ORDER_STATUSES]);
+
+  return result.length > 0;
+}
+
+// Average rating and review count per product, as a Map keyed by product ID.
+// Products without visible reviews are absent from the map.
+async function getRatingSummaries(productIds) {
+  if (productIds.length === 0) {
+    return new Map();
+  }
+
+  const rows = await query(`
+    SELECT product_id, ROUND(AVG(rating), 2)::float AS average, COUNT(*)::int AS count
+    FROM product_reviews
+    WHERE product_id = ANY($1::int[]) AND status <> 'hidden'
+    GROUP BY product_id
+  `, [productIds]);
+
+  return new Map(rows.map(row => [row.product_id, { average: row.average, count: row.count }]));
+}
+
+// Adds `rating: { average, count }` to each product
+async function attachRatings(products) {
+  const summaries = await getRatingSummaries(products.map(product => product.id));
+
+  for (const product of products) {
+    product.rating = summaries.get(product.id) || { average: null, count: 0 };
+  }
+  return products;
+}
+
+// Rating summary with a per-star breakdown for the reviews page
+async function getRatingBreakdown(productId) {
+  const rows = await query(`
+    SELECT rating, COUNT(*)::int AS count
+    FROM product_reviews
+    WHERE product_id = $1 AND status <> 'hidden'
+    GROUP BY rating
+  `, [productId]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let total = 0;
+
+  for (const row of rows) {
+    distribution[row.rating] = row.count;
+    count += row.count;
+    total += row.rating * row.count;
+  }
+
+  return {
+    average: count > 0 ? Math.round((total / count) * 100) / 100 : null,
+    count,
+    distribution
+  };
+}
+
+async function listProductReviews(productId, { sort, limit, offset }) {
+  const [reviews, totalCount] = await Promise.all([
+    query(`
+      SELECT ${REVIEW_COLUMNS}
+      FROM product_reviews r
+      JOIN users u ON u.id = r.user_id
+      WHERE r.product_id = $1 AND r.status <> 'hidden'
+      ORDER BY ${REVIEW_SORT_ORDERS[sort]}
+      LIMIT $2 OFFSET $3
+    `, [productId, limit, offset]),
+    query(`
+      SELECT COUNT(*)::int AS total
+      FROM product_reviews
+      WHERE product_id = $1 AND status <> 'hidden'
+    `, [productId])
+  ]);
+
+  return { reviews, total: totalCount[0].total };
+}
+
+// Moderation queue: reviews with the given status across all products,
+// oldest first so nothing waits forever
+async function listReviewsByStatus(status, { limit, offset }) {
+  const [reviews, totalCount] = await Promise.all([
+    query(`
+      SELECT ${REVIEW_COLUMNS}, p.name AS product_name, r.moderation_note, r.moderated_by, r.moderated_at
+      FROM product_reviews r
+      JOIN users u ON u.id = r.user_id
+      JOIN products p ON p.id = r.product_id
+      WHERE r.status = $1
+      ORDER BY r.created_at ASC, r.id ASC
+      LIMIT $2 OFFSET $3
+    `, [status, limit, offset]),
+    query('SELECT COUNT(*)::int AS total FROM product_reviews WHERE status = $1', [status])
+  ]);
+
+  return { reviews, total: totalCount[0].total };
+}
+
+async function getReview(reviewId) {
+  const result = await query(`
+    SELECT ${REVIEW_COLUMNS}
+    FROM product_reviews r
+    JOIN users u ON u.id = r.user_id
+    WHERE r.id = $1
+  `, [reviewId]);
+
+  return result[0] || null;
+}
+
+// Returns the new review ID, or null when the user already reviewed the product
+async function createReview(userId, productId, { rating, title = null, body = null }) {
+  const result = await query(`
+    INSERT INTO product_reviews (product_id, user_id, rating, title, body)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (product_id, user_id) DO NOTHING
+    RETURNING id
+  `, [productId, userId, rating, title, body]);
+
+  return result.length > 0 ? result[0].id : null;
+}
+
+// Ratings change whenever a visible review does, so drop the cached product
+// and every cached listing page along with it
+async function invalidateRatingCaches(productId) {
+  await cache.del(`product:${productId}`);
+  await cache.delPattern('products:*');
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  REVIEW_SORT_ORDERS,
+  hasPurchased,
+  getRatingSummaries,
+  attachRatings,
+  getRatingBreakdown,
+  listProductReviews,
+  listReviewsByStatus,
+  getReview,
+  createReview,
+  invalidateRatingCaches
+};
@@ -0,0 +1,24 @@
+const maintenance = require('./maintenance');
+
+// Tasks run by the scheduler (see services/scheduler.js). Schedules are
+// cron expressions in UTC; timeoutMs is how long a run may hold the task's
+// lock, so that runs never overlap.
+const tasks = {
+  'purge-expired-sessions': {
+    schedule: '0 * * * *',
+    timeoutMs: 10 * 60 * 1000,
+    run: maintenance.purgeExpiredSessions
+  },
+  'cancel-unpaid-orders': {
+    schedule: '*/5 * * * *',
+    timeoutMs: 10 * 60 * 1000,
+    run: maintenance.cancelUnpaidOrders
+  },
+  'purge-expired-tokens': {
+    schedule: '15 3 * * *',
+    timeoutMs: 30 * 60 * 1000,
+    run: maintenance.purgeExpiredTokens
+  }
+};
+
+module.exports = tasks;
@@ -0,0 +1,107 @@
+const { parseCron } = require('./cron');
+const { enqueue } = require('./jobs');
+const { acquireLock, withLock } = require('./locks');
+
+// Cron-style scheduler for tasks such as those in services/scheduled-tasks.js.
+// Every worker pod runs one. At the start of each minute, each task whose
+// schedule matches is queued as a job on the scheduled queue by whichever
+// pod first takes that minute's lock for it, so a task runs once per
+// occurrence however many pods there are. The job then runs the task under
+// a second lock that keeps runs from overlapping. A failed run is not
+// retried (the next occurrence will run anyway) but stays in the queue's
+// failed jobs.
+
+const SCHEDULED_QUEUE = 'scheduled';
+const DEFAULT_TASK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// How long a minute's lock is kept: long enough to cover clock differences
+// between pods
+const OCCURRENCE_LOCK_MS = 10 * 60 * 1000;
+
+function startOfMinute(date) {
+  return new Date(Math.floor(date.getTime() / 60000) * 60000);
+}
+
+function createScheduler(tasks) {
+  const schedules = Object.entries(tasks).map(([name, task]) => ({ name, cron: parseCron(task.schedule) }));
+  let timer = null;
+  let ticking = Promise.resolve();
+
+  // Queues the tasks due in the minute containing date
+  async function tick(date) {
+    const minute = startOfMinute(date);
+
+    for (const { name, cron } of schedules) {
+      if (!cron.matches(minute)) {
+        continue;
+      }
+
+      try {
+        const token = await acquireLock(`scheduler:${name}:${minute.getTime()}`, OCCURRENCE_LOCK_MS);
+        if (token) {
+          await enqueue(SCHEDULED_QUEUE, { task: name, scheduledFor: minute.toISOString() }, { attempts: 1 });
+        }
+      } catch (error) {
+        console.error(`Scheduling task ${name} failed:`, error.message);
+      }
+    }
+  }
+
+  function scheduleNext() {
+    // A second into the next minute, so that clocks a little behind still
+    // land in it
+    const now = Date.now();
+    const delay = startOfMinute(new Date(now)).getTime() + 61000 - now;
+
+    timer = setTimeout(() => {
+      ticking = tick(new Date());
+      ticking.finally(() => {
+        if (timer) {
+          scheduleNext();
+        }
+      });
+    }, delay);
+  }
+
+  return {
+    tick,
+
+    start() {
+      if (!timer) {
+        scheduleNext();
+      }
+    },
+
+    async stop() {
+      clearTimeout(timer);
+      timer = null;
+      await ticking;
+    }
+  };
+}
+
+// Runs a scheduled task unless a previous run still holds its lock.
+// Returns what the task returned, or null when it was skipped.
+async function runTask(tasks, name) {
+  const task = tasks[name];
+
+  if (!task) {
+    throw new Error(`Unknown scheduled task: ${name}`);
+  }
+
+  const { acquired, result } = await withLock(`task:${name}`, task.timeoutMs || DEFAULT_TASK_TIMEOUT_MS, () => task.run());
+
+  if (!acquired) {
+    console.log(`Scheduled task ${name} skipped: still running`);
+    return null;
+  }
+
+  console.log(`Scheduled task ${name} finished:`, JSON.stringify(result));
+  return result;
+}
+
+module.exports = {
+  SCHEDULED_QUEUE,
+  createScheduler,
+  runTask
+};
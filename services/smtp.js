@@ -0,0 +1,211 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Minimal SMTP client for the smtp mail transport. Each message uses its
+// own connection: EHLO, STARTTLS when the server offers it (or TLS from
+// the start with secure), AUTH PLAIN when a user is set, then the message
+// as multipart/alternative text and HTML.
+
+const DEFAULT_TIMEOUT = 30000;
+
+function encodeHeader(value) {
+  const text = String(value);
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function base64Lines(text) {
+  return Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// The message in RFC 5322 form with CRLF line endings
+function buildMessage({ from, to, subject, text, html }, { now = new Date() } = {}) {
+  const domain = String(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${now.toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${domain.replace(/>$/, '')}>`,
+    'MIME-Version: 1.0'
+  ];
+
+  const part = (type, body) => [
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(body || '')
+  ].join('\r\n');
+
+  if (!html) {
+    return [...headers, part('text/plain', text), ''].join('\r\n');
+  }
+
+  const boundary = `alt-${crypto.randomBytes(12).toString('hex')}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    part('text/plain', text),
+    `--${boundary}`,
+    part('text/html', html),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+// Bare address from "Name <address>" or "address"
+function addressOf(mailbox) {
+  const match = String(mailbox).match(/<([^>]+)>/);
+  return (match ? match[1] : String(mailbox)).trim();
+}
+
+// Reads SMTP replies ({ code, lines }) off a socket, which can be swapped
+// for its TLS upgrade part-way through
+function replyReader() {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+
+    while ((index = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line.slice(4));
+
+      if (line[3] !== '-') {
+        const reply = { code: parseInt(line.slice(0, 3)), lines };
+        lines = [];
+        if (waiting.length > 0) {
+          waiting.shift().resolve(reply);
+        } else {
+          replies.push(reply);
+        }
+      }
+    }
+  };
+
+  const onError = (error) => {
+    failure = error;
+    while (waiting.length > 0) {
+      waiting.shift().reject(error);
+    }
+  };
+
+  return {
+    attach(socket) {
+      socket.on('data', onData);
+      socket.on('error', onError);
+      socket.on('close', () => onError(failure || new Error('SMTP connection closed')));
+    },
+
+    detach(socket) {
+      socket.removeListener('data', onData);
+    },
+
+    next() {
+      if (replies.length > 0) {
+        return Promise.resolve(replies.shift());
+      }
+      if (failure) {
+        return Promise.reject(failure);
+      }
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    }
+  };
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once('error', reject);
+  });
+}
+
+// Delivers one message. options: { host, port, secure, user, password,
+// timeout }. Resolves to { id } (the Message-ID) or rejects with the
+// server's reply.
+async function sendMessage(options, message) {
+  const { host, port = 587, secure = false, user, password, timeout = DEFAULT_TIMEOUT } = options;
+  const reader = replyReader();
+  let socket = await connect({ host, port, secure });
+
+  const guard = (target) => {
+    target.setTimeout(timeout, () => target.destroy(new Error('SMTP connection timed out')));
+  };
+
+  guard(socket);
+  reader.attach(socket);
+
+  const expect = async (codes, what) => {
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) {
+      throw new Error(`SMTP ${what} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  };
+
+  const command = (line, codes) => {
+    socket.write(`${line}\r\n`);
+    return expect(codes, line.split(' ')[0]);
+  };
+
+  try {
+    await expect([220], 'greeting');
+    const ehlo = await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+
+    if (!secure && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+      await command('STARTTLS', [220]);
+      reader.detach(socket);
+      socket = await upgrade(socket, host);
+      guard(socket);
+      reader.attach(socket);
+      await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+    }
+
+    if (user) {
+      const credentials = Buffer.from(`\u0000${user}\u0000${password || ''}`, 'utf8').toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+    await command(`RCPT TO:<${addressOf(message.to)}>`, [250, 251]);
+    await command('DATA', [354]);
+
+    const data = buildMessage(message);
+    const messageId = data.match(/^Message-ID: (.*)$/m)[1];
+
+    // Lines starting with a dot are escaped by doubling it
+    socket.write(`${data.replace(/^\./gm, '..')}\r\n.\r\n`);
+    await expect([250], 'DATA');
+
+    socket.write('QUIT\r\n');
+    socket.end();
+
+    return { id: messageId };
+  } catch (error) {
+    socket.destroy();
+    throw error;
+  }
+}
+
+module.exports = {
+  buildMessage,
+  sendMessage
+};
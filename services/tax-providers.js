@@ -0,0 +1,83 @@
+const { query } = require('../config/database');
+const { getConfig } = require('../config/secrets');
+
+// Tax providers. Each exposes:
+//   calculate({ address, lines, pricesIncludeTax })
+//     address is the order's shipping address snapshot; lines are
+//     { product_id, tax_class, quantity, amount } with amount the line's
+//     price in cents after discounts
+//     -> [{ rate, tax }] in line order, rate a percentage and tax in cents
+//     (when pricesIncludeTax the tax is the part of amount that is tax)
+// The provider is selected with TAX_PROVIDER; an external tax service can
+// be plugged in with setProvider().
+
+// Tax in cents on an amount in cents. Prices that include tax hold
+// amount * rate / (100 + rate) of tax rather than amount * rate / 100.
+function taxOnAmount(amount, rate, pricesIncludeTax) {
+  if (pricesIncludeTax) {
+    return amount - Math.round(amount * 100 / (100 + rate));
+  }
+  return Math.round(amount * rate / 100);
+}
+
+// The rate for a tax class at an address: the region's own rate if it has
+// one, else the country-wide rate, else no tax
+function findRate(rates, address, taxClass) {
+  const region = (address.region || '').trim().toLowerCase();
+  const candidates = rates.filter(rate => rate.tax_class === taxClass);
+  const match = candidates.find(rate => rate.region && rate.region.toLowerCase() === region)
+    || candidates.find(rate => !rate.region);
+
+  return match ? Number(match.rate) : 0;
+}
+
+// Rates kept in the tax_rates table
+const table = {
+  name: 'table',
+
+  async calculate({ address, lines, pricesIncludeTax }) {
+    if (!address || !address.country) {
+      return lines.map(() => ({ rate: 0, tax: 0 }));
+    }
+
+    const rates = await query(
+      'SELECT region, tax_class, rate FROM tax_rates WHERE country = $1',
+      [address.country.toUpperCase()]
+    );
+
+    return lines.map((line) => {
+      const rate = findRate(rates, address, line.tax_class);
+      return { rate, tax: taxOnAmount(line.amount, rate, pricesIncludeTax) };
+    });
+  }
+};
+
+const providers = { table };
+
+let customProvider = null;
+
+function setProvider(provider) {
+  customProvider = provider;
+}
+
+function getProvider() {
+  if (customProvider) {
+    return customProvider;
+  }
+
+  const name = getConfig().TAX_PROVIDER || 'table';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown tax provider: ${name}`);
+  }
+  return provider;
+}
+
+module.exports = {
+  taxOnAmount,
+  findRate,
+  providers,
+  setProvider,
+  getProvider
+};
@@ -0,0 +1,86 @@
+const { query } = require('../config/database');
+const { getConfig } = require('../config/secrets');
+const { getProvider } = require('./tax-providers');
+const { toCents, fromCents } = require('./money');
+
+// Order tax. Each line is taxed on its price after its share of any coupon
+// discount, at the rate for its product's tax class where the order ships
+// to (see services/tax-providers.js). With PRICES_INCLUDE_TAX=true catalog
+// prices already include tax, so the tax is reported but not added on top.
+// Money is handled in cents (see services/money.js).
+
+const DEFAULT_TAX_CLASS = 'standard';
+
+const TAX_RATE_COLUMNS = 'id, country, region, tax_class, rate, name, created_at, updated_at';
+
+function pricesIncludeTax() {
+  return getConfig().PRICES_INCLUDE_TAX === 'true';
+}
+
+// Works out the tax on order lines of { product_id, tax_class, quantity,
+// total_price, discount } in currency units, shipping to address. Returns
+// { pricesIncludeTax, lines: [{ rate, tax }], tax } in currency units.
+async function calculateTax(address, lines) {
+  const includeTax = pricesIncludeTax();
+
+  const taxed = await getProvider().calculate({
+    address,
+    pricesIncludeTax: includeTax,
+    lines: lines.map(line => ({
+      product_id: line.product_id,
+      tax_class: line.tax_class || DEFAULT_TAX_CLASS,
+      quantity: line.quantity,
+      amount: toCents(line.total_price) - toCents(line.discount || 0)
+    }))
+  });
+
+  return {
+    pricesIncludeTax: includeTax,
+    lines: taxed.map(line => ({ rate: line.rate, tax: fromCents(line.tax) })),
+    tax: fromCents(taxed.reduce((sum, line) => sum + line.tax, 0))
+  };
+}
+
+// Order total from its parts, in currency units
+function orderTotal({ subtotal, discount, tax, pricesIncludeTax: includeTax }) {
+  return fromCents(toCents(subtotal) - toCents(discount) + (includeTax ? 0 : toCents(tax)));
+}
+
+async function listTaxRates({ country = null } = {}) {
+  return query(`
+    SELECT ${TAX_RATE_COLUMNS}
+    FROM tax_rates
+    WHERE $1::text IS NULL OR country = $1
+    ORDER BY country, region NULLS FIRST, tax_class
+  `, [country]);
+}
+
+// Creates the rate for a country/region/tax class, or replaces its rate
+// and name if there already is one. A null region covers the whole country.
+async function setTaxRate({ country, region = null, taxClass = DEFAULT_TAX_CLASS, rate, name = 'Tax' }) {
+  const rows = await query(`
+    INSERT INTO tax_rates (country, region, tax_class, rate, name)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (country, (COALESCE(region, '')), tax_class)
+    DO UPDATE SET rate = EXCLUDED.rate, name = EXCLUDED.name
+    RETURNING ${TAX_RATE_COLUMNS}
+  `, [country.toUpperCase(), region || null, taxClass, rate, name]);
+  return rows[0];
+}
+
+// Returns the deleted rate, or null if there was none
+async function deleteTaxRate(id) {
+  const rows = await query(`DELETE FROM tax_rates WHERE id = $1 RETURNING ${TAX_RATE_COLUMNS}`, [id]);
+  return rows[0] || null;
+}
+
+module.exports = {
+  DEFAULT_TAX_CLASS,
+  TAX_RATE_COLUMNS,
+  listTaxRates,
+  setTaxRate,
+  deleteTaxRate,
+  pricesIncludeTax,
+  calculateTax,
+  orderTotal
+};
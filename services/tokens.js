@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+const { getConfig } = require('../config/secrets');
+
+// Refresh tokens are opaque random strings; only their hash is persisted
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Extra claims carry e.g. mfaAt, the time a second factor was last verified
+function signAccessToken(userId, familyId, claims = {}) {
+  const config = getConfig();
+  return jwt.sign(
+    { ...claims, userId, type: 'access', familyId },
+    config.JWT_SECRET,
+    { expiresIn: config.JWT_EXPIRES_IN || '15m' }
+  );
+}
+
+async function createRefreshToken(userId, familyId = crypto.randomUUID()) {
+  const config = getConfig();
+  const token = crypto.randomBytes(48).toString('base64url');
+  const ttl = parseInt(config.REFRESH_TOKEN_TTL) || 2592000;
+
+  await query(`
+    INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(secs => $4))
+  `, [userId, familyId, hashToken(token), ttl]);
+
+  return { token, familyId };
+}
+
+// Issue a fresh access/refresh pair, starting a new token family
+async function issueTokenPair(userId, claims = {}) {
+  const { token: refreshToken, familyId } = await createRefreshToken(userId);
+  return {
+    token: signAccessToken(userId, familyId, claims),
+    refreshToken
+  };
+}
+
+// Short-lived token proving the password step of a two-step login passed.
+// authMiddleware rejects it because it is not an access token.
+function signChallengeToken(userId) {
+  const config = getConfig();
+  return jwt.sign(
+    { userId, type: 'mfa_challenge', jti: crypto.randomUUID() },
+    config.JWT_SECRET,
+    { expiresIn: parseInt(config.MFA_CHALLENGE_TTL) || 300 }
+  );
+}
+
+function verifyChallengeToken(challengeToken) {
+  const config = getConfig();
+  try {
+    const decoded = jwt.verify(challengeToken, config.JWT_SECRET);
+    return decoded.type === 'mfa_challenge' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function revokeRefreshFamily(familyId) {
+  await query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL',
+    [familyId]
+  );
+}
+
+async function revokeUserRefreshTokens(userId) {
+  await query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+}
+
+// Exchange a refresh token for a new pair. The presented token is revoked in
+// the same statement that checks it, so two concurrent requests cannot both
+// rotate it. Presenting an already-revoked token is treated as theft and
+// revokes the whole family. Returns null when the token is not usable.
+async function rotateRefreshToken(refreshToken) {
+  const tokenHash = hashToken(refreshToken);
+
+  const rotated = await query(`
+    UPDATE refresh_tokens
+    SET revoked_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    RETURNING user_id, family_id
+  `, [tokenHash]);
+
+  if (rotated.length === 0) {
+    const existing = await query(
+      'SELECT user_id, family_id, revoked_at FROM refresh_tokens WHERE token_hash = $1',
+      [tokenHash]
+    );
+
+    if (existing.length > 0 && existing[0].revoked_at) {
+      console.warn(`Refresh token reuse detected for user ${existing[0].user_id}, revoking family ${existing[0].family_id}`);
+      await revokeRefreshFamily(existing[0].family_id);
+    }
+
+    return null;
+  }
+
+  const { user_id: userId, family_id: familyId } = rotated[0];
+  const { token: newRefreshToken } = await createRefreshToken(userId, familyId);
+
+  return {
+    userId,
+    token: signAccessToken(userId, familyId),
+    refreshToken: newRefreshToken
+  };
+}
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  issueTokenPair,
+  signChallengeToken,
+  verifyChallengeToken,
+  rotateRefreshToken,
+  revokeRefreshFamily,
+  revokeUserRefreshTokens
+};
@@ -0,0 +1,117 @@
+const { query } = require('../config/database');
+const { getConfig } = require('../config/secrets');
+const totp = require('./totp');
+
+async function getTotp(userId) {
+  const result = await query(
+    'SELECT user_id, secret, enabled_at, last_used_step FROM user_totp WHERE user_id = $1',
+    [userId]
+  );
+  return result[0] || null;
+}
+
+// Start (or restart) enrolment with a fresh secret that is not yet enabled
+async function beginEnrolment(user) {
+  const config = getConfig();
+  const secret = totp.generateSecret();
+
+  await query(`
+    INSERT INTO user_totp (user_id, secret, enabled_at, last_used_step)
+    VALUES ($1, $2, NULL, NULL)
+    ON CONFLICT (user_id) DO UPDATE SET secret = $2, enabled_at = NULL, last_used_step = NULL
+  `, [user.id, secret]);
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpAuthUri(secret, user.email, config.TOTP_ISSUER || 'Ecommerce App')
+  };
+}
+
+async function replaceRecoveryCodes(userId) {
+  const codes = totp.generateRecoveryCodes();
+
+  await query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, totp.hashRecoveryCode(code)]
+    );
+  }
+
+  return codes;
+}
+
+// Confirms enrolment with the first code from the authenticator app.
+// Returns the plain recovery codes, or null if the code is wrong.
+async function completeEnrolment(userId, code) {
+  const pending = await getTotp(userId);
+  if (!pending || pending.enabled_at) {
+    return null;
+  }
+
+  const step = totp.verifyCode(pending.secret, code);
+  if (step === null) {
+    return null;
+  }
+
+  await query(
+    'UPDATE user_totp SET enabled_at = CURRENT_TIMESTAMP, last_used_step = $2 WHERE user_id = $1',
+    [userId, step]
+  );
+  await query('UPDATE users SET two_factor_enabled = TRUE WHERE id = $1', [userId]);
+
+  return replaceRecoveryCodes(userId);
+}
+
+async function disable(userId) {
+  await query('DELETE FROM user_totp WHERE user_id = $1', [userId]);
+  await query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  await query('UPDATE users SET two_factor_enabled = FALSE WHERE id = $1', [userId]);
+}
+
+// Checks a TOTP code or a recovery code for a user with 2FA enabled. Each TOTP
+// time step and each recovery code can only be used once.
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  if (recoveryCode) {
+    const used = await query(`
+      UPDATE user_recovery_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM user_recovery_codes
+        WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+        LIMIT 1
+      ) AND used_at IS NULL
+      RETURNING id
+    `, [userId, totp.hashRecoveryCode(recoveryCode)]);
+
+    return used.length > 0;
+  }
+
+  const enrolled = await getTotp(userId);
+  if (!enrolled || !enrolled.enabled_at) {
+    return false;
+  }
+
+  const step = totp.verifyCode(enrolled.secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const accepted = await query(`
+    UPDATE user_totp
+    SET last_used_step = $2
+    WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+    RETURNING user_id
+  `, [userId, step]);
+
+  return accepted.length > 0;
+}
+
+module.exports = {
+  getTotp,
+  beginEnrolment,
+  completeEnrolment,
+  replaceRecoveryCodes,
+  disable,
+  verifySecondFactor
+};
@@ -0,0 +1,72 @@
+const { query } = require('../config/database');
+const { cache } = require('../config/redis');
+
+// Per-user wishlists. Items keep pointing at the product, so listings always
+// show the current price and stock; archived products stay on the list
+// marked as unavailable.
+
+async function listItems(userId) {
+  return query(`
+    SELECT w.product_id, w.created_at AS added_at,
+           p.name, p.price, p.image_url, p.stock_quantity,
+           p.is_active AS available
+    FROM wishlist_items w
+    JOIN products p ON p.id = w.product_id
+    WHERE w.user_id = $1
+    ORDER BY w.created_at DESC, w.id DESC
+  `, [userId]);
+}
+
+// Returns false when the product was already on the wishlist
+async function addItem(userId, productId) {
+  const result = await query(`
+    INSERT INTO wishlist_items (user_id, product_id)
+    VALUES ($1, $2)
+    ON CONFLICT (user_id, product_id) DO NOTHING
+    RETURNING id
+  `, [userId, productId]);
+
+  if (result.length > 0) {
+    await cache.del(`dashboard:${userId}`);
+  }
+  return result.length > 0;
+}
+
+// Returns false when the product was not on the wishlist
+async function removeItem(userId, productId) {
+  const result = await query(
+    'DELETE FROM wishlist_items WHERE user_id = $1 AND product_id = $2 RETURNING id',
+    [userId, productId]
+  );
+
+  if (result.length > 0) {
+    await cache.del(`dashboard:${userId}`);
+  }
+  return result.length > 0;
+}
+
+// Sets `wishlisted` on each product for the signed-in user. Product data is
+// cached for everyone, so this runs on every request after the cache lookup.
+async function markWishlisted(userId, products) {
+  if (products.length === 0) {
+    return products;
+  }
+
+  const rows = await query(
+    'SELECT product_id FROM wishlist_items WHERE user_id = $1 AND product_id = ANY($2::int[])',
+    [userId, products.map(product => product.id)]
+  );
+  const wishlisted = new Set(rows.map(row => row.product_id));
+
+  for (const product of products) {
+    product.wishlisted = wishlisted.has(product.id);
+  }
+  return products;
+}
+
+module.exports = {
+  listItems,
+  addItem,
+  removeItem,
+  markWishlisted
+};
@@ -77,7 +77,20 @@ describe('End-to-End User Workflows', () => {
       const product = productResponse.body.data.product;
       expect(product.id).toBe(1);
 
-      // 6. User places order
+      // 6. User saves a shipping address and places order
+      const addressResponse = await request(app)
+        .post('/api/user/addresses')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          full_name: 'John Doe',
+          line1: '1 Main Street',
+          city: 'Springfield',
+          postal_code: '12345',
+          country: 'US'
+        });
+
+      expectSuccessResponse(addressResponse, 201);
+
       const orderData = {
         items: [
           { product_id: 1, quantity: 2 },
@@ -95,13 +108,28 @@ describe('End-to-End User Workflows', () => {
       const expectedTotal = (29.99 * 2) + (39.99 * 1);
       expect(orderResponse.body.data.total_amount).toBe(expectedTotal);
 
-      // 7. User views updated dashboard
+      // 7. User views updated dashboard; the order counts towards
+      // total_spent once it has been paid for
+      const unpaidDashboardResponse = await request(app)
+        .get('/api/user/dashboard')
+        .set('Authorization', `Bearer ${token}`);
+
+      expectSuccessResponse(unpaidDashboardResponse);
+      expect(unpaidDashboardResponse.body.data.stats.total_orders).toBe(1);
+      expect(unpaidDashboardResponse.body.data.stats.total_spent).toBe('0.00');
+
+      const paymentResponse = await request(app)
+        .post(`/api/payments/orders/${orderResponse.body.data.order_id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ payment_method: 'tok_visa' });
+
+      expectSuccessResponse(paymentResponse, 201);
+
       const updatedDashboardResponse = await request(app)
         .get('/api/user/dashboard')
         .set('Authorization', `Bearer ${token}`);
 
       expectSuccessResponse(updatedDashboardResponse);
-      expect(updatedDashboardResponse.body.data.stats.total_orders).toBe(1);
       expect(parseFloat(updatedDashboardResponse.body.data.stats.total_spent)).toBe(expectedTotal);
 
       // 8. User views order history
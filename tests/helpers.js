@@ -33,7 +33,7 @@ class TestDatabase {
   }
 
   async clearDatabase() {
-    const tables = ['order_items', 'orders', 'user_profiles', 'users', 'products', 'sessions'];
+    const tables = ['tax_rates', 'invoices', 'invoice_counter', 'order_refunds', 'return_requests', 'payment_events', 'payments', 'coupon_redemptions', 'coupons', 'user_addresses', 'wishlist_items', 'product_reviews', 'idempotency_keys', 'user_roles', 'audit_log', 'user_recovery_codes', 'user_totp', 'email_verification_tokens', 'password_reset_tokens', 'refresh_tokens', 'order_status_history', 'order_items', 'orders', 'user_profiles', 'users', 'products', 'sessions'];
     
     for (const table of tables) {
       try {
@@ -48,10 +48,17 @@ class TestDatabase {
   async seedDatabase() {
     // Insert test users
     await this.query(`
-      INSERT INTO users (username, email, password_hash, created_at) VALUES
-      ('testuser1', 'test1@example.com', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewlMJIKhYdCPQBJq', CURRENT_TIMESTAMP),
-      ('testuser2', 'test2@example.com', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewlMJIKhYdCPQBJq', CURRENT_TIMESTAMP),
-      ('testuser3', 'test3@example.com', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewlMJIKhYdCPQBJq', CURRENT_TIMESTAMP)
+      INSERT INTO users (username, email, password_hash, email_verified_at, created_at) VALUES
+      ('testuser1', 'test1@example.com', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewlMJIKhYdCPQBJq', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP),
+      ('testuser2', 'test2@example.com', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewlMJIKhYdCPQBJq', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP),
+      ('testuser3', 'test3@example.com', '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewlMJIKhYdCPQBJq', NULL, CURRENT_TIMESTAMP)
+    `);
+
+    // Assign test roles (roles and permissions are reference data from schema.sql)
+    await this.query(`
+      INSERT INTO user_roles (user_id, role_id)
+      SELECT u.id, r.id FROM users u
+      JOIN roles r ON r.name = CASE WHEN u.username = 'testuser1' THEN 'admin' ELSE 'customer' END
     `);
 
     // Insert test products
@@ -71,11 +78,18 @@ class TestDatabase {
       (2, 'Jane', 'Smith', '+1234567891', 'Test user 2 bio', CURRENT_TIMESTAMP)
     `);
 
+    // Insert test addresses (default shipping and billing for users 1 and 2)
+    await this.query(`
+      INSERT INTO user_addresses (user_id, full_name, line1, city, postal_code, country, is_default_shipping, is_default_billing) VALUES
+      (1, 'John Doe', '1 Main Street', 'Springfield', '12345', 'US', TRUE, TRUE),
+      (2, 'Jane Smith', '10 High Street', 'London', 'SW1A 1AA', 'GB', TRUE, TRUE)
+    `);
+
     // Insert test orders
     await this.query(`
       INSERT INTO orders (user_id, total_amount, status, created_at) VALUES
       (1, 59.98, 'pending', CURRENT_TIMESTAMP),
-      (1, 19.99, 'completed', CURRENT_TIMESTAMP),
+      (1, 19.99, 'delivered', CURRENT_TIMESTAMP),
       (2, 49.99, 'pending', CURRENT_TIMESTAMP)
     `);
 
@@ -0,0 +1,106 @@
+// Integration tests for admin routes
+const request = require('supertest');
+const app = require('../../server');
+const { TestDatabase, TestRedis, generateJWT, expectSuccessResponse } = require('../helpers');
+
+describe('Admin Routes Integration', () => {
+  let testDb, testRedis, adminToken, customerToken;
+
+  beforeAll(async () => {
+    testDb = new TestDatabase();
+    testRedis = new TestRedis();
+
+    await testDb.connect();
+    await testRedis.connect();
+  });
+
+  afterAll(async () => {
+    await testDb.disconnect();
+    await testRedis.disconnect();
+  });
+
+  beforeEach(async () => {
+    await testDb.clearDatabase();
+    await testRedis.flushAll();
+    await testDb.seedDatabase();
+
+    // testuser1 is seeded as admin, testuser2 as customer
+    adminToken = generateJWT(1);
+    customerToken = generateJWT(2);
+  });
+
+  describe('GET /api/admin/roles', () => {
+    test('should list roles for administrators', async () => {
+      const response = await request(app)
+        .get('/api/admin/roles')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expectSuccessResponse(response);
+      const names = response.body.data.roles.map(role => role.name);
+      expect(names).toEqual(expect.arrayContaining(['admin', 'staff', 'customer']));
+    });
+
+    test('should reject customers with 403', async () => {
+      const response = await request(app)
+        .get('/api/admin/roles')
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    });
+
+    test('should require authentication', async () => {
+      const response = await request(app)
+        .get('/api/admin/roles');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/admin/users/:id/roles', () => {
+    test('should grant a role and refresh cached permissions', async () => {
+      // Prime the customer's cached user data
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      const response = await request(app)
+        .post('/api/admin/users/2/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'staff' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Role assigned successfully');
+
+      const meResponse = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(meResponse.body.data.user.roles).toContain('staff');
+      expect(meResponse.body.data.user.permissions).toContain('products:write');
+    });
+
+    test('should reject unknown roles', async () => {
+      const response = await request(app)
+        .post('/api/admin/users/2/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'superuser' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Role superuser does not exist');
+    });
+  });
+
+  describe('DELETE /api/admin/users/:id/roles/:role', () => {
+    test('should not let an admin remove their own admin role', async () => {
+      const response = await request(app)
+        .delete('/api/admin/users/1/roles/admin')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -2,7 +2,9 @@
 const request = require('supertest');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const app = require('../../server');
+const { generateCode, currentStep } = require('../../services/totp');
 const { TestDatabase, TestRedis, generateTestUser, expectValidationError, expectSuccessResponse } = require('../helpers');
 
 describe('Authentication Routes Integration', () => {
@@ -61,6 +63,41 @@ describe('Authentication Routes Integration', () => {
       expectValidationError(response, 'username');
     });
 
+    test('should store the requested email locale', async () => {
+      const userData = generateTestUser({ locale: 'es' });
+
+      const response = await request(app)
+        .post('/api/auth/signup')
+        .send(userData);
+
+      expectSuccessResponse(response, 201);
+      const rows = await testDb.query('SELECT locale FROM users WHERE id = $1', [response.body.data.user.id]);
+      expect(rows[0].locale).toBe('es');
+    });
+
+    test('should take the email locale from Accept-Language', async () => {
+      const userData = generateTestUser();
+
+      const response = await request(app)
+        .post('/api/auth/signup')
+        .set('Accept-Language', 'fr;q=0.9, es-MX;q=0.8')
+        .send(userData);
+
+      expectSuccessResponse(response, 201);
+      const rows = await testDb.query('SELECT locale FROM users WHERE id = $1', [response.body.data.user.id]);
+      expect(rows[0].locale).toBe('es');
+    });
+
+    test('should validate locale format', async () => {
+      const userData = generateTestUser({ locale: 'not a locale' });
+
+      const response = await request(app)
+        .post('/api/auth/signup')
+        .send(userData);
+
+      expectValidationError(response, 'locale');
+    });
+
     test('should validate email format', async () => {
       const userData = generateTestUser({ email: 'invalid-email' });
 
@@ -185,6 +222,51 @@ describe('Authentication Routes Integration', () => {
       expectValidationError(response, 'email');
     });
 
+    test('should delay further attempts after repeated failures', async () => {
+      for (let i = 0; i < 3; i++) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({
+            email: 'test1@example.com',
+            password: 'wrongpassword'
+          });
+      }
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test1@example.com',
+          password: 'password123'
+        });
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBeDefined();
+      expect(response.body.message).toBe('Too many login attempts, please try again later');
+
+      const audit = await testDb.query("SELECT COUNT(*) AS total FROM audit_log WHERE event = 'login_failed'");
+      expect(parseInt(audit[0].total)).toBe(3);
+    });
+
+    test('should throttle unknown emails exactly like registered ones', async () => {
+      for (let i = 0; i < 3; i++) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({
+            email: 'nonexistent@example.com',
+            password: 'wrongpassword'
+          });
+      }
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'nonexistent@example.com',
+          password: 'wrongpassword'
+        });
+
+      expect(response.status).toBe(429);
+    });
+
     test('should update last login timestamp', async () => {
       await request(app)
         .post('/api/auth/login')
@@ -213,6 +295,66 @@ describe('Authentication Routes Integration', () => {
     });
   });
 
+  describe('POST /api/auth/refresh', () => {
+    test('should issue a new token pair for a valid refresh token', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test1@example.com',
+          password: 'password123'
+        });
+
+      const { refreshToken } = loginResponse.body.data;
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expectSuccessResponse(response);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+    });
+
+    test('should revoke the token family when a refresh token is reused', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test1@example.com',
+          password: 'password123'
+        });
+
+      const { refreshToken } = loginResponse.body.data;
+
+      const firstRefresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      // Replay the already-rotated token
+      const replay = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(replay.status).toBe(401);
+      expect(replay.body.message).toBe('Invalid refresh token');
+
+      // The legitimately rotated token is now revoked as well
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: firstRefresh.body.data.refreshToken });
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should validate required fields', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({});
+
+      expectValidationError(response, 'refreshToken');
+    });
+  });
+
   describe('POST /api/auth/logout', () => {
     test('should logout successfully with valid token', async () => {
       // First login
@@ -266,6 +408,327 @@ describe('Authentication Routes Integration', () => {
       expect(response.status).toBe(401);
       expect(response.body.message).toBe('Token has been invalidated');
     });
+
+    test('should revoke refresh token after logout', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test1@example.com',
+          password: 'password123'
+        });
+
+      const { token, refreshToken } = loginResponse.body.data;
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('Invalid refresh token');
+    });
+  });
+
+  describe('Two-factor login', () => {
+    const secret = 'JBSWY3DPEHPK3PXP';
+
+    beforeEach(async () => {
+      await testDb.query('UPDATE users SET two_factor_enabled = TRUE WHERE id = 2');
+      await testDb.query(
+        'INSERT INTO user_totp (user_id, secret, enabled_at) VALUES (2, $1, CURRENT_TIMESTAMP)',
+        [secret]
+      );
+    });
+
+    test('should return a challenge instead of tokens after the password step', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test2@example.com',
+          password: 'password123'
+        });
+
+      expectSuccessResponse(response);
+      expect(response.body.data.twoFactorRequired).toBe(true);
+      expect(response.body.data.challengeToken).toBeDefined();
+      expect(response.body.data.token).toBeUndefined();
+
+      // The challenge token cannot be used as an access token
+      const meResponse = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.challengeToken}`);
+      expect(meResponse.status).toBe(401);
+    });
+
+    test('should issue tokens for a valid TOTP code and reject its replay', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test2@example.com',
+          password: 'password123'
+        });
+
+      const { challengeToken } = loginResponse.body.data;
+      const code = generateCode(secret, currentStep());
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code });
+
+      expectSuccessResponse(response);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+
+      const replay = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code });
+
+      expect(replay.status).toBe(401);
+      expect(replay.body.message).toBe('Invalid two-factor code');
+    });
+
+    test('should keep counting wrong codes across fresh challenges', async () => {
+      // Stay under the per-challenge limit but reach LOGIN_MAX_ATTEMPTS (10)
+      let challengeToken;
+      for (let i = 0; i < 10; i++) {
+        if (i % 4 === 0) {
+          const loginResponse = await request(app)
+            .post('/api/auth/login')
+            .send({
+              email: 'test2@example.com',
+              password: 'password123'
+            });
+          challengeToken = loginResponse.body.data.challengeToken;
+        }
+
+        await request(app)
+          .post('/api/auth/2fa/verify')
+          .send({ challengeToken, code: '000000' });
+      }
+
+      const freshLogin = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test2@example.com',
+          password: 'password123'
+        });
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({
+          challengeToken: freshLogin.body.data.challengeToken,
+          code: generateCode(secret, currentStep())
+        });
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    test('should limit wrong codes on step-up', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test2@example.com',
+          password: 'password123'
+        });
+      const verifyResponse = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({
+          challengeToken: loginResponse.body.data.challengeToken,
+          code: generateCode(secret, currentStep())
+        });
+      const { token } = verifyResponse.body.data;
+
+      const stepUp = code => request(app)
+        .post('/api/auth/2fa/step-up')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code });
+
+      for (let i = 0; i < 10; i++) {
+        const wrong = await stepUp('000000');
+        expect(wrong.status).toBe(401);
+      }
+
+      const response = await stepUp(generateCode(secret, currentStep() + 1));
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBeDefined();
+
+      const audit = await testDb.query("SELECT user_id FROM audit_log WHERE event = 'two_factor_locked'");
+      expect(audit).toEqual([{ user_id: 2 }]);
+    });
+  });
+
+  describe('POST /api/auth/verify-email', () => {
+    const verificationToken = 'known-verification-token';
+    const tokenHash = crypto.createHash('sha256').update(verificationToken).digest('hex');
+
+    beforeEach(async () => {
+      await testDb.query(`
+        INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+        VALUES (3, $1, CURRENT_TIMESTAMP + INTERVAL '1 day')
+      `, [tokenHash]);
+    });
+
+    test('should create a verification token on signup', async () => {
+      const userData = generateTestUser();
+
+      const response = await request(app)
+        .post('/api/auth/signup')
+        .send(userData);
+
+      const tokens = await testDb.query(
+        'SELECT id FROM email_verification_tokens WHERE user_id = $1',
+        [response.body.data.user.id]
+      );
+      expect(tokens).toHaveLength(1);
+      expect(response.body.data.user.email_verified_at).toBeNull();
+    });
+
+    test('should mark the email as verified', async () => {
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: verificationToken });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Email verified successfully');
+
+      const user = await testDb.query('SELECT email_verified_at FROM users WHERE id = 3');
+      expect(user[0].email_verified_at).not.toBeNull();
+    });
+
+    test('should reject a verification token that was already used', async () => {
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: verificationToken });
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: verificationToken });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Invalid or expired verification token');
+    });
+  });
+
+  describe('POST /api/auth/resend-verification', () => {
+    test('should throttle repeated requests for the same email', async () => {
+      const first = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: 'test3@example.com' });
+
+      const second = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: 'test3@example.com' });
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(429);
+    });
+  });
+
+  describe('POST /api/auth/forgot-password', () => {
+    test('should create a reset token for a registered email', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test1@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+
+      const tokens = await testDb.query(
+        'SELECT t.token_hash FROM password_reset_tokens t JOIN users u ON u.id = t.user_id WHERE u.email = $1',
+        ['test1@example.com']
+      );
+      expect(tokens).toHaveLength(1);
+    });
+
+    test('should give the same answer for an unknown email', async () => {
+      const known = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test1@example.com' });
+
+      const unknown = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nonexistent@example.com' });
+
+      expect(unknown.status).toBe(known.status);
+      expect(unknown.body).toEqual(known.body);
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    const resetToken = 'known-reset-token';
+    const tokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
+
+    beforeEach(async () => {
+      await testDb.query(`
+        INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+        VALUES (1, $1, CURRENT_TIMESTAMP + INTERVAL '1 hour')
+      `, [tokenHash]);
+    });
+
+    test('should reset the password and invalidate existing tokens', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test1@example.com',
+          password: 'password123'
+        });
+
+      const { token, refreshToken } = loginResponse.body.data;
+
+      // Make sure the new password timestamp lands after the token's iat
+      await new Promise(resolve => setTimeout(resolve, 1100));
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'NewPassword123' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Password has been reset successfully');
+
+      const meResponse = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`);
+      expect(meResponse.status).toBe(401);
+
+      const refreshResponse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+      expect(refreshResponse.status).toBe(401);
+
+      const newLogin = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'test1@example.com',
+          password: 'NewPassword123'
+        });
+      expect(newLogin.status).toBe(200);
+    });
+
+    test('should reject a reset token that was already used', async () => {
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'NewPassword123' });
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'OtherPassword123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Invalid or expired reset token');
+    });
+
+    test('should validate password strength', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'weak' });
+
+      expectValidationError(response, 'password');
+    });
   });
 
   describe('GET /api/auth/me', () => {
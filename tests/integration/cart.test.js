@@ -0,0 +1,167 @@
+// Integration tests for cart routes
+const request = require('supertest');
+const app = require('../../server');
+const { TestDatabase, TestRedis, generateJWT, expectSuccessResponse } = require('../helpers');
+
+describe('Cart Routes Integration', () => {
+  let testDb, testRedis, authToken;
+
+  beforeAll(async () => {
+    testDb = new TestDatabase();
+    testRedis = new TestRedis();
+
+    await testDb.connect();
+    await testRedis.connect();
+  });
+
+  afterAll(async () => {
+    await testDb.disconnect();
+    await testRedis.disconnect();
+  });
+
+  beforeEach(async () => {
+    await testDb.clearDatabase();
+    await testRedis.flushAll();
+    await testDb.seedDatabase();
+
+    authToken = generateJWT(2);
+  });
+
+  const addItem = (product_id, quantity) => request(app)
+    .post('/api/cart/items')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ product_id, quantity });
+
+  describe('Cart items', () => {
+    test('should add items and compute totals', async () => {
+      await addItem(1, 2);
+      const response = await addItem(2, 1);
+
+      expectSuccessResponse(response);
+      const { cart } = response.body.data;
+      expect(cart.items).toHaveLength(2);
+      expect(cart.item_count).toBe(3);
+      expect(cart.subtotal).toBe(99.97); // (29.99 * 2) + 39.99
+    });
+
+    test('should update and remove items', async () => {
+      await addItem(1, 2);
+
+      const updated = await request(app)
+        .put('/api/cart/items/1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ quantity: 5 });
+
+      expect(updated.body.data.cart.items[0].quantity).toBe(5);
+
+      const removed = await request(app)
+        .delete('/api/cart/items/1')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expectSuccessResponse(removed);
+      expect(removed.body.data.cart.items).toHaveLength(0);
+    });
+
+    test('should warn when the cart holds more than is in stock', async () => {
+      const response = await addItem(2, 8); // Stock is 5
+
+      expectSuccessResponse(response);
+      expect(response.body.data.cart.items[0].warning).toBe('Only 5 left in stock');
+      expect(response.body.data.cart.can_checkout).toBe(false);
+    });
+
+    test('should not lose concurrent additions to the same line', async () => {
+      await Promise.all(Array.from({ length: 10 }, () => addItem(1, 1)));
+
+      const response = await request(app)
+        .get('/api/cart')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.body.data.cart.items[0].quantity).toBe(10);
+    });
+
+    test('should reject unknown products', async () => {
+      const response = await addItem(999, 1);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should clear the cart', async () => {
+      await addItem(1, 1);
+
+      const response = await request(app)
+        .delete('/api/cart')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expectSuccessResponse(response);
+      expect(response.body.data.cart.items).toHaveLength(0);
+    });
+  });
+
+  describe('Anonymous carts', () => {
+    test('should keep a cart per session and merge it on login', async () => {
+      const agent = request.agent(app);
+
+      await agent.post('/api/cart/items').send({ product_id: 3, quantity: 2 });
+      const anonymous = await agent.get('/api/cart');
+      expect(anonymous.body.data.cart.item_count).toBe(2);
+
+      await addItem(3, 1);
+
+      const login = await agent
+        .post('/api/auth/login')
+        .send({ email: 'test2@example.com', password: 'password123' });
+      expectSuccessResponse(login);
+
+      const merged = await request(app)
+        .get('/api/cart')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(merged.body.data.cart.items[0].quantity).toBe(3);
+    });
+  });
+
+  describe('POST /api/cart/checkout', () => {
+    test('should turn the cart into an order and empty it', async () => {
+      await addItem(1, 1);
+      await addItem(2, 2);
+
+      const response = await request(app)
+        .post('/api/cart/checkout')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expectSuccessResponse(response, 201);
+      expect(response.body.data.total_amount).toBe(109.97); // 29.99 + (39.99 * 2)
+
+      const cart = await request(app)
+        .get('/api/cart')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(cart.body.data.cart.items).toHaveLength(0);
+    });
+
+    test('should keep the cart when checkout fails', async () => {
+      await addItem(2, 8); // Stock is 5
+
+      const response = await request(app)
+        .post('/api/cart/checkout')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('Insufficient stock');
+
+      const cart = await request(app)
+        .get('/api/cart')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(cart.body.data.cart.items).toHaveLength(1);
+    });
+
+    test('should reject an empty cart', async () => {
+      const response = await request(app)
+        .post('/api/cart/checkout')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Cart is empty');
+    });
+  });
+});
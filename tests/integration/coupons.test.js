@@ -0,0 +1,199 @@
+// Integration tests for coupons and discounted orders
+const request = require('supertest');
+const app = require('../../server');
+const { TestDatabase, TestRedis, generateJWT, expectSuccessResponse } = require('../helpers');
+
+describe('Coupons Integration', () => {
+  let testDb, testRedis, adminToken, customerToken;
+
+  beforeAll(async () => {
+    testDb = new TestDatabase();
+    testRedis = new TestRedis();
+
+    await testDb.connect();
+    await testRedis.connect();
+  });
+
+  afterAll(async () => {
+    await testDb.disconnect();
+    await testRedis.disconnect();
+  });
+
+  beforeEach(async () => {
+    await testDb.clearDatabase();
+    await testRedis.flushAll();
+    await testDb.seedDatabase();
+
+    adminToken = generateJWT(1);
+    customerToken = generateJWT(2);
+  });
+
+  const createCoupon = (coupon) => request(app)
+    .post('/api/coupons')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(coupon);
+
+  const placeOrder = (items, couponCode) => request(app)
+    .post('/api/products/order')
+    .set('Authorization', `Bearer ${customerToken}`)
+    .send({ items, coupon_code: couponCode });
+
+  describe('Coupon management', () => {
+    test('should create coupons with normalised codes', async () => {
+      const response = await createCoupon({ code: 'summer-10', discount_type: 'percentage', discount_value: 10 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.coupon.code).toBe('SUMMER-10');
+
+      const duplicate = await createCoupon({ code: 'Summer-10', discount_type: 'fixed', discount_value: 5 });
+      expect(duplicate.status).toBe(409);
+    });
+
+    test('should validate coupons', async () => {
+      const overHundred = await createCoupon({ code: 'TOOMUCH', discount_type: 'percentage', discount_value: 150 });
+      const backwards = await createCoupon({
+        code: 'BACKWARDS',
+        discount_type: 'fixed',
+        discount_value: 5,
+        starts_at: '2026-02-01T00:00:00Z',
+        expires_at: '2026-01-01T00:00:00Z'
+      });
+
+      expect(overHundred.status).toBe(400);
+      expect(backwards.status).toBe(400);
+    });
+
+    test('should require coupons:manage', async () => {
+      const response = await request(app)
+        .post('/api/coupons')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ code: 'SNEAKY', discount_type: 'fixed', discount_value: 50 });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/coupons/validate', () => {
+    test('should preview the discount for the given items', async () => {
+      await createCoupon({ code: 'BOOKS50', discount_type: 'percentage', discount_value: 50, categories: ['Books'] });
+
+      const response = await request(app)
+        .post('/api/coupons/validate')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ code: 'books50', items: [{ product_id: 3, quantity: 2 }, { product_id: 4, quantity: 1 }] });
+
+      expectSuccessResponse(response);
+      expect(response.body.data).toMatchObject({
+        subtotal: 89.97,
+        discount_amount: 19.99,
+        total_amount: 69.98
+      });
+
+      const redemptions = await testDb.query('SELECT id FROM coupon_redemptions');
+      expect(redemptions).toHaveLength(0);
+    });
+
+    test('should fall back to the cart', async () => {
+      await createCoupon({ code: 'FIVEOFF', discount_type: 'fixed', discount_value: 5 });
+      await request(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ product_id: 1, quantity: 1 });
+
+      const response = await request(app)
+        .post('/api/coupons/validate')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ code: 'FIVEOFF' });
+
+      expectSuccessResponse(response);
+      expect(response.body.data.total_amount).toBe(24.99);
+    });
+
+    test('should explain why a coupon cannot be used', async () => {
+      await createCoupon({ code: 'BIGSPEND', discount_type: 'fixed', discount_value: 10, min_order_amount: 100 });
+
+      const tooSmall = await request(app)
+        .post('/api/coupons/validate')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ code: 'BIGSPEND', items: [{ product_id: 1, quantity: 1 }] });
+      const unknown = await request(app)
+        .post('/api/coupons/validate')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ code: 'NOPE', items: [{ product_id: 1, quantity: 1 }] });
+
+      expect(tooSmall.status).toBe(400);
+      expect(tooSmall.body.message).toBe('Coupon requires a minimum order of 100.00');
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.message).toBe('Coupon not found');
+    });
+  });
+
+  describe('Ordering with a coupon', () => {
+    test('should show subtotal, discount and total and record the redemption', async () => {
+      await createCoupon({ code: 'SAVE10', discount_type: 'percentage', discount_value: 10 });
+
+      const response = await placeOrder([{ product_id: 2, quantity: 2 }], 'save10');
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        subtotal: 79.98,
+        discount_amount: 8,
+        total_amount: 71.98,
+        coupon_code: 'SAVE10'
+      });
+
+      const orderId = response.body.data.order_id;
+      const orders = await testDb.query('SELECT subtotal_amount, discount_amount, total_amount FROM orders WHERE id = $1', [orderId]);
+      expect(orders[0]).toEqual({ subtotal_amount: '79.98', discount_amount: '8.00', total_amount: '71.98' });
+
+      const coupons = await testDb.query("SELECT times_used FROM coupons WHERE code = 'SAVE10'");
+      expect(coupons[0].times_used).toBe(1);
+    });
+
+    test('should not place the order when the coupon is rejected', async () => {
+      await createCoupon({ code: 'ONCE', discount_type: 'fixed', discount_value: 5, max_uses_per_user: 1 });
+
+      await placeOrder([{ product_id: 2, quantity: 1 }], 'ONCE');
+      const second = await placeOrder([{ product_id: 2, quantity: 1 }], 'ONCE');
+
+      expect(second.status).toBe(400);
+      expect(second.body.message).toBe('You have already used this coupon');
+
+      // Only the first order took stock
+      const stock = await testDb.query('SELECT stock_quantity FROM products WHERE id = 2');
+      expect(stock[0].stock_quantity).toBe(4);
+    });
+
+    test('should not exceed the global limit under concurrent orders', async () => {
+      await createCoupon({ code: 'LASTONE', discount_type: 'fixed', discount_value: 5, max_uses: 1 });
+      const otherToken = generateJWT(1);
+
+      const responses = await Promise.all([
+        placeOrder([{ product_id: 3, quantity: 1 }], 'LASTONE'),
+        request(app)
+          .post('/api/products/order')
+          .set('Authorization', `Bearer ${otherToken}`)
+          .send({ items: [{ product_id: 5, quantity: 1 }], coupon_code: 'LASTONE' })
+      ]);
+
+      const statuses = responses.map(response => response.status).sort();
+      expect(statuses).toEqual([201, 400]);
+
+      const redemptions = await testDb.query('SELECT id FROM coupon_redemptions');
+      expect(redemptions).toHaveLength(1);
+    });
+
+    test('should give the use back when the order is cancelled', async () => {
+      await createCoupon({ code: 'ONCE', discount_type: 'fixed', discount_value: 5, max_uses_per_user: 1 });
+
+      const first = await placeOrder([{ product_id: 2, quantity: 1 }], 'ONCE');
+      await request(app)
+        .post(`/api/products/orders/${first.body.data.order_id}/cancel`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      const second = await placeOrder([{ product_id: 2, quantity: 1 }], 'ONCE');
+
+      expect(second.status).toBe(201);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+// Integration tests for order invoices
+const request = require('supertest');
+const app = require('../../server');
+const { TestDatabase, TestRedis, generateJWT } = require('../helpers');
+
+describe('Invoices Integration', () => {
+  let testDb, testRedis, adminToken, customerToken;
+
+  beforeAll(async () => {
+    testDb = new TestDatabase();
+    testRedis = new TestRedis();
+
+    await testDb.connect();
+    await testRedis.connect();
+  });
+
+  afterAll(async () => {
+    await testDb.disconnect();
+    await testRedis.disconnect();
+  });
+
+  beforeEach(async () => {
+    await testDb.clearDatabase();
+    await testRedis.flushAll();
+    await testDb.seedDatabase();
+
+    // Order 2 is testuser1's (John Doe's) delivered order; order 3 is
+    // testuser2's pending order. testuser1 is also an admin.
+    adminToken = generateJWT(1);
+    customerToken = generateJWT(2);
+  });
+
+  const getInvoice = (orderId, token, format) => request(app)
+    .get(`/api/products/orders/${orderId}/invoice${format ? `?format=${format}` : ''}`)
+    .set('Authorization', `Bearer ${token}`)
+    .buffer(true)
+    .responseType('blob');
+
+  test('should render the invoice as a PDF', async () => {
+    const response = await getInvoice(2, adminToken);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^application\/pdf/);
+    expect(response.headers['content-disposition']).toBe('inline; filename="INV-000001.pdf"');
+    expect(response.body.toString('latin1', 0, 8)).toBe('%PDF-1.4');
+  });
+
+  test('should issue the number once per order', async () => {
+    await getInvoice(2, adminToken);
+    await getInvoice(2, adminToken);
+
+    const invoices = await testDb.query('SELECT order_id, invoice_number, customer FROM invoices');
+    expect(invoices).toHaveLength(1);
+    expect(invoices[0]).toMatchObject({ order_id: 2, invoice_number: 'INV-000001', customer: { name: 'John Doe' } });
+  });
+
+  test('should number invoices without gaps', async () => {
+    await testDb.query("UPDATE orders SET status = 'delivered' WHERE id = 3");
+
+    // A refused request does not use up a number
+    const refused = await getInvoice(1, adminToken);
+    await getInvoice(2, adminToken);
+    const second = await getInvoice(3, customerToken);
+
+    expect(refused.status).toBe(409);
+    expect(second.headers['content-disposition']).toBe('inline; filename="INV-000002.pdf"');
+  });
+
+  test('should render the HTML variant', async () => {
+    const response = await request(app)
+      .get('/api/products/orders/2/invoice?format=html')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/html/);
+    expect(response.text).toContain('INV-000001');
+    expect(response.text).toContain('John Doe');
+    expect(response.text).toContain('19.99');
+  });
+
+  test('should not invoice unpaid orders', async () => {
+    const response = await request(app)
+      .get('/api/products/orders/3/invoice')
+      .set('Authorization', `Bearer ${customerToken}`);
+
+    expect(response.status).toBe(409);
+  });
+
+  test("should not show another customer's invoice", async () => {
+    const response = await request(app)
+      .get('/api/products/orders/2/invoice')
+      .set('Authorization', `Bearer ${customerToken}`);
+
+    expect(response.status).toBe(404);
+  });
+
+  test('should validate the format', async () => {
+    const response = await request(app)
+      .get('/api/products/orders/2/invoice?format=docx')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(400);
+  });
+});
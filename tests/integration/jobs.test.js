@@ -0,0 +1,236 @@
+// Integration tests for the Redis job queue and its admin endpoints
+const request = require('supertest');
+const app = require('../../server');
+const jobs = require('../../services/jobs');
+const { createWorker } = require('../../services/job-worker');
+const { TestDatabase, TestRedis, generateJWT, expectSuccessResponse } = require('../helpers');
+
+describe('Job Queue Integration', () => {
+  let testDb, testRedis, adminToken, customerToken;
+
+  beforeAll(async () => {
+    testDb = new TestDatabase();
+    testRedis = new TestRedis();
+
+    await testDb.connect();
+    await testRedis.connect();
+  });
+
+  afterAll(async () => {
+    await testDb.disconnect();
+    await testRedis.disconnect();
+  });
+
+  beforeEach(async () => {
+    await testDb.clearDatabase();
+    await testRedis.flushAll();
+    await testDb.seedDatabase();
+
+    adminToken = generateJWT(1);
+    customerToken = generateJWT(2);
+  });
+
+  // Runs a job to failure until it is dead-lettered
+  const exhaust = async (queue) => {
+    for (;;) {
+      const job = await jobs.claimJob(queue);
+      if (await jobs.failJob(job, new Error('boom')) === 'failed') {
+        return job;
+      }
+      // Make the retry due now
+      await testRedis.client.zAdd(`jobs:${queue}:delayed`, { score: 0, value: job.id });
+    }
+  };
+
+  describe('Queue', () => {
+    test('should run jobs in order and complete them', async () => {
+      const first = await jobs.enqueue('test', { n: 1 });
+      await jobs.enqueue('test', { n: 2 });
+
+      const claimed = await jobs.claimJob('test');
+      expect(claimed).toMatchObject({ id: first, queue: 'test', data: { n: 1 }, state: 'active', attempts: 1 });
+
+      await jobs.completeJob(claimed);
+      expect(await jobs.getJob(first)).toBeNull();
+
+      const [stats] = await jobs.getQueueStats();
+      expect(stats).toEqual({ queue: 'test', waiting: 1, delayed: 0, active: 0, failed: 0, completed: 1 });
+    });
+
+    test('should hold delayed jobs until they are due', async () => {
+      await jobs.enqueue('test', { n: 1 }, { delay: 60000 });
+
+      expect(await jobs.claimJob('test')).toBeNull();
+      const [stats] = await jobs.getQueueStats();
+      expect(stats.delayed).toBe(1);
+    });
+
+    test('should retry failed jobs with backoff, then dead-letter them', async () => {
+      const id = await jobs.enqueue('test', { n: 1 }, { attempts: 2, backoff: 60000 });
+
+      const job = await jobs.claimJob('test');
+      expect(await jobs.failJob(job, new Error('boom'))).toBe('delayed');
+      expect(await jobs.claimJob('test')).toBeNull();
+
+      const dead = await exhaust('test');
+      expect(dead.id).toBe(id);
+
+      const stored = await jobs.getJob(id);
+      expect(stored).toMatchObject({ state: 'failed', attempts: 2, lastError: 'boom' });
+      expect(stored.failedAt).not.toBeNull();
+    });
+
+    test('should hand jobs with an expired lease to another worker', async () => {
+      const id = await jobs.enqueue('test', { n: 1 });
+
+      await jobs.claimJob('test', { leaseMs: -1 });
+      const reclaimed = await jobs.claimJob('test');
+
+      expect(reclaimed).toMatchObject({ id, attempts: 2 });
+    });
+
+    test('should dead-letter jobs whose lease ran out on their last attempt', async () => {
+      const id = await jobs.enqueue('test', { n: 1 }, { attempts: 1 });
+
+      await jobs.claimJob('test', { leaseMs: -1 });
+      expect(await jobs.claimJob('test')).toBeNull();
+
+      expect(await jobs.getJob(id)).toMatchObject({ state: 'failed', attempts: 1 });
+      const [stats] = await jobs.getQueueStats();
+      expect(stats).toMatchObject({ waiting: 0, active: 0, failed: 1 });
+    });
+
+    test('should drop jobs completed by a worker that outlived its lease', async () => {
+      const id = await jobs.enqueue('test', { n: 1 });
+
+      const first = await jobs.claimJob('test', { leaseMs: -1 });
+      await jobs.claimJob('test', { leaseMs: -1 });
+      await jobs.completeJob(first);
+
+      expect(await jobs.claimJob('test')).toBeNull();
+      expect(await testRedis.client.exists(`jobs:job:${id}`)).toBe(0);
+      const [stats] = await jobs.getQueueStats();
+      expect(stats).toMatchObject({ waiting: 0, active: 0, failed: 0 });
+    });
+
+    test('should ignore failures reported after the job was claimed again', async () => {
+      const id = await jobs.enqueue('test', { n: 1 });
+
+      const first = await jobs.claimJob('test', { leaseMs: -1 });
+      await jobs.claimJob('test');
+
+      expect(await jobs.failJob(first, new Error('boom'))).toBe('stale');
+
+      expect(await jobs.getJob(id)).toMatchObject({ state: 'active', attempts: 2, lastError: null });
+      const [stats] = await jobs.getQueueStats();
+      expect(stats).toMatchObject({ waiting: 0, delayed: 0, active: 1, failed: 0 });
+    });
+
+    test('should not resurrect jobs another worker has completed', async () => {
+      await jobs.enqueue('test', { n: 1 });
+
+      const first = await jobs.claimJob('test', { leaseMs: -1 });
+      const second = await jobs.claimJob('test');
+      await jobs.completeJob(second);
+
+      expect(await jobs.failJob(first, new Error('boom'))).toBe('completed');
+
+      const [stats] = await jobs.getQueueStats();
+      expect(stats).toMatchObject({ waiting: 0, delayed: 0, active: 0, failed: 0, completed: 1 });
+    });
+
+    test('should run jobs through a worker', async () => {
+      const handled = [];
+      const worker = createWorker({
+        test: { concurrency: 2, handler: async data => handled.push(data.n) }
+      }, { pollInterval: 10 });
+
+      await jobs.enqueue('test', { n: 1 });
+      await jobs.enqueue('test', { n: 2 });
+
+      worker.start();
+      while (handled.length < 2) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      await worker.stop();
+
+      expect(handled.sort()).toEqual([1, 2]);
+      const [stats] = await jobs.getQueueStats();
+      expect(stats.completed).toBe(2);
+    });
+  });
+
+  describe('Admin endpoints', () => {
+    test('should show queue counts', async () => {
+      await jobs.enqueue('test', { n: 1 });
+
+      const response = await request(app)
+        .get('/api/admin/jobs')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expectSuccessResponse(response);
+      expect(response.body.data.queues).toEqual([
+        { queue: 'test', waiting: 1, delayed: 0, active: 0, failed: 0, completed: 0 }
+      ]);
+    });
+
+    test('should list failed jobs and retry them', async () => {
+      await jobs.enqueue('test', { n: 1 }, { attempts: 1 });
+      const dead = await exhaust('test');
+
+      const list = await request(app)
+        .get('/api/admin/jobs/test/failed')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expectSuccessResponse(list);
+      expect(list.body.data.jobs).toHaveLength(1);
+      expect(list.body.data.jobs[0]).toMatchObject({ id: dead.id, data: { n: 1 }, lastError: 'boom' });
+      expect(list.body.data.pagination.total).toBe(1);
+
+      const retry = await request(app)
+        .post(`/api/admin/jobs/${dead.id}/retry`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expectSuccessResponse(retry);
+      expect(retry.body.data.job).toMatchObject({ id: dead.id, state: 'waiting', attempts: 0 });
+      expect(await jobs.claimJob('test')).toMatchObject({ id: dead.id });
+
+      const audit = await testDb.query("SELECT details FROM audit_log WHERE event = 'job_retried'");
+      expect(audit[0].details).toMatchObject({ job_id: dead.id, queue: 'test' });
+    });
+
+    test('should hide secrets in mail job data', async () => {
+      await jobs.enqueue('mail', {
+        to: 'jane@example.com',
+        template: 'password-reset',
+        locale: 'en',
+        data: { resetUrl: 'http://localhost:3000/reset-password?token=secret' }
+      }, { attempts: 1 });
+      await exhaust('mail');
+
+      const response = await request(app)
+        .get('/api/admin/jobs/mail/failed')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.body.data.jobs[0].data).toEqual({ to: 'jane@example.com', template: 'password-reset', locale: 'en' });
+    });
+
+    test('should return 404 for jobs that have not failed', async () => {
+      const id = await jobs.enqueue('test', { n: 1 });
+
+      const response = await request(app)
+        .post(`/api/admin/jobs/${id}/retry`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should require the jobs:manage permission', async () => {
+      const response = await request(app)
+        .get('/api/admin/jobs')
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
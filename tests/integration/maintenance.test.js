@@ -0,0 +1,114 @@
+// Integration tests for scheduled maintenance tasks and Redis locks
+const maintenance = require('../../services/maintenance');
+const scheduledTasks = require('../../services/scheduled-tasks');
+const { runTask } = require('../../services/scheduler');
+const { acquireLock, releaseLock, withLock } = require('../../services/locks');
+const { TestDatabase, TestRedis } = require('../helpers');
+
+describe('Maintenance Integration', () => {
+  let testDb, testRedis;
+
+  beforeAll(async () => {
+    testDb = new TestDatabase();
+    testRedis = new TestRedis();
+
+    await testDb.connect();
+    await testRedis.connect();
+  });
+
+  afterAll(async () => {
+    await testDb.disconnect();
+    await testRedis.disconnect();
+  });
+
+  beforeEach(async () => {
+    await testDb.clearDatabase();
+    await testRedis.flushAll();
+    await testDb.seedDatabase();
+  });
+
+  describe('Unpaid orders', () => {
+    beforeEach(async () => {
+      // Orders 1 (testuser1, 2 x product 1) and 3 (testuser2, 1 x product 4)
+      // are pending; make them older than PENDING_ORDER_TIMEOUT
+      await testDb.query("UPDATE orders SET created_at = CURRENT_TIMESTAMP - INTERVAL '2 days' WHERE status = 'pending'");
+    });
+
+    test('should cancel stale unpaid orders and restock their items', async () => {
+      await testDb.query("INSERT INTO payments (order_id, provider, amount, status) VALUES (3, 'mock', 49.99, 'captured')");
+
+      const result = await maintenance.cancelUnpaidOrders();
+
+      expect(result).toEqual({ orders: 1 });
+
+      const orders = await testDb.query('SELECT id, status FROM orders WHERE id IN (1, 3) ORDER BY id');
+      expect(orders).toEqual([{ id: 1, status: 'cancelled' }, { id: 3, status: 'pending' }]);
+
+      const products = await testDb.query('SELECT stock_quantity FROM products WHERE id = 1');
+      expect(products[0].stock_quantity).toBe(12);
+
+      const history = await testDb.query('SELECT to_status, changed_by, note FROM order_status_history WHERE order_id = 1');
+      expect(history).toEqual([{ to_status: 'cancelled', changed_by: null, note: 'Cancelled automatically: not paid in time' }]);
+    });
+
+    test('should leave recent orders alone', async () => {
+      await testDb.query('UPDATE orders SET created_at = CURRENT_TIMESTAMP WHERE id = 1');
+
+      const result = await maintenance.cancelUnpaidOrders();
+
+      expect(result).toEqual({ orders: 1 });
+      const orders = await testDb.query('SELECT status FROM orders WHERE id = 1');
+      expect(orders[0].status).toBe('pending');
+    });
+  });
+
+  describe('Expired data', () => {
+    test('should purge expired sessions', async () => {
+      await testDb.query(`
+        INSERT INTO sessions (session_id, user_id, data, expires_at) VALUES
+        ('old', 1, '{}', CURRENT_TIMESTAMP - INTERVAL '1 hour'),
+        ('current', 1, '{}', CURRENT_TIMESTAMP + INTERVAL '1 hour')
+      `);
+
+      const result = await runTask(scheduledTasks, 'purge-expired-sessions');
+
+      expect(result).toEqual({ sessions: 1 });
+      const sessions = await testDb.query('SELECT session_id FROM sessions');
+      expect(sessions).toEqual([{ session_id: 'current' }]);
+    });
+
+    test('should purge expired refresh tokens but keep revoked live ones', async () => {
+      await testDb.query(`
+        INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at, revoked_at) VALUES
+        (1, gen_random_uuid(), repeat('a', 64), CURRENT_TIMESTAMP - INTERVAL '1 day', NULL),
+        (1, gen_random_uuid(), repeat('b', 64), CURRENT_TIMESTAMP + INTERVAL '1 day', CURRENT_TIMESTAMP)
+      `);
+
+      const result = await maintenance.purgeExpiredTokens();
+
+      expect(result.refresh_tokens).toBe(1);
+      const tokens = await testDb.query('SELECT token_hash FROM refresh_tokens');
+      expect(tokens).toEqual([{ token_hash: 'b'.repeat(64) }]);
+    });
+  });
+
+  describe('Locks', () => {
+    test('should let only one holder take a lock', async () => {
+      const token = await acquireLock('test', 60000);
+
+      expect(token).not.toBeNull();
+      expect(await acquireLock('test', 60000)).toBeNull();
+      expect(await releaseLock('test', 'not-the-token')).toBe(false);
+      expect(await releaseLock('test', token)).toBe(true);
+      expect(await acquireLock('test', 60000)).not.toBeNull();
+    });
+
+    test('should skip work while the lock is held', async () => {
+      const run = jest.fn();
+      await acquireLock('busy', 60000);
+
+      expect(await withLock('busy', 60000, run)).toEqual({ acquired: false });
+      expect(run).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,241 @@
+// Integration tests for order detail and lifecycle routes
+const request = require('supertest');
+const app = require('../../server');
+const { TestDatabase, TestRedis, generateJWT, expectSuccessResponse } = require('../helpers');
+
+describe('Order Lifecycle Integration', () => {
+  let testDb, testRedis, adminToken, customerToken;
+
+  beforeAll(async () => {
+    testDb = new TestDatabase();
+    testRedis = new TestRedis();
+
+    await testDb.connect();
+    await testRedis.connect();
+  });
+
+  afterAll(async () => {
+    await testDb.disconnect();
+    await testRedis.disconnect();
+  });
+
+  beforeEach(async () => {
+    await testDb.clearDatabase();
+    await testRedis.flushAll();
+    await testDb.seedDatabase();
+
+    // Seeded orders: 1 (testuser1, pending), 2 (testuser1, delivered),
+    // 3 (testuser2, pending). testuser1 is an admin.
+    adminToken = generateJWT(1);
+    customerToken = generateJWT(2);
+  });
+
+  const placeOrder = (token, items) => request(app)
+    .post('/api/products/order')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ items });
+
+  // Fulfilment needs a captured payment; stands in for paying through the API
+  const markPaid = (orderId) => testDb.query(
+    "INSERT INTO payments (order_id, provider, provider_reference, amount, status) VALUES ($1, 'mock', $2, 49.99, 'captured')",
+    [orderId, `mock_ok_${orderId}`]
+  );
+
+  describe('GET /api/products/orders/:id', () => {
+    test('should return the order with items, snapshots and history', async () => {
+      const created = await placeOrder(customerToken, [{ product_id: 2, quantity: 1 }]);
+      const orderId = created.body.data.order_id;
+
+      // Renaming the product later must not change the order
+      await testDb.query("UPDATE products SET name = 'Renamed' WHERE id = 2");
+
+      const response = await request(app)
+        .get(`/api/products/orders/${orderId}`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expectSuccessResponse(response);
+      const { order } = response.body.data;
+      expect(order.items).toHaveLength(1);
+      expect(order.items[0].product.name).not.toBe('Renamed');
+      expect(order.status_history).toHaveLength(1);
+      expect(order.status_history[0].to_status).toBe('pending');
+    });
+
+    test("should not reveal another customer's order", async () => {
+      const response = await request(app)
+        .get('/api/products/orders/1')
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should let staff read any order', async () => {
+      const response = await request(app)
+        .get('/api/products/orders/3')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expectSuccessResponse(response);
+      expect(response.body.data.order.user_id).toBe(2);
+    });
+  });
+
+  describe('POST /api/products/orders/:id/cancel', () => {
+    test('should cancel a pending order and restock its items', async () => {
+      const created = await placeOrder(customerToken, [{ product_id: 2, quantity: 2 }]);
+      const orderId = created.body.data.order_id;
+
+      const response = await request(app)
+        .post(`/api/products/orders/${orderId}/cancel`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expectSuccessResponse(response);
+      expect(response.body.data.order.status).toBe('cancelled');
+
+      const product = await testDb.query('SELECT stock_quantity FROM products WHERE id = $1', [2]);
+      expect(product[0].stock_quantity).toBe(5);
+    });
+
+    test('should not cancel an order that is already processing', async () => {
+      await markPaid(3);
+      await request(app)
+        .patch('/api/products/orders/3/status')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'processing' });
+
+      const response = await request(app)
+        .post('/api/products/orders/3/cancel')
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(409);
+    });
+
+    test("should not cancel another customer's order", async () => {
+      const response = await request(app)
+        .post('/api/products/orders/1/cancel')
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/products/orders/:id/status', () => {
+    test('should walk an order through its lifecycle', async () => {
+      await markPaid(3);
+
+      for (const status of ['processing', 'shipped', 'delivered']) {
+        const response = await request(app)
+          .patch('/api/products/orders/3/status')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ status });
+
+        expectSuccessResponse(response);
+        expect(response.body.data.order.status).toBe(status);
+      }
+
+      const history = await testDb.query(
+        'SELECT from_status, to_status FROM order_status_history WHERE order_id = $1 ORDER BY id',
+        [3]
+      );
+      expect(history.map(row => row.to_status)).toEqual(['processing', 'shipped', 'delivered']);
+    });
+
+    test('should not start processing an unpaid order', async () => {
+      const response = await request(app)
+        .patch('/api/products/orders/3/status')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'processing' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe('Order has not been paid');
+    });
+
+    test('should reject illegal transitions', async () => {
+      const response = await request(app)
+        .patch('/api/products/orders/2/status')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'pending' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe('Cannot change order status from delivered to pending');
+    });
+
+    test('should reject unknown statuses', async () => {
+      const response = await request(app)
+        .patch('/api/products/orders/3/status')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'lost' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should require orders:manage', async () => {
+      const response = await request(app)
+        .patch('/api/products/orders/3/status')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ status: 'processing' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Order addresses', () => {
+    test('should snapshot the default shipping address', async () => {
+      const created = await placeOrder(customerToken, [{ product_id: 2, quantity: 1 }]);
+
+      // Editing the address afterwards must not rewrite the order
+      await request(app)
+        .put('/api/user/addresses/2')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ line1: '99 New Road' });
+
+      const response = await request(app)
+        .get(`/api/products/orders/${created.body.data.order_id}`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expectSuccessResponse(response);
+      expect(response.body.data.order.shipping_address).toMatchObject({
+        full_name: 'Jane Smith',
+        line1: '10 High Street',
+        postal_code: 'SW1A 1AA',
+        country: 'GB'
+      });
+      expect(response.body.data.order.billing_address.line1).toBe('10 High Street');
+    });
+
+    test('should ship to a chosen address', async () => {
+      const address = await request(app)
+        .post('/api/user/addresses')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ full_name: 'Jane Smith', line1: 'Hauptstrasse 5', city: 'Berlin', postal_code: '10115', country: 'DE' });
+
+      const created = await request(app)
+        .post('/api/products/order')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ items: [{ product_id: 2, quantity: 1 }], shipping_address_id: address.body.data.address.id });
+
+      const order = await testDb.query('SELECT shipping_address, billing_address FROM orders WHERE id = $1', [created.body.data.order_id]);
+      expect(order[0].shipping_address.city).toBe('Berlin');
+      // Billing stays on the default billing address
+      expect(order[0].billing_address.city).toBe('London');
+    });
+
+    test('should require a shipping address', async () => {
+      await testDb.query('DELETE FROM user_addresses WHERE user_id = 2');
+
+      const response = await placeOrder(customerToken, [{ product_id: 2, quantity: 1 }]);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('A shipping address is required');
+    });
+
+    test("should not ship to another customer's address", async () => {
+      const response = await request(app)
+        .post('/api/products/order')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ items: [{ product_id: 2, quantity: 1 }], shipping_address_id: 1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Shipping address not found');
+    });
+  });
+});
@@ -0,0 +1,249 @@
+// Integration tests for payments and provider webhooks
+const request = require('supertest');
+const app = require('../../server');
+const { providers } = require('../../services/payment-providers');
+const { TestDatabase, TestRedis, generateJWT, expectSuccessResponse } = require('../helpers');
+
+describe('Payments Integration', () => {
+  let testDb, testRedis, adminToken, customerToken;
+
+  beforeAll(async () => {
+    testDb = new TestDatabase();
+    testRedis = new TestRedis();
+
+    await testDb.connect();
+    await testRedis.connect();
+  });
+
+  afterAll(async () => {
+    await testDb.disconnect();
+    await testRedis.disconnect();
+  });
+
+  beforeEach(async () => {
+    await testDb.clearDatabase();
+    await testRedis.flushAll();
+    await testDb.seedDatabase();
+
+    // Order 3 is testuser2's pending order for 49.99
+    adminToken = generateJWT(1);
+    customerToken = generateJWT(2);
+  });
+
+  const pay = (orderId, body, token = customerToken) => request(app)
+    .post(`/api/payments/orders/${orderId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const sendWebhook = (event, signature) => {
+    const body = JSON.stringify(event);
+    return request(app)
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('X-Mock-Signature', signature === undefined ? providers.mock.signWebhook(body) : signature)
+      .send(body);
+  };
+
+  const orderStatus = async (orderId) => {
+    const rows = await testDb.query('SELECT status FROM orders WHERE id = $1', [orderId]);
+    return rows[0].status;
+  };
+
+  describe('POST /api/payments/orders/:orderId', () => {
+    test('should capture the payment and start processing the order', async () => {
+      const response = await pay(3, { payment_method: 'tok_visa' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.payment).toMatchObject({
+        order_id: 3,
+        provider: 'mock',
+        amount: '49.99',
+        status: 'captured'
+      });
+      expect(await orderStatus(3)).toBe('processing');
+
+      const order = await request(app)
+        .get('/api/products/orders/3')
+        .set('Authorization', `Bearer ${customerToken}`);
+      expect(order.body.data.order.payments.map(p => p.status)).toEqual(['captured']);
+    });
+
+    test('should leave the order pending when the card is declined', async () => {
+      const response = await pay(3, { payment_method: 'tok_decline' });
+
+      expect(response.status).toBe(402);
+      expect(response.body.message).toBe('Card declined');
+      expect(await orderStatus(3)).toBe('pending');
+
+      // A failed attempt can be retried
+      const retry = await pay(3, { payment_method: 'tok_visa' });
+      expect(retry.status).toBe(201);
+    });
+
+    test('should leave the order pending when the capture fails', async () => {
+      const response = await pay(3, { payment_method: 'tok_capture_fail' });
+
+      expect(response.status).toBe(402);
+      expect(await orderStatus(3)).toBe('pending');
+    });
+
+    test('should only authorize when capture is false', async () => {
+      const response = await pay(3, { payment_method: 'tok_visa', capture: false });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.payment.status).toBe('authorized');
+      expect(await orderStatus(3)).toBe('pending');
+    });
+
+    test('should not pay twice', async () => {
+      await pay(3, { payment_method: 'tok_visa' });
+      const second = await pay(3, { payment_method: 'tok_visa' });
+
+      expect(second.status).toBe(409);
+    });
+
+    test("should not pay another customer's order", async () => {
+      const response = await pay(1, { payment_method: 'tok_visa' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Admin actions', () => {
+    let paymentId;
+
+    beforeEach(async () => {
+      const authorized = await pay(3, { payment_method: 'tok_visa', capture: false });
+      paymentId = authorized.body.data.payment.id;
+    });
+
+    test('should capture an authorized payment', async () => {
+      const response = await request(app)
+        .post(`/api/payments/${paymentId}/capture`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expectSuccessResponse(response);
+      expect(response.body.data.payment.status).toBe('captured');
+      expect(await orderStatus(3)).toBe('processing');
+    });
+
+    test('should refund up to the captured amount', async () => {
+      await request(app)
+        .post(`/api/payments/${paymentId}/capture`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const partial = await request(app)
+        .post(`/api/payments/${paymentId}/refund`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 20 });
+      const tooMuch = await request(app)
+        .post(`/api/payments/${paymentId}/refund`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 30 });
+      const rest = await request(app)
+        .post(`/api/payments/${paymentId}/refund`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(partial.body.data.payment).toMatchObject({ status: 'captured', refunded_amount: '20.00' });
+      expect(tooMuch.status).toBe(400);
+      expect(rest.body.data.payment).toMatchObject({ status: 'refunded', refunded_amount: '49.99' });
+
+      const orders = await testDb.query('SELECT refunded_amount FROM orders WHERE id = 3');
+      expect(orders[0].refunded_amount).toBe('49.99');
+    });
+
+    test('should void the authorization when the order is cancelled', async () => {
+      await request(app)
+        .post('/api/products/orders/3/cancel')
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      const rows = await testDb.query('SELECT status FROM payments WHERE id = $1', [paymentId]);
+      expect(rows[0].status).toBe('voided');
+    });
+
+    test('should refund the payment when a processing order is cancelled', async () => {
+      await request(app)
+        .post(`/api/payments/${paymentId}/capture`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const response = await request(app)
+        .patch('/api/products/orders/3/status')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'cancelled' });
+
+      expectSuccessResponse(response);
+      const payments = await testDb.query('SELECT status, refunded_amount FROM payments WHERE id = $1', [paymentId]);
+      expect(payments[0]).toEqual({ status: 'refunded', refunded_amount: '49.99' });
+
+      const refunds = await testDb.query('SELECT amount, reason, created_by FROM order_refunds WHERE order_id = 3');
+      expect(refunds).toEqual([{ amount: '49.99', reason: 'Order cancelled', created_by: 1 }]);
+    });
+
+    test('should require payments:manage', async () => {
+      const response = await request(app)
+        .post(`/api/payments/${paymentId}/capture`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/payments/webhook', () => {
+    let reference;
+
+    beforeEach(async () => {
+      const response = await pay(3, { payment_method: 'tok_async' });
+      const rows = await testDb.query('SELECT provider_reference FROM payments WHERE id = $1', [response.body.data.payment.id]);
+      reference = rows[0].provider_reference;
+    });
+
+    test('should keep the order pending until the capture is confirmed', async () => {
+      expect(await orderStatus(3)).toBe('pending');
+
+      const response = await sendWebhook({ id: 'evt_1', type: 'payment.captured', data: { reference } });
+
+      expectSuccessResponse(response);
+      expect(await orderStatus(3)).toBe('processing');
+    });
+
+    test('should refund a capture confirmed after the order was cancelled', async () => {
+      await testDb.query("UPDATE orders SET status = 'cancelled' WHERE id = 3");
+
+      const response = await sendWebhook({ id: 'evt_1', type: 'payment.captured', data: { reference } });
+
+      expectSuccessResponse(response);
+      expect(await orderStatus(3)).toBe('cancelled');
+
+      const rows = await testDb.query('SELECT status, refunded_amount FROM payments WHERE provider_reference = $1', [reference]);
+      expect(rows[0]).toEqual({ status: 'refunded', refunded_amount: '49.99' });
+    });
+
+    test('should ignore redelivered events', async () => {
+      await sendWebhook({ id: 'evt_1', type: 'payment.captured', data: { reference } });
+      const again = await sendWebhook({ id: 'evt_1', type: 'payment.captured', data: { reference } });
+
+      expectSuccessResponse(again);
+      expect(again.body.data.duplicate).toBe(true);
+
+      const history = await testDb.query(
+        "SELECT id FROM order_status_history WHERE order_id = 3 AND to_status = 'processing'"
+      );
+      expect(history).toHaveLength(1);
+    });
+
+    test('should reject bad signatures', async () => {
+      const response = await sendWebhook({ id: 'evt_1', type: 'payment.captured', data: { reference } }, 'forged');
+
+      expect(response.status).toBe(400);
+      expect(await orderStatus(3)).toBe('pending');
+    });
+
+    test('should record failed payments', async () => {
+      await sendWebhook({ id: 'evt_2', type: 'payment.failed', data: { reference, reason: 'Insufficient funds' } });
+
+      const rows = await testDb.query('SELECT status, failure_reason FROM payments WHERE provider_reference = $1', [reference]);
+      expect(rows[0]).toEqual({ status: 'failed', failure_reason: 'Insufficient funds' });
+      expect(await orderStatus(3)).toBe('pending');
+    });
+  });
+});
@@ -100,6 +100,211 @@ describe('Products Routes Integration', () => {
     });
   });
 
+  describe('GET /api/products filters, sorting and facets', () => {
+    test('should filter by several categories', async () => {
+      const response = await request(app)
+        .get('/api/products?category=Books,Home');
+
+      expectSuccessResponse(response);
+      const categories = response.body.data.products.map(p => p.category).sort();
+      expect(categories).toEqual(['Books', 'Home']);
+    });
+
+    test('should filter by price range', async () => {
+      const response = await request(app)
+        .get('/api/products?min_price=20&max_price=40');
+
+      expectSuccessResponse(response);
+      const prices = response.body.data.products.map(p => parseFloat(p.price)).sort();
+      expect(prices).toEqual([24.99, 29.99, 39.99]);
+    });
+
+    test('should hide out-of-stock products on request', async () => {
+      await testDb.query('UPDATE products SET stock_quantity = 0 WHERE id = 1');
+
+      const response = await request(app)
+        .get('/api/products?in_stock=true');
+
+      expect(response.body.data.products.map(p => p.id)).not.toContain(1);
+      expect(response.body.data.products).toHaveLength(4);
+    });
+
+    test('should sort by price and name', async () => {
+      const byPrice = await request(app).get('/api/products?sort=price_asc');
+      const byName = await request(app).get('/api/products?sort=name_desc');
+
+      expect(byPrice.body.data.products.map(p => p.id)).toEqual([3, 5, 1, 2, 4]);
+      expect(byName.body.data.products.map(p => p.id)).toEqual([5, 4, 3, 2, 1]);
+    });
+
+    test('should sort by best-selling', async () => {
+      // Seeded orders sold 2 x product 1, and 1 each of products 3 and 4
+      const response = await request(app)
+        .get('/api/products?sort=best_selling');
+
+      expectSuccessResponse(response);
+      expect(response.body.data.products[0].id).toBe(1);
+    });
+
+    test('should reject unknown sort orders', async () => {
+      const response = await request(app)
+        .get('/api/products?sort=random');
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return category and price facets', async () => {
+      const response = await request(app)
+        .get('/api/products?category=Books');
+
+      const { facets } = response.body.data;
+      // Category counts ignore the selected category so others stay visible
+      expect(facets.categories).toEqual(expect.arrayContaining([
+        { value: 'Electronics', count: 2, selected: false },
+        { value: 'Books', count: 1, selected: true }
+      ]));
+      // Price counts honour the category filter
+      expect(facets.price_ranges.find(range => range.min === 0).count).toBe(1);
+      expect(facets.price_ranges.find(range => range.min === 25).count).toBe(0);
+    });
+  });
+
+  describe('GET /api/products?q=', () => {
+    beforeEach(async () => {
+      await testDb.query(`
+        UPDATE products SET name = 'Wireless Mouse', description = 'Ergonomic mouse with a long battery life'
+        WHERE id = 1
+      `);
+      await testDb.query(`
+        UPDATE products SET name = 'Mouse Pad', description = 'Cloth pad that works with any wireless mouse'
+        WHERE id = 2
+      `);
+    });
+
+    test('should rank name matches above description matches', async () => {
+      const response = await request(app)
+        .get('/api/products?q=wireless');
+
+      expectSuccessResponse(response);
+      const ids = response.body.data.products.map(p => p.id);
+      expect(ids).toEqual([1, 2]);
+    });
+
+    test('should prefix-match the last term', async () => {
+      const response = await request(app)
+        .get('/api/products?q=ergo');
+
+      expectSuccessResponse(response);
+      expect(response.body.data.products).toHaveLength(1);
+      expect(response.body.data.products[0].id).toBe(1);
+    });
+
+    test('should highlight matches', async () => {
+      const response = await request(app)
+        .get('/api/products?q=battery');
+
+      const product = response.body.data.products[0];
+      expect(product.snippet).toContain('<mark>battery</mark>');
+      expect(product.name_highlighted).toBe('Wireless Mouse');
+    });
+
+    test('should combine search with the category filter', async () => {
+      const response = await request(app)
+        .get('/api/products?q=mouse&category=Books');
+
+      expectSuccessResponse(response);
+      expect(response.body.data.products).toHaveLength(0);
+    });
+
+    test('should cache searches under their normalised terms', async () => {
+      await request(app).get('/api/products?q=Wireless%20Mouse');
+
+      const cached = await testRedis.get('products:1:10:all:q:wireless+mouse:sort:relevance');
+      expect(cached).toBeDefined();
+      expect(cached.products).toHaveLength(2);
+    });
+
+    test('should ignore queries without searchable terms', async () => {
+      const response = await request(app)
+        .get('/api/products?q=%26%7C!');
+
+      expectSuccessResponse(response);
+      expect(response.body.data.products).toHaveLength(5);
+    });
+  });
+
+  describe('GET /api/products?pagination=cursor', () => {
+    test('should walk forwards and back with cursors', async () => {
+      const first = await request(app)
+        .get('/api/products?pagination=cursor&limit=2');
+
+      expectSuccessResponse(first);
+      expect(first.body.data.products.map(p => p.id)).toEqual([5, 4]);
+      expect(first.body.data.pagination.prev_cursor).toBeNull();
+      expect(first.body.data.pagination.total).toBeUndefined();
+
+      const second = await request(app)
+        .get(first.body.data.pagination.next);
+
+      expectSuccessResponse(second);
+      expect(second.body.data.products.map(p => p.id)).toEqual([3, 2]);
+
+      const last = await request(app)
+        .get(second.body.data.pagination.next);
+
+      expect(last.body.data.products.map(p => p.id)).toEqual([1]);
+      expect(last.body.data.pagination.next_cursor).toBeNull();
+
+      const back = await request(app)
+        .get(`/api/products?limit=2&cursor=${last.body.data.pagination.prev_cursor}`);
+
+      expect(back.body.data.products.map(p => p.id)).toEqual([3, 2]);
+      expect(back.body.data.pagination.next_cursor).not.toBeNull();
+      expect(back.body.data.pagination.prev_cursor).not.toBeNull();
+    });
+
+    test('should keep filters in next links', async () => {
+      const response = await request(app)
+        .get('/api/products?pagination=cursor&limit=1&category=Electronics');
+
+      expect(response.body.data.products.map(p => p.id)).toEqual([2]);
+      expect(response.body.data.pagination.next).toContain('category=Electronics');
+    });
+
+    test('should reject tampered cursors and cursors from other filters', async () => {
+      const first = await request(app)
+        .get('/api/products?pagination=cursor&limit=2');
+      const cursor = first.body.data.pagination.next_cursor;
+
+      const tampered = await request(app)
+        .get(`/api/products?cursor=${cursor.slice(0, -2)}xx`);
+      expect(tampered.status).toBe(400);
+
+      const otherList = await request(app)
+        .get(`/api/products?category=Books&cursor=${cursor}`);
+      expect(otherList.status).toBe(400);
+      expect(otherList.body.message).toBe('Invalid cursor');
+    });
+
+    test('should only support newest-first ordering', async () => {
+      const response = await request(app)
+        .get('/api/products?pagination=cursor&sort=price_asc');
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should cap the page size in both modes', async () => {
+      const offsetMode = await request(app)
+        .get('/api/products?limit=1000000');
+      const cursorMode = await request(app)
+        .get('/api/products?pagination=cursor&limit=1000000');
+
+      expect(offsetMode.body.data.pagination.limit).toBe(100);
+      expect(cursorMode.body.data.pagination.limit).toBe(100);
+    });
+  });
+
   describe('GET /api/products/:id', () => {
     test('should return specific product by ID', async () => {
       const response = await request(app)
@@ -219,6 +424,18 @@ describe('Products Routes Integration', () => {
       expect(response.body.message).toContain('Insufficient stock');
     });
 
+    test('should reject orders from users with an unverified email', async () => {
+      // testuser3 is seeded without email_verified_at
+      const response = await request(app)
+        .post('/api/products/order')
+        .set('Authorization', `Bearer ${generateJWT(3)}`)
+        .send({ items: [{ product_id: 1, quantity: 1 }] });
+
+      expect(response.status).toBe(403);
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Email address has not been verified');
+    });
+
     test('should update stock after order', async () => {
       const orderData = {
         items: [
@@ -354,6 +571,36 @@ describe('Products Routes Integration', () => {
       expect(response.body.data.pagination.total).toBe(0);
     });
 
+    test('should support cursor pagination', async () => {
+      const first = await request(app)
+        .get('/api/products/orders/my?pagination=cursor&limit=1')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expectSuccessResponse(first);
+      expect(first.body.data.orders).toHaveLength(1);
+
+      const second = await request(app)
+        .get(first.body.data.pagination.next)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expectSuccessResponse(second);
+      expect(second.body.data.orders).toHaveLength(1);
+      expect(second.body.data.orders[0].id).not.toBe(first.body.data.orders[0].id);
+      expect(second.body.data.pagination.next_cursor).toBeNull();
+    });
+
+    test("should not accept another user's order cursor", async () => {
+      const first = await request(app)
+        .get('/api/products/orders/my?pagination=cursor&limit=1')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const response = await request(app)
+        .get(`/api/products/orders/my?cursor=${first.body.data.pagination.next_cursor}`)
+        .set('Authorization', `Bearer ${generateJWT(2)}`);
+
+      expect(response.status).toBe(400);
+    });
+
     test('should cache user orders', async () => {
       // First request
       await request(app)
@@ -376,6 +623,191 @@ describe('Products Routes Integration', () => {
     });
   });
 
+  describe('POST /api/products/order with Idempotency-Key', () => {
+    const orderData = { items: [{ product_id: 1, quantity: 1 }] };
+
+    test('should replay the original response instead of ordering twice', async () => {
+      const first = await request(app)
+        .post('/api/products/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', 'order-abc-123')
+        .send(orderData);
+
+      const retry = await request(app)
+        .post('/api/products/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', 'order-abc-123')
+        .send(orderData);
+
+      expectSuccessResponse(first, 201);
+      expect(retry.status).toBe(201);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body.data.order_id).toBe(first.body.data.order_id);
+
+      const product = await testDb.query('SELECT stock_quantity FROM products WHERE id = $1', [1]);
+      expect(product[0].stock_quantity).toBe(9);
+    });
+
+    test('should reject a reused key with a different body', async () => {
+      await request(app)
+        .post('/api/products/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', 'order-abc-123')
+        .send(orderData);
+
+      const response = await request(app)
+        .post('/api/products/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', 'order-abc-123')
+        .send({ items: [{ product_id: 1, quantity: 2 }] });
+
+      expect(response.status).toBe(422);
+    });
+
+    test('should scope keys to the user', async () => {
+      await request(app)
+        .post('/api/products/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', 'order-abc-123')
+        .send(orderData);
+
+      const response = await request(app)
+        .post('/api/products/order')
+        .set('Authorization', `Bearer ${generateJWT(2)}`)
+        .set('Idempotency-Key', 'order-abc-123')
+        .send(orderData);
+
+      expectSuccessResponse(response, 201);
+      expect(response.headers['idempotent-replayed']).toBeUndefined();
+    });
+  });
+
+  describe('Admin product management', () => {
+    let customerToken;
+
+    beforeEach(() => {
+      customerToken = generateJWT(2);
+    });
+
+    test('should create a product', async () => {
+      const response = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name: 'Desk Lamp',
+          description: 'LED desk lamp',
+          price: 39.99,
+          category: 'Electronics',
+          stock_quantity: 10
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.product.name).toBe('Desk Lamp');
+      expect(response.body.data.product.is_active).toBe(true);
+    });
+
+    test('should validate new products', async () => {
+      const response = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: '', price: -5 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Validation errors');
+    });
+
+    test('should reject users without products:write', async () => {
+      const response = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ name: 'Desk Lamp', price: 39.99 });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should update a product and refresh cached copies', async () => {
+      // Prime product and listing caches
+      await request(app).get('/api/products/1');
+      await request(app).get('/api/products');
+
+      const response = await request(app)
+        .put('/api/products/1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ price: 899.99 });
+
+      expect(response.status).toBe(200);
+
+      const productResponse = await request(app).get('/api/products/1');
+      expect(parseFloat(productResponse.body.data.product.price)).toBe(899.99);
+
+      const listResponse = await request(app).get('/api/products');
+      const listed = listResponse.body.data.products.find(p => p.id === 1);
+      expect(parseFloat(listed.price)).toBe(899.99);
+    });
+
+    test('should not change stock through product updates', async () => {
+      const response = await request(app)
+        .put('/api/products/1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ stock_quantity: 1000 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should hide archived products and refuse orders for them', async () => {
+      const archiveResponse = await request(app)
+        .post('/api/products/1/archive')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(archiveResponse.status).toBe(200);
+
+      const productResponse = await request(app).get('/api/products/1');
+      expect(productResponse.status).toBe(404);
+
+      const listResponse = await request(app).get('/api/products');
+      expect(listResponse.body.data.products.find(p => p.id === 1)).toBeUndefined();
+
+      const orderResponse = await request(app)
+        .post('/api/products/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ items: [{ product_id: 1, quantity: 1 }] });
+
+      expect(orderResponse.status).toBe(400);
+
+      const restoreResponse = await request(app)
+        .post('/api/products/1/restore')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(restoreResponse.status).toBe(200);
+      expect((await request(app).get('/api/products/1')).status).toBe(200);
+    });
+
+    test('should restock and record the adjustment', async () => {
+      const initial = await testDb.query('SELECT stock_quantity FROM products WHERE id = 1');
+
+      const response = await request(app)
+        .post('/api/products/1/stock')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ adjustment: 25, reason: 'Supplier delivery' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.product.stock_quantity).toBe(initial[0].stock_quantity + 25);
+
+      const audit = await testDb.query("SELECT * FROM audit_log WHERE event = 'stock_adjusted'");
+      expect(audit).toHaveLength(1);
+    });
+
+    test('should not let stock go below zero', async () => {
+      const response = await request(app)
+        .post('/api/products/1/stock')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ adjustment: -100000 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Stock cannot go below zero');
+    });
+  });
+
   describe('Product Ordering Edge Cases', () => {
     test('should handle multiple orders affecting stock', async () => {
       const orderData = {
@@ -431,5 +863,54 @@ describe('Products Routes Integration', () => {
       expect(response2.status).toBe(400);
       expect(response2.body.message).toContain('Insufficient stock');
     });
+
+    test('should not oversell when orders race for the last units', async () => {
+      const placeOrder = () => request(app)
+        .post('/api/products/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          items: [{ product_id: 2, quantity: 3 }] // Stock is 5
+        });
+
+      const responses = await Promise.all([placeOrder(), placeOrder(), placeOrder()]);
+
+      expect(responses.filter(r => r.status === 201)).toHaveLength(1);
+      expect(responses.filter(r => r.status === 400)).toHaveLength(2);
+
+      const product = await testDb.query('SELECT stock_quantity FROM products WHERE id = $1', [2]);
+      expect(product[0].stock_quantity).toBe(2);
+    });
+
+    test('should leave no partial order when a later item fails', async () => {
+      const ordersBefore = await testDb.query('SELECT id FROM orders WHERE user_id = $1', [1]);
+
+      const response = await request(app)
+        .post('/api/products/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          items: [
+            { product_id: 1, quantity: 1 },
+            { product_id: 2, quantity: 50 } // Exceeds stock of 5
+          ]
+        });
+
+      expect(response.status).toBe(400);
+
+      const orders = await testDb.query('SELECT id FROM orders WHERE user_id = $1', [1]);
+      const product = await testDb.query('SELECT stock_quantity FROM products WHERE id = $1', [1]);
+      expect(orders).toHaveLength(ordersBefore.length);
+      expect(product[0].stock_quantity).toBe(10);
+    });
+
+    test('should reject non-positive quantities', async () => {
+      const response = await request(app)
+        .post('/api/products/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          items: [{ product_id: 1, quantity: -5 }]
+        });
+
+      expect(response.status).toBe(400);
+    });
   });
 });
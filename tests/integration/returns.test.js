@@ -0,0 +1,290 @@
+// Integration tests for returns and refunds
+const request = require('supertest');
+const app = require('../../server');
+const { providers, setProvider } = require('../../services/payment-providers');
+const { TestDatabase, TestRedis, generateJWT, expectSuccessResponse } = require('../helpers');
+
+describe('Returns Integration', () => {
+  let testDb, testRedis, adminToken, customerToken;
+
+  beforeAll(async () => {
+    testDb = new TestDatabase();
+    testRedis = new TestRedis();
+
+    await testDb.connect();
+    await testRedis.connect();
+  });
+
+  afterAll(async () => {
+    await testDb.disconnect();
+    await testRedis.disconnect();
+  });
+
+  beforeEach(async () => {
+    await testDb.clearDatabase();
+    await testRedis.flushAll();
+    await testDb.seedDatabase();
+
+    // Order 2 is testuser1's delivered order for one of product 3 (19.99),
+    // paid before payments were tracked. testuser1 is also an admin.
+    adminToken = generateJWT(1);
+    customerToken = generateJWT(2);
+  });
+
+  const orderItemId = async (orderId) => {
+    const rows = await testDb.query('SELECT id FROM order_items WHERE order_id = $1', [orderId]);
+    return rows[0].id;
+  };
+
+  const requestReturn = (token, body) => request(app)
+    .post('/api/returns')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const updateReturn = (returnId, status) => request(app)
+    .patch(`/api/returns/${returnId}`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ status });
+
+  const refundReturn = (returnId, body = {}) => request(app)
+    .post(`/api/returns/${returnId}/refund`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  describe('POST /api/returns', () => {
+    test('should open a return for a delivered order line', async () => {
+      const response = await requestReturn(adminToken, {
+        order_item_id: await orderItemId(2),
+        reason: 'damaged',
+        comment: 'Cover was torn'
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.return).toMatchObject({
+        order_id: 2,
+        product_id: 3,
+        quantity: 1,
+        reason: 'damaged',
+        status: 'requested'
+      });
+    });
+
+    test('should not return more than was bought', async () => {
+      const itemId = await orderItemId(2);
+
+      await requestReturn(adminToken, { order_item_id: itemId, reason: 'damaged' });
+      const second = await requestReturn(adminToken, { order_item_id: itemId, reason: 'damaged' });
+
+      expect(second.status).toBe(400);
+      expect(second.body.message).toBe('This item has already been returned');
+    });
+
+    test('should only return delivered orders', async () => {
+      const response = await requestReturn(customerToken, { order_item_id: await orderItemId(3), reason: 'other' });
+
+      expect(response.status).toBe(409);
+    });
+
+    test("should not return another customer's order", async () => {
+      const response = await requestReturn(customerToken, { order_item_id: await orderItemId(2), reason: 'other' });
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should validate the reason', async () => {
+      const response = await requestReturn(adminToken, { order_item_id: await orderItemId(2), reason: 'bored' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Handling returns', () => {
+    let returnId;
+
+    beforeEach(async () => {
+      const created = await requestReturn(adminToken, { order_item_id: await orderItemId(2), reason: 'defective' });
+      returnId = created.body.data.return.id;
+    });
+
+    test('should queue new requests for staff', async () => {
+      const response = await request(app)
+        .get('/api/admin/returns')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expectSuccessResponse(response);
+      expect(response.body.data.returns.map(r => r.id)).toEqual([returnId]);
+    });
+
+    test('should put received items back into stock', async () => {
+      await updateReturn(returnId, 'approved');
+      const response = await updateReturn(returnId, 'received');
+
+      expectSuccessResponse(response);
+      expect(response.body.data.return.status).toBe('received');
+
+      const stock = await testDb.query('SELECT stock_quantity FROM products WHERE id = 3');
+      expect(stock[0].stock_quantity).toBe(16);
+    });
+
+    test('should not receive a rejected return', async () => {
+      await updateReturn(returnId, 'rejected');
+      const response = await updateReturn(returnId, 'received');
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should refund the return against the order', async () => {
+      await updateReturn(returnId, 'approved');
+      await updateReturn(returnId, 'received');
+
+      const response = await refundReturn(returnId);
+
+      expectSuccessResponse(response);
+      expect(response.body.data.return).toMatchObject({ status: 'refunded', refund_amount: '19.99' });
+      expect(response.body.data.refund).toMatchObject({ order_id: 2, payment_id: null, amount: '19.99' });
+
+      const orders = await testDb.query('SELECT refunded_amount FROM orders WHERE id = 2');
+      expect(orders[0].refunded_amount).toBe('19.99');
+
+      const again = await refundReturn(returnId);
+      expect(again.status).toBe(409);
+    });
+
+    test('should not refund a return before it is approved', async () => {
+      const response = await refundReturn(returnId);
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should require returns:manage', async () => {
+      const response = await request(app)
+        .patch(`/api/returns/${returnId}`)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ status: 'approved' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Refunds through the payment provider', () => {
+    let returnId;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/payments/orders/3')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ payment_method: 'tok_visa' });
+      await testDb.query("UPDATE orders SET status = 'delivered' WHERE id = 3");
+
+      const created = await requestReturn(customerToken, { order_item_id: await orderItemId(3), reason: 'wrong_item' });
+      returnId = created.body.data.return.id;
+      await updateReturn(returnId, 'approved');
+    });
+
+    afterEach(() => {
+      setProvider(null);
+    });
+
+    test('should refund the captured payment', async () => {
+      const response = await refundReturn(returnId, { amount: 10 });
+
+      expectSuccessResponse(response);
+      expect(response.body.data.refund.status).toBe('completed');
+      const payments = await testDb.query('SELECT status, refunded_amount FROM payments WHERE order_id = 3');
+      expect(payments[0]).toEqual({ status: 'captured', refunded_amount: '10.00' });
+    });
+
+    test('should give the reserved amount back when the provider declines', async () => {
+      setProvider({ ...providers.mock, refund: async () => ({ status: 'failed', failureReason: 'Refund declined' }) });
+
+      const response = await refundReturn(returnId, { amount: 10 });
+
+      expect(response.status).toBe(402);
+      const payments = await testDb.query('SELECT refunded_amount FROM payments WHERE order_id = 3');
+      expect(payments[0].refunded_amount).toBe('0.00');
+      const refunds = await testDb.query('SELECT id FROM order_refunds WHERE order_id = 3');
+      expect(refunds).toHaveLength(0);
+      const returns = await testDb.query('SELECT status FROM return_requests WHERE id = $1', [returnId]);
+      expect(returns[0].status).toBe('approved');
+    });
+
+    test('should not reopen the return when the provider call fails part way', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      setProvider({ ...providers.mock, refund: async () => { throw new Error('socket hang up'); } });
+
+      const response = await refundReturn(returnId, { amount: 10 });
+
+      expect(response.status).toBe(500);
+      const refunds = await testDb.query('SELECT amount, status FROM order_refunds WHERE order_id = 3');
+      expect(refunds).toEqual([{ amount: '10.00', status: 'pending' }]);
+      const returns = await testDb.query('SELECT status FROM return_requests WHERE id = $1', [returnId]);
+      expect(returns[0].status).toBe('refunded');
+
+      setProvider(null);
+      const again = await refundReturn(returnId, { amount: 10 });
+      expect(again.status).toBe(409);
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('POST /api/products/orders/:id/refund', () => {
+    test('should record partial and full refunds on the order', async () => {
+      const partial = await request(app)
+        .post('/api/products/orders/2/refund')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 5, reason: 'Goodwill' });
+      const rest = await request(app)
+        .post('/api/products/orders/2/refund')
+        .set('Authorization', `Bearer ${adminToken}`);
+      const more = await request(app)
+        .post('/api/products/orders/2/refund')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(partial.status).toBe(201);
+      expect(rest.body.data.refund.amount).toBe('14.99');
+      expect(more.status).toBe(409);
+
+      const order = await request(app)
+        .get('/api/products/orders/2')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(order.body.data.order.refunded_amount).toBe('19.99');
+      expect(order.body.data.order.refunds.map(r => r.amount)).toEqual(['5.00', '14.99']);
+    });
+
+    test('should not refund an unpaid order', async () => {
+      const response = await request(app)
+        .post('/api/products/orders/1/refund')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe('Order has not been paid');
+
+      const refunds = await testDb.query('SELECT id FROM order_refunds WHERE order_id = 1');
+      expect(refunds).toHaveLength(0);
+    });
+
+    test('should take refunds off total_spent on the dashboard', async () => {
+      await request(app).get('/api/user/dashboard').set('Authorization', `Bearer ${adminToken}`);
+
+      await request(app)
+        .post('/api/products/orders/2/refund')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 9.99 });
+
+      const response = await request(app)
+        .get('/api/user/dashboard')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      // Order 1 is still pending, so only delivered order 2 counts
+      expect(response.body.data.stats.total_spent).toBe('10.00');
+    });
+
+    test('should require payments:manage', async () => {
+      const response = await request(app)
+        .post('/api/products/orders/3/refund')
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
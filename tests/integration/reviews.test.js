@@ -0,0 +1,259 @@
+// Integration tests for product review routes
+const request = require('supertest');
+const app = require('../../server');
+const { TestDatabase, TestRedis, generateJWT, expectSuccessResponse } = require('../helpers');
+
+describe('Product Reviews Integration', () => {
+  let testDb, testRedis, adminToken, customerToken;
+
+  beforeAll(async () => {
+    testDb = new TestDatabase();
+    testRedis = new TestRedis();
+
+    await testDb.connect();
+    await testRedis.connect();
+  });
+
+  afterAll(async () => {
+    await testDb.disconnect();
+    await testRedis.disconnect();
+  });
+
+  beforeEach(async () => {
+    await testDb.clearDatabase();
+    await testRedis.flushAll();
+    await testDb.seedDatabase();
+
+    // testuser1 (admin) bought products 1 and 3; testuser2 bought product 4.
+    // Only paid-for orders count, so move the pending ones on.
+    await testDb.query("UPDATE orders SET status = 'processing' WHERE status = 'pending'");
+    adminToken = generateJWT(1);
+    customerToken = generateJWT(2);
+  });
+
+  const postReview = (token, productId, review) => request(app)
+    .post(`/api/products/${productId}/reviews`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(review);
+
+  describe('POST /api/products/:productId/reviews', () => {
+    test('should let a customer review a product they bought', async () => {
+      const response = await postReview(customerToken, 4, { rating: 5, title: 'Great', body: 'Works well' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.review.rating).toBe(5);
+      expect(response.body.data.review.username).toBe('testuser2');
+    });
+
+    test('should refuse reviews without a purchase', async () => {
+      const response = await postReview(customerToken, 1, { rating: 4 });
+
+      expect(response.status).toBe(403);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should not count cancelled orders as purchases', async () => {
+      await testDb.query("UPDATE orders SET status = 'cancelled' WHERE id = 3");
+
+      const response = await postReview(customerToken, 4, { rating: 4 });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should not count unpaid orders as purchases', async () => {
+      await testDb.query("UPDATE orders SET status = 'pending' WHERE id = 3");
+
+      const response = await postReview(customerToken, 4, { rating: 4 });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should allow one review per product', async () => {
+      await postReview(customerToken, 4, { rating: 5 });
+      const response = await postReview(customerToken, 4, { rating: 1 });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should validate the rating', async () => {
+      const response = await postReview(customerToken, 4, { rating: 6 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/products/4/reviews')
+        .send({ rating: 5 });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/products/:productId/reviews', () => {
+    beforeEach(async () => {
+      await postReview(adminToken, 1, { rating: 2, body: 'Meh' });
+      await testDb.query(`
+        INSERT INTO product_reviews (product_id, user_id, rating, body, created_at)
+        VALUES (1, 2, 5, 'Love it', CURRENT_TIMESTAMP + INTERVAL '1 minute')
+      `);
+    });
+
+    test('should list reviews with a rating summary', async () => {
+      const response = await request(app)
+        .get('/api/products/1/reviews');
+
+      expectSuccessResponse(response);
+      expect(response.body.data.reviews.map(r => r.body)).toEqual(['Love it', 'Meh']);
+      expect(response.body.data.rating).toEqual({
+        average: 3.5,
+        count: 2,
+        distribution: { 1: 0, 2: 1, 3: 0, 4: 0, 5: 1 }
+      });
+      expect(response.body.data.pagination.total).toBe(2);
+    });
+
+    test('should sort and paginate', async () => {
+      const response = await request(app)
+        .get('/api/products/1/reviews?sort=rating_asc&limit=1');
+
+      expectSuccessResponse(response);
+      expect(response.body.data.reviews).toHaveLength(1);
+      expect(response.body.data.reviews[0].rating).toBe(2);
+      expect(response.body.data.pagination.pages).toBe(2);
+    });
+
+    test('should reject unknown sort orders', async () => {
+      const response = await request(app)
+        .get('/api/products/1/reviews?sort=helpful');
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 404 for unknown products', async () => {
+      const response = await request(app)
+        .get('/api/products/999/reviews');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Ratings on products', () => {
+    test('should show the rating on the product and refresh the cached copy', async () => {
+      const before = await request(app).get('/api/products/4');
+      expect(before.body.data.product.rating).toEqual({ average: null, count: 0 });
+
+      await postReview(customerToken, 4, { rating: 4 });
+
+      const after = await request(app).get('/api/products/4');
+      expect(after.body.data.product.rating).toEqual({ average: 4, count: 1 });
+
+      const cached = await testRedis.get('product:4');
+      expect(cached.rating.count).toBe(1);
+    });
+
+    test('should include ratings in the listing', async () => {
+      await request(app).get('/api/products');
+      await postReview(customerToken, 4, { rating: 3 });
+
+      const response = await request(app).get('/api/products');
+
+      const product = response.body.data.products.find(p => p.id === 4);
+      expect(product.rating).toEqual({ average: 3, count: 1 });
+    });
+  });
+
+  describe('Editing and deleting reviews', () => {
+    let reviewId;
+
+    beforeEach(async () => {
+      const created = await postReview(customerToken, 4, { rating: 2, body: 'Arrived late' });
+      reviewId = created.body.data.review.id;
+    });
+
+    test('should let the author edit their review', async () => {
+      const response = await request(app)
+        .put(`/api/products/4/reviews/${reviewId}`)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ rating: 4 });
+
+      expectSuccessResponse(response);
+      expect(response.body.data.review.rating).toBe(4);
+      expect(response.body.data.review.body).toBe('Arrived late');
+    });
+
+    test("should not let others edit or delete someone's review", async () => {
+      const edit = await request(app)
+        .put(`/api/products/4/reviews/${reviewId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ rating: 1 });
+      const remove = await request(app)
+        .delete(`/api/products/4/reviews/${reviewId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(edit.status).toBe(404);
+      expect(remove.status).toBe(404);
+    });
+
+    test('should let the author delete their review', async () => {
+      const response = await request(app)
+        .delete(`/api/products/4/reviews/${reviewId}`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+
+      const rows = await testDb.query('SELECT id FROM product_reviews WHERE id = $1', [reviewId]);
+      expect(rows).toHaveLength(0);
+    });
+  });
+
+  describe('Moderation', () => {
+    let reviewId;
+
+    beforeEach(async () => {
+      const created = await postReview(customerToken, 4, { rating: 1, body: 'Spam spam spam' });
+      reviewId = created.body.data.review.id;
+    });
+
+    const moderate = (token, status) => request(app)
+      .patch(`/api/products/4/reviews/${reviewId}/moderation`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status, note: 'Reported as spam' });
+
+    test('should queue flagged reviews for moderators', async () => {
+      await moderate(adminToken, 'flagged');
+
+      const queue = await request(app)
+        .get('/api/admin/reviews')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expectSuccessResponse(queue);
+      expect(queue.body.data.reviews.map(r => r.id)).toEqual([reviewId]);
+
+      // Flagged reviews remain visible until hidden
+      const listing = await request(app).get('/api/products/4/reviews');
+      expect(listing.body.data.reviews).toHaveLength(1);
+    });
+
+    test('should drop hidden reviews from listings and ratings', async () => {
+      const response = await moderate(adminToken, 'hidden');
+      expectSuccessResponse(response);
+
+      const listing = await request(app).get('/api/products/4/reviews');
+      expect(listing.body.data.reviews).toHaveLength(0);
+
+      const product = await request(app).get('/api/products/4');
+      expect(product.body.data.product.rating.count).toBe(0);
+
+      const audit = await testDb.query("SELECT details FROM audit_log WHERE event = 'review_moderated'");
+      expect(audit[0].details.to_status).toBe('hidden');
+    });
+
+    test('should require reviews:moderate', async () => {
+      const response = await moderate(customerToken, 'hidden');
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+// Integration tests for tax rates and taxed orders
+const request = require('supertest');
+const app = require('../../server');
+const { getConfig } = require('../../config/secrets');
+const { TestDatabase, TestRedis, generateJWT, expectSuccessResponse } = require('../helpers');
+
+describe('Tax Integration', () => {
+  let testDb, testRedis, adminToken, customerToken;
+
+  beforeAll(async () => {
+    testDb = new TestDatabase();
+    testRedis = new TestRedis();
+
+    await testDb.connect();
+    await testRedis.connect();
+  });
+
+  afterAll(async () => {
+    await testDb.disconnect();
+    await testRedis.disconnect();
+  });
+
+  beforeEach(async () => {
+    await testDb.clearDatabase();
+    await testRedis.flushAll();
+    await testDb.seedDatabase();
+
+    // testuser2's default shipping address is in London (GB)
+    adminToken = generateJWT(1);
+    customerToken = generateJWT(2);
+  });
+
+  const setRate = (rate, token = adminToken) => request(app)
+    .put('/api/admin/tax-rates')
+    .set('Authorization', `Bearer ${token}`)
+    .send(rate);
+
+  const placeOrder = (items, couponCode) => request(app)
+    .post('/api/products/order')
+    .set('Authorization', `Bearer ${customerToken}`)
+    .send({ items, coupon_code: couponCode });
+
+  describe('Tax rates', () => {
+    test('should create and replace rates', async () => {
+      const created = await setRate({ country: 'gb', rate: 17.5, name: 'VAT' });
+      const replaced = await setRate({ country: 'GB', rate: 20, name: 'VAT' });
+
+      expectSuccessResponse(created);
+      expect(replaced.body.data.tax_rate).toMatchObject({
+        id: created.body.data.tax_rate.id,
+        country: 'GB',
+        region: null,
+        tax_class: 'standard',
+        rate: '20.000'
+      });
+
+      const list = await request(app)
+        .get('/api/admin/tax-rates?country=GB')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(list.body.data.tax_rates).toHaveLength(1);
+    });
+
+    test('should validate rates', async () => {
+      const response = await setRate({ country: 'XX', rate: 150 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should require tax:manage', async () => {
+      const response = await setRate({ country: 'GB', rate: 20 }, customerToken);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Taxed orders', () => {
+    beforeEach(async () => {
+      await setRate({ country: 'GB', rate: 20, name: 'VAT' });
+      await setRate({ country: 'GB', tax_class: 'reduced', rate: 5, name: 'VAT' });
+    });
+
+    test('should add tax to each line and the order total', async () => {
+      const response = await placeOrder([{ product_id: 2, quantity: 2 }]);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ subtotal: 79.98, tax_amount: 16, total_amount: 95.98 });
+
+      const items = await testDb.query('SELECT tax_rate, tax_amount FROM order_items WHERE order_id = $1', [response.body.data.order_id]);
+      expect(items[0]).toEqual({ tax_rate: '20.000', tax_amount: '16.00' });
+    });
+
+    test('should tax the price after the coupon discount', async () => {
+      await request(app)
+        .post('/api/coupons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'SAVE10', discount_type: 'percentage', discount_value: 10 });
+
+      const response = await placeOrder([{ product_id: 2, quantity: 2 }], 'SAVE10');
+
+      // 79.98 - 8.00 = 71.98, plus 20% = 14.40
+      expect(response.body.data).toMatchObject({ discount_amount: 8, tax_amount: 14.4, total_amount: 86.38 });
+    });
+
+    test("should use the product's tax class", async () => {
+      await request(app)
+        .put('/api/products/3')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ tax_class: 'reduced' });
+
+      const response = await placeOrder([{ product_id: 3, quantity: 1 }, { product_id: 1, quantity: 1 }]);
+
+      // 5% of 19.99 and 20% of 29.99
+      expect(response.body.data).toMatchObject({ tax_amount: 7, total_amount: 56.98 });
+    });
+
+    test('should not add tax when prices include it', async () => {
+      const config = getConfig();
+      config.PRICES_INCLUDE_TAX = 'true';
+
+      try {
+        const response = await placeOrder([{ product_id: 1, quantity: 1 }]);
+
+        // 29.99 includes 29.99 / 1.2 * 0.2 = 5.00 of tax
+        expect(response.body.data).toMatchObject({ tax_amount: 5, prices_include_tax: true, total_amount: 29.99 });
+      } finally {
+        config.PRICES_INCLUDE_TAX = 'false';
+      }
+    });
+
+    test('should not tax orders shipping where there is no rate', async () => {
+      await testDb.query("UPDATE user_addresses SET country = 'US', postal_code = '12345' WHERE user_id = 2");
+
+      const response = await placeOrder([{ product_id: 1, quantity: 1 }]);
+
+      expect(response.body.data).toMatchObject({ tax_amount: 0, total_amount: 29.99 });
+    });
+
+    test('should show the stored tax on the invoice', async () => {
+      const order = await placeOrder([{ product_id: 2, quantity: 2 }]);
+      const orderId = order.body.data.order_id;
+      await testDb.query("UPDATE orders SET status = 'delivered' WHERE id = $1", [orderId]);
+
+      const response = await request(app)
+        .get(`/api/products/orders/${orderId}/invoice?format=html`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.text).toContain('Tax 20%');
+      expect(response.text).toContain('95.98');
+    });
+  });
+});
@@ -190,7 +190,8 @@ describe('User Routes Integration', () => {
       expectSuccessResponse(response);
       expect(response.body.data.stats).toBeDefined();
       expect(response.body.data.stats.total_orders).toBe(2);
-      expect(response.body.data.stats.total_spent).toBe('79.97');
+      // Only delivered order 2 has been paid for; order 1 is still pending
+      expect(response.body.data.stats.total_spent).toBe('19.99');
       expect(response.body.data.recent_orders).toBeDefined();
       expect(response.body.data.recent_orders).toHaveLength(2);
     });
@@ -258,6 +259,235 @@ describe('User Routes Integration', () => {
     });
   });
 
+  describe('Wishlist', () => {
+    const addToWishlist = (productId, token = authToken) => request(app)
+      .post('/api/user/wishlist')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ product_id: productId });
+
+    test('should add products and list them with current price and stock', async () => {
+      const added = await addToWishlist(2);
+      expect(added.status).toBe(201);
+
+      await testDb.query('UPDATE products SET price = 35.00 WHERE id = 2');
+
+      const response = await request(app)
+        .get('/api/user/wishlist')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expectSuccessResponse(response);
+      expect(response.body.data.items).toHaveLength(1);
+      expect(response.body.data.items[0]).toMatchObject({
+        product_id: 2,
+        price: '35.00',
+        stock_quantity: 5,
+        available: true
+      });
+    });
+
+    test('should ignore duplicates and unknown products', async () => {
+      await addToWishlist(2);
+      const duplicate = await addToWishlist(2);
+      const unknown = await addToWishlist(999);
+
+      expect(duplicate.status).toBe(200);
+      expect(unknown.status).toBe(404);
+
+      const rows = await testDb.query('SELECT id FROM wishlist_items WHERE user_id = 1');
+      expect(rows).toHaveLength(1);
+    });
+
+    test('should remove products', async () => {
+      await addToWishlist(2);
+
+      const removed = await request(app)
+        .delete('/api/user/wishlist/2')
+        .set('Authorization', `Bearer ${authToken}`);
+      const again = await request(app)
+        .delete('/api/user/wishlist/2')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(removed.status).toBe(200);
+      expect(removed.body.success).toBe(true);
+      expect(again.status).toBe(404);
+    });
+
+    test('should flag wishlisted products for the signed-in user only', async () => {
+      await addToWishlist(2);
+
+      const signedIn = await request(app)
+        .get('/api/products/2')
+        .set('Authorization', `Bearer ${authToken}`);
+      const otherUser = await request(app)
+        .get('/api/products/2')
+        .set('Authorization', `Bearer ${generateJWT(2)}`);
+      const anonymous = await request(app)
+        .get('/api/products/2');
+      const listing = await request(app)
+        .get('/api/products')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(signedIn.body.data.product.wishlisted).toBe(true);
+      expect(otherUser.body.data.product.wishlisted).toBe(false);
+      expect(anonymous.body.data.product.wishlisted).toBeUndefined();
+      expect(listing.body.data.products.find(p => p.id === 2).wishlisted).toBe(true);
+      expect(listing.body.data.products.find(p => p.id === 3).wishlisted).toBe(false);
+
+      // The shared cached copy must not carry one user's flag
+      const cached = await testRedis.get('product:2');
+      expect(cached.wishlisted).toBeUndefined();
+    });
+
+    test('should order a wishlisted product and remove it from the wishlist', async () => {
+      await addToWishlist(2);
+
+      const response = await request(app)
+        .post('/api/user/wishlist/2/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ quantity: 2 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.total_amount).toBeCloseTo(79.98);
+
+      const stock = await testDb.query('SELECT stock_quantity FROM products WHERE id = 2');
+      expect(stock[0].stock_quantity).toBe(3);
+
+      const rows = await testDb.query('SELECT id FROM wishlist_items WHERE user_id = 1');
+      expect(rows).toHaveLength(0);
+    });
+
+    test('should keep the item when the order fails', async () => {
+      await addToWishlist(2);
+
+      const response = await request(app)
+        .post('/api/user/wishlist/2/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ quantity: 50 });
+
+      expect(response.status).toBe(400);
+
+      const rows = await testDb.query('SELECT id FROM wishlist_items WHERE user_id = 1');
+      expect(rows).toHaveLength(1);
+    });
+
+    test('should only order products on the wishlist', async () => {
+      const response = await request(app)
+        .post('/api/user/wishlist/2/order')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should count wishlist items on the dashboard', async () => {
+      await request(app)
+        .get('/api/user/dashboard')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      await addToWishlist(2);
+      await addToWishlist(3);
+
+      const response = await request(app)
+        .get('/api/user/dashboard')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.body.data.stats.wishlist_count).toBe(2);
+    });
+  });
+
+  describe('Address book', () => {
+    const newAddress = {
+      label: 'Work',
+      full_name: 'John Doe',
+      line1: '200 Market Street',
+      city: 'San Francisco',
+      region: 'CA',
+      postal_code: '94105',
+      country: 'us'
+    };
+
+    const saveAddress = (address) => request(app)
+      .post('/api/user/addresses')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(address);
+
+    test('should save and list addresses', async () => {
+      const created = await saveAddress(newAddress);
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.address.country).toBe('US');
+      expect(created.body.data.address.is_default_shipping).toBe(false);
+
+      const response = await request(app)
+        .get('/api/user/addresses')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expectSuccessResponse(response);
+      expect(response.body.data.addresses).toHaveLength(2);
+      // Defaults come first
+      expect(response.body.data.addresses[0].is_default_shipping).toBe(true);
+    });
+
+    test('should make the first address the default', async () => {
+      const token = generateJWT(3);
+      const created = await request(app)
+        .post('/api/user/addresses')
+        .set('Authorization', `Bearer ${token}`)
+        .send(newAddress);
+
+      expect(created.body.data.address.is_default_shipping).toBe(true);
+      expect(created.body.data.address.is_default_billing).toBe(true);
+    });
+
+    test('should keep a single default address', async () => {
+      const created = await saveAddress({ ...newAddress, is_default_shipping: true });
+
+      const defaults = await testDb.query(
+        'SELECT id, is_default_billing FROM user_addresses WHERE user_id = 1 AND is_default_shipping'
+      );
+      expect(defaults).toEqual([{ id: created.body.data.address.id, is_default_billing: false }]);
+    });
+
+    test('should validate country and postal code', async () => {
+      const badCountry = await saveAddress({ ...newAddress, country: 'XX' });
+      const badPostalCode = await saveAddress({ ...newAddress, postal_code: 'ABC' });
+      const missingCity = await saveAddress({ ...newAddress, city: '' });
+
+      expect(badCountry.status).toBe(400);
+      expect(badPostalCode.status).toBe(400);
+      expect(badPostalCode.body.message).toBe('Postal code is not valid for US');
+      expect(missingCity.status).toBe(400);
+    });
+
+    test('should check a changed country against the existing postal code', async () => {
+      const response = await request(app)
+        .put('/api/user/addresses/1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ country: 'GB' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should update and delete own addresses only', async () => {
+      const update = await request(app)
+        .put('/api/user/addresses/1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ line2: 'Apt 4' });
+      const otherUsers = await request(app)
+        .put('/api/user/addresses/2')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ line2: 'Apt 4' });
+      const remove = await request(app)
+        .delete('/api/user/addresses/1')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expectSuccessResponse(update);
+      expect(update.body.data.address.line2).toBe('Apt 4');
+      expect(otherUsers.status).toBe(404);
+      expect(remove.status).toBe(200);
+      expect(remove.body.success).toBe(true);
+    });
+  });
+
   describe('Profile Data Persistence', () => {
     test('should persist profile updates across requests', async () => {
       // Update profile
@@ -60,6 +60,7 @@ process.env.SESSION_SECRET = 'test-session-secret';
 process.env.SESSION_MAX_AGE = '86400000';
 process.env.PORT = '3001';
 process.env.AWS_REGION = 'us-east-1';
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
 
 // Increase timeout for database operations
 jest.setTimeout(30000);
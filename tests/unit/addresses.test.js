@@ -0,0 +1,101 @@
+// Unit tests for the address book service
+const { query } = require('../../config/database');
+const addresses = require('../../services/addresses');
+
+// Mock dependencies
+jest.mock('../../config/database');
+
+describe('Address Service', () => {
+  const home = {
+    id: 4,
+    label: 'Home',
+    full_name: 'Jane Smith',
+    line1: '10 High Street',
+    line2: null,
+    city: 'London',
+    region: null,
+    postal_code: 'SW1A 1AA',
+    country: 'GB',
+    phone: null,
+    is_default_shipping: true,
+    is_default_billing: true
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should accept ISO country codes only', () => {
+    expect(addresses.isValidCountry('DE')).toBe(true);
+    expect(addresses.isValidCountry('de')).toBe(true);
+    expect(addresses.isValidCountry('ZZ')).toBe(false);
+    expect(addresses.isValidCountry('GER')).toBe(false);
+    expect(addresses.isValidCountry(undefined)).toBe(false);
+  });
+
+  test('should check postal codes against the country format', () => {
+    expect(addresses.isValidPostalCode('US', '12345-6789')).toBe(true);
+    expect(addresses.isValidPostalCode('US', '1234')).toBe(false);
+    expect(addresses.isValidPostalCode('GB', 'sw1a 1aa')).toBe(true);
+    expect(addresses.isValidPostalCode('CA', 'K1A0B1')).toBe(true);
+    expect(addresses.isValidPostalCode('DE', '1011')).toBe(false);
+    // Countries without a specific format get a loose check
+    expect(addresses.isValidPostalCode('KE', '00100')).toBe(true);
+    expect(addresses.isValidPostalCode('KE', '!')).toBe(false);
+  });
+
+  test('should normalise postal codes', () => {
+    expect(addresses.normalizePostalCode('  sw1a   1aa ')).toBe('SW1A 1AA');
+  });
+
+  test('should snapshot only the address fields', () => {
+    const snapshot = addresses.snapshot(home);
+
+    expect(snapshot).toEqual({
+      label: 'Home',
+      full_name: 'Jane Smith',
+      line1: '10 High Street',
+      line2: null,
+      city: 'London',
+      region: null,
+      postal_code: 'SW1A 1AA',
+      country: 'GB',
+      phone: null
+    });
+  });
+
+  test('should fall back to the default addresses for an order', async () => {
+    query.mockResolvedValueOnce([home]).mockResolvedValueOnce([home]);
+
+    const result = await addresses.resolveOrderAddresses(2);
+
+    expect(result.shippingAddress.postal_code).toBe('SW1A 1AA');
+    expect(result.billingAddress).toEqual(result.shippingAddress);
+    expect(query).toHaveBeenCalledWith(expect.stringContaining('is_default_shipping'), [2]);
+  });
+
+  test('should bill to the shipping address without a billing default', async () => {
+    query.mockResolvedValueOnce([home]).mockResolvedValueOnce([]);
+
+    const result = await addresses.resolveOrderAddresses(2, { shippingAddressId: 4 });
+
+    expect(result.billingAddress).toEqual(addresses.snapshot(home));
+  });
+
+  test('should require a shipping address', async () => {
+    query.mockResolvedValueOnce([]);
+    expect(await addresses.resolveOrderAddresses(2)).toEqual({ error: 'A shipping address is required' });
+
+    query.mockResolvedValueOnce([]);
+    expect(await addresses.resolveOrderAddresses(2, { shippingAddressId: 99 }))
+      .toEqual({ error: 'Shipping address not found' });
+  });
+
+  test('should reject an unknown billing address', async () => {
+    query.mockResolvedValueOnce([home]).mockResolvedValueOnce([]);
+
+    const result = await addresses.resolveOrderAddresses(2, { billingAddressId: 99 });
+
+    expect(result).toEqual({ error: 'Billing address not found' });
+  });
+});
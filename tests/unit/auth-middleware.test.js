@@ -281,3 +281,56 @@ describe('Authentication Middleware', () => {
     });
   });
 });
+
+describe('Recent Second Factor Middleware', () => {
+  const { requireRecentSecondFactor } = authMiddleware;
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      user: { id: 1, two_factor_enabled: true },
+      tokenPayload: { userId: 1 }
+    };
+    res = {
+      status: jest.fn(() => res),
+      json: jest.fn()
+    };
+    next = jest.fn();
+  });
+
+  test('should allow users without two-factor authentication', () => {
+    req.user.two_factor_enabled = false;
+
+    requireRecentSecondFactor(600)(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should allow a recently verified second factor', () => {
+    req.tokenPayload.mfaAt = Math.floor(Date.now() / 1000) - 60;
+
+    requireRecentSecondFactor(600)(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should reject a stale second factor verification', () => {
+    req.tokenPayload.mfaAt = Math.floor(Date.now() / 1000) - 3600;
+
+    requireRecentSecondFactor(600)(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      message: 'Recent two-factor verification required'
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should reject tokens without a second factor verification', () => {
+    requireRecentSecondFactor(600)(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,56 @@
+// Unit tests for the authorize() permission middleware
+const authorize = require('../../middleware/authorize');
+
+describe('Authorize Middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      user: {
+        id: 1,
+        roles: ['staff'],
+        permissions: ['products:write', 'orders:read']
+      }
+    };
+    res = {
+      status: jest.fn(() => res),
+      json: jest.fn()
+    };
+    next = jest.fn();
+  });
+
+  test('should allow a user holding the permission', () => {
+    authorize('products:write')(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test('should require every listed permission', () => {
+    authorize('products:write', 'users:manage')(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      message: 'Insufficient permissions'
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should reject users without any permissions', () => {
+    req.user = { id: 2, roles: ['customer'] };
+
+    authorize('orders:read')(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should compose when chained', () => {
+    const chain = [authorize('products:write'), authorize('orders:read')];
+
+    chain.forEach(middleware => middleware(req, res, next));
+
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+});
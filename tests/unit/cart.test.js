@@ -0,0 +1,109 @@
+// Unit tests for the Redis-backed cart service
+const { query } = require('../../config/database');
+const { getConfig } = require('../../config/secrets');
+const cart = require('../../services/cart');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../config/secrets');
+jest.mock('../../config/redis', () => ({
+  redisClient: {
+    isOpen: true,
+    eval: jest.fn(),
+    hGetAll: jest.fn(),
+    hDel: jest.fn(),
+    del: jest.fn()
+  }
+}));
+
+const { redisClient } = require('../../config/redis');
+
+describe('Cart Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getConfig.mockReturnValue({ CART_TTL: 3600 });
+  });
+
+  test('should read the cart hash as quantities', async () => {
+    redisClient.hGetAll.mockResolvedValue({ 3: '2', 7: '1' });
+
+    expect(await cart.getItems('cart:user:1')).toEqual({ 3: 2, 7: 1 });
+    expect(redisClient.hGetAll).toHaveBeenCalledWith('cart:user:1');
+  });
+
+  test('should add to the line in one script and refresh the TTL', async () => {
+    redisClient.eval.mockResolvedValue(3);
+
+    expect(await cart.addItem('cart:user:1', 3, 1)).toBe(3);
+    expect(redisClient.eval).toHaveBeenCalledWith(expect.stringContaining('HINCRBY'), {
+      keys: ['cart:user:1'],
+      arguments: ['3', '1', String(cart.MAX_LINE_QUANTITY), '3600']
+    });
+  });
+
+  test('should refuse to exceed the line quantity limit', async () => {
+    redisClient.eval.mockResolvedValue(null);
+
+    expect(await cart.addItem('cart:user:1', 3, 1)).toBeNull();
+  });
+
+  test('should report whether the product was in the cart', async () => {
+    redisClient.eval.mockResolvedValue(1);
+    redisClient.hDel.mockResolvedValue(0);
+
+    expect(await cart.setItemQuantity('cart:user:1', 3, 5)).toBe(true);
+    expect(await cart.removeItem('cart:user:1', 3)).toBe(false);
+    expect(redisClient.hDel).toHaveBeenCalledWith('cart:user:1', '3');
+  });
+
+  test('should merge a session cart into the user cart', async () => {
+    await cart.mergeSessionCart('abc', 7);
+
+    expect(redisClient.eval).toHaveBeenCalledWith(expect.any(String), {
+      keys: ['cart:session:abc', 'cart:user:7'],
+      arguments: [String(cart.MAX_LINE_QUANTITY), '3600']
+    });
+  });
+
+  test('should not merge without a session', async () => {
+    await cart.mergeSessionCart(undefined, 7);
+
+    expect(redisClient.eval).not.toHaveBeenCalled();
+  });
+
+  test('should price the cart and flag stock problems', async () => {
+    query.mockResolvedValue([
+      { id: 1, name: 'Mouse', price: '29.99', image_url: null, stock_quantity: 10, is_active: true },
+      { id: 2, name: 'Keyboard', price: '79.99', image_url: null, stock_quantity: 1, is_active: true },
+      { id: 3, name: 'Old Cable', price: '5.00', image_url: null, stock_quantity: 4, is_active: false }
+    ]);
+
+    const view = await cart.buildCartView({ 1: 2, 2: 3, 3: 1 });
+
+    expect(view.subtotal).toBe(299.95);
+    expect(view.item_count).toBe(5);
+    expect(view.items[0].warning).toBeNull();
+    expect(view.items[1].warning).toBe('Only 1 left in stock');
+    expect(view.items[2].available).toBe(false);
+    expect(view.can_checkout).toBe(false);
+  });
+
+  test('should add up line totals in cents', async () => {
+    query.mockResolvedValue([
+      { id: 1, name: 'Sticker', price: '0.10', image_url: null, stock_quantity: 10, is_active: true },
+      { id: 2, name: 'Badge', price: '0.20', image_url: null, stock_quantity: 10, is_active: true }
+    ]);
+
+    const view = await cart.buildCartView({ 1: 3, 2: 1 });
+
+    expect(view.items[0].line_total).toBe(0.3);
+    expect(view.subtotal).toBe(0.5);
+  });
+
+  test('should not query products for an empty cart', async () => {
+    const view = await cart.buildCartView({});
+
+    expect(query).not.toHaveBeenCalled();
+    expect(view).toEqual({ items: [], item_count: 0, subtotal: 0, can_checkout: false });
+  });
+});
@@ -0,0 +1,89 @@
+// Unit tests for coupon pricing rules
+const { calculateDiscount, allocateDiscount, normalizeCode } = require('../../services/coupons');
+
+describe('Coupon Pricing', () => {
+  const now = new Date('2026-06-15T12:00:00Z');
+
+  const coupon = (overrides = {}) => ({
+    code: 'SAVE10',
+    discount_type: 'percentage',
+    discount_value: '10.00',
+    min_order_amount: '0.00',
+    max_uses: null,
+    max_uses_per_user: null,
+    times_used: 0,
+    starts_at: null,
+    expires_at: null,
+    product_ids: null,
+    categories: null,
+    is_active: true,
+    ...overrides
+  });
+
+  const lines = [
+    { product_id: 1, category: 'Electronics', total_price: 59.98 },
+    { product_id: 3, category: 'Books', total_price: 19.99 }
+  ];
+
+  test('should take a percentage off the whole order', () => {
+    expect(calculateDiscount(coupon(), lines, { now })).toEqual({
+      subtotal: 79.97,
+      discount: 8,
+      total: 71.97
+    });
+  });
+
+  test('should never discount more than the order is worth', () => {
+    const result = calculateDiscount(coupon({ discount_type: 'fixed', discount_value: '500.00' }), lines, { now });
+
+    expect(result.discount).toBe(79.97);
+    expect(result.total).toBe(0);
+  });
+
+  test('should only discount matching products and categories', () => {
+    const byCategory = calculateDiscount(coupon({ categories: ['Books'], discount_value: '50' }), lines, { now });
+    const byProduct = calculateDiscount(coupon({ product_ids: [1], discount_type: 'fixed', discount_value: '100' }), lines, { now });
+    const neither = calculateDiscount(coupon({ categories: ['Sports'] }), lines, { now });
+
+    expect(byCategory.discount).toBe(10);
+    expect(byProduct.discount).toBe(59.98);
+    expect(neither.error).toBe('Coupon does not apply to any items in this order');
+  });
+
+  test('should enforce the minimum order value', () => {
+    const result = calculateDiscount(coupon({ min_order_amount: '100.00' }), lines, { now });
+
+    expect(result.error).toBe('Coupon requires a minimum order of 100.00');
+  });
+
+  test('should enforce the validity window', () => {
+    expect(calculateDiscount(coupon({ starts_at: '2026-07-01T00:00:00Z' }), lines, { now }).error)
+      .toBe('Coupon is not valid yet');
+    expect(calculateDiscount(coupon({ expires_at: '2026-06-01T00:00:00Z' }), lines, { now }).error)
+      .toBe('Coupon has expired');
+  });
+
+  test('should enforce global and per-user usage limits', () => {
+    expect(calculateDiscount(coupon({ max_uses: 5, times_used: 5 }), lines, { now }).error)
+      .toBe('Coupon has reached its usage limit');
+    expect(calculateDiscount(coupon({ max_uses_per_user: 1 }), lines, { now, userRedemptions: 1 }).error)
+      .toBe('You have already used this coupon');
+    expect(calculateDiscount(coupon({ max_uses_per_user: 2 }), lines, { now, userRedemptions: 1 }).error)
+      .toBeUndefined();
+  });
+
+  test('should treat inactive coupons as unknown', () => {
+    expect(calculateDiscount(coupon({ is_active: false }), lines, { now }).error).toBe('Coupon not found');
+  });
+
+  test('should split the discount over the lines it applies to', () => {
+    expect(allocateDiscount(coupon(), lines, 8)).toEqual([6, 2]);
+    expect(allocateDiscount(coupon({ categories: ['Books'] }), lines, 10)).toEqual([0, 10]);
+    expect(allocateDiscount(coupon(), lines, 0)).toEqual([0, 0]);
+  });
+
+  test('should match codes case-insensitively', () => {
+    expect(normalizeCode('  save10 ')).toBe('SAVE10');
+    expect(normalizeCode(42)).toBe('');
+  });
+});
@@ -0,0 +1,50 @@
+// Unit tests for cron expressions
+const { parseCron } = require('../../services/cron');
+
+const at = iso => new Date(`${iso}Z`);
+
+describe('Cron Expressions', () => {
+  test('should match every minute with wildcards', () => {
+    const cron = parseCron('* * * * *');
+
+    expect(cron.matches(at('2026-03-01T00:00:00'))).toBe(true);
+    expect(cron.matches(at('2026-03-01T13:47:00'))).toBe(true);
+  });
+
+  test('should match steps, ranges and lists', () => {
+    expect(parseCron('*/15 * * * *').matches(at('2026-03-01T10:45:00'))).toBe(true);
+    expect(parseCron('*/15 * * * *').matches(at('2026-03-01T10:50:00'))).toBe(false);
+    expect(parseCron('0 9-17/4 * * *').matches(at('2026-03-01T13:00:00'))).toBe(true);
+    expect(parseCron('0 9-17/4 * * *').matches(at('2026-03-01T15:00:00'))).toBe(false);
+    expect(parseCron('5,35 * * * *').matches(at('2026-03-01T08:35:00'))).toBe(true);
+  });
+
+  test('should use UTC', () => {
+    const cron = parseCron('15 3 * * *');
+
+    expect(cron.matches(new Date('2026-03-01T03:15:00Z'))).toBe(true);
+    expect(cron.matches(new Date('2026-03-01T03:15:00+01:00'))).toBe(false);
+  });
+
+  test('should match either day field when both are restricted', () => {
+    // 2026-03-02 is a Monday
+    const cron = parseCron('0 0 1 * 1');
+
+    expect(cron.matches(at('2026-03-01T00:00:00'))).toBe(true);
+    expect(cron.matches(at('2026-03-02T00:00:00'))).toBe(true);
+    expect(cron.matches(at('2026-03-03T00:00:00'))).toBe(false);
+  });
+
+  test('should treat 7 as Sunday', () => {
+    // 2026-03-01 is a Sunday
+    expect(parseCron('0 0 * * 7').matches(at('2026-03-01T00:00:00'))).toBe(true);
+  });
+
+  test('should reject malformed expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow('Cron expression must have 5 fields');
+    expect(() => parseCron('60 * * * *')).toThrow('Invalid cron minute: 60');
+    expect(() => parseCron('* * * 0 *')).toThrow('Invalid cron month: 0');
+    expect(() => parseCron('*/0 * * * *')).toThrow('Invalid cron minute');
+    expect(() => parseCron('a * * * *')).toThrow('Invalid cron minute: a');
+  });
+});
@@ -0,0 +1,142 @@
+// Unit tests for the Idempotency-Key middleware
+const { query } = require('../../config/database');
+const { getConfig } = require('../../config/secrets');
+const idempotency = require('../../middleware/idempotency');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../config/secrets');
+
+describe('Idempotency Middleware', () => {
+  let req, res, next, sendJson;
+
+  const buildReq = (key, body) => ({
+    method: 'POST',
+    baseUrl: '/api/products',
+    path: '/order',
+    body,
+    user: { id: 1 },
+    get: jest.fn(header => (header === 'Idempotency-Key' ? key : undefined))
+  });
+
+  const buildRes = () => {
+    const response = {
+      statusCode: 200,
+      set: jest.fn(),
+      json: jest.fn()
+    };
+    response.status = jest.fn(code => { response.statusCode = code; return response; });
+    return response;
+  };
+
+  // Resolves once the wrapped res.json has been flushed to the client
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  // Answers the claim query with no row and the lookup with the given record,
+  // carrying over the fingerprint the middleware computed for this request
+  const mockExistingKey = (record) => {
+    query
+      .mockImplementationOnce(async (sql, params) => {
+        query.mockResolvedValueOnce([{ request_hash: params[2], ...record }]);
+        return [];
+      });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockReset();
+    getConfig.mockReturnValue({ IDEMPOTENCY_KEY_TTL: 86400 });
+
+    req = buildReq('key-1', { items: [{ product_id: 1, quantity: 2 }] });
+    res = buildRes();
+    sendJson = res.json;
+    next = jest.fn();
+  });
+
+  test('should pass through requests without a key', async () => {
+    req = buildReq(undefined, {});
+
+    await idempotency()(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test('should reject requests without a key when required', async () => {
+    req = buildReq(undefined, {});
+
+    await idempotency({ required: true })(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should store the response of a first request', async () => {
+    query.mockResolvedValueOnce([{ id: 7 }]).mockResolvedValue([]);
+
+    await idempotency()(req, res, next);
+    expect(next).toHaveBeenCalled();
+
+    res.status(201).json({ success: true, data: { order_id: 3 } });
+    await flush();
+
+    expect(query).toHaveBeenLastCalledWith(
+      'UPDATE idempotency_keys SET response_status = $1, response_body = $2 WHERE id = $3',
+      [201, JSON.stringify({ success: true, data: { order_id: 3 } }), 7]
+    );
+    expect(sendJson).toHaveBeenCalledWith({ success: true, data: { order_id: 3 } });
+  });
+
+  test('should release the key when the handler fails', async () => {
+    query.mockResolvedValueOnce([{ id: 7 }]).mockResolvedValue([]);
+
+    await idempotency()(req, res, next);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+    await flush();
+
+    expect(query).toHaveBeenLastCalledWith('DELETE FROM idempotency_keys WHERE id = $1', [7]);
+  });
+
+  test('should replay the stored response for a retry', async () => {
+    mockExistingKey({ response_status: 201, response_body: { success: true } });
+
+    await idempotency()(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(sendJson).toHaveBeenCalledWith({ success: true });
+  });
+
+  test('should fingerprint bodies regardless of key order', async () => {
+    const hashes = [];
+    query.mockImplementation(async (sql, params) => { hashes.push(params[2]); return [{ id: 7 }]; });
+
+    await idempotency()(req, buildRes(), next);
+    await idempotency()(buildReq('key-1', { items: [{ quantity: 2, product_id: 1 }] }), buildRes(), next);
+    await idempotency()(buildReq('key-1', { items: [{ quantity: 3, product_id: 1 }] }), buildRes(), next);
+
+    expect(hashes[0]).toBe(hashes[1]);
+    expect(hashes[2]).not.toBe(hashes[0]);
+  });
+
+  test('should reject a reused key with a different body', async () => {
+    query
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ request_hash: 'other', response_status: 201, response_body: {} }]);
+
+    await idempotency()(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should report a request that is still in progress', async () => {
+    mockExistingKey({ response_status: null, response_body: null });
+
+    await idempotency()(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,109 @@
+// Unit tests for invoice numbering and rendering
+const {
+  formatInvoiceNumber,
+  buildInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+} = require('../../services/invoices');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../config/redis');
+
+describe('Invoices Service', () => {
+  const invoice = {
+    invoice_number: 'INV-000042',
+    issued_at: '2026-03-02T10:00:00.000Z',
+    seller: { name: 'Example Store', address: ['1 High Street', 'London'], email: 'billing@example.com', tax_id: 'GB123' },
+    customer: {
+      name: 'Ada <Lovelace>',
+      email: 'ada@example.com',
+      billing_address: { full_name: 'Ada Lovelace', line1: '12 St James Sq', city: 'London', postal_code: 'SW1Y 4JH', country: 'GB' }
+    }
+  };
+
+  const order = {
+    id: 7,
+    created_at: '2026-03-01T09:00:00.000Z',
+    subtotal_amount: '100.00',
+    discount_amount: '10.00',
+    total_amount: '90.00',
+    coupon_code: 'SAVE10',
+    shipping_address: null,
+    items: [
+      { product_id: 1, quantity: 2, unit_price: '30.00', total_price: '60.00', product: { name: 'Lamp' } },
+      { product_id: 2, quantity: 1, unit_price: '40.00', total_price: '40.00', product: null }
+    ]
+  };
+
+  test('should zero-pad invoice numbers', () => {
+    expect(formatInvoiceNumber('INV-', 42)).toBe('INV-000042');
+    expect(formatInvoiceNumber('', 1234567)).toBe('1234567');
+  });
+
+  describe('buildInvoice', () => {
+    test('should break the total down into lines, discount and tax in cents', () => {
+      const model = buildInvoice(invoice, order);
+
+      expect(model.lines).toEqual([
+        { description: 'Lamp', quantity: 2, unitPrice: 3000, amount: 6000, taxRate: 0, tax: 0 },
+        { description: 'Product 2', quantity: 1, unitPrice: 4000, amount: 4000, taxRate: 0, tax: 0 }
+      ]);
+      expect(model).toMatchObject({ subtotal: 10000, discount: 1000, tax: 0, total: 9000, couponCode: 'SAVE10' });
+    });
+
+    test('should add up the lines for orders placed before subtotals', () => {
+      const model = buildInvoice(invoice, { ...order, subtotal_amount: null, discount_amount: '0', total_amount: '100.00' });
+
+      expect(model.subtotal).toBe(10000);
+      expect(model.tax).toBe(0);
+    });
+  });
+
+  test('should break the tax down by rate', () => {
+    const taxed = {
+      ...order,
+      tax_amount: '9.50',
+      total_amount: '99.50',
+      items: [
+        { ...order.items[0], tax_rate: '20.000', tax_amount: '7.50' },
+        { ...order.items[1], tax_rate: '5.000', tax_amount: '2.00' }
+      ]
+    };
+    const model = buildInvoice(invoice, taxed);
+
+    expect(model.tax).toBe(950);
+    expect(model.taxes).toEqual([{ rate: 5, amount: 200 }, { rate: 20, amount: 750 }]);
+    expect(renderInvoiceHtml(model)).toContain('Tax 20%');
+    expect(renderInvoiceHtml(buildInvoice(invoice, { ...taxed, prices_include_tax: true }))).toContain('Includes tax 5%');
+  });
+
+  test('should escape customer details in the HTML invoice', () => {
+    const html = renderInvoiceHtml(buildInvoice(invoice, order));
+
+    expect(html).toContain('INV-000042');
+    expect(html).toContain('Ada &lt;Lovelace&gt;');
+    expect(html).toContain('Discount (SAVE10)');
+    expect(html).not.toContain('<Lovelace>');
+  });
+
+  test('should render a PDF document', () => {
+    const pdf = renderInvoicePdf(buildInvoice(invoice, order)).toString('latin1');
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(pdf).toContain('(INV-000042) Tj');
+    expect(pdf).toContain('(-10.00) Tj');
+    expect(pdf).toContain('/Count 1');
+  });
+
+  test('should continue long invoices on further pages', () => {
+    const items = Array.from({ length: 80 }, (_, index) => ({
+      product_id: index + 1, quantity: 1, unit_price: '1.00', total_price: '1.00', product: { name: `Item ${index + 1}` }
+    }));
+    const pdf = renderInvoicePdf(buildInvoice(invoice, { ...order, items })).toString('latin1');
+
+    expect(pdf).toMatch(/\/Count [2-9]/);
+    expect(pdf).toContain('(Item 80) Tj');
+  });
+});
@@ -0,0 +1,109 @@
+// Unit tests for the job worker
+const jobs = require('../../services/jobs');
+const { createWorker, selectQueues } = require('../../services/job-worker');
+
+// Mock dependencies
+jest.mock('../../services/jobs');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Job Worker', () => {
+  let waiting;
+
+  beforeEach(() => {
+    // An in-memory queue standing in for Redis
+    waiting = [];
+    jobs.claimJob.mockImplementation(async (queue) => {
+      const job = waiting.shift();
+      return job ? { ...job, queue, attempts: 1, maxAttempts: 3 } : null;
+    });
+    jobs.completeJob.mockResolvedValue();
+    jobs.failJob.mockResolvedValue('delayed');
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should run handlers and complete their jobs', async () => {
+    const handler = jest.fn().mockResolvedValue();
+    waiting.push({ id: 'a', data: { n: 1 } });
+
+    const worker = createWorker({ test: { handler } }, { pollInterval: 5 });
+    worker.start();
+    await tick();
+    await worker.stop();
+
+    expect(handler).toHaveBeenCalledWith({ n: 1 }, expect.objectContaining({ id: 'a' }));
+    expect(jobs.completeJob).toHaveBeenCalledWith(expect.objectContaining({ id: 'a' }));
+  });
+
+  test('should fail jobs whose handler throws', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const error = new Error('boom');
+    waiting.push({ id: 'a', data: {} });
+
+    const worker = createWorker({ test: { handler: jest.fn().mockRejectedValue(error) } }, { pollInterval: 5 });
+    worker.start();
+    await tick();
+    await worker.stop();
+
+    expect(jobs.failJob).toHaveBeenCalledWith(expect.objectContaining({ id: 'a' }), error);
+    expect(jobs.completeJob).not.toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+
+  test('should run at most concurrency jobs of a queue at once', async () => {
+    let running = 0;
+    let peak = 0;
+    const releases = [];
+    const handler = () => {
+      running++;
+      peak = Math.max(peak, running);
+      return new Promise(resolve => releases.push(() => {
+        running--;
+        resolve();
+      }));
+    };
+    waiting.push({ id: 'a' }, { id: 'b' }, { id: 'c' });
+
+    const worker = createWorker({ test: { handler, concurrency: 2 } }, { pollInterval: 5 });
+    worker.start();
+    await tick();
+
+    expect(peak).toBe(2);
+
+    const stopped = worker.stop();
+    while (releases.length > 0) {
+      releases.shift()();
+      await tick();
+    }
+    await stopped;
+
+    expect(peak).toBe(2);
+    expect(jobs.completeJob).toHaveBeenCalledTimes(2);
+    expect(waiting).toEqual([{ id: 'c' }]);
+  });
+
+  describe('selectQueues', () => {
+    const definitions = {
+      mail: { handler: jest.fn(), concurrency: 5 },
+      reports: { handler: jest.fn(), concurrency: 1 }
+    };
+
+    test('should run every queue by default', () => {
+      expect(Object.keys(selectQueues(definitions, {}))).toEqual(['mail', 'reports']);
+    });
+
+    test('should pick queues and override concurrency', () => {
+      const queues = selectQueues(definitions, { WORKER_QUEUES: 'reports', WORKER_CONCURRENCY: '3' });
+
+      expect(Object.keys(queues)).toEqual(['reports']);
+      expect(queues.reports.concurrency).toBe(3);
+    });
+
+    test('should reject unknown queues', () => {
+      expect(() => selectQueues(definitions, { WORKER_QUEUES: 'mail, pigeons' })).toThrow('Unknown job queue: pigeons');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+// Unit tests for the job queue's Redis operations
+const { retryDelay, enqueue, failJob } = require('../../services/jobs');
+
+// Mock dependencies: a Redis client whose transactions record their commands
+jest.mock('../../config/redis', () => {
+  const mockCommands = [];
+  const multi = () => {
+    const chain = new Proxy({}, {
+      get: (target, command) => (command === 'exec'
+        ? async () => []
+        : (...args) => {
+          mockCommands.push([command, ...args]);
+          return chain;
+        })
+    });
+    return chain;
+  };
+
+  return {
+    mockCommands,
+    redisClient: {
+      isOpen: true,
+      multi,
+      // The failure script reports the state it was asked to move the job to
+      eval: jest.fn(async (script, { arguments: args }) => args[2])
+    }
+  };
+});
+
+const { mockCommands, redisClient } = require('../../config/redis');
+
+describe('Job Queue', () => {
+  beforeEach(() => {
+    mockCommands.length = 0;
+    redisClient.eval.mockClear();
+  });
+
+  test('should double the retry delay after each attempt', () => {
+    expect([1, 2, 3, 4].map(attempts => retryDelay(1000, attempts))).toEqual([1000, 2000, 4000, 8000]);
+  });
+
+  test('should put new jobs on the waiting list', async () => {
+    const id = await enqueue('mail', { to: 'user@example.com' }, { attempts: 5 });
+
+    expect(mockCommands).toContainEqual(['lPush', 'jobs:mail:waiting', id]);
+    expect(mockCommands).toContainEqual(['hSet', `jobs:job:${id}`, expect.objectContaining({
+      queue: 'mail',
+      data: '{"to":"user@example.com"}',
+      state: 'waiting',
+      maxAttempts: 5
+    })]);
+  });
+
+  test('should schedule delayed jobs', async () => {
+    const before = Date.now();
+    const id = await enqueue('mail', {}, { delay: 60000 });
+
+    const [, key, entry] = mockCommands.find(([command]) => command === 'zAdd');
+    expect(key).toBe('jobs:mail:delayed');
+    expect(entry.value).toBe(id);
+    expect(entry.score).toBeGreaterThanOrEqual(before + 60000);
+  });
+
+  test('should retry failed jobs that have attempts left', async () => {
+    const job = { id: 'a', queue: 'mail', attempts: 2, maxAttempts: 3, backoff: 1000 };
+    const before = Date.now();
+
+    expect(await failJob(job, new Error('timeout'))).toBe('delayed');
+
+    const [, { keys, arguments: args }] = redisClient.eval.mock.calls[0];
+    expect(keys).toEqual(['jobs:mail:active', 'jobs:mail:delayed', 'jobs:mail:failed', 'jobs:job:a']);
+    expect(args.slice(0, 3)).toEqual(['a', '2', 'delayed']);
+    expect(Number(args[3])).toBeGreaterThanOrEqual(before + 2000);
+    expect(args[4]).toBe('timeout');
+  });
+
+  test('should dead-letter jobs that used up their attempts', async () => {
+    const job = { id: 'a', queue: 'mail', attempts: 3, maxAttempts: 3, backoff: 1000 };
+
+    expect(await failJob(job, new Error('timeout'))).toBe('failed');
+
+    const [, { arguments: args }] = redisClient.eval.mock.calls[0];
+    expect(args.slice(0, 3)).toEqual(['a', '3', 'failed']);
+  });
+
+  test('should report jobs another worker has since taken over', async () => {
+    redisClient.eval.mockResolvedValueOnce('stale');
+    const job = { id: 'a', queue: 'mail', attempts: 1, maxAttempts: 3, backoff: 1000 };
+
+    expect(await failJob(job, new Error('timeout'))).toBe('stale');
+  });
+});
@@ -0,0 +1,122 @@
+// Unit tests for login brute-force protection
+const { cache } = require('../../config/redis');
+const { getConfig } = require('../../config/secrets');
+const loginGuard = require('../../services/login-guard');
+
+// Mock dependencies
+jest.mock('../../config/redis');
+jest.mock('../../config/secrets');
+
+describe('Login Guard Service', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getConfig.mockReturnValue({
+      LOGIN_MAX_ATTEMPTS: 5,
+      LOGIN_DELAY_AFTER: 2,
+      LOGIN_MAX_DELAY: 60,
+      LOGIN_LOCKOUT_DURATION: 900,
+      LOGIN_FAILURE_WINDOW: 900,
+      LOGIN_IP_MAX_FAILURES: 20
+    });
+
+    // Minimal in-memory stand-in for the Redis cache helpers
+    store = new Map();
+    cache.get.mockImplementation(async key => (store.has(key) ? store.get(key) : null));
+    cache.set.mockImplementation(async (key, value) => { store.set(key, value); return true; });
+    cache.del.mockImplementation(async key => { store.delete(key); return true; });
+    cache.incr.mockImplementation(async key => {
+      const value = (store.get(key) || 0) + 1;
+      store.set(key, value);
+      return value;
+    });
+  });
+
+  test('should allow a login with no recorded failures', async () => {
+    const result = await loginGuard.checkLoginAllowed('user@example.com', '10.0.0.1');
+
+    expect(result).toEqual({ allowed: true });
+  });
+
+  test('should not delay the first failures', async () => {
+    await loginGuard.recordLoginFailure('user@example.com', '10.0.0.1');
+
+    const result = await loginGuard.checkLoginAllowed('user@example.com', '10.0.0.1');
+    expect(result.allowed).toBe(true);
+  });
+
+  test('should impose a progressive delay after repeated failures', async () => {
+    await loginGuard.recordLoginFailure('user@example.com', '10.0.0.1');
+    await loginGuard.recordLoginFailure('user@example.com', '10.0.0.1');
+
+    const result = await loginGuard.checkLoginAllowed('user@example.com', '10.0.0.1');
+    expect(result.allowed).toBe(false);
+    expect(result.retryAfter).toBe(1);
+
+    await loginGuard.recordLoginFailure('user@example.com', '10.0.0.1');
+    expect(cache.set).toHaveBeenLastCalledWith('login:delay:user@example.com', expect.any(Number), 2);
+  });
+
+  test('should lock the account once the attempt limit is reached', async () => {
+    let outcome;
+    for (let i = 0; i < 5; i++) {
+      outcome = await loginGuard.recordLoginFailure('User@Example.com', '10.0.0.1');
+    }
+
+    expect(outcome.locked).toBe(true);
+    const result = await loginGuard.checkLoginAllowed('user@example.com', '10.0.0.2');
+    expect(result.allowed).toBe(false);
+    expect(result.retryAfter).toBeGreaterThan(890);
+  });
+
+  test('should block an IP after too many failures across accounts', async () => {
+    for (let i = 0; i < 20; i++) {
+      await loginGuard.recordLoginFailure(`user${i}@example.com`, '10.0.0.1');
+    }
+
+    const blocked = await loginGuard.checkLoginAllowed('fresh@example.com', '10.0.0.1');
+    const otherIp = await loginGuard.checkLoginAllowed('fresh@example.com', '10.0.0.2');
+
+    expect(blocked.allowed).toBe(false);
+    expect(otherIp.allowed).toBe(true);
+  });
+
+  test('should unlock an account with a valid unlock token', async () => {
+    for (let i = 0; i < 5; i++) {
+      await loginGuard.recordLoginFailure('user@example.com', '10.0.0.1');
+    }
+    const token = await loginGuard.createUnlockToken('user@example.com');
+
+    const email = await loginGuard.unlockWithToken(token);
+
+    expect(email).toBe('user@example.com');
+    const result = await loginGuard.checkLoginAllowed('user@example.com', '10.0.0.2');
+    expect(result.allowed).toBe(true);
+    expect(await loginGuard.unlockWithToken(token)).toBeNull();
+  });
+
+  test('should lock second-factor verification per user regardless of password logins', async () => {
+    for (let i = 0; i < 4; i++) {
+      await loginGuard.recordSecondFactorFailure(7);
+    }
+    await loginGuard.clearLoginFailures('user@example.com');
+    const outcome = await loginGuard.recordSecondFactorFailure(7);
+
+    expect(outcome.locked).toBe(true);
+    const result = await loginGuard.checkSecondFactorAllowed(7);
+    expect(result.allowed).toBe(false);
+    expect(result.retryAfter).toBeGreaterThan(890);
+    expect(await loginGuard.checkSecondFactorAllowed(8)).toEqual({ allowed: true });
+  });
+
+  test('should clear second-factor failures after a successful verification', async () => {
+    for (let i = 0; i < 4; i++) {
+      await loginGuard.recordSecondFactorFailure(7);
+    }
+    await loginGuard.clearSecondFactorFailures(7);
+
+    const outcome = await loginGuard.recordSecondFactorFailure(7);
+    expect(outcome).toEqual({ locked: false, failures: 1 });
+  });
+});
@@ -0,0 +1,82 @@
+// Unit tests for mail template rendering
+const { render, resolveLocale, renderTemplate } = require('../../services/mail-templates');
+
+describe('Mail Templates', () => {
+  describe('render', () => {
+    test('should substitute values, including nested ones', () => {
+      expect(render('Order {{order.id}} for {{name}}', { name: 'Jane', order: { id: 7 } }))
+        .toBe('Order 7 for Jane');
+    });
+
+    test('should escape values in HTML unless triple-braced', () => {
+      const data = { name: '<b>Jane</b>' };
+
+      expect(render('{{name}}', data, { html: true })).toBe('&lt;b&gt;Jane&lt;/b&gt;');
+      expect(render('{{{name}}}', data, { html: true })).toBe('<b>Jane</b>');
+      expect(render('{{name}}', data)).toBe('<b>Jane</b>');
+    });
+
+    test('should repeat sections for lists and drop standalone tag lines', () => {
+      const source = 'Items:\n{{#items}}\n- {{name}} x{{quantity}}\n{{/items}}\nDone';
+
+      expect(render(source, { items: [{ name: 'Pen', quantity: 2 }, { name: 'Ink', quantity: 1 }] }))
+        .toBe('Items:\n- Pen x2\n- Ink x1\nDone');
+    });
+
+    test('should show inverted sections for falsy values and empty lists', () => {
+      const source = '{{#discount}}Discount {{discount}}{{/discount}}{{^discount}}No discount{{/discount}}';
+
+      expect(render(source, { discount: '5.00' })).toBe('Discount 5.00');
+      expect(render(source, { discount: null })).toBe('No discount');
+      expect(render('{{^items}}Empty{{/items}}', { items: [] })).toBe('Empty');
+    });
+
+    test('should render missing values as empty', () => {
+      expect(render('Hi {{name}}!', {})).toBe('Hi !');
+    });
+  });
+
+  describe('resolveLocale', () => {
+    test('should match exact locales and fall back to the language', () => {
+      expect(resolveLocale('es')).toBe('es');
+      expect(resolveLocale('es-MX')).toBe('es');
+      expect(resolveLocale('EN-gb')).toBe('en');
+    });
+
+    test('should fall back to the default locale', () => {
+      expect(resolveLocale('fr')).toBe('en');
+      expect(resolveLocale(undefined, 'es')).toBe('es');
+    });
+  });
+
+  describe('renderTemplate', () => {
+    const data = {
+      appName: 'Example Store',
+      username: 'jane',
+      verifyUrl: 'https://shop.example.com/verify?token=abc',
+      verifyHours: 24
+    };
+
+    test('should render subject, text and HTML in the locale', () => {
+      const message = renderTemplate('welcome', 'es', data);
+
+      expect(message.locale).toBe('es');
+      expect(message.subject).toBe('Te damos la bienvenida a Example Store');
+      expect(message.text).toContain('Hola, jane:');
+      expect(message.text).not.toMatch(/^Subject:/);
+      expect(message.html).toContain('<html lang="es"');
+      expect(message.html).toContain('https://shop.example.com/verify?token=abc');
+    });
+
+    test('should fall back to the default locale for unknown locales', () => {
+      const message = renderTemplate('welcome', 'de-DE', data);
+
+      expect(message.locale).toBe('en');
+      expect(message.subject).toBe('Welcome to Example Store');
+    });
+
+    test('should reject unknown templates', () => {
+      expect(() => renderTemplate('no-such-template', 'en', data)).toThrow('Unknown mail template: no-such-template');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+// Unit tests for the mailer service
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getConfig } = require('../../config/secrets');
+const {
+  transports,
+  setTransport,
+  sendMail,
+  sendTemplate,
+  queueMail,
+  flushMailQueue
+} = require('../../services/mailer');
+const { enqueue } = require('../../services/jobs');
+
+// Mock dependencies
+jest.mock('../../config/secrets');
+jest.mock('../../services/jobs');
+
+describe('Mailer Service', () => {
+  let outboxDir;
+
+  beforeEach(() => {
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    getConfig.mockReturnValue({
+      MAIL_TRANSPORT: 'file',
+      MAIL_FROM: 'shop@example.com',
+      MAIL_OUTBOX_DIR: outboxDir
+    });
+    setTransport(null);
+  });
+
+  afterEach(() => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  describe('File Transport', () => {
+    test('should write messages to the outbox directory', async () => {
+      const { id } = await sendMail({
+        to: 'user@example.com',
+        subject: 'Hello',
+        text: 'Hello there'
+      });
+
+      const written = JSON.parse(fs.readFileSync(path.join(outboxDir, `${id}.json`), 'utf8'));
+      expect(written.from).toBe('shop@example.com');
+      expect(written.to).toBe('user@example.com');
+      expect(written.subject).toBe('Hello');
+      expect(written.text).toBe('Hello there');
+    });
+  });
+
+  describe('Transport Selection', () => {
+    test('should use the console transport when configured', async () => {
+      getConfig.mockReturnValue({ MAIL_TRANSPORT: 'console' });
+      const sendSpy = jest.spyOn(transports.console, 'send');
+
+      await sendMail({ to: 'user@example.com', subject: 'Hi', text: 'Hi' });
+
+      expect(sendSpy).toHaveBeenCalledWith(expect.objectContaining({ to: 'user@example.com' }));
+      sendSpy.mockRestore();
+    });
+
+    test('should not log message bodies in production', async () => {
+      getConfig.mockReturnValue({ MAIL_TRANSPORT: 'console', NODE_ENV: 'production' });
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await sendMail({ to: 'user@example.com', subject: 'Reset', text: 'https://example.com/reset?token=secret' });
+
+      expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('user@example.com: Reset'));
+      expect(logSpy.mock.calls[0][0]).not.toContain('token=secret');
+      logSpy.mockRestore();
+    });
+
+    test('should reject unknown transports', async () => {
+      getConfig.mockReturnValue({ MAIL_TRANSPORT: 'pigeon' });
+
+      await expect(sendMail({ to: 'user@example.com', subject: 'Hi', text: 'Hi' }))
+        .rejects.toThrow('Unknown mail transport: pigeon');
+    });
+
+    test('should prefer a plugged-in transport', async () => {
+      const custom = { send: jest.fn().mockResolvedValue({ id: 'custom-1' }) };
+      setTransport(custom);
+
+      const result = await sendMail({ to: 'user@example.com', subject: 'Hi', text: 'Hi' });
+
+      expect(result).toEqual({ id: 'custom-1' });
+      expect(custom.send).toHaveBeenCalled();
+    });
+  });
+
+  describe('Templates', () => {
+    test('should render the template in the recipient locale', async () => {
+      const custom = { send: jest.fn().mockResolvedValue({ id: 'custom-1' }) };
+      setTransport(custom);
+
+      await sendTemplate({
+        to: 'user@example.com',
+        template: 'welcome',
+        locale: 'es',
+        data: { username: 'jane', verifyUrl: 'https://shop.example.com/verify', verifyHours: 24 }
+      });
+
+      const message = custom.send.mock.calls[0][0];
+      expect(message.subject).toBe('Te damos la bienvenida a Example Store');
+      expect(message.text).toContain('Hola, jane:');
+      expect(message.html).toContain('https://shop.example.com/verify');
+    });
+  });
+
+  describe('Background Sending', () => {
+    const mail = { to: 'user@example.com', template: 'account-locked', data: { username: 'jane' } };
+
+    test('should queue mail for the worker', async () => {
+      const custom = { send: jest.fn() };
+      setTransport(custom);
+      enqueue.mockResolvedValue('job-1');
+
+      await queueMail(mail);
+
+      expect(enqueue).toHaveBeenCalledWith('mail', mail, { attempts: 3, backoff: 1000 });
+      expect(custom.send).not.toHaveBeenCalled();
+    });
+
+    test('should send from this process when the queue is unavailable', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const custom = { send: jest.fn().mockResolvedValue({ id: 'custom-1' }) };
+      setTransport(custom);
+      enqueue.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      await queueMail(mail);
+      await flushMailQueue();
+
+      expect(custom.send).toHaveBeenCalledWith(expect.objectContaining({ to: 'user@example.com' }));
+      errorSpy.mockRestore();
+    });
+
+    test('should retry sends from this process and log when giving up', async () => {
+      jest.useFakeTimers();
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const custom = { send: jest.fn().mockRejectedValue(new Error('connection refused')) };
+      setTransport(custom);
+      enqueue.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      await queueMail(mail);
+      const flushed = flushMailQueue();
+      await jest.runAllTimersAsync();
+      await flushed;
+
+      expect(custom.send).toHaveBeenCalledTimes(3);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('failed after 3 attempts'), expect.any(Error));
+      errorSpy.mockRestore();
+      jest.useRealTimers();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+// Unit tests for scheduled maintenance tasks
+const jwt = require('jsonwebtoken');
+const { query } = require('../../config/database');
+const { getConfig } = require('../../config/secrets');
+const { transitionOrder } = require('../../services/orders');
+const { recordAuditEvent } = require('../../services/audit');
+const { cancelUnpaidOrders, purgeExpiredTokens } = require('../../services/maintenance');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../config/secrets');
+jest.mock('../../services/orders');
+jest.mock('../../services/audit');
+jest.mock('../../config/redis', () => {
+  const mockKeys = new Map();
+
+  return {
+    mockKeys,
+    redisClient: {
+      isOpen: true,
+      async *scanIterator() {
+        yield* [...mockKeys.keys()];
+      },
+      ttl: async key => mockKeys.get(key),
+      del: async key => (mockKeys.delete(key) ? 1 : 0)
+    }
+  };
+});
+
+const { mockKeys } = require('../../config/redis');
+
+describe('Maintenance Tasks', () => {
+  beforeEach(() => {
+    getConfig.mockReturnValue({ PENDING_ORDER_TIMEOUT: 3600 });
+  });
+
+  afterEach(() => {
+    mockKeys.clear();
+    jest.clearAllMocks();
+  });
+
+  describe('cancelUnpaidOrders', () => {
+    test('should cancel stale unpaid orders under the order lock', async () => {
+      query.mockResolvedValue([{ id: 7 }, { id: 9 }]);
+      transitionOrder
+        .mockResolvedValueOnce({ order: { id: 7, user_id: 2, status: 'cancelled' } })
+        .mockResolvedValueOnce({ error: 'Order has been paid', status: 409 });
+
+      const result = await cancelUnpaidOrders();
+
+      expect(result).toEqual({ orders: 1 });
+      expect(query.mock.calls[0][1]).toEqual([3600, 500]);
+      expect(transitionOrder).toHaveBeenCalledWith(7, 'cancelled', expect.objectContaining({
+        fromStatuses: ['pending'],
+        unpaidOnly: true
+      }));
+      expect(recordAuditEvent).toHaveBeenCalledTimes(1);
+      expect(recordAuditEvent).toHaveBeenCalledWith('order_expired', {
+        userId: 2,
+        details: { order_id: 7, timeout_seconds: 3600 }
+      });
+    });
+  });
+
+  describe('purgeExpiredTokens', () => {
+    test('should delete expired tokens and blacklist entries left without a TTL', async () => {
+      query.mockResolvedValue([{ count: 3 }]);
+      const now = Math.floor(Date.now() / 1000);
+      const expired = jwt.sign({ userId: 1, exp: now - 60 }, 'secret');
+      const live = jwt.sign({ userId: 1, exp: now + 600 }, 'secret');
+      const expiring = jwt.sign({ userId: 2, exp: now - 60 }, 'secret');
+      mockKeys.set(`blacklist:${expired}`, -1);
+      mockKeys.set(`blacklist:${live}`, -1);
+      mockKeys.set(`blacklist:${expiring}`, 30);
+
+      const result = await purgeExpiredTokens();
+
+      expect(result).toEqual({
+        refresh_tokens: 3,
+        password_reset_tokens: 3,
+        email_verification_tokens: 3,
+        blacklist: 1
+      });
+      expect([...mockKeys.keys()]).toEqual([`blacklist:${live}`, `blacklist:${expiring}`]);
+      expect(query.mock.calls[0][0]).toContain('DELETE FROM refresh_tokens WHERE expires_at < CURRENT_TIMESTAMP');
+    });
+  });
+});
@@ -0,0 +1,21 @@
+// Unit tests for money helpers
+const { toCents, fromCents, formatCents } = require('../../services/money');
+
+describe('Money', () => {
+  test('should convert NUMERIC strings and numbers to whole cents', () => {
+    expect(toCents('29.99')).toBe(2999);
+    expect(toCents(0.1 + 0.2)).toBe(30);
+    expect(toCents(0)).toBe(0);
+  });
+
+  test('should add up prices without drift', () => {
+    const cents = toCents('0.10') * 3 + toCents('19.99');
+
+    expect(fromCents(cents)).toBe(20.29);
+    expect(formatCents(cents)).toBe('20.29');
+  });
+
+  test('should format whole amounts with two decimals', () => {
+    expect(formatCents(1500)).toBe('15.00');
+  });
+});
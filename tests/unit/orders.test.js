@@ -0,0 +1,38 @@
+// Unit tests for the order status state machine
+const { canTransition, ORDER_STATUSES } = require('../../services/orders');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../config/redis');
+
+describe('Order Status Transitions', () => {
+  test('should allow the normal fulfilment path', () => {
+    expect(canTransition('pending', 'processing')).toBe(true);
+    expect(canTransition('processing', 'shipped')).toBe(true);
+    expect(canTransition('shipped', 'delivered')).toBe(true);
+  });
+
+  test('should allow cancelling before shipment only', () => {
+    expect(canTransition('pending', 'cancelled')).toBe(true);
+    expect(canTransition('processing', 'cancelled')).toBe(true);
+    expect(canTransition('shipped', 'cancelled')).toBe(false);
+  });
+
+  test('should reject skipped and backward transitions', () => {
+    expect(canTransition('pending', 'shipped')).toBe(false);
+    expect(canTransition('delivered', 'pending')).toBe(false);
+    expect(canTransition('shipped', 'processing')).toBe(false);
+  });
+
+  test('should treat delivered and cancelled as final', () => {
+    for (const status of ORDER_STATUSES) {
+      expect(canTransition('delivered', status)).toBe(false);
+      expect(canTransition('cancelled', status)).toBe(false);
+    }
+  });
+
+  test('should reject unknown statuses', () => {
+    expect(canTransition('lost', 'pending')).toBe(false);
+    expect(canTransition('pending', 'lost')).toBe(false);
+  });
+});
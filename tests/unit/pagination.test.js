@@ -0,0 +1,109 @@
+// Unit tests for pagination helpers
+const { getConfig } = require('../../config/secrets');
+const {
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  cursorScope,
+  keysetWindow,
+  buildCursorPage,
+  pageLink
+} = require('../../services/pagination');
+
+// Mock dependencies
+jest.mock('../../config/secrets');
+
+describe('Pagination Helpers', () => {
+  const scope = cursorScope('products', { categories: [] });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getConfig.mockReturnValue({ JWT_SECRET: 'test-secret' });
+  });
+
+  test('should default and cap the page size', () => {
+    expect(parseLimit(undefined)).toBe(10);
+    expect(parseLimit('25')).toBe(25);
+    expect(parseLimit('1000000')).toBe(MAX_LIMIT);
+    expect(parseLimit('-5')).toBe(1);
+  });
+
+  test('should round-trip a cursor', () => {
+    const token = encodeCursor({ ts: '2026-01-02 03:04:05.123456', id: 7, direction: 'next' }, scope);
+
+    expect(decodeCursor(token, scope)).toEqual({
+      ts: '2026-01-02 03:04:05.123456',
+      id: 7,
+      direction: 'next'
+    });
+  });
+
+  test('should reject tampered cursors', () => {
+    const token = encodeCursor({ ts: '2026-01-02 03:04:05', id: 7, direction: 'next' }, scope);
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ts: '2026-01-02 03:04:05', id: 8, d: 'next', s: scope }))
+      .toString('base64url');
+
+    expect(decodeCursor(`${forged}.${signature}`, scope)).toBeNull();
+    expect(decodeCursor('not-a-cursor', scope)).toBeNull();
+    expect(decodeCursor(undefined, scope)).toBeNull();
+  });
+
+  test('should reject cursors from another list or signing key', () => {
+    const token = encodeCursor({ ts: '2026-01-02 03:04:05', id: 7, direction: 'next' }, scope);
+
+    expect(decodeCursor(token, cursorScope('products', { categories: ['Books'] }))).toBeNull();
+
+    getConfig.mockReturnValue({ JWT_SECRET: 'rotated-secret' });
+    expect(decodeCursor(token, scope)).toBeNull();
+  });
+
+  test('should build keyset conditions for both directions', () => {
+    const columns = { timeColumn: 'p.created_at', idColumn: 'p.id', paramIndex: 3 };
+
+    expect(keysetWindow(null, columns)).toEqual({
+      condition: null,
+      orderBy: 'p.created_at DESC, p.id DESC',
+      params: []
+    });
+    expect(keysetWindow({ ts: 't', id: 5, direction: 'next' }, columns)).toEqual({
+      condition: '(p.created_at, p.id) < ($3::timestamp, $4)',
+      orderBy: 'p.created_at DESC, p.id DESC',
+      params: ['t', 5]
+    });
+    expect(keysetWindow({ ts: 't', id: 5, direction: 'prev' }, columns).orderBy)
+      .toBe('p.created_at ASC, p.id ASC');
+  });
+
+  test('should only offer a next cursor on the first page', () => {
+    const rows = [3, 2, 1].map(id => ({ id, cursor_ts: `ts${id}` }));
+    const page = buildCursorPage(rows, null, 2, scope);
+
+    expect(page.rows).toEqual([{ id: 3 }, { id: 2 }]);
+    expect(page.prevCursor).toBeNull();
+    expect(decodeCursor(page.nextCursor, scope)).toEqual({ ts: 'ts2', id: 2, direction: 'next' });
+  });
+
+  test('should restore newest-first order when going back', () => {
+    // Rows come back ascending when reading backwards; no extra row means
+    // this is the first page
+    const rows = [4, 5].map(id => ({ id, cursor_ts: `ts${id}` }));
+    const page = buildCursorPage(rows, { ts: 'ts3', id: 3, direction: 'prev' }, 2, scope);
+
+    expect(page.rows.map(row => row.id)).toEqual([5, 4]);
+    expect(page.prevCursor).toBeNull();
+    expect(decodeCursor(page.nextCursor, scope)).toEqual({ ts: 'ts4', id: 4, direction: 'next' });
+  });
+
+  test('should build links that keep the other query parameters', () => {
+    const req = {
+      baseUrl: '/api/products',
+      path: '/',
+      query: { category: ['Books', 'Home'], limit: '2', pagination: 'cursor', cursor: 'old' }
+    };
+
+    expect(pageLink(req, 'abc')).toBe('/api/products?category=Books%2CHome&limit=2&cursor=abc');
+    expect(pageLink(req, null)).toBeNull();
+  });
+});
@@ -0,0 +1,134 @@
+// Unit tests for the payment providers and webhook handling
+const { query } = require('../../config/database');
+const { getConfig } = require('../../config/secrets');
+const { providers, setProvider, getProvider } = require('../../services/payment-providers');
+const { handleWebhookEvent } = require('../../services/payments');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../config/redis');
+jest.mock('../../config/secrets');
+
+describe('Payment Providers', () => {
+  const mock = providers.mock;
+
+  beforeEach(() => {
+    getConfig.mockReturnValue({
+      PAYMENT_PROVIDER: 'mock',
+      PAYMENT_WEBHOOK_SECRET: 'webhook-secret'
+    });
+    setProvider(null);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('Mock Provider', () => {
+    test('should authorize and capture by default', async () => {
+      const authorization = await mock.authorize({ amount: 10, currency: 'USD', orderId: 1, paymentMethod: 'tok_visa' });
+
+      expect(authorization.status).toBe('authorized');
+      expect(authorization.reference).toMatch(/^mock_ok_/);
+      expect(await mock.capture({ reference: authorization.reference, amount: 10 })).toEqual({ status: 'captured' });
+    });
+
+    test('should decline tok_decline', async () => {
+      const authorization = await mock.authorize({ amount: 10, paymentMethod: 'tok_decline' });
+
+      expect(authorization).toEqual({ status: 'failed', reference: null, failureReason: 'Card declined' });
+    });
+
+    test('should fail or defer the capture for the matching tokens', async () => {
+      const failing = await mock.authorize({ amount: 10, paymentMethod: 'tok_capture_fail' });
+      const deferred = await mock.authorize({ amount: 10, paymentMethod: 'tok_async' });
+
+      expect((await mock.capture({ reference: failing.reference })).status).toBe('failed');
+      expect((await mock.capture({ reference: deferred.reference })).status).toBe('pending');
+    });
+  });
+
+  describe('Webhook Verification', () => {
+    const body = Buffer.from(JSON.stringify({
+      id: 'evt_1',
+      type: 'payment.captured',
+      data: { reference: 'mock_async_abc' }
+    }));
+
+    test('should accept correctly signed events', () => {
+      const event = mock.verifyWebhook(body, { 'x-mock-signature': mock.signWebhook(body) });
+
+      expect(event).toEqual({
+        id: 'evt_1',
+        type: 'payment.captured',
+        reference: 'mock_async_abc',
+        data: { reference: 'mock_async_abc' }
+      });
+    });
+
+    test('should reject missing or wrong signatures', () => {
+      expect(mock.verifyWebhook(body, {})).toBeNull();
+      expect(mock.verifyWebhook(body, { 'x-mock-signature': 'deadbeef' })).toBeNull();
+    });
+
+    test('should reject bodies changed after signing', () => {
+      const signature = mock.signWebhook(body);
+      const tampered = Buffer.from(body.toString().replace('mock_async_abc', 'mock_async_xyz'));
+
+      expect(mock.verifyWebhook(tampered, { 'x-mock-signature': signature })).toBeNull();
+    });
+
+    test('should reject everything when no secret is configured', () => {
+      const signature = mock.signWebhook(body);
+      getConfig.mockReturnValue({ PAYMENT_PROVIDER: 'mock' });
+
+      expect(mock.verifyWebhook(body, { 'x-mock-signature': signature })).toBeNull();
+    });
+
+    test('should reject unknown event types', () => {
+      const unknown = Buffer.from(JSON.stringify({ id: 'evt_2', type: 'payment.exploded', data: { reference: 'x' } }));
+
+      expect(mock.verifyWebhook(unknown, { 'x-mock-signature': mock.signWebhook(unknown) })).toBeNull();
+    });
+  });
+
+  describe('Provider Selection', () => {
+    test('should use the configured provider', () => {
+      expect(getProvider()).toBe(mock);
+    });
+
+    test('should prefer a provider set with setProvider', () => {
+      const custom = { name: 'custom' };
+      setProvider(custom);
+
+      expect(getProvider()).toBe(custom);
+    });
+
+    test('should reject unknown providers', () => {
+      getConfig.mockReturnValue({ PAYMENT_PROVIDER: 'barter' });
+
+      expect(() => getProvider()).toThrow('Unknown payment provider: barter');
+    });
+  });
+
+  describe('Webhook Events', () => {
+    const event = { id: 'evt_1', type: 'payment.captured', reference: 'mock_1', data: { reference: 'mock_1' } };
+
+    test('should acknowledge redelivered events without applying them', async () => {
+      query.mockResolvedValueOnce([]);
+
+      expect(await handleWebhookEvent(event)).toEqual({ handled: false, duplicate: true });
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should forget an event that fails to apply so its redelivery is handled', async () => {
+      query
+        .mockResolvedValueOnce([{ id: 5 }])
+        .mockRejectedValueOnce(new Error('connection terminated'))
+        .mockResolvedValueOnce([]);
+
+      await expect(handleWebhookEvent(event)).rejects.toThrow('connection terminated');
+      expect(query).toHaveBeenLastCalledWith('DELETE FROM payment_events WHERE id = $1', [5]);
+    });
+  });
+});
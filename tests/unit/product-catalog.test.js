@@ -0,0 +1,86 @@
+// Unit tests for product listing filters
+const catalog = require('../../services/product-catalog');
+
+// Mock dependencies
+jest.mock('../../config/database');
+
+describe('Product Catalog Filters', () => {
+  test('should default to newest first with no filters', () => {
+    const { filters } = catalog.parseListingFilters({});
+
+    expect(filters).toEqual({
+      categories: [],
+      minPrice: null,
+      maxPrice: null,
+      inStock: false,
+      tsQuery: null,
+      searchTerms: [],
+      sort: 'newest'
+    });
+    expect(catalog.listingCacheKey(filters, 1, 10)).toBe('products:1:10:all');
+  });
+
+  test('should accept repeated and comma-separated categories', () => {
+    const { filters } = catalog.parseListingFilters({ category: ['Home,Books', 'Books'] });
+
+    expect(filters.categories).toEqual(['Books', 'Home']);
+  });
+
+  test('should sort searches by relevance unless told otherwise', () => {
+    expect(catalog.parseListingFilters({ q: 'mouse' }).filters.sort).toBe('relevance');
+    expect(catalog.parseListingFilters({ q: 'mouse', sort: 'price_asc' }).filters.sort).toBe('price_asc');
+  });
+
+  test('should reject invalid sorts and price ranges', () => {
+    expect(catalog.parseListingFilters({ sort: 'random' }).error).toBeDefined();
+    expect(catalog.parseListingFilters({ sort: 'relevance' }).error).toBeDefined();
+    expect(catalog.parseListingFilters({ min_price: '-1' }).error).toBeDefined();
+    expect(catalog.parseListingFilters({ min_price: 'abc' }).error).toBeDefined();
+    expect(catalog.parseListingFilters({ min_price: '50', max_price: '10' }).error).toBeDefined();
+  });
+
+  test('should build parameterised conditions', () => {
+    const { filters } = catalog.parseListingFilters({
+      category: 'Books',
+      min_price: '10',
+      max_price: '20',
+      in_stock: 'true',
+      q: 'guide'
+    });
+
+    const { whereClause, params } = catalog.buildWhere(filters);
+
+    expect(whereClause).toBe(
+      "WHERE p.is_active = TRUE AND p.category = ANY($1::text[]) AND p.price >= $2 AND p.price <= $3" +
+      " AND p.stock_quantity > 0 AND p.search_vector @@ to_tsquery('english', $4)"
+    );
+    expect(params).toEqual([['Books'], 10, 20, 'guide:*']);
+  });
+
+  test('should leave out the skipped facet dimension', () => {
+    const { filters } = catalog.parseListingFilters({ category: 'Books', min_price: '10' });
+
+    expect(catalog.buildWhere(filters, { skip: ['category'] }).params).toEqual([10]);
+    expect(catalog.buildWhere(filters, { skip: ['price'] }).params).toEqual([['Books']]);
+  });
+
+  test('should give every filter combination its own cache key', () => {
+    const { filters } = catalog.parseListingFilters({
+      category: 'Books,Home',
+      min_price: '10',
+      in_stock: '1',
+      sort: 'best_selling'
+    });
+
+    expect(catalog.listingCacheKey(filters, 2, 20))
+      .toBe('products:2:20:Books,Home:price:10-:in_stock:sort:best_selling');
+  });
+
+  test('should keep newest and relevance searches apart in the cache', () => {
+    const relevance = catalog.parseListingFilters({ q: 'mouse' }).filters;
+    const newest = catalog.parseListingFilters({ q: 'mouse', sort: 'newest' }).filters;
+
+    expect(catalog.listingCacheKey(relevance, 1, 10)).toBe('products:1:10:all:q:mouse:sort:relevance');
+    expect(catalog.listingCacheKey(newest, 1, 10)).toBe('products:1:10:all:q:mouse:sort:newest');
+  });
+});
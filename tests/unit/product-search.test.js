@@ -0,0 +1,31 @@
+// Unit tests for product search helpers
+const { extractTerms, buildTsQuery, sanitizeHighlight } = require('../../services/product-search');
+
+describe('Product Search Helpers', () => {
+  test('should prefix-match only the last term', () => {
+    expect(buildTsQuery('wireless mou')).toBe('wireless & mou:*');
+    expect(buildTsQuery('Laptop')).toBe('laptop:*');
+  });
+
+  test('should strip tsquery operators from user input', () => {
+    expect(buildTsQuery("mouse & !keyboard | (cable):*")).toBe('mouse & keyboard & cable:*');
+    expect(extractTerms("'; DROP TABLE products; --")).toEqual(['drop', 'table', 'products']);
+  });
+
+  test('should return null when there is nothing to search for', () => {
+    expect(buildTsQuery('')).toBeNull();
+    expect(buildTsQuery('  !!  ')).toBeNull();
+    expect(buildTsQuery(undefined)).toBeNull();
+    expect(buildTsQuery(['array'])).toBeNull();
+  });
+
+  test('should keep non-ASCII letters', () => {
+    expect(extractTerms('Café crème')).toEqual(['café', 'crème']);
+  });
+
+  test('should escape product text but keep highlight tags', () => {
+    const highlighted = sanitizeHighlight('<script>x</script> <mark>Mouse</mark> & pad');
+
+    expect(highlighted).toBe('&lt;script&gt;x&lt;/script&gt; <mark>Mouse</mark> &amp; pad');
+  });
+});
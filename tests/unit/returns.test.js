@@ -0,0 +1,27 @@
+// Unit tests for return refund amounts
+const { defaultRefundAmount, RETURN_STATUSES } = require('../../services/returns');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../config/redis');
+
+describe('Returns Service', () => {
+  describe('defaultRefundAmount', () => {
+    test('should refund the line price for orders without a discount', () => {
+      expect(defaultRefundAmount({ quantity: 2, unitPrice: '19.99', subtotalAmount: '39.98', totalAmount: '39.98' })).toBe(39.98);
+    });
+
+    test("should take off the returned items' share of a coupon discount", () => {
+      // 10% off a 100.00 order; returning 40.00 of it refunds 36.00
+      expect(defaultRefundAmount({ quantity: 1, unitPrice: '40.00', subtotalAmount: '100.00', totalAmount: '90.00' })).toBe(36);
+    });
+
+    test('should fall back to the line price for orders placed before subtotals', () => {
+      expect(defaultRefundAmount({ quantity: 1, unitPrice: '29.99', subtotalAmount: null, totalAmount: '59.98' })).toBe(29.99);
+    });
+  });
+
+  test('should know every return status', () => {
+    expect(RETURN_STATUSES).toEqual(['requested', 'approved', 'received', 'rejected', 'refunded']);
+  });
+});
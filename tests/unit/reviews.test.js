@@ -0,0 +1,61 @@
+// Unit tests for the product reviews service
+const { query } = require('../../config/database');
+const reviews = require('../../services/reviews');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../config/redis');
+
+describe('Reviews Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should attach ratings, defaulting products without reviews', async () => {
+    query.mockResolvedValueOnce([{ product_id: 1, average: 4.5, count: 2 }]);
+    const products = [{ id: 1 }, { id: 2 }];
+
+    await reviews.attachRatings(products);
+
+    expect(products[0].rating).toEqual({ average: 4.5, count: 2 });
+    expect(products[1].rating).toEqual({ average: null, count: 0 });
+    expect(query).toHaveBeenCalledWith(expect.stringContaining("status <> 'hidden'"), [[1, 2]]);
+  });
+
+  test('should not query for an empty product list', async () => {
+    const summaries = await reviews.getRatingSummaries([]);
+
+    expect(summaries.size).toBe(0);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test('should build a per-star breakdown', async () => {
+    query.mockResolvedValueOnce([
+      { rating: 5, count: 2 },
+      { rating: 2, count: 1 }
+    ]);
+
+    const breakdown = await reviews.getRatingBreakdown(1);
+
+    expect(breakdown).toEqual({
+      average: 4,
+      count: 3,
+      distribution: { 1: 0, 2: 1, 3: 0, 4: 0, 5: 2 }
+    });
+  });
+
+  test('should report no average without reviews', async () => {
+    query.mockResolvedValueOnce([]);
+
+    const breakdown = await reviews.getRatingBreakdown(1);
+
+    expect(breakdown.average).toBeNull();
+    expect(breakdown.count).toBe(0);
+  });
+
+  test('should return null when the customer already reviewed the product', async () => {
+    query.mockResolvedValueOnce([]);
+
+    expect(await reviews.createReview(2, 4, { rating: 5 })).toBeNull();
+  });
+});
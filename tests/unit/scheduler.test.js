@@ -0,0 +1,85 @@
+// Unit tests for the task scheduler
+const { enqueue } = require('../../services/jobs');
+const { acquireLock, withLock } = require('../../services/locks');
+const { createScheduler, runTask } = require('../../services/scheduler');
+
+// Mock dependencies
+jest.mock('../../services/jobs');
+jest.mock('../../services/locks');
+
+describe('Scheduler', () => {
+  const tasks = {
+    hourly: { schedule: '0 * * * *', run: jest.fn().mockResolvedValue({ purged: 2 }) },
+    nightly: { schedule: '30 2 * * *', run: jest.fn() }
+  };
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('tick', () => {
+    test('should queue the tasks due in that minute', async () => {
+      acquireLock.mockResolvedValue('token');
+
+      await createScheduler(tasks).tick(new Date('2026-03-01T05:00:01Z'));
+
+      expect(acquireLock).toHaveBeenCalledWith(`scheduler:hourly:${Date.parse('2026-03-01T05:00:00Z')}`, expect.any(Number));
+      expect(enqueue).toHaveBeenCalledTimes(1);
+      expect(enqueue).toHaveBeenCalledWith('scheduled', {
+        task: 'hourly',
+        scheduledFor: '2026-03-01T05:00:00.000Z'
+      }, { attempts: 1 });
+    });
+
+    test('should leave tasks another pod has queued', async () => {
+      acquireLock.mockResolvedValue(null);
+
+      await createScheduler(tasks).tick(new Date('2026-03-01T02:30:00Z'));
+
+      expect(acquireLock).toHaveBeenCalledTimes(1);
+      expect(enqueue).not.toHaveBeenCalled();
+    });
+
+    test('should keep scheduling other tasks when one fails', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      acquireLock.mockRejectedValueOnce(new Error('ECONNREFUSED')).mockResolvedValue('token');
+
+      await createScheduler({ ...tasks, nightly: { ...tasks.nightly, schedule: '0 * * * *' } })
+        .tick(new Date('2026-03-01T05:00:00Z'));
+
+      expect(enqueue).toHaveBeenCalledWith('scheduled', expect.objectContaining({ task: 'nightly' }), { attempts: 1 });
+      errorSpy.mockRestore();
+    });
+
+    test('should reject invalid schedules up front', () => {
+      expect(() => createScheduler({ broken: { schedule: 'often', run: jest.fn() } }))
+        .toThrow('Cron expression must have 5 fields');
+    });
+  });
+
+  describe('runTask', () => {
+    test('should run the task under its lock', async () => {
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      withLock.mockImplementation(async (name, ttl, fn) => ({ acquired: true, result: await fn() }));
+
+      const result = await runTask(tasks, 'hourly');
+
+      expect(result).toEqual({ purged: 2 });
+      expect(withLock).toHaveBeenCalledWith('task:hourly', expect.any(Number), expect.any(Function));
+      logSpy.mockRestore();
+    });
+
+    test('should skip the task while a previous run holds the lock', async () => {
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      withLock.mockResolvedValue({ acquired: false });
+
+      expect(await runTask(tasks, 'nightly')).toBeNull();
+      expect(tasks.nightly.run).not.toHaveBeenCalled();
+      logSpy.mockRestore();
+    });
+
+    test('should reject unknown tasks', async () => {
+      await expect(runTask(tasks, 'weekly')).rejects.toThrow('Unknown scheduled task: weekly');
+    });
+  });
+});
@@ -34,7 +34,7 @@ describe('Secrets Configuration', () => {
       const config = await initializeConfig();
 
       expect(config.DB_PORT).toBe(3306);
-      expect(config.JWT_EXPIRES_IN).toBe('7d');
+      expect(config.JWT_EXPIRES_IN).toBe('15m');
     });
   });
 
@@ -0,0 +1,123 @@
+// Unit tests for the SMTP client
+const net = require('net');
+const { buildMessage, sendMessage } = require('../../services/smtp');
+
+// A fake SMTP server on a local port. reply(line) answers each command;
+// the session's commands and message data are recorded.
+function fakeServer(reply = () => '250 OK') {
+  const session = { commands: [], data: '' };
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+
+    socket.write('220 fake.test ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 Queued\r\n');
+          } else {
+            session.data += `${line}\r\n`;
+          }
+          continue;
+        }
+
+        session.commands.push(line);
+        if (line.startsWith('EHLO')) {
+          socket.write('250-fake.test\r\n250 AUTH PLAIN\r\n');
+        } else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 Go ahead\r\n');
+        } else if (line === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write(`${reply(line)}\r\n`);
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, session, port: server.address().port }));
+  });
+}
+
+describe('SMTP Client', () => {
+  const message = {
+    from: 'Example Store <shop@example.com>',
+    to: 'user@example.com',
+    subject: 'Hello',
+    text: 'Hello there\n.hidden line',
+    html: '<p>Hello there</p>'
+  };
+
+  describe('buildMessage', () => {
+    test('should build a multipart message with base64 parts', () => {
+      const data = buildMessage(message, { now: new Date('2026-01-02T03:04:05Z') });
+
+      expect(data).toContain('From: Example Store <shop@example.com>\r\n');
+      expect(data).toContain('Subject: Hello\r\n');
+      expect(data).toContain('Date: Fri, 02 Jan 2026 03:04:05 GMT\r\n');
+      expect(data).toMatch(/^Message-ID: <[0-9a-f]+@example\.com>$/m);
+      expect(data).toContain('Content-Type: multipart/alternative;');
+      expect(data).toContain(Buffer.from('<p>Hello there</p>').toString('base64'));
+    });
+
+    test('should encode non-ASCII subjects', () => {
+      const data = buildMessage({ ...message, subject: 'Confirmación' });
+
+      expect(data).toContain(`Subject: =?UTF-8?B?${Buffer.from('Confirmación').toString('base64')}?=`);
+    });
+
+    test('should send plain text only when there is no HTML', () => {
+      const data = buildMessage({ ...message, html: null });
+
+      expect(data).toContain('Content-Type: text/plain; charset=utf-8');
+      expect(data).not.toContain('multipart');
+    });
+  });
+
+  describe('sendMessage', () => {
+    let fake;
+
+    afterEach(async () => {
+      await new Promise(resolve => fake.server.close(resolve));
+    });
+
+    test('should authenticate and deliver the message', async () => {
+      fake = await fakeServer(line => (line.startsWith('AUTH') ? '235 Authenticated' : '250 OK'));
+
+      const result = await sendMessage({
+        host: '127.0.0.1',
+        port: fake.port,
+        user: 'mailer',
+        password: 'secret'
+      }, message);
+
+      const credentials = Buffer.from('\u0000mailer\u0000secret').toString('base64');
+      expect(fake.session.commands).toEqual(expect.arrayContaining([
+        `AUTH PLAIN ${credentials}`,
+        'MAIL FROM:<shop@example.com>',
+        'RCPT TO:<user@example.com>',
+        'DATA'
+      ]));
+      expect(result.id).toMatch(/^<[0-9a-f]+@example\.com>$/);
+      expect(fake.session.data).toContain(`Message-ID: ${result.id}`);
+    });
+
+    test('should reject when the server refuses a recipient', async () => {
+      fake = await fakeServer(line => (line.startsWith('RCPT') ? '550 No such user' : '250 OK'));
+
+      await expect(sendMessage({ host: '127.0.0.1', port: fake.port }, message))
+        .rejects.toThrow('SMTP RCPT failed: 550 No such user');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+// Unit tests for tax rates and order tax
+const { getConfig } = require('../../config/secrets');
+const { query } = require('../../config/database');
+const { taxOnAmount, findRate, providers, setProvider, getProvider } = require('../../services/tax-providers');
+const { calculateTax, orderTotal } = require('../../services/tax');
+
+// Mock dependencies
+jest.mock('../../config/secrets');
+jest.mock('../../config/database');
+jest.mock('../../config/redis');
+
+describe('Tax', () => {
+  const rates = [
+    { region: null, tax_class: 'standard', rate: '20.000' },
+    { region: null, tax_class: 'reduced', rate: '5.000' },
+    { region: 'Quebec', tax_class: 'standard', rate: '14.975' }
+  ];
+
+  beforeEach(() => {
+    getConfig.mockReturnValue({ TAX_PROVIDER: 'table', PRICES_INCLUDE_TAX: 'false' });
+    setProvider(null);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('taxOnAmount', () => {
+    test('should add tax on top of exclusive prices', () => {
+      expect(taxOnAmount(1000, 20, false)).toBe(200);
+      expect(taxOnAmount(1999, 8.875, false)).toBe(177);
+    });
+
+    test('should take the tax out of inclusive prices', () => {
+      expect(taxOnAmount(1200, 20, true)).toBe(200);
+      expect(taxOnAmount(1999, 20, true)).toBe(333);
+    });
+  });
+
+  describe('findRate', () => {
+    test("should prefer the region's own rate", () => {
+      expect(findRate(rates, { country: 'CA', region: 'quebec' }, 'standard')).toBe(14.975);
+      expect(findRate(rates, { country: 'CA', region: 'Ontario' }, 'standard')).toBe(20);
+    });
+
+    test('should not tax classes without a rate', () => {
+      expect(findRate(rates, { country: 'CA' }, 'reduced')).toBe(5);
+      expect(findRate(rates, { country: 'CA' }, 'zero')).toBe(0);
+    });
+  });
+
+  describe('table provider', () => {
+    test('should look up rates for the shipping country', async () => {
+      query.mockResolvedValue(rates);
+
+      const taxed = await providers.table.calculate({
+        address: { country: 'gb' },
+        pricesIncludeTax: false,
+        lines: [{ product_id: 1, tax_class: 'standard', quantity: 1, amount: 1000 }]
+      });
+
+      expect(query).toHaveBeenCalledWith(expect.any(String), ['GB']);
+      expect(taxed).toEqual([{ rate: 20, tax: 200 }]);
+    });
+
+    test('should not tax orders without an address', async () => {
+      const taxed = await providers.table.calculate({ address: null, pricesIncludeTax: false, lines: [{ amount: 1000 }] });
+
+      expect(taxed).toEqual([{ rate: 0, tax: 0 }]);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('calculateTax', () => {
+    test('should tax each line after its share of the discount', async () => {
+      query.mockResolvedValue(rates);
+
+      const taxed = await calculateTax({ country: 'GB' }, [
+        { product_id: 1, tax_class: 'standard', quantity: 2, total_price: 59.98, discount: 6 },
+        { product_id: 3, tax_class: 'reduced', quantity: 1, total_price: 19.99, discount: 0 }
+      ]);
+
+      expect(taxed).toEqual({
+        pricesIncludeTax: false,
+        lines: [{ rate: 20, tax: 10.8 }, { rate: 5, tax: 1 }],
+        tax: 11.8
+      });
+    });
+
+    test('should use a plugged-in provider', async () => {
+      const calculate = jest.fn().mockResolvedValue([{ rate: 7, tax: 70 }]);
+      setProvider({ name: 'external', calculate });
+      getConfig.mockReturnValue({ TAX_PROVIDER: 'table', PRICES_INCLUDE_TAX: 'true' });
+
+      const taxed = await calculateTax({ country: 'US' }, [{ product_id: 1, quantity: 1, total_price: 10 }]);
+
+      expect(getProvider()).not.toBe(providers.table);
+      expect(calculate).toHaveBeenCalledWith({
+        address: { country: 'US' },
+        pricesIncludeTax: true,
+        lines: [{ product_id: 1, tax_class: 'standard', quantity: 1, amount: 1000 }]
+      });
+      expect(taxed.tax).toBe(0.7);
+    });
+  });
+
+  test('should reject unknown providers', () => {
+    getConfig.mockReturnValue({ TAX_PROVIDER: 'avalara' });
+
+    expect(() => getProvider()).toThrow('Unknown tax provider: avalara');
+  });
+
+  describe('orderTotal', () => {
+    test('should add exclusive tax to the total', () => {
+      expect(orderTotal({ subtotal: 79.97, discount: 8, tax: 11.8, pricesIncludeTax: false })).toBe(83.77);
+    });
+
+    test('should not add tax that is already in the prices', () => {
+      expect(orderTotal({ subtotal: 79.97, discount: 8, tax: 11.8, pricesIncludeTax: true })).toBe(71.97);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+// Unit tests for access/refresh token service
+const jwt = require('jsonwebtoken');
+const { query } = require('../../config/database');
+const { getConfig } = require('../../config/secrets');
+const {
+  hashToken,
+  signAccessToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshFamily
+} = require('../../services/tokens');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../config/secrets');
+
+describe('Token Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getConfig.mockReturnValue({
+      JWT_SECRET: 'test-jwt-secret',
+      JWT_EXPIRES_IN: '15m',
+      REFRESH_TOKEN_TTL: 3600
+    });
+  });
+
+  describe('Access Tokens', () => {
+    test('should sign a short-lived access token with the family id', () => {
+      const token = signAccessToken(1, 'family-1');
+      const decoded = jwt.verify(token, 'test-jwt-secret');
+
+      expect(decoded.userId).toBe(1);
+      expect(decoded.type).toBe('access');
+      expect(decoded.familyId).toBe('family-1');
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    });
+  });
+
+  describe('Refresh Tokens', () => {
+    test('should store only the hash of a newly issued refresh token', async () => {
+      query.mockResolvedValue([]);
+
+      const { token, refreshToken } = await issueTokenPair(1);
+
+      expect(token).toBeDefined();
+      expect(refreshToken).toBeDefined();
+      const params = query.mock.calls[0][1];
+      expect(params[0]).toBe(1);
+      expect(params[2]).toBe(hashToken(refreshToken));
+      expect(params).not.toContain(refreshToken);
+      expect(params[3]).toBe(3600);
+    });
+
+    test('should rotate a valid refresh token within the same family', async () => {
+      query
+        .mockResolvedValueOnce([{ user_id: 1, family_id: 'family-1' }])
+        .mockResolvedValueOnce([]);
+
+      const rotated = await rotateRefreshToken('old-token');
+
+      expect(rotated.userId).toBe(1);
+      expect(rotated.refreshToken).not.toBe('old-token');
+      expect(query.mock.calls[0][1]).toEqual([hashToken('old-token')]);
+      expect(query.mock.calls[1][1][1]).toBe('family-1');
+      expect(jwt.verify(rotated.token, 'test-jwt-secret').familyId).toBe('family-1');
+    });
+
+    test('should return null for an unknown refresh token', async () => {
+      query
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+
+      const rotated = await rotateRefreshToken('unknown-token');
+
+      expect(rotated).toBeNull();
+      expect(query).toHaveBeenCalledTimes(2);
+    });
+
+    test('should revoke the whole family when a rotated token is reused', async () => {
+      query
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ user_id: 1, family_id: 'family-1', revoked_at: new Date() }])
+        .mockResolvedValueOnce([]);
+
+      const rotated = await rotateRefreshToken('reused-token');
+
+      expect(rotated).toBeNull();
+      expect(query).toHaveBeenLastCalledWith(
+        expect.stringContaining('WHERE family_id = $1'),
+        ['family-1']
+      );
+    });
+
+    test('should revoke every active token in a family', async () => {
+      query.mockResolvedValue([]);
+
+      await revokeRefreshFamily('family-1');
+
+      expect(query).toHaveBeenCalledWith(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL',
+        ['family-1']
+      );
+    });
+  });
+});
@@ -0,0 +1,92 @@
+// Unit tests for TOTP (RFC 6238) helpers
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  buildOtpAuthUri,
+  generateCode,
+  verifyCode,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../../services/totp');
+
+// RFC 6238 Appendix B test secret ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Service', () => {
+  describe('Base32', () => {
+    test('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    test('should generate 160-bit secrets', () => {
+      const secret = generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Decode(secret)).toHaveLength(20);
+    });
+  });
+
+  describe('Code Generation', () => {
+    test.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1234567890, '005924'],
+      [2000000000, '279037']
+    ])('should match the RFC 6238 vector at %i seconds', (seconds, expected) => {
+      expect(generateCode(RFC_SECRET, Math.floor(seconds / 30))).toBe(expected);
+    });
+  });
+
+  describe('Code Verification', () => {
+    const now = 1111111109 * 1000;
+
+    test('should return the matching time step for a valid code', () => {
+      expect(verifyCode(RFC_SECRET, '081804', { now })).toBe(Math.floor(1111111109 / 30));
+    });
+
+    test('should accept one step of clock drift', () => {
+      const previous = generateCode(RFC_SECRET, Math.floor(1111111109 / 30) - 1);
+
+      expect(verifyCode(RFC_SECRET, previous, { now })).not.toBeNull();
+    });
+
+    test('should reject codes outside the drift window', () => {
+      const old = generateCode(RFC_SECRET, Math.floor(1111111109 / 30) - 5);
+
+      expect(verifyCode(RFC_SECRET, old, { now })).toBeNull();
+    });
+
+    test('should reject malformed codes', () => {
+      expect(verifyCode(RFC_SECRET, '12345', { now })).toBeNull();
+      expect(verifyCode(RFC_SECRET, 'abcdef', { now })).toBeNull();
+      expect(verifyCode(RFC_SECRET, undefined, { now })).toBeNull();
+    });
+  });
+
+  describe('otpauth URI', () => {
+    test('should build a provisioning URI for authenticator apps', () => {
+      const uri = buildOtpAuthUri('JBSWY3DPEHPK3PXP', 'user@example.com', 'Ecommerce App');
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/Ecommerce%20App%3Auser%40example\.com\?/);
+      expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+      expect(uri).toContain('issuer=Ecommerce+App');
+    });
+  });
+
+  describe('Recovery Codes', () => {
+    test('should generate distinct recovery codes', () => {
+      const codes = generateRecoveryCodes();
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    });
+
+    test('should hash recovery codes regardless of formatting', () => {
+      expect(hashRecoveryCode('ABCDE-12345')).toBe(hashRecoveryCode('abcde12345'));
+    });
+  });
+});
@@ -0,0 +1,89 @@
+// Unit tests for the database transaction helper
+const { Pool } = require('pg');
+const { getConfig } = require('../../config/secrets');
+const { transaction } = require('../../config/database');
+
+// Mock dependencies
+jest.mock('pg');
+jest.mock('../../config/secrets');
+
+describe('Database Transactions', () => {
+  let client;
+
+  beforeAll(() => {
+    // The pool is created once per process; hand out whichever client the
+    // current test set up
+    Pool.mockImplementation(() => ({
+      connect: jest.fn(async () => client),
+      on: jest.fn()
+    }));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getConfig.mockReturnValue({ DB_HOST: 'localhost', DB_PORT: 5432 });
+
+    client = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('should commit and return the callback result', async () => {
+    client.query.mockImplementation(async sql => (
+      sql.startsWith('SELECT') ? { rows: [{ id: 1 }] } : { rows: [] }
+    ));
+
+    const result = await transaction(tx => tx.query('SELECT id FROM products'));
+
+    expect(result).toEqual([{ id: 1 }]);
+    expect(client.query.mock.calls.map(call => call[0])).toEqual([
+      'BEGIN ISOLATION LEVEL READ COMMITTED',
+      'SELECT id FROM products',
+      'COMMIT'
+    ]);
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('should roll back and rethrow when the callback fails', async () => {
+    await expect(transaction(async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.query).not.toHaveBeenCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('should retry on serialization failures', async () => {
+    const conflict = Object.assign(new Error('could not serialize access'), { code: '40001' });
+    const fn = jest.fn()
+      .mockRejectedValueOnce(conflict)
+      .mockResolvedValueOnce('done');
+
+    const result = await transaction(fn, { isolationLevel: 'SERIALIZABLE' });
+
+    expect(result).toBe('done');
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(client.query).toHaveBeenCalledWith('BEGIN ISOLATION LEVEL SERIALIZABLE');
+    expect(client.release).toHaveBeenCalledTimes(2);
+  });
+
+  test('should give up after the retry limit', async () => {
+    const deadlock = Object.assign(new Error('deadlock detected'), { code: '40P01' });
+    const fn = jest.fn().mockRejectedValue(deadlock);
+
+    await expect(transaction(fn, { retries: 2 })).rejects.toThrow('deadlock detected');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+});
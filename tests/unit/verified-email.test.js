@@ -0,0 +1,52 @@
+// Unit tests for the verified email middleware
+const { getConfig } = require('../../config/secrets');
+const requireVerifiedEmail = require('../../middleware/verified-email');
+
+// Mock dependencies
+jest.mock('../../config/secrets');
+
+describe('Verified Email Middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = { user: { id: 1, email_verified_at: null } };
+    res = {
+      status: jest.fn(() => res),
+      json: jest.fn()
+    };
+    next = jest.fn();
+
+    jest.clearAllMocks();
+  });
+
+  test('should block unverified users when the policy is enabled', () => {
+    getConfig.mockReturnValue({ REQUIRE_VERIFIED_EMAIL_ORDERS: 'true' });
+
+    requireVerifiedEmail('REQUIRE_VERIFIED_EMAIL_ORDERS')(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      message: 'Email address has not been verified'
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should allow verified users when the policy is enabled', () => {
+    getConfig.mockReturnValue({ REQUIRE_VERIFIED_EMAIL_ORDERS: 'true' });
+    req.user.email_verified_at = new Date().toISOString();
+
+    requireVerifiedEmail('REQUIRE_VERIFIED_EMAIL_ORDERS')(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should allow unverified users when the policy is disabled', () => {
+    getConfig.mockReturnValue({ REQUIRE_VERIFIED_EMAIL_ORDERS: 'false' });
+
+    requireVerifiedEmail('REQUIRE_VERIFIED_EMAIL_ORDERS')(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,41 @@
+// Unit tests for the wishlist service
+const { query } = require('../../config/database');
+const { cache } = require('../../config/redis');
+const wishlist = require('../../services/wishlist');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../config/redis');
+
+describe('Wishlist Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should flag only the wishlisted products', async () => {
+    query.mockResolvedValueOnce([{ product_id: 2 }]);
+    const products = [{ id: 1 }, { id: 2 }];
+
+    await wishlist.markWishlisted(7, products);
+
+    expect(products).toEqual([{ id: 1, wishlisted: false }, { id: 2, wishlisted: true }]);
+    expect(query).toHaveBeenCalledWith(expect.any(String), [7, [1, 2]]);
+  });
+
+  test('should not query for an empty product list', async () => {
+    await wishlist.markWishlisted(7, []);
+
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test('should refresh the dashboard only when the wishlist changes', async () => {
+    query.mockResolvedValueOnce([{ id: 1 }]);
+    expect(await wishlist.addItem(7, 2)).toBe(true);
+    expect(cache.del).toHaveBeenCalledWith('dashboard:7');
+
+    cache.del.mockClear();
+    query.mockResolvedValueOnce([]);
+    expect(await wishlist.addItem(7, 2)).toBe(false);
+    expect(cache.del).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,88 @@
+// Background worker: runs jobs from the Redis job queues (see
+// services/jobs.js) and, unless SCHEDULER_ENABLED=false, queues scheduled
+// tasks (see services/scheduler.js). Start it with `npm run worker` next to
+// the web server, e.g. as its own Kubernetes deployment from the same
+// image; any number of workers can run side by side.
+require('dotenv').config();
+
+const { initializeConfig, getConfig } = require('./config/secrets');
+const database = require('./config/database');
+
+let worker = null;
+let scheduler = null;
+let redisClient = null;
+let shuttingDown = false;
+
+async function startWorker() {
+  try {
+    console.log('Starting worker...');
+    await initializeConfig();
+    const config = getConfig();
+
+    // Loaded after the config, which they read when first used
+    const { initializeRedisConnection } = require('./config/redis');
+    const { createWorker, selectQueues } = require('./services/job-worker');
+    const definitions = require('./services/job-definitions');
+    const { createScheduler } = require('./services/scheduler');
+    const scheduledTasks = require('./services/scheduled-tasks');
+
+    const queues = selectQueues(definitions, config);
+
+    await database.connectDB();
+    redisClient = await initializeRedisConnection();
+
+    worker = createWorker(queues, {
+      pollInterval: parseInt(config.JOB_POLL_INTERVAL_MS) || undefined
+    });
+    worker.start();
+
+    const summary = Object.entries(queues).map(([name, queue]) => `${name} (${queue.concurrency || 1})`).join(', ');
+    console.log(`✅ Worker running queues: ${summary}`);
+
+    if (config.SCHEDULER_ENABLED !== 'false') {
+      scheduler = createScheduler(scheduledTasks);
+      scheduler.start();
+      console.log(`✅ Scheduling tasks: ${Object.keys(scheduledTasks).join(', ')}`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to start worker:', error);
+    process.exit(1);
+  }
+}
+
+// Finishes the jobs in hand before closing connections; jobs that are cut
+// off are picked up again by another worker once their lease runs out
+async function gracefulShutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  console.log(`${signal} received, stopping worker`);
+
+  try {
+    if (scheduler) {
+      await scheduler.stop();
+    }
+
+    if (worker) {
+      await worker.stop();
+      console.log('Running jobs finished');
+    }
+
+    if (redisClient) {
+      await redisClient.quit();
+    }
+
+    await database.pool.end();
+    console.log('Worker stopped');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error during worker shutdown:', error);
+    process.exit(1);
+  }
+}
+
+startWorker();
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));